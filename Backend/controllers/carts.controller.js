@@ -1,4 +1,6 @@
 const cartsService = require('../services/carts.service'); // Ensure path is correct
+const reservationsService = require('../services/reservations.service');
+const abandonedCartsService = require('../services/abandonedCarts.service');
 
 /**
  * Get the current user's cart. If no cart exists, create one.
@@ -6,8 +8,8 @@ const cartsService = require('../services/carts.service'); // Ensure path is cor
  */
 async function getUserCart(req, res) {
     try {
-        const userId = req.user.id; // Assuming userId is available from authentication middleware
-        const cart = await cartsService.getOrCreateUserCart(userId);
+        const shopper = req.shopper; // The signed-in user or the guest cart token (shopper middleware)
+        const cart = await cartsService.getOrCreateCart(shopper);
         res.status(200).json(cart); // 200 OK
     } catch (error) {
         console.error('Error in getUserCart controller:', error.message);
@@ -18,28 +20,29 @@ async function getUserCart(req, res) {
 /**
  * Add an item to the user's cart.
  * POST /api/cart/items
- * Request body: { productId, quantity, selectedSize?, selectedColor? }
+ * Request body: { productId, quantity, selectedSize?, selectedColor?, sku? }
  */
 async function addItemToCart(req, res) {
     try {
-        const userId = req.user.id; // Assuming userId is available from authentication middleware
-        const { productId, quantity, selectedSize, selectedColor } = req.body;
+        const shopper = req.shopper; // The signed-in user or the guest cart token (shopper middleware)
+        const { productId, quantity, selectedSize, selectedColor, sku } = req.body;
 
         if (!productId || !quantity || quantity < 1) {
             return res.status(400).json({ message: 'Product ID and quantity (must be at least 1) are required.' }); // 400 Bad Request
         }
 
         const updatedCart = await cartsService.addItemToCart(
-            userId,
+            shopper,
             productId,
             quantity,
             selectedSize,
-            selectedColor
+            selectedColor,
+            sku
         );
         res.status(200).json(updatedCart); // 200 OK (or 201 Created if preferred for adds)
     } catch (error) {
         console.error('Error in addItemToCart controller:', error.message);
-        if (error.message.includes('Product not found') || error.message.includes('stock')) {
+        if (error.message.includes('Product not found') || error.message.includes('stock') || error.message.includes('not found for product')) {
             return res.status(400).json({ message: error.message }); // 400 for business logic errors
         }
         res.status(500).json({ message: 'Failed to add item to cart.' }); // 500 Internal Server Error
@@ -53,7 +56,7 @@ async function addItemToCart(req, res) {
  */
 async function removeItemFromCart(req, res) {
     try {
-        const userId = req.user.id; // Assuming userId is available from authentication middleware
+        const shopper = req.shopper; // The signed-in user or the guest cart token (shopper middleware)
         const { productId, selectedSize, selectedColor } = req.body; // Using body for consistency with addItem
 
         if (!productId) {
@@ -61,7 +64,7 @@ async function removeItemFromCart(req, res) {
         }
 
         const updatedCart = await cartsService.removeItemFromCart(
-            userId,
+            shopper,
             productId,
             selectedSize,
             selectedColor
@@ -83,7 +86,7 @@ async function removeItemFromCart(req, res) {
  */
 async function updateItemQuantity(req, res) {
     try {
-        const userId = req.user.id; // Assuming userId is available from authentication middleware
+        const shopper = req.shopper; // The signed-in user or the guest cart token (shopper middleware)
         const { productId, newQuantity, selectedSize, selectedColor } = req.body;
 
         if (!productId || newQuantity === undefined) {
@@ -94,7 +97,7 @@ async function updateItemQuantity(req, res) {
         }
 
         const updatedCart = await cartsService.updateItemQuantity(
-            userId,
+            shopper,
             productId,
             newQuantity,
             selectedSize,
@@ -119,8 +122,8 @@ async function updateItemQuantity(req, res) {
  */
 async function clearUserCart(req, res) {
     try {
-        const userId = req.user.id; // Assuming userId is available from authentication middleware
-        const clearedCart = await cartsService.clearUserCart(userId);
+        const shopper = req.shopper; // The signed-in user or the guest cart token (shopper middleware)
+        const clearedCart = await cartsService.clearUserCart(shopper);
         res.status(200).json({ message: 'Cart cleared successfully.', cart: clearedCart }); // 200 OK
     } catch (error) {
         console.error('Error in clearUserCart controller:', error.message);
@@ -131,10 +134,249 @@ async function clearUserCart(req, res) {
     }
 }
 
+/**
+ * Move an item from the cart to the saved-for-later list.
+ * POST /api/cart/items/save-for-later
+ * Request body: { productId, selectedSize?, selectedColor? }
+ */
+async function saveItemForLater(req, res) {
+    try {
+        const shopper = req.shopper; // The signed-in user or the guest cart token (shopper middleware)
+        const { productId, selectedSize, selectedColor } = req.body;
+
+        if (!productId) {
+            return res.status(400).json({ message: 'Product ID is required to save an item for later.' }); // 400 Bad Request
+        }
+
+        const updatedCart = await cartsService.saveItemForLater(shopper, productId, selectedSize, selectedColor);
+        res.status(200).json(updatedCart); // 200 OK
+    } catch (error) {
+        console.error('Error in saveItemForLater controller:', error.message);
+        if (error.message.includes('Cart not found') || error.message.includes('Item not found')) {
+            return res.status(404).json({ message: error.message }); // 404 Not Found
+        }
+        res.status(500).json({ message: 'Failed to save item for later.' }); // 500 Internal Server Error
+    }
+}
+
+/**
+ * Move a saved-for-later item back into the cart, at the product's current price.
+ * POST /api/cart/saved/move-to-cart
+ * Request body: { productId, selectedSize?, selectedColor? }
+ */
+async function moveSavedItemToCart(req, res) {
+    try {
+        const shopper = req.shopper; // The signed-in user or the guest cart token (shopper middleware)
+        const { productId, selectedSize, selectedColor } = req.body;
+
+        if (!productId) {
+            return res.status(400).json({ message: 'Product ID is required to move a saved item to the cart.' }); // 400 Bad Request
+        }
+
+        const updatedCart = await cartsService.moveSavedItemToCart(shopper, productId, selectedSize, selectedColor);
+        res.status(200).json(updatedCart); // 200 OK
+    } catch (error) {
+        console.error('Error in moveSavedItemToCart controller:', error.message);
+        if (error.message.includes('Cart not found') || error.message.includes('Item not found')) {
+            return res.status(404).json({ message: error.message }); // 404 Not Found
+        }
+        if (error.message.includes('Product not found') || error.message.includes('stock') || error.message.includes('not found for product')) {
+            return res.status(400).json({ message: error.message }); // 400 for business logic errors
+        }
+        res.status(500).json({ message: 'Failed to move saved item to cart.' }); // 500 Internal Server Error
+    }
+}
+
+/**
+ * Remove an item from the saved-for-later list.
+ * DELETE /api/cart/saved
+ * Request body: { productId, selectedSize?, selectedColor? }
+ */
+async function removeSavedItem(req, res) {
+    try {
+        const shopper = req.shopper; // The signed-in user or the guest cart token (shopper middleware)
+        const { productId, selectedSize, selectedColor } = req.body;
+
+        if (!productId) {
+            return res.status(400).json({ message: 'Product ID is required to remove a saved item.' }); // 400 Bad Request
+        }
+
+        const updatedCart = await cartsService.removeSavedItem(shopper, productId, selectedSize, selectedColor);
+        res.status(200).json(updatedCart); // 200 OK
+    } catch (error) {
+        console.error('Error in removeSavedItem controller:', error.message);
+        if (error.message.includes('Cart not found') || error.message.includes('Item not found')) {
+            return res.status(404).json({ message: error.message }); // 404 Not Found
+        }
+        res.status(500).json({ message: 'Failed to remove saved item.' }); // 500 Internal Server Error
+    }
+}
+
+/**
+ * Check the cart against the current products: price and sale changes, removed sizes, reduced stock, discontinued products.
+ * GET /api/carts/validate (read-only)
+ */
+async function validateCart(req, res) {
+    try {
+        const shopper = req.shopper; // The signed-in user or the guest cart token (shopper middleware)
+        const result = await cartsService.validateCart(shopper);
+        res.status(200).json(result); // 200 OK
+    } catch (error) {
+        console.error('Error in validateCart controller:', error.message);
+        res.status(500).json({ message: 'Failed to validate cart.' }); // 500 Internal Server Error
+    }
+}
+
+/**
+ * Check the cart like validateCart and apply the corrections to it.
+ * POST /api/carts/validate
+ */
+async function fixCart(req, res) {
+    try {
+        const shopper = req.shopper; // The signed-in user or the guest cart token (shopper middleware)
+        const result = await cartsService.validateCart(shopper, { applyFixes: true });
+        res.status(200).json(result); // 200 OK
+    } catch (error) {
+        console.error('Error in fixCart controller:', error.message);
+        res.status(500).json({ message: 'Failed to fix cart.' }); // 500 Internal Server Error
+    }
+}
+
+/**
+ * Start checkout: place time-limited stock holds on every item in the user's cart.
+ * POST /api/carts/checkout
+ */
+async function startCheckout(req, res) {
+    try {
+        const shopper = req.shopper; // The signed-in user or the guest cart token (shopper middleware)
+        const checkout = await reservationsService.startCheckout(shopper);
+        res.status(201).json(checkout); // 201 Created
+    } catch (error) {
+        console.error('Error in startCheckout controller:', error.message);
+        if (error.message.includes('empty cart') || error.message.includes('stock') || error.message.includes('not found')) {
+            return res.status(400).json({ message: error.message }); // 400 for business logic errors
+        }
+        res.status(500).json({ message: 'Failed to start checkout.' }); // 500 Internal Server Error
+    }
+}
+
+/**
+ * Get the user's active checkout holds.
+ * GET /api/carts/checkout
+ */
+async function getCheckoutReservations(req, res) {
+    try {
+        const shopper = req.shopper; // The signed-in user or the guest cart token (shopper middleware)
+        const reservations = await reservationsService.getShopperReservations(shopper);
+        res.status(200).json(reservations); // 200 OK
+    } catch (error) {
+        console.error('Error in getCheckoutReservations controller:', error.message);
+        res.status(500).json({ message: 'Failed to retrieve checkout reservations.' }); // 500 Internal Server Error
+    }
+}
+
+/**
+ * Abandon checkout: release all of the user's stock holds.
+ * DELETE /api/carts/checkout
+ */
+async function releaseCheckout(req, res) {
+    try {
+        const shopper = req.shopper; // The signed-in user or the guest cart token (shopper middleware)
+        await reservationsService.releaseCheckout(shopper);
+        res.status(200).json({ message: 'Checkout reservations released.' }); // 200 OK
+    } catch (error) {
+        console.error('Error in releaseCheckout controller:', error.message);
+        res.status(500).json({ message: 'Failed to release checkout reservations.' }); // 500 Internal Server Error
+    }
+}
+
+/**
+ * Apply a coupon code to the user's cart.
+ * POST /api/carts/coupon
+ * Request body: { code }
+ */
+async function applyCoupon(req, res) {
+    try {
+        const shopper = req.shopper; // The signed-in user or the guest cart token (shopper middleware)
+        const { code } = req.body;
+
+        if (!code) {
+            return res.status(400).json({ message: 'Coupon code is required.' }); // 400 Bad Request
+        }
+
+        const updatedCart = await cartsService.applyCoupon(shopper, code);
+        res.status(200).json(updatedCart); // 200 OK
+    } catch (error) {
+        console.error('Error in applyCoupon controller:', error.message);
+        if (error.message.includes('Invalid coupon') || error.message.includes('empty cart')) {
+            return res.status(400).json({ message: error.message }); // 400 for coupons that cannot be used
+        }
+        res.status(500).json({ message: 'Failed to apply coupon.' }); // 500 Internal Server Error
+    }
+}
+
+/**
+ * Remove the applied coupon from the user's cart.
+ * DELETE /api/carts/coupon
+ */
+async function removeCoupon(req, res) {
+    try {
+        const shopper = req.shopper; // The signed-in user or the guest cart token (shopper middleware)
+        const updatedCart = await cartsService.removeCoupon(shopper);
+        res.status(200).json(updatedCart); // 200 OK
+    } catch (error) {
+        console.error('Error in removeCoupon controller:', error.message);
+        res.status(500).json({ message: 'Failed to remove coupon.' }); // 500 Internal Server Error
+    }
+}
+
+/**
+ * Report of carts left with items, by the day they were last touched (admin only).
+ * GET /api/carts/abandoned/report?from=&to=
+ */
+async function getAbandonedCartReport(req, res) {
+    try {
+        const report = await abandonedCartsService.getAbandonedCartReport({ from: req.query.from, to: req.query.to });
+        res.status(200).json(report);
+    } catch (error) {
+        console.error('Error in getAbandonedCartReport controller:', error.message);
+        if (error.message.includes('Invalid date range')) {
+            return res.status(400).json({ message: error.message });
+        }
+        res.status(500).json({ message: 'Failed to build abandoned cart report.' });
+    }
+}
+
+/**
+ * Send the abandoned cart reminders that are due now, without waiting for the job (admin only).
+ * POST /api/carts/abandoned/reminders
+ */
+async function sendAbandonedCartReminders(req, res) {
+    try {
+        const summary = await abandonedCartsService.sendAbandonedCartReminders();
+        res.status(200).json(summary);
+    } catch (error) {
+        console.error('Error in sendAbandonedCartReminders controller:', error.message);
+        res.status(500).json({ message: 'Failed to send abandoned cart reminders.' });
+    }
+}
+
 module.exports = {
     getUserCart,
     addItemToCart,
     removeItemFromCart,
     updateItemQuantity,
-    clearUserCart
+    clearUserCart,
+    saveItemForLater,
+    moveSavedItemToCart,
+    removeSavedItem,
+    validateCart,
+    fixCart,
+    startCheckout,
+    getCheckoutReservations,
+    releaseCheckout,
+    applyCoupon,
+    removeCoupon,
+    getAbandonedCartReport,
+    sendAbandonedCartReminders
 };
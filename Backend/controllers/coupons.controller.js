@@ -0,0 +1,68 @@
+const couponService = require('../services/coupons.service'); // Import the coupon service
+
+// Create a new coupon
+async function createCoupon(req, res) {
+    try {
+        const newCoupon = await couponService.createCoupon(req.body);
+        res.status(201).json(newCoupon); // 201 Created
+    } catch (error) {
+        res.status(400).json({ message: error.message }); // 400 Bad Request (e.g., validation errors, duplicate code)
+    }
+}
+
+// Get all coupons
+async function getAllCoupons(req, res) {
+    try {
+        const coupons = await couponService.getAllCoupons();
+        res.status(200).json(coupons); // 200 OK
+    } catch (error) {
+        res.status(500).json({ message: 'Failed to retrieve coupons' }); // 500 Internal Server Error
+    }
+}
+
+// Get a single coupon by ID
+async function getCouponById(req, res) {
+    try {
+        const coupon = await couponService.getCouponById(req.params.id);
+        res.status(200).json(coupon); // 200 OK
+    } catch (error) {
+        if (error.message.includes('not found')) {
+            return res.status(404).json({ message: error.message }); // 404 Not Found
+        }
+        res.status(400).json({ message: error.message }); // 400 Bad Request (e.g., invalid ID format)
+    }
+}
+
+// Update a coupon by ID
+async function updateCoupon(req, res) {
+    try {
+        const updatedCoupon = await couponService.updateCoupon(req.params.id, req.body);
+        res.status(200).json(updatedCoupon); // 200 OK
+    } catch (error) {
+        if (error.message.includes('not found')) {
+            return res.status(404).json({ message: error.message }); // 404 Not Found
+        }
+        res.status(400).json({ message: error.message }); // 400 Bad Request (e.g., validation errors, duplicate code)
+    }
+}
+
+// Delete a coupon by ID
+async function deleteCoupon(req, res) {
+    try {
+        await couponService.deleteCoupon(req.params.id);
+        res.status(200).json({ message: 'Coupon deleted successfully' }); // 200 OK
+    } catch (error) {
+        if (error.message.includes('not found')) {
+            return res.status(404).json({ message: error.message }); // 404 Not Found
+        }
+        res.status(400).json({ message: error.message }); // 400 Bad Request (e.g., invalid ID format)
+    }
+}
+
+module.exports = {
+    createCoupon,
+    getAllCoupons,
+    getCouponById,
+    updateCoupon,
+    deleteCoupon,
+};
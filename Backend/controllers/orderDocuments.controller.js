@@ -0,0 +1,55 @@
+const orderDocumentsService = require('../services/orderDocuments.service');
+
+// Maps service errors to HTTP responses shared by the document controllers
+function sendDocumentError(res, error, fallbackMessage) {
+    if (error.message.includes('Forbidden')) {
+        return res.status(403).json({ message: error.message }); // 403 Forbidden
+    }
+    if (error.message.includes('not found')) {
+        return res.status(404).json({ message: error.message }); // 404 Not Found
+    }
+    if (error.message.includes('Invalid invoice')) {
+        return res.status(409).json({ message: error.message }); // 409 Conflict: not allowed in the current state
+    }
+    if (error.message.includes('Invalid')) {
+        return res.status(400).json({ message: error.message }); // 400 Bad Request
+    }
+    return res.status(500).json({ message: fallbackMessage }); // 500 Internal Server Error
+}
+
+/**
+ * Controller to render the invoice of an order as printable HTML (owner or admin).
+ * GET /api/orders/:orderId/invoice
+ * The first request gives the order its sequential invoice number.
+ */
+async function getInvoiceController(req, res) {
+    try {
+        const { invoiceNumber, html } = await orderDocumentsService.getInvoice(req.params.orderId, req.user.id, req.user.isAdmin);
+        res.set('Content-Disposition', `inline; filename="${invoiceNumber}.html"`);
+        res.type('html').status(200).send(html); // 200 OK
+    } catch (error) {
+        console.error('Error in getInvoiceController:', error.message);
+        sendDocumentError(res, error, 'Failed to generate invoice.');
+    }
+}
+
+/**
+ * Controller to render the packing slip of an order as printable HTML (Admin only).
+ * GET /api/orders/:orderId/packing-slip?shipmentId=...
+ * With a shipmentId, only that shipment's items are listed.
+ */
+async function getPackingSlipController(req, res) {
+    try {
+        const html = await orderDocumentsService.getPackingSlip(req.params.orderId, req.query.shipmentId);
+        res.set('Content-Disposition', `inline; filename="packing-slip-${req.params.orderId}.html"`);
+        res.type('html').status(200).send(html); // 200 OK
+    } catch (error) {
+        console.error('Error in getPackingSlipController:', error.message);
+        sendDocumentError(res, error, 'Failed to generate packing slip.');
+    }
+}
+
+module.exports = {
+    getInvoiceController,
+    getPackingSlipController
+};
@@ -1,28 +1,29 @@
 const ordersService = require('../services/orders.service'); 
 const mongoose = require('mongoose'); 
+const { ownsOrder } = require('../utils/shoppers');
 
 /**
- * Controller to create a new order from a user's cart.
+ * Controller to create a new order from the shopper's cart.
  * POST /api/orders/from-cart
- * Request body: { shippingAddress, paymentMethod }
- * Assumes userId is available from req.user.id (from authentication middleware)
+ * Request body: { shippingAddress, paymentMethod, paymentToken?, shippingMethod?, email? }
+ * Signed-in users order from their cart; guests order from the cart of their X-Cart-Token and must give an email
  */
 async function createOrderFromCartController(req, res) {
     try {
-        const userId = req.user.id; // Get userId from authenticated user
-        const { shippingAddress, paymentMethod } = req.body;
+        const { shippingAddress, paymentMethod, paymentToken, shippingMethod, email } = req.body;
+        const shopper = req.user ? req.user.id : { ...req.shopper, email }; // Set by the shopper middleware
 
         // Basic validation for required fields in controller
         if (!shippingAddress || !paymentMethod) {
             return res.status(400).json({ message: 'Shipping address and payment method are required.' });
         }
 
-        const newOrder = await ordersService.createOrderFromCart(userId, shippingAddress, paymentMethod);
+        const newOrder = await ordersService.createOrderFromCart(shopper, shippingAddress, paymentMethod, paymentToken, shippingMethod);
         res.status(201).json(newOrder); // 201 Created
     } catch (error) {
         console.error('Error in createOrderFromCartController:', error.message);
         // Distinguish between client-side errors (e.g., empty cart, insufficient stock) and server errors
-        if (error.message.includes('cart') || error.message.includes('stock') || error.message.includes('Product not found')) {
+        if (error.message.includes('cart') || error.message.includes('stock') || error.message.includes('Product not found') || error.message.includes('not found for product') || error.message.includes('Invalid coupon') || error.message.includes('Invalid shipping') || error.message.includes('Invalid email')) {
             return res.status(400).json({ message: error.message }); // 400 Bad Request for business logic errors
         }
         res.status(500).json({ message: 'Failed to create order from cart.' }); // 500 Internal Server Error
@@ -32,13 +33,13 @@ async function createOrderFromCartController(req, res) {
 /**
  * Controller to create a new order directly for a single product.
  * POST /api/orders/direct
- * Request body: { productId, quantity, shippingAddress, paymentMethod, selectedSize?, selectedColor? }
- * Assumes userId is available from req.user.id (from authentication middleware)
+ * Request body: { productId, quantity, shippingAddress, paymentMethod, selectedSize?, selectedColor?, sku?, paymentToken?, shippingMethod?, email? }
+ * Guests (no Authorization header) must give an email
  */
 async function createDirectOrderController(req, res) {
     try {
-        const userId = req.user.id; // Get userId from authenticated user
-        const { productId, quantity, shippingAddress, paymentMethod, selectedSize, selectedColor } = req.body;
+        const { productId, quantity, shippingAddress, paymentMethod, selectedSize, selectedColor, sku, paymentToken, shippingMethod, email } = req.body;
+        const shopper = req.user ? req.user.id : { email };
 
         // Basic validation for required fields in controller
         if (!productId || !quantity || quantity < 1 || !shippingAddress || !paymentMethod) {
@@ -46,19 +47,22 @@ async function createDirectOrderController(req, res) {
         }
 
         const newOrder = await ordersService.createDirectOrder(
-            userId,
+            shopper,
             productId,
             quantity,
             shippingAddress,
             paymentMethod,
             selectedSize,
-            selectedColor
+            selectedColor,
+            sku,
+            paymentToken,
+            shippingMethod
         );
         res.status(201).json(newOrder); // 201 Created
     } catch (error) {
         console.error('Error in createDirectOrderController:', error.message);
         // Distinguish between client-side errors (e.g., product not found, insufficient stock) and server errors
-        if (error.message.includes('Product not found') || error.message.includes('stock')) {
+        if (error.message.includes('Product not found') || error.message.includes('stock') || error.message.includes('not found for product') || error.message.includes('Invalid shipping') || error.message.includes('Invalid email') || error.message.includes('Invalid pre-order') || error.message.includes('Invalid payment method')) {
             return res.status(400).json({ message: error.message }); // 400 Bad Request for business logic errors
         }
         res.status(500).json({ message: 'Failed to create direct order.' }); // 500 Internal Server Error
@@ -66,13 +70,19 @@ async function createDirectOrderController(req, res) {
 }
 
 /**
- * Controller to retrieve a single order by its ID.
+ * Controller to retrieve a single order by its ID, with its shipments.
  * GET /api/orders/:orderId
+ * Customers can only view their own orders; admins can view any.
  */
 async function getOrderByIdController(req, res) {
     try {
         const orderId = req.params.orderId;
         const order = await ordersService.getOrderById(orderId);
+
+        if (!req.user.isAdmin && !ownsOrder(order, req.user.id)) {
+            return res.status(403).json({ message: 'Forbidden: You can only view your own orders.' });
+        }
+
         res.status(200).json(order); // 200 OK
     } catch (error) {
         console.error('Error in getOrderByIdController:', error.message);
@@ -86,6 +96,27 @@ async function getOrderByIdController(req, res) {
     }
 }
 
+/**
+ * Controller for a guest to look up their order without an account.
+ * GET /api/orders/lookup?orderNumber=SO-7KQ2M9XH4C&email=guest@example.com
+ */
+async function lookupGuestOrderController(req, res) {
+    try {
+        const { orderNumber, email } = req.query;
+        const order = await ordersService.lookupGuestOrder(orderNumber, email);
+        res.status(200).json(order); // 200 OK
+    } catch (error) {
+        console.error('Error in lookupGuestOrderController:', error.message);
+        if (error.message.includes('not found')) {
+            return res.status(404).json({ message: error.message }); // 404 Not Found
+        }
+        if (error.message.includes('Invalid')) {
+            return res.status(400).json({ message: error.message }); // 400 Bad Request
+        }
+        res.status(500).json({ message: 'Failed to look up order.' }); // 500 Internal Server Error
+    }
+}
+
 /**
  * Controller to retrieve all orders for a specific user.
  * GET /api/orders/user/:userId (Admin route, or use req.user.id for current user)
@@ -131,21 +162,24 @@ async function getAllOrdersController(req, res) {
 /**
  * Controller to update the status of an order (Admin only).
  * PATCH /api/orders/:orderId/status
- * Request body: { newStatus }
+ * Request body: { newStatus, note? }
  */
 async function updateOrderStatusController(req, res) {
     try {
         const orderId = req.params.orderId;
-        const { newStatus } = req.body;
+        const { newStatus, note } = req.body;
 
         if (!newStatus) {
             return res.status(400).json({ message: 'New status is required.' });
         }
 
-        const updatedOrder = await ordersService.updateOrderStatus(orderId, newStatus);
+        const updatedOrder = await ordersService.updateOrderStatus(orderId, newStatus, req.user.id, note);
         res.status(200).json(updatedOrder); // 200 OK
     } catch (error) {
         console.error('Error in updateOrderStatusController:', error.message);
+        if (error.message.includes('Invalid status transition')) {
+            return res.status(409).json({ message: error.message }); // 409 Conflict: not allowed from the current state
+        }
         if (error.message.includes('Order not found')) {
             return res.status(404).json({ message: error.message }); // 404 Not Found
         }
@@ -159,21 +193,24 @@ async function updateOrderStatusController(req, res) {
 /**
  * Controller to update the payment status of an order (Admin or webhook).
  * PATCH /api/orders/:orderId/payment-status
- * Request body: { newPaymentStatus }
+ * Request body: { newPaymentStatus, note? }
  */
 async function updatePaymentStatusController(req, res) {
     try {
         const orderId = req.params.orderId;
-        const { newPaymentStatus } = req.body;
+        const { newPaymentStatus, note } = req.body;
 
         if (!newPaymentStatus) {
             return res.status(400).json({ message: 'New payment status is required.' });
         }
 
-        const updatedOrder = await ordersService.updatePaymentStatus(orderId, newPaymentStatus);
+        const updatedOrder = await ordersService.updatePaymentStatus(orderId, newPaymentStatus, req.user.id, note);
         res.status(200).json(updatedOrder); // 200 OK
     } catch (error) {
         console.error('Error in updatePaymentStatusController:', error.message);
+        if (error.message.includes('Invalid status transition')) {
+            return res.status(409).json({ message: error.message }); // 409 Conflict: not allowed from the current state
+        }
         if (error.message.includes('Order not found')) {
             return res.status(404).json({ message: error.message }); // 404 Not Found
         }
@@ -184,6 +221,80 @@ async function updatePaymentStatusController(req, res) {
     }
 }
 
+/**
+ * Controller to retrieve the status history of an order.
+ * GET /api/orders/:orderId/history
+ * Customers can only view the history of their own orders; admins can view any.
+ */
+async function getOrderHistoryController(req, res) {
+    try {
+        const orderId = req.params.orderId;
+        const history = await ordersService.getOrderHistory(orderId);
+
+        if (!req.user.isAdmin && !ownsOrder(history, req.user.id)) {
+            return res.status(403).json({ message: 'Forbidden: You can only view your own orders.' });
+        }
+
+        res.status(200).json(history); // 200 OK
+    } catch (error) {
+        console.error('Error in getOrderHistoryController:', error.message);
+        if (error.message.includes('Order not found')) {
+            return res.status(404).json({ message: error.message }); // 404 Not Found
+        }
+        if (error.message.includes('Invalid order ID')) {
+            return res.status(400).json({ message: error.message }); // 400 Bad Request
+        }
+        res.status(500).json({ message: 'Failed to retrieve order history.' }); // 500 Internal Server Error
+    }
+}
+
+/**
+ * Controller to issue a (partial) refund on an order (Admin only).
+ * POST /api/orders/:orderId/refunds
+ * Request body: { amount?, items?: [{ productId, selectedSize?, selectedColor?, quantity }], reason, method? }
+ */
+async function issueRefundController(req, res) {
+    try {
+        const orderId = req.params.orderId;
+        const { amount, items, reason, method } = req.body;
+
+        const updatedOrder = await ordersService.issueRefund(orderId, req.user.id, { amount, items, reason, method });
+        res.status(201).json(updatedOrder); // 201 Created
+    } catch (error) {
+        console.error('Error in issueRefundController:', error.message);
+        if (error.message.includes('Invalid status transition')) {
+            return res.status(409).json({ message: error.message }); // 409 Conflict: payment cannot be refunded in its current state
+        }
+        if (error.message.includes('Order not found')) {
+            return res.status(404).json({ message: error.message }); // 404 Not Found
+        }
+        if (error.message.includes('Invalid')) {
+            return res.status(400).json({ message: error.message }); // 400 Bad Request
+        }
+        res.status(500).json({ message: 'Failed to issue refund.' }); // 500 Internal Server Error
+    }
+}
+
+/**
+ * Controller to retrieve the refund ledger of an order (Admin only).
+ * GET /api/orders/:orderId/refunds
+ */
+async function getOrderRefundsController(req, res) {
+    try {
+        const refunds = await ordersService.getOrderRefunds(req.params.orderId);
+        res.status(200).json(refunds); // 200 OK
+    } catch (error) {
+        console.error('Error in getOrderRefundsController:', error.message);
+        if (error.message.includes('Order not found')) {
+            return res.status(404).json({ message: error.message }); // 404 Not Found
+        }
+        if (error.message.includes('Invalid order ID')) {
+            return res.status(400).json({ message: error.message }); // 400 Bad Request
+        }
+        res.status(500).json({ message: 'Failed to retrieve refunds.' }); // 500 Internal Server Error
+    }
+}
+
 /**
  * Controller to delete an order (Admin only, use with caution).
  * DELETE /api/orders/:orderId
@@ -209,9 +320,13 @@ module.exports = {
     createOrderFromCartController,
     createDirectOrderController,
     getOrderByIdController,
+    lookupGuestOrderController,
     getOrdersByUserIdController,
     getAllOrdersController, 
     updateOrderStatusController,
     updatePaymentStatusController,
+    getOrderHistoryController,
+    issueRefundController,
+    getOrderRefundsController,
     deleteOrderController
 };
@@ -0,0 +1,116 @@
+const paymentsService = require('../services/payments.service');
+
+// The signed-in customer, or a guest identified by the order number and email of their lookup link
+function getPayer(req) {
+    return req.user ? req.user.id : { email: req.query.email, orderNumber: req.query.orderNumber };
+}
+
+// Maps service errors to HTTP responses shared by all payment controllers
+function sendPaymentError(res, error, fallbackMessage) {
+    if (error.message.includes('Forbidden')) {
+        return res.status(403).json({ message: error.message }); // 403 Forbidden
+    }
+    if (error.message.includes('not found')) {
+        return res.status(404).json({ message: error.message }); // 404 Not Found
+    }
+    if (error.message.includes('Invalid payment operation') || error.message.includes('Invalid status transition')) {
+        return res.status(409).json({ message: error.message }); // 409 Conflict: not allowed in the current payment state
+    }
+    if (error.message.includes('Invalid')) {
+        return res.status(400).json({ message: error.message }); // 400 Bad Request
+    }
+    return res.status(500).json({ message: fallbackMessage }); // 500 Internal Server Error
+}
+
+/**
+ * Controller for a customer to pay (or retry paying) an order online.
+ * POST /api/orders/:orderId/payment (guests add ?orderNumber=&email=)
+ * Request body: { paymentToken? }
+ */
+async function startPaymentController(req, res) {
+    try {
+        const { paymentToken } = req.body;
+        const order = await paymentsService.startPayment(req.params.orderId, getPayer(req), { paymentToken });
+        res.status(200).json(order); // 200 OK
+    } catch (error) {
+        console.error('Error in startPaymentController:', error.message);
+        sendPaymentError(res, error, 'Failed to start payment.');
+    }
+}
+
+/**
+ * Controller for a customer to complete a payment waiting for authentication (3-D Secure).
+ * POST /api/orders/:orderId/payment/confirm (guests add ?orderNumber=&email=)
+ * Request body: provider-specific, e.g. { authenticationResult: 'success' | 'failure' } for the mock provider
+ */
+async function confirmPaymentController(req, res) {
+    try {
+        const order = await paymentsService.confirmPayment(req.params.orderId, getPayer(req), req.body);
+        res.status(200).json(order); // 200 OK
+    } catch (error) {
+        console.error('Error in confirmPaymentController:', error.message);
+        sendPaymentError(res, error, 'Failed to confirm payment.');
+    }
+}
+
+/**
+ * Controller for an admin to capture an authorized payment.
+ * POST /api/orders/:orderId/payment/capture
+ * Request body: { amount? }
+ */
+async function capturePaymentController(req, res) {
+    try {
+        const { amount } = req.body;
+        const order = await paymentsService.capturePayment(req.params.orderId, req.user.id, amount);
+        res.status(200).json(order); // 200 OK
+    } catch (error) {
+        console.error('Error in capturePaymentController:', error.message);
+        sendPaymentError(res, error, 'Failed to capture payment.');
+    }
+}
+
+/**
+ * Controller for an admin to void a payment that has not been captured.
+ * POST /api/orders/:orderId/payment/void
+ * Request body: { note? }
+ */
+async function voidPaymentController(req, res) {
+    try {
+        const { note } = req.body;
+        const order = await paymentsService.voidPayment(req.params.orderId, req.user.id, note);
+        res.status(200).json(order); // 200 OK
+    } catch (error) {
+        console.error('Error in voidPaymentController:', error.message);
+        sendPaymentError(res, error, 'Failed to void payment.');
+    }
+}
+
+/**
+ * Controller for payment provider webhooks (called by the provider, no user authentication;
+ * deliveries are authenticated by their signature).
+ * POST /api/payments/webhooks/:provider
+ * Responds 200 for processed and duplicate events; any other status makes the provider retry.
+ */
+async function handleWebhookController(req, res) {
+    try {
+        const result = await paymentsService.receiveWebhook(req.params.provider, req.rawBody, req.headers);
+        res.status(200).json({ received: true, ...result }); // 200 OK
+    } catch (error) {
+        console.error('Error in handleWebhookController:', error.message);
+        if (error.message.includes('Payment provider') && error.message.includes('not found')) {
+            return res.status(404).json({ message: error.message }); // 404 Not Found
+        }
+        if (error.message.includes('Invalid webhook')) {
+            return res.status(400).json({ message: error.message }); // 400 Bad Request: not an authentic delivery
+        }
+        res.status(500).json({ message: 'Failed to process webhook.' }); // 500: the provider will retry
+    }
+}
+
+module.exports = {
+    startPaymentController,
+    confirmPaymentController,
+    capturePaymentController,
+    voidPaymentController,
+    handleWebhookController
+};
@@ -1,4 +1,5 @@
 const productService = require('../services/products.service'); // Corrected import to plural
+const stockSubscriptionsService = require('../services/stockSubscriptions.service');
 
 // --- Product Controller Functions ---
 
@@ -15,9 +16,12 @@ async function createProduct(req, res) {
 // Get all products
 async function getAllProducts(req, res) {
     try {
-        const products = await productService.getAllProducts();
-        res.status(200).json(products); // 200 OK
+        const listing = await productService.listProducts(req.query);
+        res.status(200).json(listing); // 200 OK
     } catch (error) {
+        if (error.message.includes('Invalid')) {
+            return res.status(400).json({ message: error.message }); // 400 Bad Request
+        }
         res.status(500).json({ message: 'Failed to retrieve products' }); // 500 Internal Server Error
     }
 }
@@ -203,6 +207,40 @@ async function getComingSoonProductsController(req, res) {
 }
 
 
+// Subscribe to a back-in-stock notification for a sold-out size/color
+// POST /api/products/:id/notify-me  Body: { selectedSize?, selectedColor?, email? } (email only without sign-in)
+async function subscribeBackInStock(req, res) {
+    try {
+        const subscription = await stockSubscriptionsService.subscribe(req.params.id, req.body, req.user || null);
+        res.status(201).json(subscription); // 201 Created
+    } catch (error) {
+        if (error.message.includes('not found')) {
+            return res.status(404).json({ message: error.message }); // 404 Not Found
+        }
+        if (error.message.includes('Invalid')) {
+            return res.status(400).json({ message: error.message }); // 400 Bad Request
+        }
+        res.status(500).json({ message: 'Failed to subscribe to back-in-stock notification' }); // 500 Internal Server Error
+    }
+}
+
+// Cancel a back-in-stock subscription
+// DELETE /api/products/:id/notify-me  Body: { selectedSize?, selectedColor?, email? }
+async function unsubscribeBackInStock(req, res) {
+    try {
+        await stockSubscriptionsService.unsubscribe(req.params.id, req.body, req.user || null);
+        res.status(200).json({ message: 'Subscription cancelled' }); // 200 OK
+    } catch (error) {
+        if (error.message.includes('not found')) {
+            return res.status(404).json({ message: error.message }); // 404 Not Found
+        }
+        if (error.message.includes('Invalid')) {
+            return res.status(400).json({ message: error.message }); // 400 Bad Request
+        }
+        res.status(500).json({ message: 'Failed to cancel back-in-stock subscription' }); // 500 Internal Server Error
+    }
+}
+
 module.exports = {
     createProduct,
     getAllProducts,
@@ -220,5 +258,7 @@ module.exports = {
     getNewArrivalProductsController, // Export new controller function
     getOnSaleProductsController,     // Export new controller function
     getExclusiveProductsController,  // Export new controller function
-    getComingSoonProductsController  // Export new controller function
+    getComingSoonProductsController, // Export new controller function
+    subscribeBackInStock,
+    unsubscribeBackInStock
 };
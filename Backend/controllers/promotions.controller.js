@@ -0,0 +1,79 @@
+const promotionService = require('../services/promotions.service'); // Import the promotion service
+
+// Create a new promotion
+async function createPromotion(req, res) {
+    try {
+        const newPromotion = await promotionService.createPromotion(req.body);
+        res.status(201).json(newPromotion); // 201 Created
+    } catch (error) {
+        res.status(400).json({ message: error.message }); // 400 Bad Request (e.g., validation errors, incomplete rule)
+    }
+}
+
+// Get all promotions
+async function getAllPromotions(req, res) {
+    try {
+        const promotions = await promotionService.getAllPromotions();
+        res.status(200).json(promotions); // 200 OK
+    } catch (error) {
+        res.status(500).json({ message: 'Failed to retrieve promotions' }); // 500 Internal Server Error
+    }
+}
+
+// Get the promotions running right now (public, e.g. for storefront banners)
+async function getLivePromotions(req, res) {
+    try {
+        const promotions = await promotionService.getLivePromotions();
+        res.status(200).json(promotions); // 200 OK
+    } catch (error) {
+        res.status(500).json({ message: 'Failed to retrieve promotions' }); // 500 Internal Server Error
+    }
+}
+
+// Get a single promotion by ID
+async function getPromotionById(req, res) {
+    try {
+        const promotion = await promotionService.getPromotionById(req.params.id);
+        res.status(200).json(promotion); // 200 OK
+    } catch (error) {
+        if (error.message.includes('not found')) {
+            return res.status(404).json({ message: error.message }); // 404 Not Found
+        }
+        res.status(400).json({ message: error.message }); // 400 Bad Request (e.g., invalid ID format)
+    }
+}
+
+// Update a promotion by ID
+async function updatePromotion(req, res) {
+    try {
+        const updatedPromotion = await promotionService.updatePromotion(req.params.id, req.body);
+        res.status(200).json(updatedPromotion); // 200 OK
+    } catch (error) {
+        if (error.message.includes('not found')) {
+            return res.status(404).json({ message: error.message }); // 404 Not Found
+        }
+        res.status(400).json({ message: error.message }); // 400 Bad Request (e.g., validation errors, incomplete rule)
+    }
+}
+
+// Delete a promotion by ID
+async function deletePromotion(req, res) {
+    try {
+        await promotionService.deletePromotion(req.params.id);
+        res.status(200).json({ message: 'Promotion deleted successfully' }); // 200 OK
+    } catch (error) {
+        if (error.message.includes('not found')) {
+            return res.status(404).json({ message: error.message }); // 404 Not Found
+        }
+        res.status(400).json({ message: error.message }); // 400 Bad Request (e.g., invalid ID format)
+    }
+}
+
+module.exports = {
+    createPromotion,
+    getAllPromotions,
+    getLivePromotions,
+    getPromotionById,
+    updatePromotion,
+    deletePromotion,
+};
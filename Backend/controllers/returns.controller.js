@@ -0,0 +1,147 @@
+const returnsService = require('../services/returns.service');
+const { ownsOrder } = require('../utils/shoppers');
+
+// Maps service errors to HTTP responses shared by all return controllers
+function sendReturnError(res, error, fallbackMessage) {
+    if (error.message.includes('Forbidden')) {
+        return res.status(403).json({ message: error.message }); // 403 Forbidden
+    }
+    if (error.message.includes('not found')) {
+        return res.status(404).json({ message: error.message }); // 404 Not Found
+    }
+    if (error.message.includes('Refund failed at the payment provider')) {
+        return res.status(502).json({ message: error.message }); // 502 Bad Gateway: received, but the provider did not refund
+    }
+    if (error.message.includes('Invalid return status') || error.message.includes('Invalid status transition')) {
+        return res.status(409).json({ message: error.message }); // 409 Conflict: not allowed in the current state
+    }
+    if (error.message.includes('Invalid') || error.message.includes('required')) {
+        return res.status(400).json({ message: error.message }); // 400 Bad Request
+    }
+    return res.status(500).json({ message: fallbackMessage }); // 500 Internal Server Error
+}
+
+/**
+ * Controller for a customer to request a return of items from a delivered order.
+ * POST /api/orders/:orderId/returns
+ * Request body: { items: [{ productId, selectedSize?, selectedColor?, quantity }], reason, customerNote? }
+ */
+async function requestReturnController(req, res) {
+    try {
+        const { items, reason, customerNote } = req.body;
+
+        if (!items || !reason) {
+            return res.status(400).json({ message: 'Items and reason are required.' });
+        }
+
+        const returnRequest = await returnsService.requestReturn(req.params.orderId, req.user.id, items, reason, customerNote);
+        res.status(201).json(returnRequest); // 201 Created
+    } catch (error) {
+        console.error('Error in requestReturnController:', error.message);
+        sendReturnError(res, error, 'Failed to request return.');
+    }
+}
+
+/**
+ * Controller to list the returns of an order (owner or admin).
+ * GET /api/orders/:orderId/returns
+ */
+async function getReturnsForOrderController(req, res) {
+    try {
+        const { order, returns } = await returnsService.getReturnsForOrder(req.params.orderId);
+
+        if (!req.user.isAdmin && !ownsOrder(order, req.user.id)) {
+            return res.status(403).json({ message: 'Forbidden: You can only view your own orders.' });
+        }
+
+        res.status(200).json(returns); // 200 OK
+    } catch (error) {
+        console.error('Error in getReturnsForOrderController:', error.message);
+        sendReturnError(res, error, 'Failed to retrieve returns.');
+    }
+}
+
+/**
+ * Controller to list all returns (Admin only), optionally filtered by status.
+ * GET /api/orders/returns?status=requested
+ */
+async function getAllReturnsController(req, res) {
+    try {
+        const returns = await returnsService.getAllReturns(req.query.status);
+        res.status(200).json(returns); // 200 OK
+    } catch (error) {
+        console.error('Error in getAllReturnsController:', error.message);
+        res.status(500).json({ message: 'Failed to retrieve returns.' }); // 500 Internal Server Error
+    }
+}
+
+/**
+ * Controller to inspect a single return (Admin only).
+ * GET /api/orders/returns/:returnId
+ */
+async function getReturnByIdController(req, res) {
+    try {
+        const returnRequest = await returnsService.getReturnById(req.params.returnId);
+        res.status(200).json(returnRequest); // 200 OK
+    } catch (error) {
+        console.error('Error in getReturnByIdController:', error.message);
+        sendReturnError(res, error, 'Failed to retrieve return.');
+    }
+}
+
+/**
+ * Controller to approve a requested return (Admin only).
+ * PATCH /api/orders/returns/:returnId/approve
+ * Request body: { note? }
+ */
+async function approveReturnController(req, res) {
+    try {
+        const returnRequest = await returnsService.approveReturn(req.params.returnId, req.user.id, req.body.note);
+        res.status(200).json(returnRequest); // 200 OK
+    } catch (error) {
+        console.error('Error in approveReturnController:', error.message);
+        sendReturnError(res, error, 'Failed to approve return.');
+    }
+}
+
+/**
+ * Controller to reject a requested return (Admin only).
+ * PATCH /api/orders/returns/:returnId/reject
+ * Request body: { note }
+ */
+async function rejectReturnController(req, res) {
+    try {
+        const returnRequest = await returnsService.rejectReturn(req.params.returnId, req.user.id, req.body.note);
+        res.status(200).json(returnRequest); // 200 OK
+    } catch (error) {
+        console.error('Error in rejectReturnController:', error.message);
+        sendReturnError(res, error, 'Failed to reject return.');
+    }
+}
+
+/**
+ * Controller to receive the items of an approved return (Admin only).
+ * Restocks the items and records a partial refund on the order.
+ * PATCH /api/orders/returns/:returnId/receive
+ * Request body: { items?: [{ productId, selectedSize?, selectedColor?, restock }], note?, refundMethod? }
+ */
+async function receiveReturnController(req, res) {
+    try {
+        const { items, note, refundMethod } = req.body;
+        const returnRequest = await returnsService.receiveReturn(req.params.returnId, req.user.id, items, note, refundMethod);
+        res.status(200).json(returnRequest); // 200 OK
+    } catch (error) {
+        console.error('Error in receiveReturnController:', error.message);
+        sendReturnError(res, error, 'Failed to receive return.');
+    }
+}
+
+module.exports = {
+    requestReturnController,
+    getReturnsForOrderController,
+    getAllReturnsController,
+    getReturnByIdController,
+    approveReturnController,
+    rejectReturnController,
+    receiveReturnController
+};
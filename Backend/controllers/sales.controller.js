@@ -0,0 +1,79 @@
+const saleService = require('../services/sales.service'); // Import the sale service
+
+// Create a new scheduled sale
+async function createSale(req, res) {
+    try {
+        const newSale = await saleService.createSale(req.body);
+        res.status(201).json(newSale); // 201 Created
+    } catch (error) {
+        res.status(400).json({ message: error.message }); // 400 Bad Request (e.g., validation errors, no products, brands or categories)
+    }
+}
+
+// Get all sales
+async function getAllSales(req, res) {
+    try {
+        const sales = await saleService.getAllSales();
+        res.status(200).json(sales); // 200 OK
+    } catch (error) {
+        res.status(500).json({ message: 'Failed to retrieve sales' }); // 500 Internal Server Error
+    }
+}
+
+// Get the sales running right now (public, e.g. for storefront banners)
+async function getLiveSales(req, res) {
+    try {
+        const sales = await saleService.getLiveSales();
+        res.status(200).json(sales); // 200 OK
+    } catch (error) {
+        res.status(500).json({ message: 'Failed to retrieve sales' }); // 500 Internal Server Error
+    }
+}
+
+// Get a single sale by ID
+async function getSaleById(req, res) {
+    try {
+        const sale = await saleService.getSaleById(req.params.id);
+        res.status(200).json(sale); // 200 OK
+    } catch (error) {
+        if (error.message.includes('not found')) {
+            return res.status(404).json({ message: error.message }); // 404 Not Found
+        }
+        res.status(400).json({ message: error.message }); // 400 Bad Request (e.g., invalid ID format)
+    }
+}
+
+// Update a sale by ID
+async function updateSale(req, res) {
+    try {
+        const updatedSale = await saleService.updateSale(req.params.id, req.body);
+        res.status(200).json(updatedSale); // 200 OK
+    } catch (error) {
+        if (error.message.includes('not found')) {
+            return res.status(404).json({ message: error.message }); // 404 Not Found
+        }
+        res.status(400).json({ message: error.message }); // 400 Bad Request (e.g., validation errors, no products, brands or categories)
+    }
+}
+
+// Delete a sale by ID
+async function deleteSale(req, res) {
+    try {
+        await saleService.deleteSale(req.params.id);
+        res.status(200).json({ message: 'Sale deleted successfully' }); // 200 OK
+    } catch (error) {
+        if (error.message.includes('not found')) {
+            return res.status(404).json({ message: error.message }); // 404 Not Found
+        }
+        res.status(400).json({ message: error.message }); // 400 Bad Request (e.g., invalid ID format)
+    }
+}
+
+module.exports = {
+    createSale,
+    getAllSales,
+    getLiveSales,
+    getSaleById,
+    updateSale,
+    deleteSale,
+};
@@ -0,0 +1,88 @@
+const shipmentsService = require('../services/shipments.service');
+const { ownsOrder } = require('../utils/shoppers');
+
+// Maps service errors to HTTP responses shared by all shipment controllers
+function sendShipmentError(res, error, fallbackMessage) {
+    if (error.message.includes('not found')) {
+        return res.status(404).json({ message: error.message }); // 404 Not Found
+    }
+    if (error.message.includes('Invalid shipment status') || error.message.includes('Invalid status transition')) {
+        return res.status(409).json({ message: error.message }); // 409 Conflict: not allowed in the current state
+    }
+    if (error.message.includes('Invalid')) {
+        return res.status(400).json({ message: error.message }); // 400 Bad Request
+    }
+    return res.status(500).json({ message: fallbackMessage }); // 500 Internal Server Error
+}
+
+/**
+ * Controller to ship items of a processing order (Admin only).
+ * POST /api/orders/:orderId/shipments
+ * Request body: { carrier, trackingNumber?, items?: [{ productId, selectedSize?, selectedColor?, quantity }], shippedAt?, note? }
+ * Without items, everything not yet shipped goes in the shipment.
+ */
+async function createShipmentController(req, res) {
+    try {
+        const shipment = await shipmentsService.createShipment(req.params.orderId, req.user.id, req.body);
+        res.status(201).json(shipment); // 201 Created
+    } catch (error) {
+        console.error('Error in createShipmentController:', error.message);
+        sendShipmentError(res, error, 'Failed to create shipment.');
+    }
+}
+
+/**
+ * Controller to list the shipments of an order (owner or admin).
+ * GET /api/orders/:orderId/shipments
+ */
+async function getShipmentsForOrderController(req, res) {
+    try {
+        const { order, shipments } = await shipmentsService.getShipmentsForOrder(req.params.orderId);
+
+        if (!req.user.isAdmin && !ownsOrder(order, req.user.id)) {
+            return res.status(403).json({ message: 'Forbidden: You can only view your own orders.' });
+        }
+
+        res.status(200).json(shipments); // 200 OK
+    } catch (error) {
+        console.error('Error in getShipmentsForOrderController:', error.message);
+        sendShipmentError(res, error, 'Failed to retrieve shipments.');
+    }
+}
+
+/**
+ * Controller to correct a shipment's carrier details (Admin only).
+ * PATCH /api/orders/shipments/:shipmentId
+ * Request body: { carrier?, trackingNumber?, shippedAt?, note? }
+ */
+async function updateShipmentController(req, res) {
+    try {
+        const shipment = await shipmentsService.updateShipment(req.params.shipmentId, req.body);
+        res.status(200).json(shipment); // 200 OK
+    } catch (error) {
+        console.error('Error in updateShipmentController:', error.message);
+        sendShipmentError(res, error, 'Failed to update shipment.');
+    }
+}
+
+/**
+ * Controller to mark a shipment as delivered (Admin only).
+ * PATCH /api/orders/shipments/:shipmentId/deliver
+ * Request body: { deliveredAt? }
+ */
+async function markShipmentDeliveredController(req, res) {
+    try {
+        const shipment = await shipmentsService.markShipmentDelivered(req.params.shipmentId, req.user.id, req.body.deliveredAt);
+        res.status(200).json(shipment); // 200 OK
+    } catch (error) {
+        console.error('Error in markShipmentDeliveredController:', error.message);
+        sendShipmentError(res, error, 'Failed to mark shipment as delivered.');
+    }
+}
+
+module.exports = {
+    createShipmentController,
+    getShipmentsForOrderController,
+    updateShipmentController,
+    markShipmentDeliveredController
+};
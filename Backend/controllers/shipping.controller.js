@@ -0,0 +1,90 @@
+const shippingService = require('../services/shipping.service'); // Import the shipping service
+
+/**
+ * Quote the shipping methods for the current shopper's cart (signed in or guest).
+ * GET /api/shipping/quote?country=US&state=CA
+ */
+async function getShippingQuote(req, res) {
+    try {
+        const { country, state } = req.query;
+        if (!country) {
+            return res.status(400).json({ message: 'Destination country is required.' }); // 400 Bad Request
+        }
+        const quote = await shippingService.getCartShippingQuote(req.shopper, { country, state });
+        res.status(200).json(quote); // 200 OK
+    } catch (error) {
+        console.error('Error in getShippingQuote controller:', error.message);
+        if (error.message.includes('empty cart') || error.message.includes('Invalid shipping')) {
+            return res.status(400).json({ message: error.message }); // 400 for carts or destinations that cannot be quoted
+        }
+        res.status(500).json({ message: 'Failed to quote shipping.' }); // 500 Internal Server Error
+    }
+}
+
+// Create a new shipping zone
+async function createShippingZone(req, res) {
+    try {
+        const newZone = await shippingService.createShippingZone(req.body);
+        res.status(201).json(newZone); // 201 Created
+    } catch (error) {
+        res.status(400).json({ message: error.message }); // 400 Bad Request (e.g., validation errors, region already covered)
+    }
+}
+
+// Get all shipping zones
+async function getAllShippingZones(req, res) {
+    try {
+        const zones = await shippingService.getAllShippingZones();
+        res.status(200).json(zones); // 200 OK
+    } catch (error) {
+        res.status(500).json({ message: 'Failed to retrieve shipping zones' }); // 500 Internal Server Error
+    }
+}
+
+// Get a single shipping zone by ID
+async function getShippingZoneById(req, res) {
+    try {
+        const zone = await shippingService.getShippingZoneById(req.params.id);
+        res.status(200).json(zone); // 200 OK
+    } catch (error) {
+        if (error.message.includes('not found')) {
+            return res.status(404).json({ message: error.message }); // 404 Not Found
+        }
+        res.status(400).json({ message: error.message }); // 400 Bad Request (e.g., invalid ID format)
+    }
+}
+
+// Update a shipping zone by ID
+async function updateShippingZone(req, res) {
+    try {
+        const updatedZone = await shippingService.updateShippingZone(req.params.id, req.body);
+        res.status(200).json(updatedZone); // 200 OK
+    } catch (error) {
+        if (error.message.includes('not found')) {
+            return res.status(404).json({ message: error.message }); // 404 Not Found
+        }
+        res.status(400).json({ message: error.message }); // 400 Bad Request (e.g., validation errors, region already covered)
+    }
+}
+
+// Delete a shipping zone by ID
+async function deleteShippingZone(req, res) {
+    try {
+        await shippingService.deleteShippingZone(req.params.id);
+        res.status(200).json({ message: 'Shipping zone deleted successfully' }); // 200 OK
+    } catch (error) {
+        if (error.message.includes('not found')) {
+            return res.status(404).json({ message: error.message }); // 404 Not Found
+        }
+        res.status(400).json({ message: error.message }); // 400 Bad Request (e.g., invalid ID format)
+    }
+}
+
+module.exports = {
+    getShippingQuote,
+    createShippingZone,
+    getAllShippingZones,
+    getShippingZoneById,
+    updateShippingZone,
+    deleteShippingZone,
+};
@@ -0,0 +1,68 @@
+const taxRateService = require('../services/taxRates.service'); // Import the tax rate service
+
+// Create a new tax rate
+async function createTaxRate(req, res) {
+    try {
+        const newTaxRate = await taxRateService.createTaxRate(req.body);
+        res.status(201).json(newTaxRate); // 201 Created
+    } catch (error) {
+        res.status(400).json({ message: error.message }); // 400 Bad Request (e.g., validation errors, duplicate country/state)
+    }
+}
+
+// Get all tax rates
+async function getAllTaxRates(req, res) {
+    try {
+        const taxRates = await taxRateService.getAllTaxRates();
+        res.status(200).json(taxRates); // 200 OK
+    } catch (error) {
+        res.status(500).json({ message: 'Failed to retrieve tax rates' }); // 500 Internal Server Error
+    }
+}
+
+// Get a single tax rate by ID
+async function getTaxRateById(req, res) {
+    try {
+        const taxRate = await taxRateService.getTaxRateById(req.params.id);
+        res.status(200).json(taxRate); // 200 OK
+    } catch (error) {
+        if (error.message.includes('not found')) {
+            return res.status(404).json({ message: error.message }); // 404 Not Found
+        }
+        res.status(400).json({ message: error.message }); // 400 Bad Request (e.g., invalid ID format)
+    }
+}
+
+// Update a tax rate by ID
+async function updateTaxRate(req, res) {
+    try {
+        const updatedTaxRate = await taxRateService.updateTaxRate(req.params.id, req.body);
+        res.status(200).json(updatedTaxRate); // 200 OK
+    } catch (error) {
+        if (error.message.includes('not found')) {
+            return res.status(404).json({ message: error.message }); // 404 Not Found
+        }
+        res.status(400).json({ message: error.message }); // 400 Bad Request (e.g., validation errors, duplicate country/state)
+    }
+}
+
+// Delete a tax rate by ID
+async function deleteTaxRate(req, res) {
+    try {
+        await taxRateService.deleteTaxRate(req.params.id);
+        res.status(200).json({ message: 'TaxRate deleted successfully' }); // 200 OK
+    } catch (error) {
+        if (error.message.includes('not found')) {
+            return res.status(404).json({ message: error.message }); // 404 Not Found
+        }
+        res.status(400).json({ message: error.message }); // 400 Bad Request (e.g., invalid ID format)
+    }
+}
+
+module.exports = {
+    createTaxRate,
+    getAllTaxRates,
+    getTaxRateById,
+    updateTaxRate,
+    deleteTaxRate,
+};
@@ -9,10 +9,40 @@ async function registerUser(req, res) {
     }
 }
 
+// Verify the account's email address with the emailed token; past guest orders with it are attached
+async function verifyEmail(req, res) {
+    try {
+        const { user, attachedOrders } = await userService.verifyEmail(req.body.token);
+        res.status(200).json({ message: 'Email address verified', emailVerifiedAt: user.emailVerifiedAt, attachedOrders });
+    } catch (error) {
+        if (error.message.includes('Invalid')) {
+            return res.status(400).json({ message: error.message }); // 400 Bad Request
+        }
+        res.status(500).json({ message: 'Failed to verify email address' }); // 500 Internal Server Error
+    }
+}
+
+// Send a new verification email to the signed-in user
+async function resendEmailVerification(req, res) {
+    try {
+        await userService.resendEmailVerification(req.user.id);
+        res.status(202).json({ message: 'Verification email sent' }); // 202 Accepted
+    } catch (error) {
+        if (error.message === 'User not found') {
+            return res.status(404).json({ message: error.message }); // 404 Not Found
+        }
+        if (error.message.includes('Invalid')) {
+            return res.status(400).json({ message: error.message }); // 400 Bad Request
+        }
+        res.status(500).json({ message: 'Failed to send verification email' }); // 500 Internal Server Error
+    }
+}
+
 async function loginUser(req, res) {
     try {
-        const { token, user } = await userService.loginUser(req.body.email, req.body.password);
-        res.json({ token, user });
+        // A guest cart sent along with the login (X-Cart-Token) is merged into the user's cart
+        const { token, user, cartMerge } = await userService.loginUser(req.body.email, req.body.password, req.header('X-Cart-Token'));
+        res.json({ token, user, cartMerge });
     } catch (error) {
         // The service layer now provides specific error messages for lockout
         // We'll map these to appropriate HTTP status codes.
@@ -193,6 +223,8 @@ async function unlockUserAccountController(req, res) {
 
 module.exports = {
     registerUser,
+    verifyEmail,
+    resendEmailVerification,
     loginUser,
     getAllUsers,
     getUserById,
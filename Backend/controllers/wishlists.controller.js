@@ -2,89 +2,178 @@ const wishlistService = require('../services/wishlists.service');
 
 /**
  * Controller for Wishlist Operations
- * Handles HTTP requests and responses.
+ * Handles HTTP requests and responses. Every route acts on the signed-in user's own lists
+ * (admins may open any list by ID).
  */
 
-// GET /api/wishlist/:userId
-const getWishlist = async (req, res) => {
+// Maps service errors to HTTP responses shared by the wishlist controllers
+const sendWishlistError = (res, error) => {
+    if (error.message.includes('Forbidden')) {
+        return res.status(403).json({ message: error.message });
+    }
+    if (error.message.includes('not found')) {
+        return res.status(404).json({ message: error.message });
+    }
+    if (error.message.includes('Invalid')) {
+        return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: error.message });
+};
+
+// GET /api/wishlists
+const getWishlists = async (req, res) => {
     try {
-        const userId = req.params.userId;
-        const wishlist = await wishlistService.getUserWishlist(userId);
-        if (!wishlist) {
-            return res.status(404).json({ message: 'Wishlist not found' });
-        }
-        res.json(wishlist);
+        const wishlists = await wishlistService.getUserWishlists(req.user.id);
+        res.json(wishlists);
     } catch (error) {
-        res.status(500).json({ message: error.message });
+        sendWishlistError(res, error);
     }
 };
 
-// POST /api/wishlist/:userId
+// POST /api/wishlists
 const createWishlist = async (req, res) => {
     try {
-        const userId = req.params.userId;
-        const { productIds = [] } = req.body;
-        const wishlist = await wishlistService.getOrCreateWishlist(userId, productIds);
+        const wishlist = await wishlistService.createWishlist(req.user.id, req.body);
         res.status(201).json(wishlist);
     } catch (error) {
-        res.status(500).json({ message: error.message });
+        sendWishlistError(res, error);
     }
 };
 
-// POST /api/wishlist/:userId/add
-const addProductToWishlist = async (req, res) => {
+// GET /api/wishlists/:wishlistId
+const getWishlist = async (req, res) => {
     try {
-        const userId = req.params.userId;
-        const { productId } = req.body;
-
-        if (!productId) {
-            return res.status(400).json({ message: 'Product ID is required' });
-        }
+        const wishlist = await wishlistService.getWishlist(req.params.wishlistId, req.user.id, req.user.isAdmin);
+        res.json(wishlist);
+    } catch (error) {
+        sendWishlistError(res, error);
+    }
+};
 
-        const wishlist = await wishlistService.addProduct(userId, productId);
+// PUT /api/wishlists/:wishlistId
+const renameWishlist = async (req, res) => {
+    try {
+        const wishlist = await wishlistService.renameWishlist(req.params.wishlistId, req.user.id, req.user.isAdmin, req.body);
         res.json(wishlist);
     } catch (error) {
-        res.status(500).json({ message: error.message });
+        sendWishlistError(res, error);
     }
 };
 
-// DELETE /api/wishlist/:userId/remove
-const removeProductFromWishlist = async (req, res) => {
+// DELETE /api/wishlists/:wishlistId
+const deleteWishlist = async (req, res) => {
     try {
-        const userId = req.params.userId;
-        const { productId } = req.body;
+        await wishlistService.deleteWishlist(req.params.wishlistId, req.user.id, req.user.isAdmin);
+        res.json({ message: 'Wishlist deleted successfully' });
+    } catch (error) {
+        sendWishlistError(res, error);
+    }
+};
 
-        if (!productId) {
-            return res.status(400).json({ message: 'Product ID is required' });
-        }
+// POST /api/wishlists/:wishlistId/items
+const addItemToWishlist = async (req, res) => {
+    try {
+        const wishlist = await wishlistService.addItem(req.params.wishlistId, req.user.id, req.user.isAdmin, req.body);
+        res.json(wishlist);
+    } catch (error) {
+        sendWishlistError(res, error);
+    }
+};
 
-        const wishlist = await wishlistService.removeProduct(userId, productId);
+// PUT /api/wishlists/:wishlistId/items/:itemId
+const updateWishlistItem = async (req, res) => {
+    try {
+        const wishlist = await wishlistService.updateItem(req.params.wishlistId, req.params.itemId, req.user.id, req.user.isAdmin, req.body);
         res.json(wishlist);
     } catch (error) {
-        res.status(500).json({ message: error.message });
+        sendWishlistError(res, error);
     }
 };
 
-// DELETE /api/wishlist/:userId
-const deleteWishlist = async (req, res) => {
+// DELETE /api/wishlists/:wishlistId/items/:itemId
+const removeItemFromWishlist = async (req, res) => {
+    try {
+        const wishlist = await wishlistService.removeItem(req.params.wishlistId, req.params.itemId, req.user.id, req.user.isAdmin);
+        res.json(wishlist);
+    } catch (error) {
+        sendWishlistError(res, error);
+    }
+};
+
+// POST /api/wishlists/:wishlistId/share
+const shareWishlist = async (req, res) => {
     try {
-        const userId = req.params.userId;
-        const result = await wishlistService.deleteWishlist(userId);
+        const share = await wishlistService.shareWishlist(req.params.wishlistId, req.user.id, req.user.isAdmin);
+        res.status(201).json(share);
+    } catch (error) {
+        sendWishlistError(res, error);
+    }
+};
 
-        if (!result) {
-            return res.status(404).json({ message: 'Wishlist not found' });
-        }
+// DELETE /api/wishlists/:wishlistId/share
+const unshareWishlist = async (req, res) => {
+    try {
+        await wishlistService.unshareWishlist(req.params.wishlistId, req.user.id, req.user.isAdmin);
+        res.json({ message: 'Wishlist is no longer shared' });
+    } catch (error) {
+        sendWishlistError(res, error);
+    }
+};
 
-        res.json({ message: 'Wishlist deleted successfully' });
+// GET /api/wishlists/shared/:shareToken (public)
+const getSharedWishlist = async (req, res) => {
+    try {
+        const wishlist = await wishlistService.getSharedWishlist(req.params.shareToken, req.user ? req.user.id : null);
+        res.json(wishlist);
     } catch (error) {
-        res.status(500).json({ message: error.message });
+        sendWishlistError(res, error);
+    }
+};
+
+// POST /api/wishlists/shared/:shareToken/items/:itemId/purchased (public)
+const markSharedItemPurchased = async (req, res) => {
+    try {
+        const wishlist = await wishlistService.markSharedItemPurchased(
+            req.params.shareToken,
+            req.params.itemId,
+            true,
+            req.body.by,
+            req.user ? req.user.id : null
+        );
+        res.json(wishlist);
+    } catch (error) {
+        sendWishlistError(res, error);
+    }
+};
+
+// DELETE /api/wishlists/shared/:shareToken/items/:itemId/purchased (public)
+const unmarkSharedItemPurchased = async (req, res) => {
+    try {
+        const wishlist = await wishlistService.markSharedItemPurchased(
+            req.params.shareToken,
+            req.params.itemId,
+            false,
+            undefined,
+            req.user ? req.user.id : null
+        );
+        res.json(wishlist);
+    } catch (error) {
+        sendWishlistError(res, error);
     }
 };
 
 module.exports = {
-    getWishlist,
+    getWishlists,
     createWishlist,
-    addProductToWishlist,
-    removeProductFromWishlist,
+    getWishlist,
+    renameWishlist,
     deleteWishlist,
+    addItemToWishlist,
+    updateWishlistItem,
+    removeItemFromWishlist,
+    shareWishlist,
+    unshareWishlist,
+    getSharedWishlist,
+    markSharedItemPurchased,
+    unmarkSharedItemPurchased,
 };
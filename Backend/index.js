@@ -8,8 +8,15 @@ const cors = require('cors'); // Import the cors middleware
 const app = express();
 
 // Middleware
-app.use(cors()); // Enable CORS for all routes
-app.use(express.json()); // Parse JSON request bodies
+app.use(cors({ exposedHeaders: ['X-Cart-Token'] })); // Enable CORS for all routes; browsers may read the guest cart token
+// Parse JSON request bodies; payment webhooks also keep the raw body to verify their signature
+app.use(express.json({
+    verify: (req, res, buf) => {
+        if (req.originalUrl.startsWith('/api/payments/webhooks/')) {
+            req.rawBody = buf;
+        }
+    }
+}));
 app.use(express.urlencoded({ extended: true })); // Parse URL-encoded bodies
 
 // Import all routes
@@ -20,6 +27,15 @@ const orderRoutes = require('./routes/orders.route');
 const wishlistRoutes = require('./routes/wishlists.route');
 const productRoutes = require('./routes/products.route');
 const brandRoutes = require('./routes/brands.route');
+const paymentRoutes = require('./routes/payments.route');
+const couponRoutes = require('./routes/coupons.route');
+const promotionRoutes = require('./routes/promotions.route');
+const saleRoutes = require('./routes/sales.route');
+const taxRateRoutes = require('./routes/taxRates.route');
+const shippingRoutes = require('./routes/shipping.route');
+const { startAbandonedCartJob } = require('./services/abandonedCarts.service');
+const { startPreorderJob } = require('./services/products.service');
+const { runMigrations } = require('./migrations');
 
 
 // MongoDB Connection
@@ -34,6 +50,15 @@ mongoose.connect(mongoUri)
     .then(async () => {
         console.log("Connected to database!");
 
+        // Bring existing data and indexes up to the current schema before taking requests
+        await runMigrations();
+
+        // Background job: reminders for carts left with items (ABANDONED_CART_JOB_MINUTES)
+        startAbandonedCartJob();
+
+        // Background job: release pre-order products on their release date and allocate their stock (PREORDER_JOB_MINUTES)
+        startPreorderJob();
+
         // Start the server *after* the database connection is established
         const port = process.env.PORT || 3000; // PORT can still have a fallback
         app.listen(port, () => {
@@ -55,6 +80,12 @@ app.use('/api/orders', orderRoutes);
 app.use('/api/wishlists', wishlistRoutes);
 app.use('/api/products', productRoutes);
 app.use('/api/brands', brandRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/promotions', promotionRoutes);
+app.use('/api/sales', saleRoutes);
+app.use('/api/tax-rates', taxRateRoutes);
+app.use('/api/shipping', shippingRoutes);
 
 
 // Default route for testing API health
@@ -0,0 +1,28 @@
+const jwt = require('jsonwebtoken');
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+const userRepository = require('../repositories/users.repository');
+
+// Like authenticate, but lets requests without a token through as guests (req.user stays unset).
+// A token that is sent but invalid is still rejected, so an expired session never turns into a guest silently.
+async function optionalAuthenticate(req, res, next) {
+    const token = req.header('Authorization')?.replace('Bearer ', '');
+
+    if (!token) {
+        return next();
+    }
+
+    let user;
+    try {
+        const decoded = jwt.verify(token, JWT_SECRET);
+        user = await userRepository.getUserById(decoded.userId);
+    } catch (error) {
+        user = null;
+    }
+    if (!user) {
+        return res.status(401).json({ message: 'Invalid token' });
+    }
+    req.user = user;
+    next();
+}
+
+module.exports = optionalAuthenticate;
@@ -0,0 +1,26 @@
+const optionalAuthenticate = require('./optionalAuth.middleware');
+const { createGuestToken, isValidGuestToken, toGuestShopper } = require('../utils/shoppers');
+
+// Sets req.shopper for cart routes: the signed-in user's ID, or a guest identified by the
+// X-Cart-Token header. A guest without a token gets a new one in the X-Cart-Token response
+// header, which the client sends back from then on (see utils/shoppers.js).
+function resolveShopper(req, res, next) {
+    optionalAuthenticate(req, res, () => {
+        if (req.user) {
+            req.shopper = req.user.id;
+            return next();
+        }
+
+        let cartToken = req.header('X-Cart-Token');
+        if (!cartToken) {
+            cartToken = createGuestToken();
+            res.set('X-Cart-Token', cartToken);
+        } else if (!isValidGuestToken(cartToken)) {
+            return res.status(400).json({ message: 'Invalid cart token' });
+        }
+        req.shopper = toGuestShopper(cartToken);
+        next();
+    });
+}
+
+module.exports = resolveShopper;
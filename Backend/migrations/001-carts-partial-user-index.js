@@ -0,0 +1,12 @@
+const Cart = require('../models/carts.model');
+const { replaceIndex } = require('./helpers');
+
+// Guest carts have no user, so the unique user_1 index of the carts collection
+// must only cover carts that have one; the old index lets just one guest cart exist.
+module.exports = {
+    name: '001-carts-partial-user-index',
+    async up() {
+        const replaced = await replaceIndex(Cart, 'user_1', index => !index.partialFilterExpression);
+        return replaced ? 'the unique user_1 index now only covers carts with a user' : null;
+    }
+};
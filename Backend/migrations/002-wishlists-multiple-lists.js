@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+const Wishlist = require('../models/wishlists.model');
+const { replaceIndex } = require('./helpers');
+
+// Users can keep several wishlists, so user_1 on the wishlists collection may no longer be unique,
+// and the saved products (a plain products array) become items with their own size, color and note.
+module.exports = {
+    name: '002-wishlists-multiple-lists',
+    async up() {
+        const done = [];
+        if (await replaceIndex(Wishlist, 'user_1', index => Boolean(index.unique))) {
+            done.push('the user_1 index is no longer unique');
+        }
+
+        // The schema no longer knows products, so the old documents are read from the collection
+        const legacy = await Wishlist.collection.find({ products: { $exists: true } }).toArray();
+        const updates = legacy.map(wishlist => {
+            const items = [...(wishlist.items || [])];
+            const saved = new Set(items.map(item => item.product.toString()));
+            for (const product of wishlist.products || []) {
+                if (product && !saved.has(product.toString())) {
+                    saved.add(product.toString());
+                    items.push({ _id: new mongoose.Types.ObjectId(), product, addedAt: wishlist.updatedAt || new Date() });
+                }
+            }
+            return {
+                updateOne: {
+                    filter: { _id: wishlist._id },
+                    update: { $set: { items }, $unset: { products: 1 } }
+                }
+            };
+        });
+        if (updates.length > 0) {
+            await Wishlist.collection.bulkWrite(updates);
+            done.push(`moved the saved products of ${updates.length} wishlist(s) into items`);
+        }
+        return done.length > 0 ? done.join('; ') : null;
+    }
+};
@@ -0,0 +1,32 @@
+// Indexes of a model's collection; none when the collection does not exist yet
+async function getIndexes(Model) {
+    try {
+        return await Model.collection.indexes();
+    } catch (error) {
+        if (error.codeName === 'NamespaceNotFound') {
+            return [];
+        }
+        throw error;
+    }
+}
+
+/**
+ * Drops an index whose definition the schema has changed, then builds the schema's indexes.
+ * @param {mongoose.Model} Model - The model.
+ * @param {string} name - The index name.
+ * @param {function(object): boolean} isOutdated - Tells whether the existing index is the old definition.
+ * @returns {Promise<boolean>} - Whether the index was replaced.
+ */
+async function replaceIndex(Model, name, isOutdated) {
+    const index = (await getIndexes(Model)).find(existing => existing.name === name);
+    if (!index || !isOutdated(index)) {
+        return false;
+    }
+    await Model.collection.dropIndex(name);
+    await Model.createIndexes();
+    return true;
+}
+
+module.exports = {
+    replaceIndex
+};
@@ -0,0 +1,36 @@
+/**
+ * @fileoverview Database migrations: the changes existing deployments need that Mongoose does not
+ * make by itself, such as replacing an index whose options changed or moving documents to a new
+ * shape. Each migration checks whether it still has work to do and does nothing otherwise, so all
+ * of them run on every start (index.js), before the server takes requests. `npm run migrate`
+ * runs them by hand.
+ */
+const migrations = [
+    require('./001-carts-partial-user-index'),
+    require('./002-wishlists-multiple-lists'),
+];
+
+/**
+ * Runs every migration in order. A failed migration is logged and the next one still runs;
+ * the server starts either way.
+ * @returns {Promise<number>} - The number of migrations that failed.
+ */
+async function runMigrations() {
+    let failed = 0;
+    for (const migration of migrations) {
+        try {
+            const applied = await migration.up();
+            if (applied) {
+                console.log(`Migration ${migration.name}: ${applied}`);
+            }
+        } catch (error) {
+            failed++;
+            console.error(`Migration ${migration.name} failed:`, error.message);
+        }
+    }
+    return failed;
+}
+
+module.exports = {
+    runMigrations
+};
@@ -0,0 +1,15 @@
+// Runs the database migrations by hand: npm run migrate
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { runMigrations } = require('./index');
+
+mongoose.connect(process.env.MONGODB_URI)
+    .then(runMigrations)
+    .then(async failed => {
+        await mongoose.disconnect();
+        process.exit(failed > 0 ? 1 : 0);
+    })
+    .catch(error => {
+        console.error('Migrations could not run:', error.message);
+        process.exit(1);
+    });
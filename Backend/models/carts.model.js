@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const discountLineSchema = require('./discountLine.schema');
+const { sumDiscounts } = require('./discountLine.schema');
+const { getCartItemUnitPrice } = require('../utils/sales');
 
 const cartItemSchema = new mongoose.Schema({
     product: {
@@ -18,27 +21,95 @@ const cartItemSchema = new mongoose.Schema({
     salePrice: { // Sale price at the time of adding to cart (if applicable)
         type: Number
     },
+    saleEndsAt: { // When that sale ends; the regular price applies afterwards
+        type: Date,
+        default: null
+    },
     // Optional: Fields for product variations if your products have them
     selectedSize: {
         type: String
     },
     selectedColor: {
         type: String
+    },
+    sku: { // SKU code of the selected variant (for products with a variant matrix)
+        type: String
     }
 }, { _id: false }); // _id: false means Mongoose won't automatically generate an _id for each cart item subdocument
 
-const cartSchema = new mongoose.Schema({
-    user: {
+// An item moved out of the cart to buy later. It keeps the selection but no price:
+// the price is taken again when it moves back into the cart.
+const savedItemSchema = new mongoose.Schema({
+    product: {
         type: mongoose.Schema.Types.ObjectId,
-        ref: 'User',
+        ref: 'Product',
+        required: true
+    },
+    quantity: {
+        type: Number,
         required: true,
-        unique: true // Ensures one cart per user
+        min: 1
+    },
+    selectedSize: {
+        type: String
+    },
+    selectedColor: {
+        type: String
+    },
+    sku: {
+        type: String
+    },
+    savedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+const cartSchema = new mongoose.Schema({
+    user: { // The signed-in shopper (one cart per user); unset for a guest cart
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    guestKey: { // Hash of a guest's cart token (see utils/shoppers.js); unset for a user's cart
+        type: String
     },
     items: [cartItemSchema], // Array of products in the cart
-    totalPrice: {
+    savedItems: [savedItemSchema], // Saved for later: not part of the totals or of an order placed from the cart
+    couponCode: { // Coupon code the shopper applied (kept even while it does not qualify)
+        type: String,
+        default: null
+    },
+    couponError: { // Why the applied coupon currently gives no discount, if it does not
+        type: String,
+        default: null
+    },
+    discounts: [discountLineSchema], // Discounts currently applied (recomputed whenever the cart changes)
+    subtotal: { // Sum of the items before discounts
+        type: Number,
+        default: 0
+    },
+    discountAmount: {
+        type: Number,
+        default: 0
+    },
+    totalPrice: { // Subtotal minus discounts
         type: Number,
         required: true,
         default: 0
+    },
+    reminder: { // Abandoned-cart reminders (see services/abandonedCarts.service.js)
+        stage: { // Last reminder stage sent; back to 0 when the items change
+            type: Number,
+            default: 0
+        },
+        sentAt: {
+            type: Date,
+            default: null
+        },
+        couponCode: { // Single-use recovery coupon sent with a reminder, if any
+            type: String,
+            default: null
+        }
     }
 }, { timestamps: true }); // Adds createdAt and updatedAt timestamps
 
@@ -46,14 +117,27 @@ const cartSchema = new mongoose.Schema({
 cartSchema.pre('save', function(next) {
     let total = 0;
     this.items.forEach(item => {
-        // Use salePrice if available, otherwise use regular price
-        const effectivePrice = item.salePrice !== undefined && item.salePrice < item.price ? item.salePrice : item.price;
-        total += effectivePrice * item.quantity;
+        // Use salePrice while its sale lasts, otherwise use regular price
+        total += getCartItemUnitPrice(item) * item.quantity;
     });
-    this.totalPrice = total;
+    this.subtotal = total;
+    this.discountAmount = sumDiscounts(this.discounts, total);
+    this.totalPrice = Math.round((total - this.discountAmount) * 100) / 100;
+    // A shopper changing the items is back; the next time the cart is left, reminders start over
+    if (this.isModified('items') && this.reminder && this.reminder.stage > 0) {
+        this.reminder.stage = 0;
+    }
     next();
 });
 
+// One cart per user and per guest cart token
+cartSchema.index({ user: 1 }, { unique: true, partialFilterExpression: { user: { $exists: true } } });
+cartSchema.index({ guestKey: 1 }, { unique: true, partialFilterExpression: { guestKey: { $exists: true } } });
+// Abandoned-cart job: carts with items, by last activity
+cartSchema.index({ updatedAt: 1, 'reminder.stage': 1 });
+// MongoDB removes guest carts left untouched for 30 days
+cartSchema.index({ updatedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60, partialFilterExpression: { guestKey: { $exists: true } } });
+
 const Cart = mongoose.model('Cart', cartSchema);
 
 module.exports = Cart;
@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// Named sequence (e.g. 'invoice'); `seq` is the last number handed out
+const counterSchema = new mongoose.Schema({
+    _id: { // Sequence name
+        type: String,
+        required: true
+    },
+    seq: {
+        type: Number,
+        required: true,
+        default: 0
+    }
+});
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+module.exports = Counter;
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// One use of a coupon by an order. Used for per-customer limits; removed again if the order is cancelled.
+const couponRedemptionSchema = new mongoose.Schema({
+    coupon: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Coupon',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: function() { return !this.guestEmail; }
+    },
+    guestEmail: { // The customer of a guest order (per-customer limits count guests by email)
+        type: String,
+        lowercase: true,
+        default: null
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true,
+        unique: true // An order redeems at most one coupon
+    },
+    code: {
+        type: String,
+        required: true
+    },
+    discountAmount: {
+        type: Number,
+        min: 0,
+        default: 0
+    }
+}, { timestamps: true });
+
+couponRedemptionSchema.index({ coupon: 1, user: 1 });
+couponRedemptionSchema.index({ coupon: 1, guestEmail: 1 }, { partialFilterExpression: { guestEmail: { $type: 'string' } } });
+
+const CouponRedemption = mongoose.model('CouponRedemption', couponRedemptionSchema);
+
+module.exports = CouponRedemption;
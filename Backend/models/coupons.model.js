@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const { COUPON_TYPES } = require('../utils/coupons');
+
+const couponSchema = new mongoose.Schema({
+    code: { // Code the customer enters (stored upper case)
+        type: String,
+        required: true,
+        unique: true,
+        trim: true,
+        uppercase: true
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    type: {
+        type: String,
+        required: true,
+        enum: COUPON_TYPES
+    },
+    value: { // Percentage (0-100] for 'percentage', amount off for 'fixed', unused for 'free_shipping'
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    maxDiscount: { // Optional cap on the amount a percentage coupon can take off
+        type: Number,
+        min: 0,
+        default: null
+    },
+    minSpend: { // Minimum subtotal of the eligible items
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    startsAt: {
+        type: Date,
+        default: null
+    },
+    endsAt: {
+        type: Date,
+        default: null
+    },
+    usageLimit: { // Total redemptions allowed across all customers (null = unlimited)
+        type: Number,
+        min: 1,
+        default: null
+    },
+    usageLimitPerUser: { // Redemptions allowed per customer (null = unlimited)
+        type: Number,
+        min: 1,
+        default: null
+    },
+    usedCount: { // Redemptions so far (kept in step with CouponRedemption records)
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    categories: [{ // If set, only items in these categories (or their subcategories) are discounted
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category'
+    }],
+    brands: [{ // If set, only items of these brands are discounted
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Brand'
+    }],
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, { timestamps: true });
+
+const Coupon = mongoose.model('Coupon', couponSchema);
+
+module.exports = Coupon;
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// One explainable discount on a cart or order: an automatic promotion or a coupon.
+// `items` records how the amount is split over the lines, so refunds and invoices can show it per item.
+const discountLineSchema = new mongoose.Schema({
+    source: {
+        type: String,
+        required: true,
+        enum: ['promotion', 'coupon']
+    },
+    promotion: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Promotion',
+        default: null
+    },
+    code: { // Coupon code, if any
+        type: String,
+        default: null
+    },
+    coupon: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Coupon',
+        default: null
+    },
+    description: { // What the shopper sees, e.g. "Running BOGO: buy 1, get 1 50% off"
+        type: String,
+        required: true
+    },
+    amount: { // Amount taken off the item subtotal
+        type: Number,
+        required: true,
+        min: 0
+    },
+    freeShipping: { // The discount waives the shipping cost
+        type: Boolean,
+        default: false
+    },
+    items: [{
+        _id: false,
+        productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+        selectedSize: { type: String },
+        selectedColor: { type: String },
+        amount: { type: Number, required: true, min: 0 }
+    }]
+}, { _id: false });
+
+/**
+ * Sums the discount lines, never more than the subtotal they apply to.
+ * @param {Array<object>} discounts - The discount lines.
+ * @param {number} subtotal - The item subtotal.
+ * @returns {number}
+ */
+function sumDiscounts(discounts, subtotal) {
+    const cents = (discounts || []).reduce((sum, discount) => sum + Math.round(discount.amount * 100), 0);
+    return Math.min(cents, Math.round(subtotal * 100)) / 100;
+}
+
+module.exports = discountLineSchema;
+module.exports.sumDiscounts = sumDiscounts;
@@ -1,4 +1,10 @@
 const mongoose = require('mongoose');
+const discountLineSchema = require('./discountLine.schema');
+const { sumDiscounts } = require('./discountLine.schema');
+const { ORDER_STATUSES, PAYMENT_STATUSES } = require('../utils/orderStatusMachine');
+const { REFUND_METHODS, REFUND_STATUSES, getRefundedTotal } = require('../utils/refunds');
+const { SHIPPING_METHODS } = require('../utils/shipping');
+const { PREORDER_PAYMENT_OPTIONS } = require('../utils/preorders');
 
 // Schema for individual items within an order
 const orderItemSchema = new mongoose.Schema({
@@ -35,6 +41,10 @@ const orderItemSchema = new mongoose.Schema({
         type: String,
         trim: true
     },
+    sku: { // Variant SKU snapshot (for products with a variant matrix)
+        type: String,
+        trim: true
+    },
     imageUrl: { // Primary image URL snapshot for display in order history
         type: String,
         trim: true
@@ -51,15 +61,225 @@ const shippingAddressSchema = new mongoose.Schema({
     // You might add firstName, lastName, phoneNumber here if different from user's profile
 }, { _id: false });
 
+// Tax breakdown snapshot, worked out for the shipping destination when the order was placed
+const taxLineSchema = new mongoose.Schema({
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    selectedSize: { type: String },
+    selectedColor: { type: String },
+    taxableAmount: { type: Number, required: true, min: 0 }, // Line amount after discounts
+    rate: { type: Number, required: true, min: 0 }, // Percentage applied (category rates included)
+    amount: { type: Number, required: true, min: 0 }
+}, { _id: false });
+
+const taxSchema = new mongoose.Schema({
+    country: { type: String, default: null }, // Jurisdiction of the rate (null = no rate covered the destination)
+    state: { type: String, default: null },
+    name: { type: String, default: null },
+    pricesIncludeTax: { type: Boolean, default: false }, // true = the tax is part of the item prices, not added on top
+    amount: { type: Number, default: 0, min: 0 },
+    lines: [taxLineSchema]
+}, { _id: false });
+
+// Shipping snapshot: the chosen method and what it cost when the order was placed
+const shippingSchema = new mongoose.Schema({
+    method: { type: String, required: true, enum: SHIPPING_METHODS },
+    name: { type: String, required: true },
+    zone: { type: String }, // Name of the shipping zone that priced it
+    deliveryEstimate: { type: String, default: null },
+    rateCost: { type: Number, required: true, min: 0 }, // Cost from the rate table, before any waiver
+    cost: { type: Number, required: true, min: 0 }, // What the customer pays for shipping
+    freeReason: { type: String, enum: ['threshold', 'coupon', null], default: null } // Why rateCost was waived, if it was
+}, { _id: false });
+
+// Schema for one entry in the order's status history
+const statusHistorySchema = new mongoose.Schema({
+    field: { // Which status changed
+        type: String,
+        required: true,
+        enum: ['orderStatus', 'paymentStatus']
+    },
+    from: { // Previous value (null for the initial entry)
+        type: String,
+        default: null
+    },
+    to: {
+        type: String,
+        required: true
+    },
+    actor: { // User who made the change (null for system changes)
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    note: {
+        type: String,
+        trim: true
+    },
+    timestamp: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+// Schema for one entry in the order's refund ledger (manual refunds and received return items)
+const refundSchema = new mongoose.Schema({
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    items: [{ // Items and quantities covered by this refund
+        _id: false,
+        productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+        name: { type: String },
+        selectedSize: { type: String, trim: true },
+        selectedColor: { type: String, trim: true },
+        quantity: { type: Number, required: true, min: 1 }
+    }],
+    reason: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    method: { // How the money goes back to the customer
+        type: String,
+        required: true,
+        enum: REFUND_METHODS,
+        default: 'original_payment'
+    },
+    providerRefundId: { // Refund ID at the payment provider (refunds to the original payment only)
+        type: String,
+        default: null
+    },
+    status: { // 'pending' while the payment provider is refunding it (see utils/refunds.js settleRefund)
+        type: String,
+        enum: REFUND_STATUSES,
+        default: 'completed'
+    },
+    returnRequest: { // The return this refund was triggered by, if any
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Return',
+        default: null
+    },
+    issuedBy: { // Admin who issued the refund
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Schema for the order's current payment attempt at the payment provider
+const paymentDetailsSchema = new mongoose.Schema({
+    provider: { // Name of the payment provider (see services/paymentProviders)
+        type: String,
+        required: true
+    },
+    intentId: { // Payment intent ID at the provider
+        type: String,
+        required: true
+    },
+    status: { // Provider intent status (requires_action, processing, requires_capture, succeeded, declined, canceled, ...)
+        type: String,
+        required: true
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    currency: {
+        type: String,
+        required: true
+    },
+    capturedAmount: {
+        type: Number,
+        default: 0
+    },
+    nextAction: { // What the customer must do next (e.g. 3-D Secure authentication)
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    declineCode: {
+        type: String,
+        default: null
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+// Pre-order snapshot: how the pre-order is paid and when it was allocated stock
+const preorderSchema = new mongoose.Schema({
+    releaseDate: { type: Date, default: null }, // The product's release date when the order was placed
+    paymentOption: { type: String, required: true, enum: PREORDER_PAYMENT_OPTIONS },
+    depositAmount: { type: Number, min: 0, default: 0 }, // Deposit charged at checkout (deposit option)
+    deposit: { type: paymentDetailsSchema, default: null }, // The paid deposit; `payment` then tracks the balance
+    allocatedAt: { type: Date, default: null } // When stock was allocated and the order moved to pending
+}, { _id: false });
+
 // Main Order Schema
 const orderSchema = new mongoose.Schema({
-    user: { // Reference to the user who placed the order
+    user: { // Reference to the user who placed the order (null for a guest order until the guest registers)
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
-        required: true
+        required: function() { return !this.guestEmail; }
+    },
+    guestEmail: { // Email of a guest customer (kept after the order is attached to an account)
+        type: String,
+        trim: true,
+        lowercase: true,
+        default: null
+    },
+    orderNumber: { // Random public order number; with the email it lets guests look their order up
+        type: String,
+        default: null
     },
     items: [orderItemSchema], // Array of products in the order
-    totalAmount: { // Total cost of the order
+    subtotal: { // Sum of the items before discounts
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    discounts: [discountLineSchema], // Discount breakdown snapshot (promotions and coupon) at the time of order
+    discountAmount: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    coupon: { // Snapshot of the redeemed coupon, if any
+        type: new mongoose.Schema({
+            coupon: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon' },
+            code: { type: String, required: true },
+            type: { type: String, required: true },
+            value: { type: Number, default: 0 },
+            description: { type: String }
+        }, { _id: false }),
+        default: null
+    },
+    tax: { // Tax breakdown snapshot
+        type: taxSchema,
+        default: null
+    },
+    taxAmount: { // Tax on the order (included in or added to the total, see tax.pricesIncludeTax)
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    shipping: { // Shipping method and cost snapshot (null when the store had no shipping zones)
+        type: shippingSchema,
+        default: null
+    },
+    shippingCost: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    totalAmount: { // Total cost of the order (subtotal minus discounts, plus tax when prices exclude it, plus shipping)
         type: Number,
         required: true,
         min: 0
@@ -76,29 +296,43 @@ const orderSchema = new mongoose.Schema({
     paymentStatus: {
         type: String,
         required: true,
-        enum: ['pending', 'paid', 'failed', 'refunded'], // Current payment status
+        enum: PAYMENT_STATUSES, // Current payment status (transitions: utils/orderStatusMachine.js)
         default: 'pending'
     },
     orderStatus: {
         type: String,
         required: true,
-        enum: ['pending', 'processing', 'shipped', 'delivered', 'cancelled', 'returned'], // Current order fulfillment status
+        enum: ORDER_STATUSES, // Current order fulfillment status (transitions: utils/orderStatusMachine.js)
         default: 'pending'
     },
-    trackingNumber: { // Optional tracking number for shipped orders
+    invoiceNumber: { // Sequential invoice number, given when the invoice is first issued (gapless, see counters.repository)
+        type: Number,
+        default: null
+    },
+    invoicedAt: {
+        type: Date,
+        default: null
+    },
+    trackingNumber: { // Tracking number of the latest shipment (all shipments: models/shipments.model.js)
         type: String,
         trim: true,
         default: null
     },
-    // Might add fields like:
-    // shippingCost: { type: Number, default: 0 },
-    // taxAmount: { type: Number, default: 0 },
-    // discountAmount: { type: Number, default: 0 },
+    statusHistory: [statusHistorySchema], // Append-only log of order and payment status changes
+    refunds: [refundSchema], // Refund ledger (appended via utils/refunds.js applyRefund)
+    payment: { // Latest payment attempt at the payment provider (none for cash on delivery)
+        type: paymentDetailsSchema,
+        default: null
+    },
+    preorder: { // Set on pre-orders (see utils/preorders.js)
+        type: preorderSchema,
+        default: null
+    },
 }, {
     timestamps: true // Adds createdAt (orderedAt) and updatedAt fields
 });
 
-// Pre-save hook to calculate total amount before saving
+// Pre-save hook to calculate subtotal, discounts, tax, shipping and total amount before saving
 orderSchema.pre('save', function(next) {
     let total = 0;
     this.items.forEach(item => {
@@ -106,10 +340,32 @@ orderSchema.pre('save', function(next) {
         const effectivePrice = (item.salePrice !== null && item.salePrice < item.price) ? item.salePrice : item.price;
         total += effectivePrice * item.quantity;
     });
-    this.totalAmount = total;
+    this.subtotal = total;
+    this.discountAmount = sumDiscounts(this.discounts, total);
+    // The tax comes from the snapshot; it only adds to the total when prices exclude it
+    const taxCents = this.tax ? this.tax.lines.reduce((sum, line) => sum + Math.round(line.amount * 100), 0) : 0;
+    this.taxAmount = taxCents / 100;
+    const addedTaxCents = this.tax && !this.tax.pricesIncludeTax ? taxCents : 0;
+    this.shippingCost = this.shipping ? this.shipping.cost : 0;
+    this.totalAmount = (Math.round(total * 100) - Math.round(this.discountAmount * 100) + addedTaxCents + Math.round(this.shippingCost * 100)) / 100;
+
+    // Last line of defence for the refund ledger: total refunds can never exceed the order total
+    if (Math.round(getRefundedTotal(this) * 100) > Math.round(this.totalAmount * 100)) {
+        return next(new Error('Invalid refund amount: total refunds cannot exceed the order total.'));
+    }
     next();
 });
 
+// Provider webhooks look orders up by payment intent
+orderSchema.index({ 'payment.intentId': 1 }, { sparse: true });
+// Guest order lookup, and attaching guest orders to a new account
+orderSchema.index({ orderNumber: 1 }, { unique: true, partialFilterExpression: { orderNumber: { $type: 'string' } } });
+orderSchema.index({ guestEmail: 1 }, { partialFilterExpression: { guestEmail: { $type: 'string' } } });
+// Pre-orders waiting for stock, oldest first
+orderSchema.index({ orderStatus: 1, 'items.productId': 1, createdAt: 1 });
+// An invoice number belongs to one order only
+orderSchema.index({ invoiceNumber: 1 }, { unique: true, partialFilterExpression: { invoiceNumber: { $type: 'number' } } });
+
 const Order = mongoose.model('Order', orderSchema);
 
 module.exports = Order;
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+const PAYMENT_EVENT_RETENTION_DAYS = parseInt(process.env.PAYMENT_EVENT_RETENTION_DAYS, 10) || 30; // How long processed webhook event IDs are remembered
+
+// A payment provider webhook event that has been received. The unique (provider, eventId)
+// pair makes deliveries idempotent: a retried event finds its record and is not applied again.
+const paymentEventSchema = new mongoose.Schema({
+    provider: {
+        type: String,
+        required: true
+    },
+    eventId: { // Event ID assigned by the provider
+        type: String,
+        required: true
+    },
+    type: {
+        type: String,
+        required: true
+    },
+    intentId: { // Payment intent the event is about
+        type: String,
+        default: null
+    },
+    order: { // Order the event was applied to (null if no order matched)
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        default: null
+    },
+    status: { // 'processing' while being applied, 'processed' once done
+        type: String,
+        enum: ['processing', 'processed'],
+        default: 'processing'
+    },
+    processedAt: {
+        type: Date,
+        default: null
+    }
+}, { timestamps: true });
+
+paymentEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+
+// Old event records are removed automatically; providers stop retrying long before this
+paymentEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: PAYMENT_EVENT_RETENTION_DAYS * 24 * 60 * 60 });
+
+const PaymentEvent = mongoose.model('PaymentEvent', paymentEventSchema);
+
+module.exports = PaymentEvent;
@@ -1,4 +1,16 @@
 const mongoose = require('mongoose');
+const { syncAggregateStock } = require('../utils/productVariants');
+const { PREORDER_PAYMENT_OPTIONS } = require('../utils/preorders');
+
+// A sellable (size, color) combination with its own SKU code and inventory
+const variantSchema = new mongoose.Schema({
+    sku: { type: String, required: true, trim: true },
+    size: { type: String, trim: true },
+    color: { type: String, trim: true },
+    stock: { type: Number, required: true, min: 0 },
+    price: { type: Number, min: 0 }, // Optional override of the product's base price
+    images: [{ type: String }],
+});
 
 const productSchema = new mongoose.Schema({
     name: { type: String, required: true, trim: true },
@@ -20,7 +32,10 @@ const productSchema = new mongoose.Schema({
             stock: { type: Number, required: true, min: 0 },
         },
     ],
+    // When variants are present, sizes/colors/stock above are aggregates derived from them
+    variants: [variantSchema],
     brand: { type: mongoose.Schema.Types.ObjectId, ref: 'Brand', required: true },
+    weight: { type: Number, min: 0, default: 0 }, // Shipping weight per unit, in kilograms
     // Removed subCategory as it's better handled by hierarchical categories
     // --- New Fields for Product Listings ---
     isNewArrival: { // Flag for new products
@@ -36,6 +51,18 @@ const productSchema = new mongoose.Schema({
         enum: ['available', 'coming_soon', 'discontinued'], // Define allowed statuses
         default: 'available',
     },
+    preorder: { // Pre-order settings, used while the product is coming_soon (see utils/preorders.js)
+        enabled: { type: Boolean, default: false },
+        releaseDate: { type: Date, default: null }, // The product becomes available on this date
+        maxQuantity: { type: Number, min: 1, default: null }, // Cap on units pre-ordered (null = no cap)
+        paymentOption: { type: String, enum: PREORDER_PAYMENT_OPTIONS, default: 'full' }, // full, deposit or authorize (authorize-only)
+        depositPercent: { type: Number, min: 1, max: 99, default: null }, // Share of the total taken as a deposit
+    },
+    preorderedQuantity: { // Units pre-ordered so far, counted against preorder.maxQuantity
+        type: Number,
+        min: 0,
+        default: 0,
+    },
     onSale: { // Flag if product is on sale
         type: Boolean,
         default: false,
@@ -45,6 +72,14 @@ const productSchema = new mongoose.Schema({
         min: 0,
         required: function() { return this.onSale === true; } // Required only if onSale is true
     },
+    saleStartsAt: { // Optional: the sale price only applies from this moment...
+        type: Date,
+        default: null,
+    },
+    saleEndsAt: { // ...and until this moment
+        type: Date,
+        default: null,
+    },
     // --- Ratings ---
     ratings: [
         {
@@ -54,6 +89,7 @@ const productSchema = new mongoose.Schema({
         },
     ],
     averageRating: { type: Number, default: 0 },
+    soldCount: { type: Number, min: 0, default: 0 }, // Units ordered, less cancellations (sorts listings by popularity)
     // --- Comments ---
     comments: [
         {
@@ -66,6 +102,17 @@ const productSchema = new mongoose.Schema({
     timestamps: true,
 });
 
+// SKU codes are unique across the catalogue
+productSchema.index({ 'variants.sku': 1 }, { unique: true, sparse: true });
+// The pre-order release job looks up products due for release
+productSchema.index({ status: 1, 'preorder.releaseDate': 1 });
+
+// Keep aggregate size/color/product stock in line with the variant matrix before validation
+productSchema.pre('validate', function(next) {
+    syncAggregateStock(this);
+    next();
+});
+
 // Middleware to calculate average rating before saving
 productSchema.pre('save', function(next) {
     if (this.ratings && this.ratings.length > 0) {
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+const { PROMOTION_TYPES } = require('../utils/promotions');
+
+const tierSchema = new mongoose.Schema({
+    minSpend: { // Qualifying subtotal needed for this tier
+        type: Number,
+        required: true,
+        min: 0
+    },
+    percentOff: {
+        type: Number,
+        required: true,
+        min: 0,
+        max: 100
+    }
+}, { _id: false });
+
+// Automatic promotion: applies to every cart and order that qualifies, no code needed
+const promotionSchema = new mongoose.Schema({
+    name: { // Shown to the shopper next to the discount
+        type: String,
+        required: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    type: {
+        type: String,
+        required: true,
+        enum: PROMOTION_TYPES
+    },
+    // Qualifying items (bogo: bought and discounted; tiered: counted and discounted; bundle: the trigger items).
+    // Every restriction that is set must match; none set = every item qualifies.
+    categories: [{ // Includes subcategories
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category'
+    }],
+    brands: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Brand'
+    }],
+    products: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product'
+    }],
+    percentOff: { // Discount on the free/reward units (bogo and bundle); 100 = free
+        type: Number,
+        min: 0,
+        max: 100,
+        default: 100
+    },
+    buyQuantity: { // bogo: units bought at full price per group
+        type: Number,
+        min: 1,
+        default: 1
+    },
+    getQuantity: { // bogo: discounted units per group
+        type: Number,
+        min: 1,
+        default: 1
+    },
+    tiers: [tierSchema], // tiered: spend thresholds, the highest reached applies
+    rewardCategories: [{ // bundle: reward items (a trigger item is never its own reward)
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category'
+    }],
+    rewardBrands: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Brand'
+    }],
+    rewardProducts: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product'
+    }],
+    rewardQuantity: { // bundle: reward units unlocked per trigger unit
+        type: Number,
+        min: 1,
+        default: 1
+    },
+    priority: { // Higher runs first; later promotions apply to what earlier ones left
+        type: Number,
+        default: 0
+    },
+    startsAt: {
+        type: Date,
+        default: null
+    },
+    endsAt: {
+        type: Date,
+        default: null
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, { timestamps: true });
+
+promotionSchema.index({ isActive: 1, startsAt: 1, endsAt: 1 });
+
+const Promotion = mongoose.model('Promotion', promotionSchema);
+
+module.exports = Promotion;
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// A time-limited hold on stock of one product variant, placed when a shopper starts checkout.
+// Active holds count against available stock for every other shopper until they expire,
+// are released (cart change) or are converted into a stock decrement (order commit).
+const reservationSchema = new mongoose.Schema({
+    user: { // The signed-in shopper holding the stock
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        index: true
+    },
+    guestKey: { // Or the guest holding it (hash of their cart token, see utils/shoppers.js)
+        type: String,
+        index: true,
+        sparse: true
+    },
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    selectedSize: {
+        type: String,
+        default: null
+    },
+    selectedColor: {
+        type: String,
+        default: null
+    },
+    sku: { // SKU code of the held variant (for products with a variant matrix)
+        type: String
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    expiresAt: { // The hold stops counting at this time
+        type: Date,
+        required: true
+    }
+}, { timestamps: true });
+
+// Lookups of holds on a specific variant
+reservationSchema.index({ product: 1, selectedSize: 1, selectedColor: 1 });
+
+// MongoDB removes expired holds automatically (queries also ignore them as soon as they expire)
+reservationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Reservation = mongoose.model('Reservation', reservationSchema);
+
+module.exports = Reservation;
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+// Schema for one returned line (a quantity of a specific ordered size/color)
+const returnItemSchema = new mongoose.Schema({
+    productId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    name: { // Product name snapshot from the order
+        type: String,
+        required: true
+    },
+    selectedSize: {
+        type: String,
+        trim: true
+    },
+    selectedColor: {
+        type: String,
+        trim: true
+    },
+    sku: {
+        type: String,
+        trim: true
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    unitPrice: { // Effective unit price paid, used for the refund
+        type: Number,
+        required: true,
+        min: 0
+    },
+    restock: { // Restock decision, set when the items are received
+        type: Boolean,
+        default: null
+    }
+}, { _id: false });
+
+// Return merchandise authorization (RMA) for a delivered order
+const returnSchema = new mongoose.Schema({
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true,
+        index: true
+    },
+    user: { // Customer who requested the return
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    items: {
+        type: [returnItemSchema],
+        validate: [items => items.length > 0, 'A return must contain at least one item.']
+    },
+    reason: {
+        type: String,
+        required: true,
+        enum: ['wrong_size', 'defective', 'not_as_described', 'changed_mind', 'other']
+    },
+    customerNote: {
+        type: String,
+        trim: true
+    },
+    status: {
+        type: String,
+        required: true,
+        enum: ['requested', 'approved', 'rejected', 'received'],
+        default: 'requested'
+    },
+    adminNote: { // Reason for rejection, inspection notes, etc.
+        type: String,
+        trim: true
+    },
+    handledBy: { // Admin who last acted on the return
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    refundAmount: { // Amount recorded on the order's refunds when the items were received
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    approvedAt: { type: Date, default: null },
+    rejectedAt: { type: Date, default: null },
+    receivedAt: { type: Date, default: null }
+}, {
+    timestamps: true // createdAt is the request date
+});
+
+const Return = mongoose.model('Return', returnSchema);
+
+module.exports = Return;
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// Scheduled sale: a percentage off brands, categories or products between two moments.
+// A product is covered if it is listed, is of a listed brand, or is in a listed category or one of its subcategories.
+const saleSchema = new mongoose.Schema({
+    name: { // Shown to shoppers, e.g. "Summer running sale"
+        type: String,
+        required: true,
+        trim: true
+    },
+    percentOff: {
+        type: Number,
+        required: true,
+        min: 0,
+        max: 100
+    },
+    products: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product'
+    }],
+    brands: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Brand'
+    }],
+    categories: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category'
+    }],
+    startsAt: {
+        type: Date,
+        required: true
+    },
+    endsAt: {
+        type: Date,
+        required: true
+    },
+    isActive: { // Lets an admin pause a sale without changing its schedule
+        type: Boolean,
+        default: true
+    }
+}, { timestamps: true });
+
+saleSchema.index({ isActive: 1, startsAt: 1, endsAt: 1 });
+
+const Sale = mongoose.model('Sale', saleSchema);
+
+module.exports = Sale;
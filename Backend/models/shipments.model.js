@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+// Schema for one shipped line (a quantity of a specific ordered size/color)
+const shipmentItemSchema = new mongoose.Schema({
+    productId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    name: { // Product name snapshot from the order
+        type: String,
+        required: true
+    },
+    selectedSize: {
+        type: String,
+        trim: true
+    },
+    selectedColor: {
+        type: String,
+        trim: true
+    },
+    sku: {
+        type: String,
+        trim: true
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: 1
+    }
+}, { _id: false });
+
+// One parcel of an order; an order can be split over several shipments
+const shipmentSchema = new mongoose.Schema({
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true,
+        index: true
+    },
+    items: {
+        type: [shipmentItemSchema],
+        validate: [items => items.length > 0, 'A shipment must contain at least one item.']
+    },
+    carrier: { // e.g. "UPS", "DHL"
+        type: String,
+        required: true,
+        trim: true
+    },
+    trackingNumber: {
+        type: String,
+        trim: true,
+        default: null
+    },
+    status: {
+        type: String,
+        required: true,
+        enum: ['shipped', 'delivered'],
+        default: 'shipped'
+    },
+    shippedAt: {
+        type: Date,
+        default: Date.now
+    },
+    deliveredAt: {
+        type: Date,
+        default: null
+    },
+    note: {
+        type: String,
+        trim: true
+    },
+    createdBy: { // Admin who recorded the shipment
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+const Shipment = mongoose.model('Shipment', shipmentSchema);
+
+module.exports = Shipment;
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const { SHIPPING_METHODS, RATE_BASES } = require('../utils/shipping');
+
+// A country, or one state of a country, covered by the zone
+const regionSchema = new mongoose.Schema({
+    country: { // Matched against shippingAddress.country (stored upper case)
+        type: String,
+        required: true,
+        trim: true,
+        uppercase: true
+    },
+    state: { // Matched against shippingAddress.state; null = the whole country
+        type: String,
+        trim: true,
+        uppercase: true,
+        default: null
+    }
+}, { _id: false });
+
+// One bracket of a rate table: orders weighing (or counting) up to upTo cost `cost`
+const rateSchema = new mongoose.Schema({
+    upTo: { // Kilograms or items, depending on the method's basis; null = no limit
+        type: Number,
+        min: 0,
+        default: null
+    },
+    cost: {
+        type: Number,
+        required: true,
+        min: 0
+    }
+}, { _id: false });
+
+// A way of shipping offered in the zone (at most one of each method)
+const shippingMethodSchema = new mongoose.Schema({
+    method: {
+        type: String,
+        required: true,
+        enum: SHIPPING_METHODS
+    },
+    name: { // Shown to the shopper, e.g. "Express (1-2 business days)"
+        type: String,
+        required: true,
+        trim: true
+    },
+    basis: { // What the rate table is keyed on
+        type: String,
+        enum: RATE_BASES,
+        default: 'weight'
+    },
+    rates: [rateSchema], // Empty = free (e.g. store pickup)
+    freeShippingThreshold: { // Subtotal after discounts from which the method is free; null = never
+        type: Number,
+        min: 0,
+        default: null
+    },
+    deliveryEstimate: {
+        type: String,
+        trim: true
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, { _id: false });
+
+const shippingZoneSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    regions: [regionSchema],
+    methods: [shippingMethodSchema],
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, { timestamps: true });
+
+shippingZoneSchema.index({ 'regions.country': 1, 'regions.state': 1 });
+
+const ShippingZone = mongoose.model('ShippingZone', shippingZoneSchema);
+
+module.exports = ShippingZone;
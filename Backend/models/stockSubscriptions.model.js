@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// A request to be told when a sold-out size/color of a product is back in stock ("notify me").
+// Works without a wishlist and without an account: a guest only leaves an email address.
+// A subscription is used once (deleted after the notification) or expires unused.
+const stockSubscriptionSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    selectedSize: {
+        type: String,
+        default: null
+    },
+    selectedColor: {
+        type: String,
+        default: null
+    },
+    email: { // Where the notification goes (the user's account email when signed in)
+        type: String,
+        required: true,
+        lowercase: true,
+        trim: true
+    },
+    user: { // The signed-in shopper who subscribed, if any
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    expiresAt: { // Renewed when the same email subscribes again
+        type: Date,
+        required: true
+    }
+}, { timestamps: true });
+
+// One subscription per email and product size/color
+stockSubscriptionSchema.index({ product: 1, selectedSize: 1, selectedColor: 1, email: 1 }, { unique: true });
+
+// MongoDB removes expired subscriptions automatically (queries also ignore them as soon as they expire)
+stockSubscriptionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const StockSubscription = mongoose.model('StockSubscription', stockSubscriptionSchema);
+
+module.exports = StockSubscription;
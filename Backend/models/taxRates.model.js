@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// Percentage for one category (and its subcategories) that differs from the jurisdiction rate
+const categoryRateSchema = new mongoose.Schema({
+    category: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category',
+        required: true
+    },
+    rate: { // 0 = exempt
+        type: Number,
+        required: true,
+        min: 0,
+        max: 100
+    }
+}, { _id: false });
+
+// Tax rate for a country, or for one state of a country (the state rate wins over the country rate)
+const taxRateSchema = new mongoose.Schema({
+    country: { // Matched against shippingAddress.country (stored upper case)
+        type: String,
+        required: true,
+        trim: true,
+        uppercase: true
+    },
+    state: { // Matched against shippingAddress.state; null = the whole country
+        type: String,
+        trim: true,
+        uppercase: true,
+        default: null
+    },
+    name: { // Shown on the order, e.g. "VAT" or "CA sales tax"
+        type: String,
+        required: true,
+        trim: true
+    },
+    rate: { // Percentage
+        type: Number,
+        required: true,
+        min: 0,
+        max: 100
+    },
+    pricesIncludeTax: { // true = item prices already include the tax (it is broken out, not added)
+        type: Boolean,
+        default: false
+    },
+    categoryRates: [categoryRateSchema],
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, { timestamps: true });
+
+taxRateSchema.index({ country: 1, state: 1 }, { unique: true });
+
+const TaxRate = mongoose.model('TaxRate', taxRateSchema);
+
+module.exports = TaxRate;
@@ -43,6 +43,20 @@ const userSchema = new mongoose.Schema({
         type: Boolean,
         default: false
     },
+    emailVerifiedAt: { // Set once the user proved the email address is theirs; cleared when it changes
+        type: Date,
+        default: null
+    },
+    emailVerificationToken: { // SHA-256 hash of the token emailed to the user (never the token itself)
+        type: String,
+        default: null,
+        select: false
+    },
+    emailVerificationExpiresAt: {
+        type: Date,
+        default: null,
+        select: false
+    },
     createdAt: {
         type: Date,
         default: Date.now
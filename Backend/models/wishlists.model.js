@@ -2,45 +2,136 @@ const mongoose = require('mongoose');
 
 /**
  * @fileoverview Mongoose model for Wishlist.
- * Defines the schema for a user's wishlist, allowing them to save products.
+ * Defines the schema for a user's wishlists. A user can keep several named lists
+ * (e.g. "Running", "Gift ideas", "Winter"), each holding the products they want to save.
  */
 
+/**
+ * Schema for one product saved in a wishlist.
+ * Items keep their own _id so a single entry can be updated or removed.
+ */
+const wishlistItemSchema = new mongoose.Schema({
+    /**
+     * @property {mongoose.Schema.Types.ObjectId} product - The saved product.
+     */
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true,
+    },
+    /**
+     * @property {String} selectedSize - The size the user would buy (optional).
+     */
+    selectedSize: {
+        type: String,
+        trim: true,
+    },
+    /**
+     * @property {String} selectedColor - The color the user would buy (optional).
+     */
+    selectedColor: {
+        type: String,
+        trim: true,
+    },
+    /**
+     * @property {String} note - A free-text note, e.g. "for Dad's birthday" (optional).
+     */
+    note: {
+        type: String,
+        trim: true,
+        maxlength: 500,
+    },
+    /**
+     * @property {Date} addedAt - When the product was saved to the list.
+     */
+    addedAt: {
+        type: Date,
+        default: Date.now,
+    },
+    /**
+     * @property {Number} savedPrice - The effective price (sales included) when the item was saved;
+     * a price-drop alert fires when the price falls below it.
+     */
+    savedPrice: {
+        type: Number,
+        min: 0,
+    },
+    /**
+     * @property {Object} alerts - The alerts the owner opted in to for this product and size/color.
+     */
+    alerts: {
+        priceDrop: { type: Boolean, default: false },
+        backInStock: { type: Boolean, default: false },
+    },
+    /**
+     * @property {Object} alertState - What was last alerted, so the owner is not alerted twice
+     * for the same thing (see utils/wishlistAlerts.js).
+     */
+    alertState: {
+        lowestPriceAlerted: { type: Number },
+        backInStockAlertedAt: { type: Date },
+    },
+    /**
+     * @property {Object} purchase - Set when a viewer of the shared list marks the item as bought
+     * ({ markedAt, by }). Kept from the owner: it is left out of every JSON response and only
+     * shown on the shared (public) view.
+     */
+    purchase: {
+        markedAt: { type: Date },
+        by: { type: String, trim: true, maxlength: 50 },
+    },
+}, {
+    toJSON: {
+        transform: (doc, ret) => {
+            delete ret.purchase; // Gift surprises stay hidden from the owner
+            return ret;
+        },
+    },
+});
+
 const wishlistSchema = new mongoose.Schema({
     /**
      * @property {mongoose.Schema.Types.ObjectId} user - The ID of the user who owns this wishlist.
-     * This field is required and uniquely identifies the user associated with the wishlist.
+     * A user can own several wishlists.
      * It references the 'User' model, establishing a relationship between a wishlist and a user.
-     * Assumes a 'User' model exists in your application.
      */
     user: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User', // Reference to the User model
         required: true,
-        unique: true, // Ensures one wishlist per user. Remove if multiple wishlists per user are desired.
+        index: true,
     },
     /**
-     * @property {Array<mongoose.Schema.Types.ObjectId>} products - An array of product IDs in the wishlist.
-     * Each element in this array is an ObjectId referencing a product.
-     * This allows a user to have multiple products in their wishlist.
-     * It references the 'Product' model, establishing a relationship between a wishlist and products.
-     * Products can be added or removed from this array.
-     */
-    products: [
-        {
-            type: mongoose.Schema.Types.ObjectId,
-            ref: 'Product', // Reference to the Product model
-        }
-    ],
-    /**
-     * @property {String} name - An optional name for the wishlist.
-     * This allows users to name their wishlists (e.g., "My Favorites", "Birthday Gifts").
-     * If not provided, a default name could be set in the application logic.
+     * @property {String} name - The name of the wishlist (e.g., "Running", "Gift ideas").
+     * Names are unique per user, ignoring case (checked by the wishlist service).
      */
     name: {
         type: String,
+        required: true,
         trim: true,
+        maxlength: 50,
         default: 'My Wishlist', // A default name if none is provided
     },
+    /**
+     * @property {Array<Object>} items - The products in the wishlist, each with an optional
+     * preferred size, color and note. A product appears once per size/color combination.
+     */
+    items: [wishlistItemSchema],
+    /**
+     * @property {String} shareToken - Unguessable token of the list's public link, or null while
+     * the list is not shared. Regenerating it replaces the old link; revoking clears it.
+     */
+    shareToken: {
+        type: String,
+        default: null,
+    },
+    /**
+     * @property {Date} sharedAt - When the current share link was created.
+     */
+    sharedAt: {
+        type: Date,
+        default: null,
+    },
 }, {
     /**
      * @property {Object} timestamps - Mongoose schema option to automatically add createdAt and updatedAt fields.
@@ -50,8 +141,13 @@ const wishlistSchema = new mongoose.Schema({
     timestamps: true,
 });
 
+// Alerts look up the items of a changed product
+wishlistSchema.index({ 'items.product': 1 });
+
+// Share links are looked up by token
+wishlistSchema.index({ shareToken: 1 }, { unique: true, partialFilterExpression: { shareToken: { $type: 'string' } } });
+
 // Create the Mongoose model from the schema
 const Wishlist = mongoose.model('Wishlist', wishlistSchema);
 
 module.exports = Wishlist;
-
@@ -1,51 +1,83 @@
 const Cart = require('../models/carts.model'); // Ensure the path is correct
 const Product = require('../models/products.model'); // Need Product model for checking availability
+const { getAvailableStock } = require('../utils/productVariants');
+const { getShopperFilter } = require('../utils/shoppers');
+const reservationsRepository = require('./reservations.repository'); // Checkout holds of merged carts are released
+const mongoose = require('mongoose');
+
+// Products are populated for cart lines and saved-for-later items alike
+const POPULATE_PATHS = ['items.product', 'savedItems.product'];
+
+// Cart lines are matched on product + size + color
+function isSameLine(a, b) {
+    return a.product.toString() === b.product.toString() &&
+        (a.selectedSize || null) === (b.selectedSize || null) &&
+        (a.selectedColor || null) === (b.selectedColor || null);
+}
+
+// Stock a cart line can still have, or null if the product or its size/color can no longer be bought
+function getMergeableStock(product, item) {
+    if (!product || product.status !== 'available') {
+        return null;
+    }
+    try {
+        return getAvailableStock(product, item.selectedSize, item.selectedColor);
+    } catch (error) {
+        return null; // The size or color was removed
+    }
+}
 
 /**
- * Retrieves a user's cart, populating product details.
- * @param {string} userId - The ID of the user.
+ * Retrieves a shopper's cart, populating product details.
+ * @param {string|object} shopper - The ID of the user, or a guest { guestKey } (see utils/shoppers.js).
+ * @param {boolean} [populate=true] - Populate the products (without it, items keep the product IDs even for deleted products).
  * @returns {Promise<Cart>} - The cart document.
  */
-async function getCartByUserId(userId) {
+async function getCartByShopper(shopper, populate = true) {
+    const query = Cart.findOne(getShopperFilter(shopper));
     // Populate the product details for each item in the cart
-    return await Cart.findOne({ user: userId }).populate('items.product');
+    return populate ? await query.populate(POPULATE_PATHS) : await query;
 }
 
 /**
- * Creates a new cart for a user.
- * @param {string} userId - The ID of the user.
+ * Creates a new cart for a shopper.
+ * @param {string|object} shopper - The ID of the user, or a guest { guestKey }.
  * @returns {Promise<Cart>} - The newly created cart document.
  */
-async function createCart(userId) {
-    const newCart = new Cart({ user: userId, items: [], totalPrice: 0 });
+async function createCart(shopper) {
+    const newCart = new Cart({ ...getShopperFilter(shopper), items: [], totalPrice: 0 });
     return await newCart.save();
 }
 
 /**
  * Adds an item to the cart or updates its quantity if it already exists.
- * @param {string} userId - The ID of the user.
+ * @param {string|object} shopper - The ID of the user, or a guest { guestKey }.
  * @param {string} productId - The ID of the product.
  * @param {number} quantity - The quantity to add.
  * @param {number} price - The current price of the product.
  * @param {number} [salePrice] - The current sale price of the product (optional).
  * @param {string} [selectedSize] - The selected size (optional).
  * @param {string} [selectedColor] - The selected color (optional).
+ * @param {string} [sku] - The SKU code of the selected variant (optional).
+ * @param {Date} [saleEndsAt] - When the sale price stops applying (optional).
  * @returns {Promise<Cart>} - The updated cart document.
  * @throws {Error} If product is not found or out of stock.
  */
-async function addItemToCart(userId, productId, quantity, price, salePrice, selectedSize, selectedColor) {
-    let cart = await Cart.findOne({ user: userId });
+async function addItemToCart(shopper, productId, quantity, price, salePrice, selectedSize, selectedColor, sku, saleEndsAt = null) {
+    let cart = await Cart.findOne(getShopperFilter(shopper));
 
     if (!cart) {
-        cart = await createCart(userId);
+        cart = await createCart(shopper);
     }
 
     const product = await Product.findById(productId);
     if (!product) {
         throw new Error('Product not found.');
     }
-    if (product.stockQuantity < quantity) {
-        throw new Error(`Not enough stock for ${product.name}. Available: ${product.stockQuantity}`);
+    // Stock of the exact variant (or size/color for legacy products)
+    const availableStock = getAvailableStock(product, selectedSize, selectedColor);
+    if (availableStock < quantity) {
+        throw new Error(`Not enough stock for ${product.name}. Available: ${availableStock}`);
     }
 
     // Find if the item (with specific variations) already exists in the cart
@@ -59,8 +91,8 @@ async function addItemToCart(userId, productId, quantity, price, salePrice, sele
         // Update quantity of existing item
         cart.items[existingItemIndex].quantity += quantity;
         // Re-check stock for the new total quantity
-        if (product.stockQuantity < cart.items[existingItemIndex].quantity) {
-             throw new Error(`Adding ${quantity} exceeds stock for ${product.name}. Max allowed: ${product.stockQuantity - (cart.items[existingItemIndex].quantity - quantity)}`);
+        if (availableStock < cart.items[existingItemIndex].quantity) {
+             throw new Error(`Adding ${quantity} exceeds stock for ${product.name}. Max allowed: ${availableStock - (cart.items[existingItemIndex].quantity - quantity)}`);
         }
     } else {
         // Add new item to cart
@@ -69,32 +101,34 @@ async function addItemToCart(userId, productId, quantity, price, salePrice, sele
             quantity: quantity,
             price: price,
             salePrice: salePrice,
+            saleEndsAt: salePrice !== undefined ? saleEndsAt : null,
             selectedSize: selectedSize,
-            selectedColor: selectedColor
+            selectedColor: selectedColor,
+            sku: sku
         });
     }
 
     // The pre-save hook will calculate totalPrice
     await cart.save();
     // Re-populate to return the full product details
-    return await cart.populate('items.product');
+    return await cart.populate(POPULATE_PATHS);
 }
 
 /**
  * Removes a specific item (or a specific variation) from the cart.
  * If quantity in cart drops to 0, the item is removed.
- * @param {string} userId - The ID of the user.
+ * @param {string|object} shopper - The ID of the user, or a guest { guestKey }.
  * @param {string} productId - The ID of the product to remove.
  * @param {string} [selectedSize] - The selected size (optional, for specific variation).
  * @param {string} [selectedColor] - The selected color (optional, for specific variation).
  * @returns {Promise<Cart>} - The updated cart document.
  * @throws {Error} If cart not found.
  */
-async function removeItemFromCart(userId, productId, selectedSize = undefined, selectedColor = undefined) {
-    const cart = await Cart.findOne({ user: userId });
+async function removeItemFromCart(shopper, productId, selectedSize = undefined, selectedColor = undefined) {
+    const cart = await Cart.findOne(getShopperFilter(shopper));
 
     if (!cart) {
-        throw new Error('Cart not found for this user.');
+        throw new Error('Cart not found.');
     }
 
     // Filter out the item(s) to be removed based on product ID and optional variations
@@ -114,13 +148,13 @@ async function removeItemFromCart(userId, productId, selectedSize = undefined, s
 
     // The pre-save hook will recalculate totalPrice
     await cart.save();
-    return await cart.populate('items.product');
+    return await cart.populate(POPULATE_PATHS);
 }
 
 /**
  * Updates the quantity of a specific item in the cart.
  * If newQuantity is 0 or less, the item is removed.
- * @param {string} userId - The ID of the user.
+ * @param {string|object} shopper - The ID of the user, or a guest { guestKey }.
  * @param {string} productId - The ID of the product.
  * @param {number} newQuantity - The new quantity for the item.
  * @param {string} [selectedSize] - The selected size (optional).
@@ -128,11 +162,11 @@ async function removeItemFromCart(userId, productId, selectedSize = undefined, s
  * @returns {Promise<Cart>} - The updated cart document.
  * @throws {Error} If cart or item not found, or not enough stock.
  */
-async function updateItemQuantity(userId, productId, newQuantity, selectedSize = undefined, selectedColor = undefined) {
-    const cart = await Cart.findOne({ user: userId });
+async function updateItemQuantity(shopper, productId, newQuantity, selectedSize = undefined, selectedColor = undefined) {
+    const cart = await Cart.findOne(getShopperFilter(shopper));
 
     if (!cart) {
-        throw new Error('Cart not found for this user.');
+        throw new Error('Cart not found.');
     }
 
     const itemIndex = cart.items.findIndex(item =>
@@ -153,41 +187,428 @@ async function updateItemQuantity(userId, productId, newQuantity, selectedSize =
         if (!product) {
             throw new Error('Product not found.'); // Should ideally not happen if item is already in cart
         }
-        if (product.stockQuantity < newQuantity) {
-            throw new Error(`Not enough stock for ${product.name}. Available: ${product.stockQuantity}. Requested: ${newQuantity}`);
+        const availableStock = getAvailableStock(product, selectedSize, selectedColor);
+        if (availableStock < newQuantity) {
+            throw new Error(`Not enough stock for ${product.name}. Available: ${availableStock}. Requested: ${newQuantity}`);
         }
         cart.items[itemIndex].quantity = newQuantity;
     }
 
     await cart.save();
-    return await cart.populate('items.product');
+    return await cart.populate(POPULATE_PATHS);
 }
 
 /**
- * Clears all items from a user's cart.
- * @param {string} userId - The ID of the user.
+ * Clears all items from a shopper's cart. Saved-for-later items stay.
+ * @param {string|object} shopper - The ID of the user, or a guest { guestKey }.
  * @returns {Promise<Cart>} - The updated (empty) cart document.
  * @throws {Error} If cart not found.
  */
-async function clearCart(userId) {
-    const cart = await Cart.findOne({ user: userId });
+async function clearCart(shopper) {
+    const cart = await Cart.findOne(getShopperFilter(shopper));
 
     if (!cart) {
-        throw new Error('Cart not found for this user.');
+        throw new Error('Cart not found.');
     }
 
     cart.items = [];
+    // A coupon is used up with the cart it was applied to
+    cart.couponCode = null;
+    cart.couponError = null;
+    cart.discounts = [];
     // The pre-save hook will automatically set totalPrice to 0
     await cart.save();
     return cart; // No need to populate an empty cart
 }
 
+/**
+ * Stores the applied coupon and the recomputed discounts of a cart.
+ * @param {string|object} shopper - The ID of the user, or a guest { guestKey }.
+ * @param {object} fields - { couponCode, couponError, discounts }
+ * @returns {Promise<Cart>} - The updated cart document, products populated.
+ * @throws {Error} If cart not found.
+ */
+async function updateCartDiscounts(shopper, { couponCode, couponError, discounts }) {
+    const cart = await Cart.findOne(getShopperFilter(shopper));
+
+    if (!cart) {
+        throw new Error('Cart not found.');
+    }
+
+    cart.couponCode = couponCode;
+    cart.couponError = couponError;
+    cart.discounts = discounts;
+    // The pre-save hook will recalculate subtotal, discountAmount and totalPrice
+    await cart.save();
+    return await cart.populate(POPULATE_PATHS);
+}
+
+/**
+ * Drops sale price snapshots whose sale has ended, so the cart is saved at regular prices.
+ * @param {string|object} shopper - The ID of the user, or a guest { guestKey }.
+ * @param {Date} [now] - The moment to check against.
+ * @returns {Promise<Cart|null>} - The updated cart document, products populated (null if nothing expired).
+ */
+async function clearExpiredSalePrices(shopper, now = new Date()) {
+    const cart = await Cart.findOne(getShopperFilter(shopper));
+    if (!cart) {
+        return null;
+    }
+    const expiredItems = cart.items.filter(item => item.saleEndsAt && item.saleEndsAt < now);
+    if (expiredItems.length === 0) {
+        return null;
+    }
+    expiredItems.forEach(item => {
+        item.salePrice = undefined;
+        item.saleEndsAt = null;
+    });
+    // The pre-save hook will recalculate subtotal and totalPrice
+    await cart.save();
+    return await cart.populate(POPULATE_PATHS);
+}
+
+/**
+ * Moves a cart line to the saved-for-later list. If the same selection is already saved,
+ * the quantities are added up.
+ * @param {string|object} shopper - The ID of the user, or a guest { guestKey }.
+ * @param {string} productId - The ID of the product.
+ * @param {string} [selectedSize] - The selected size (optional).
+ * @param {string} [selectedColor] - The selected color (optional).
+ * @returns {Promise<Cart>} - The updated cart document, products populated.
+ * @throws {Error} If cart or item not found.
+ */
+async function saveItemForLater(shopper, productId, selectedSize = undefined, selectedColor = undefined) {
+    const cart = await Cart.findOne(getShopperFilter(shopper));
+
+    if (!cart) {
+        throw new Error('Cart not found.');
+    }
+
+    const selection = { product: productId, selectedSize, selectedColor };
+    const itemIndex = cart.items.findIndex(item => isSameLine(item, selection));
+    if (itemIndex === -1) {
+        throw new Error('Item not found in cart.');
+    }
+
+    const [item] = cart.items.splice(itemIndex, 1);
+    const savedItem = cart.savedItems.find(saved => isSameLine(saved, selection));
+    if (savedItem) {
+        savedItem.quantity += item.quantity;
+        savedItem.savedAt = new Date();
+    } else {
+        cart.savedItems.push({
+            product: item.product,
+            quantity: item.quantity,
+            selectedSize: item.selectedSize,
+            selectedColor: item.selectedColor,
+            sku: item.sku
+        });
+    }
+
+    // The pre-save hook will recalculate subtotal and totalPrice
+    await cart.save();
+    return await cart.populate(POPULATE_PATHS);
+}
+
+/**
+ * Moves a saved-for-later item back into the cart at the given (current) prices.
+ * If the cart already has the same selection, the quantities are added up.
+ * @param {string|object} shopper - The ID of the user, or a guest { guestKey }.
+ * @param {string} productId - The ID of the product.
+ * @param {object} pricing - { price, salePrice?, saleEndsAt?, sku? } The current prices of the selection.
+ * @param {string} [selectedSize] - The selected size (optional).
+ * @param {string} [selectedColor] - The selected color (optional).
+ * @returns {Promise<Cart>} - The updated cart document, products populated.
+ * @throws {Error} If cart, saved item or product not found, or not enough stock.
+ */
+async function moveSavedItemToCart(shopper, productId, { price, salePrice, saleEndsAt = null, sku }, selectedSize = undefined, selectedColor = undefined) {
+    const cart = await Cart.findOne(getShopperFilter(shopper));
+
+    if (!cart) {
+        throw new Error('Cart not found.');
+    }
+
+    const selection = { product: productId, selectedSize, selectedColor };
+    const savedIndex = cart.savedItems.findIndex(saved => isSameLine(saved, selection));
+    if (savedIndex === -1) {
+        throw new Error('Item not found in saved items.');
+    }
+    const savedItem = cart.savedItems[savedIndex];
+
+    const product = await Product.findById(productId);
+    if (!product) {
+        throw new Error('Product not found.');
+    }
+    const existing = cart.items.find(item => isSameLine(item, selection));
+    const quantity = savedItem.quantity + (existing ? existing.quantity : 0);
+    const availableStock = getAvailableStock(product, savedItem.selectedSize, savedItem.selectedColor);
+    if (availableStock < quantity) {
+        throw new Error(`Not enough stock for ${product.name}. Available: ${availableStock}. Requested: ${quantity}`);
+    }
+
+    if (existing) {
+        existing.quantity = quantity;
+    } else {
+        cart.items.push({
+            product: savedItem.product,
+            quantity: savedItem.quantity,
+            price: price,
+            salePrice: salePrice,
+            saleEndsAt: salePrice !== undefined ? saleEndsAt : null,
+            selectedSize: savedItem.selectedSize,
+            selectedColor: savedItem.selectedColor,
+            sku: sku || savedItem.sku
+        });
+    }
+    cart.savedItems.splice(savedIndex, 1);
+
+    // The pre-save hook will recalculate subtotal and totalPrice
+    await cart.save();
+    return await cart.populate(POPULATE_PATHS);
+}
+
+/**
+ * Removes an item from the saved-for-later list.
+ * @param {string|object} shopper - The ID of the user, or a guest { guestKey }.
+ * @param {string} productId - The ID of the product.
+ * @param {string} [selectedSize] - The selected size (optional).
+ * @param {string} [selectedColor] - The selected color (optional).
+ * @returns {Promise<Cart>} - The updated cart document, products populated.
+ * @throws {Error} If cart or saved item not found.
+ */
+async function removeSavedItem(shopper, productId, selectedSize = undefined, selectedColor = undefined) {
+    const cart = await Cart.findOne(getShopperFilter(shopper));
+
+    if (!cart) {
+        throw new Error('Cart not found.');
+    }
+
+    const savedIndex = cart.savedItems.findIndex(saved => isSameLine(saved, { product: productId, selectedSize, selectedColor }));
+    if (savedIndex === -1) {
+        throw new Error('Item not found in saved items.');
+    }
+    cart.savedItems.splice(savedIndex, 1);
+
+    await cart.save();
+    return await cart.populate(POPULATE_PATHS);
+}
+
+/**
+ * Applies fixes to cart lines: removes lines or updates their price snapshot and quantity.
+ * Lines that changed or disappeared since the fixes were worked out are left alone.
+ * @param {string|object} shopper - The ID of the user, or a guest { guestKey }.
+ * @param {Array<object>} fixes - [{ product, selectedSize?, selectedColor?, remove?: true, set?: { price?, salePrice?, saleEndsAt?, quantity? } }]
+ * @returns {Promise<Cart>} - The updated cart document, products populated.
+ * @throws {Error} If cart not found.
+ */
+async function applyCartFixes(shopper, fixes) {
+    const cart = await Cart.findOne(getShopperFilter(shopper));
+
+    if (!cart) {
+        throw new Error('Cart not found.');
+    }
+
+    for (const fix of fixes) {
+        const item = cart.items.find(line => isSameLine(line, fix));
+        if (!item) {
+            continue;
+        }
+        if (fix.remove) {
+            cart.items.splice(cart.items.indexOf(item), 1);
+        } else {
+            Object.assign(item, fix.set);
+        }
+    }
+
+    // The pre-save hook will recalculate subtotal and totalPrice
+    await cart.save();
+    return await cart.populate(POPULATE_PATHS);
+}
+
+/**
+ * Merges a guest cart into a user's cart (when the guest signs in) and deletes the guest cart.
+ * Lines of the same product, size and color are summed, and every merged line is capped at the
+ * stock available for it; guest lines that can no longer be bought are left out. The guest's
+ * coupon carries over if the user's cart has none, and so do saved-for-later items. Checkout
+ * holds of both carts are released.
+ * Uses a transaction so the guest cart is only removed together with the merge.
+ * @param {object} guestShopper - The guest { guestKey } (see utils/shoppers.js).
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<{ cart: Cart, adjustments: Array<object> }|null>} - The merged cart (products populated) and the lines
+ *          that did not merge in full: { productId, name, selectedSize, selectedColor, requestedQuantity, quantity,
+ *          reason: 'limited_by_stock' | 'out_of_stock' | 'unavailable' }. Null if the guest cart was empty.
+ */
+async function mergeGuestCart(guestShopper, userId) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const guestCart = await Cart.findOne(getShopperFilter(guestShopper)).session(session);
+        if (!guestCart || (guestCart.items.length === 0 && guestCart.savedItems.length === 0)) {
+            await session.abortTransaction();
+            session.endSession();
+            return null;
+        }
+
+        const cart = await Cart.findOne({ user: userId }).session(session) || new Cart({ user: userId, items: [], totalPrice: 0 });
+        const adjustments = [];
+        for (const guestItem of guestCart.items) {
+            const product = await Product.findById(guestItem.product).session(session);
+            const existing = cart.items.find(item => isSameLine(item, guestItem));
+            const requestedQuantity = guestItem.quantity + (existing ? existing.quantity : 0);
+            const adjustment = {
+                productId: guestItem.product,
+                name: product ? product.name : null,
+                selectedSize: guestItem.selectedSize,
+                selectedColor: guestItem.selectedColor,
+                requestedQuantity
+            };
+
+            const availableStock = getMergeableStock(product, guestItem);
+            if (availableStock === null) {
+                // Whatever the user already had stays as it was
+                adjustments.push({ ...adjustment, quantity: existing ? existing.quantity : 0, reason: 'unavailable' });
+                continue;
+            }
+
+            const quantity = Math.min(requestedQuantity, Math.max(availableStock, 0));
+            if (quantity < requestedQuantity) {
+                adjustments.push({ ...adjustment, quantity, reason: quantity > 0 ? 'limited_by_stock' : 'out_of_stock' });
+            }
+            if (existing && quantity > 0) {
+                existing.quantity = quantity;
+            } else if (existing) {
+                cart.items.splice(cart.items.indexOf(existing), 1);
+            } else if (quantity > 0) {
+                cart.items.push({ ...guestItem.toObject(), quantity });
+            }
+        }
+
+        // Saved-for-later items come along unless the user already saved the same selection
+        for (const savedItem of guestCart.savedItems) {
+            if (!cart.savedItems.some(item => isSameLine(item, savedItem))) {
+                cart.savedItems.push(savedItem.toObject());
+            }
+        }
+
+        if (!cart.couponCode && guestCart.couponCode) {
+            cart.couponCode = guestCart.couponCode;
+        }
+
+        // The pre-save hook will recalculate subtotal and totalPrice
+        await cart.save({ session });
+        await Cart.deleteOne({ _id: guestCart._id }).session(session);
+        await reservationsRepository.deleteReservationsByShopper(guestShopper, session);
+        await reservationsRepository.deleteReservationsByShopper(userId, session);
+
+        await session.commitTransaction();
+        session.endSession();
+
+        return { cart: await cart.populate(POPULATE_PATHS), adjustments };
+    } catch (error) {
+        await session.abortTransaction();
+        session.endSession();
+        console.error('Error merging guest cart:', error);
+        throw error;
+    }
+}
+
+/**
+ * Finds signed-in shoppers' carts with items that were last touched before a moment and have not
+ * had every reminder yet. Guest carts are left out: there is no address to remind them at.
+ * @param {Date} abandonedBefore - Carts touched after this are still active.
+ * @param {number} lastStage - The last reminder stage of the schedule.
+ * @param {number} [limit] - The most carts to return in one go.
+ * @returns {Promise<Array<Cart>>} - Oldest first, with the user (email and names) and products populated.
+ */
+async function getAbandonedUserCarts(abandonedBefore, lastStage, limit = 100) {
+    return Cart.find({
+        user: { $exists: true },
+        'items.0': { $exists: true },
+        updatedAt: { $lte: abandonedBefore },
+        'reminder.stage': { $not: { $gte: lastStage } } // Also matches carts saved before reminders existed
+    })
+        .sort({ updatedAt: 1 })
+        .limit(limit)
+        .populate('user', 'email username firstName lastName')
+        .populate('items.product', 'name')
+        .exec();
+}
+
+/**
+ * Records that a reminder stage was sent for a cart. Does not touch updatedAt, so the cart keeps
+ * counting as abandoned from its last real activity. Only applies if the cart was not changed
+ * since it was read, so a shopper who comes back in the meantime is not marked as reminded.
+ * @param {string} cartId - The ID of the cart.
+ * @param {Date} lastUpdatedAt - The cart's updatedAt when it was read.
+ * @param {object} reminder - { stage, couponCode? }
+ * @returns {Promise<boolean>} - False if the cart changed in the meantime.
+ */
+async function recordCartReminder(cartId, lastUpdatedAt, { stage, couponCode }) {
+    const update = { 'reminder.stage': stage, 'reminder.sentAt': new Date() };
+    if (couponCode) {
+        update['reminder.couponCode'] = couponCode;
+    }
+    const result = await Cart.updateOne(
+        { _id: cartId, updatedAt: lastUpdatedAt },
+        { $set: update },
+        { timestamps: false }
+    );
+    return result.modifiedCount === 1;
+}
+
+/**
+ * Totals the carts with items that were last touched before a moment, by the day they were
+ * last touched (UTC). Guest carts count too.
+ * @param {Date} abandonedBefore - Carts touched after this are still active.
+ * @param {Date} from - First moment to include.
+ * @param {Date} to - Last moment to include.
+ * @returns {Promise<Array<object>>} - [{ date: 'YYYY-MM-DD', carts, guestCarts, items, value, reminded }], by date.
+ */
+async function getAbandonedValueByDay(abandonedBefore, from, to) {
+    const lastTouched = new Date(Math.min(abandonedBefore.getTime(), to.getTime()));
+    return Cart.aggregate([
+        { $match: { 'items.0': { $exists: true }, updatedAt: { $gte: from, $lte: lastTouched } } },
+        {
+            $group: {
+                _id: { $dateToString: { format: '%Y-%m-%d', date: '$updatedAt' } },
+                carts: { $sum: 1 },
+                guestCarts: { $sum: { $cond: [{ $ifNull: ['$guestKey', false] }, 1, 0] } },
+                items: { $sum: { $sum: '$items.quantity' } },
+                value: { $sum: '$totalPrice' },
+                reminded: { $sum: { $cond: [{ $gt: ['$reminder.stage', 0] }, 1, 0] } }
+            }
+        },
+        { $sort: { _id: 1 } },
+        {
+            $project: {
+                _id: 0,
+                date: '$_id',
+                carts: 1,
+                guestCarts: 1,
+                items: 1,
+                value: { $round: ['$value', 2] },
+                reminded: 1
+            }
+        }
+    ]);
+}
 
 module.exports = {
-    getCartByUserId,
+    getCartByShopper,
     createCart,
     addItemToCart,
     removeItemFromCart,
     updateItemQuantity,
-    clearCart
+    clearCart,
+    updateCartDiscounts,
+    clearExpiredSalePrices,
+    saveItemForLater,
+    moveSavedItemToCart,
+    removeSavedItem,
+    applyCartFixes,
+    mergeGuestCart,
+    getAbandonedUserCarts,
+    recordCartReminder,
+    getAbandonedValueByDay
 };
@@ -63,6 +63,16 @@ async function getSubcategoriesByParent(parentId) {
         .exec();
 }
 
+/**
+ * Retrieves the IDs of all subcategories (at any depth) of the given categories.
+ * @param {Array<string>} categoryIds - The IDs of the parent categories.
+ * @returns {Promise<Array<ObjectId>>} - The IDs of their descendants.
+ */
+async function getDescendantCategoryIds(categoryIds) {
+    const descendants = await Category.find({ 'ancestors._id': { $in: categoryIds } }).select('_id').exec();
+    return descendants.map(category => category._id);
+}
+
 // Update a category by ID
 async function updateCategory(id, updateData) {
     return Category.findByIdAndUpdate(id, updateData, { new: true, runValidators: true }).exec();
@@ -81,6 +91,7 @@ module.exports = {
     getCategoryBySlug,
     getMainCategories,      
     getSubcategoriesByParent, 
+    getDescendantCategoryIds,
     updateCategory,
     deleteCategory,
 };
@@ -0,0 +1,22 @@
+const Counter = require('../models/counters.model');
+
+/**
+ * Takes the next number of a named sequence, starting at 1.
+ * Run it in the same transaction as the write that uses the number: if that transaction
+ * aborts, the increment is rolled back with it and the sequence stays gapless.
+ * @param {string} name - The sequence name.
+ * @param {ClientSession} [session] - The transaction session.
+ * @returns {Promise<number>}
+ */
+async function getNextSequence(name, session) {
+    const counter = await Counter.findOneAndUpdate(
+        { _id: name },
+        { $inc: { seq: 1 } },
+        { new: true, upsert: true, session }
+    ).exec();
+    return counter.seq;
+}
+
+module.exports = {
+    getNextSequence
+};
@@ -0,0 +1,156 @@
+const Coupon = require('../models/coupons.model');
+const CouponRedemption = require('../models/couponRedemptions.model');
+
+/**
+ * Creates a new coupon.
+ * @param {object} couponData - The coupon fields.
+ * @returns {Promise<Coupon>}
+ */
+async function createCoupon(couponData) {
+    const coupon = new Coupon(couponData);
+    return coupon.save();
+}
+
+/**
+ * Retrieves all coupons, newest first.
+ * @returns {Promise<Array<Coupon>>}
+ */
+async function getAllCoupons() {
+    return Coupon.find({}).sort({ createdAt: -1 }).exec();
+}
+
+/**
+ * Retrieves a coupon by its ID.
+ * @param {string} id - The ID of the coupon.
+ * @returns {Promise<Coupon|null>}
+ */
+async function getCouponById(id) {
+    return Coupon.findById(id).exec();
+}
+
+/**
+ * Retrieves a coupon by its code (case-insensitive, codes are stored upper case).
+ * @param {string} code - The coupon code.
+ * @returns {Promise<Coupon|null>}
+ */
+async function getCouponByCode(code) {
+    return Coupon.findOne({ code: code.trim().toUpperCase() }).exec();
+}
+
+/**
+ * Updates a coupon by its ID.
+ * @param {string} id - The ID of the coupon.
+ * @param {object} updateData - The fields to update.
+ * @returns {Promise<Coupon|null>} - The updated coupon.
+ */
+async function updateCoupon(id, updateData) {
+    return Coupon.findByIdAndUpdate(id, updateData, { new: true, runValidators: true }).exec();
+}
+
+/**
+ * Deletes a coupon by its ID.
+ * @param {string} id - The ID of the coupon.
+ * @returns {Promise<Coupon|null>} - The deleted coupon.
+ */
+async function deleteCoupon(id) {
+    return Coupon.findByIdAndDelete(id).exec();
+}
+
+/**
+ * Counts how many times a customer has redeemed a coupon.
+ * @param {string} couponId - The ID of the coupon.
+ * @param {string} userId - The ID of the customer.
+ * @param {ClientSession} [session] - Optional transaction session.
+ * @returns {Promise<number>}
+ */
+async function countUserRedemptions(couponId, userId, session = null) {
+    return CouponRedemption.countDocuments({ coupon: couponId, user: userId }).session(session).exec();
+}
+
+/**
+ * Counts how many times a guest customer has redeemed a coupon.
+ * @param {string} couponId - The ID of the coupon.
+ * @param {string} email - The guest's email address.
+ * @param {ClientSession} [session] - Optional transaction session.
+ * @returns {Promise<number>}
+ */
+async function countGuestRedemptions(couponId, email, session = null) {
+    return CouponRedemption.countDocuments({ coupon: couponId, guestEmail: email }).session(session).exec();
+}
+
+/**
+ * Attaches the coupon redemptions of guest orders to the account the orders were attached to.
+ * @param {Array<string>} orderIds - The IDs of the orders.
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<object>} - The update result.
+ */
+async function attachGuestRedemptions(orderIds, userId) {
+    return CouponRedemption.updateMany({ order: { $in: orderIds }, user: null }, { $set: { user: userId } }).exec();
+}
+
+/**
+ * Redeems a coupon for an order inside the order's transaction. The global usage limit is
+ * enforced atomically on the coupon's counter; the per-customer limit is checked in the same transaction.
+ * @param {object} redemption - { coupon, user or guestEmail, order, code, discountAmount }
+ * @param {ClientSession} session - The order transaction session.
+ * @returns {Promise<CouponRedemption>}
+ * @throws {Error} - If a usage limit has been reached in the meantime.
+ */
+async function redeemCoupon(redemption, session) {
+    const coupon = await Coupon.findOneAndUpdate(
+        {
+            _id: redemption.coupon,
+            $or: [{ usageLimit: null }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }]
+        },
+        { $inc: { usedCount: 1 } },
+        { new: true, session }
+    ).exec();
+    if (!coupon) {
+        throw new Error(`Invalid coupon: ${redemption.code} has reached its usage limit.`);
+    }
+
+    if (coupon.usageLimitPerUser !== null) {
+        const used = redemption.user
+            ? await countUserRedemptions(coupon._id, redemption.user, session)
+            : await countGuestRedemptions(coupon._id, redemption.guestEmail, session);
+        if (used >= coupon.usageLimitPerUser) {
+            throw new Error(`Invalid coupon: you have already used ${redemption.code} the maximum number of times.`);
+        }
+    }
+
+    const [created] = await CouponRedemption.create([redemption], { session });
+    return created;
+}
+
+/**
+ * Releases the coupon redemption of an order (e.g. when it is cancelled), freeing the usage again.
+ * @param {string} orderId - The ID of the order.
+ * @param {ClientSession} [session] - Optional transaction session.
+ * @returns {Promise<boolean>} - False if the order had no redemption.
+ */
+async function releaseRedemption(orderId, session = null) {
+    const redemption = await CouponRedemption.findOneAndDelete({ order: orderId }, { session }).exec();
+    if (!redemption) {
+        return false;
+    }
+    await Coupon.updateOne(
+        { _id: redemption.coupon, usedCount: { $gt: 0 } },
+        { $inc: { usedCount: -1 } },
+        { session }
+    ).exec();
+    return true;
+}
+
+module.exports = {
+    createCoupon,
+    getAllCoupons,
+    getCouponById,
+    getCouponByCode,
+    updateCoupon,
+    deleteCoupon,
+    countUserRedemptions,
+    countGuestRedemptions,
+    attachGuestRedemptions,
+    redeemCoupon,
+    releaseRedemption
+};
@@ -1,16 +1,43 @@
 const Order = require('../models/orders.model'); // Import the Order model
 const Product = require('../models/products.model'); // Import Product model for stock updates
 const mongoose = require('mongoose'); // Import mongoose for ObjectId validation
+const reservationsRepository = require('./reservations.repository'); // Stock holds placed during checkout
+const couponsRepository = require('./coupons.repository'); // Coupon usage is counted with the order
+const countersRepository = require('./counters.repository'); // Gapless invoice numbering
+const { getAvailableStock, decrementStock, incrementStock } = require('../utils/productVariants');
+const { applyRefund, settleRefund: applySettleRefund } = require('../utils/refunds');
+const { getPreorderRemaining } = require('../utils/preorders');
+
+// Gives a cancelled or deleted pre-order's units back to the product's pre-order cap (they no longer count as sold either)
+async function releasePreorderedQuantity(order, session) {
+    const decrease = (field, quantity) => ({ $max: [{ $subtract: [{ $ifNull: [`$${field}`, 0] }, quantity] }, 0] });
+    for (const item of order.items) {
+        await Product.updateOne(
+            { _id: item.productId },
+            [{ $set: { preorderedQuantity: decrease('preorderedQuantity', item.quantity), soldCount: decrease('soldCount', item.quantity) } }],
+            { session }
+        );
+    }
+}
+
+// Units of an order line no longer count as sold (the order was cancelled or deleted)
+function unsell(product, quantity) {
+    product.soldCount = Math.max((product.soldCount || 0) - quantity, 0);
+}
 
 /**
  * Creates a new order.
  * This function is typically called after a successful checkout process.
  * It takes an array of items (which should be derived from the cart and include snapshot data),
  * user ID, shipping address, and payment details.
+ * Stock held by other shoppers' checkout reservations is not available to this order.
  * @param {object} orderData - Object containing order details (user, items, shippingAddress, paymentMethod, etc.).
+ * @param {object} [options] - Additional options.
+ * @param {boolean} [options.commitReservations=false] - Convert the shopper's checkout holds into this stock decrement (holds are removed in the same transaction).
+ * @param {string|object} [options.shopper] - Whose checkout holds belong to this order: the user ID (default orderData.user) or a guest { guestKey }.
  * @returns {Promise<Order>} - The newly created order document.
  */
-async function createOrder(orderData) {
+async function createOrder(orderData, { commitReservations = false, shopper = orderData.user } = {}) {
     const session = await mongoose.startSession(); // Start a session for transaction
     session.startTransaction(); // Start a transaction
 
@@ -26,29 +53,48 @@ async function createOrder(orderData) {
                 throw new Error(`Product with ID ${item.productId} not found.`);
             }
 
-            // Handle stock for products with sizes/colors or simple stock
-            if (product.sizes && product.sizes.length > 0) {
-                const sizeIndex = product.sizes.findIndex(s => s.size === item.selectedSize);
-                if (sizeIndex === -1 || product.sizes[sizeIndex].stock < item.quantity) {
-                    throw new Error(`Insufficient stock for product ${product.name}, size ${item.selectedSize}.`);
-                }
-                product.sizes[sizeIndex].stock -= item.quantity;
-            } else if (product.colors && product.colors.length > 0) {
-                const colorIndex = product.colors.findIndex(c => c.color === item.selectedColor);
-                if (colorIndex === -1 || product.colors[colorIndex].stock < item.quantity) {
-                    throw new Error(`Insufficient stock for product ${product.name}, color ${item.selectedColor}.`);
-                }
-                product.colors[colorIndex].stock -= item.quantity;
-            } else {
-                // For simple stock (if no sizes/colors defined)
-                if (product.stock < item.quantity) {
-                    throw new Error(`Insufficient stock for product ${product.name}.`);
+            // Pre-orders take no stock yet (it is allocated at release), only a share of the pre-order cap
+            if (newOrder.orderStatus === 'preorder') {
+                const remaining = getPreorderRemaining(product);
+                if (remaining < item.quantity) {
+                    throw new Error(`Invalid pre-order: only ${remaining} of ${product.name} can still be pre-ordered.`);
                 }
-                product.stock -= item.quantity;
+                product.preorderedQuantity += item.quantity;
+                product.soldCount = (product.soldCount || 0) + item.quantity;
+                await product.save({ session });
+                continue;
             }
+
+            // Units held by other shoppers' checkouts cannot be sold to this order
+            const reservedByOthers = await reservationsRepository.getReservedQuantity(product, item.selectedSize, item.selectedColor, shopper, session);
+            if (getAvailableStock(product, item.selectedSize, item.selectedColor) - reservedByOthers < item.quantity) {
+                throw new Error(`Insufficient stock for product ${product.name}: remaining units are reserved by other shoppers.`);
+            }
+
+            // Decrement the exact variant (SKU) stock, or size/color/simple stock for legacy products
+            decrementStock(product, item.selectedSize, item.selectedColor, item.quantity);
+            product.soldCount = (product.soldCount || 0) + item.quantity;
             await product.save({ session }); // Save updated product stock within the transaction
         }
 
+        // Count the coupon use with the order, so usage limits hold under concurrent checkouts
+        if (newOrder.coupon) {
+            await couponsRepository.redeemCoupon({
+                coupon: newOrder.coupon.coupon,
+                ...(newOrder.user ? { user: newOrder.user } : { guestEmail: newOrder.guestEmail }),
+                order: newOrder._id,
+                code: newOrder.coupon.code,
+                discountAmount: newOrder.discounts
+                    .filter(discount => discount.source === 'coupon')
+                    .reduce((sum, discount) => sum + discount.amount, 0)
+            }, session);
+        }
+
+        // The shopper's checkout holds have now become real stock decrements
+        if (commitReservations) {
+            await reservationsRepository.deleteReservationsByShopper(shopper, session);
+        }
+
         await session.commitTransaction(); // Commit the transaction if all operations succeed
         session.endSession(); // End the session
 
@@ -78,6 +124,31 @@ async function getOrderById(orderId) {
         .exec();
 }
 
+/**
+ * Retrieves an order by its public order number.
+ * @param {string} orderNumber - The order number.
+ * @returns {Promise<Order|null>} - The order document, with product details.
+ */
+async function getOrderByOrderNumber(orderNumber) {
+    return await Order.findOne({ orderNumber })
+        .populate('items.productId', 'name images')
+        .exec();
+}
+
+/**
+ * Attaches the guest orders placed with an email address to the account that verified it.
+ * @param {string} email - The (normalized) email address.
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<Array<ObjectId>>} - The IDs of the attached orders.
+ */
+async function attachGuestOrders(email, userId) {
+    const orderIds = await Order.distinct('_id', { guestEmail: email, user: null }).exec();
+    if (orderIds.length > 0) {
+        await Order.updateMany({ _id: { $in: orderIds }, user: null }, { $set: { user: userId } }).exec();
+    }
+    return orderIds;
+}
+
 /**
  * Retrieves all orders for the currently authenticated user.
  * @param {string} userId - The ID of the user.
@@ -107,13 +178,15 @@ async function getAllOrders() {
 
 /**
  * Updates the status of an order.
- * If the new status is 'cancelled', it will also revert product stock.
+ * If the new status is 'cancelled', it will also revert product stock (a waiting pre-order gives
+ * its units back to the pre-order cap instead).
  * Uses a transaction to ensure atomicity for status update and stock reversion.
  * @param {string} orderId - The ID of the order.
  * @param {string} newStatus - The new order status (e.g., 'shipped', 'delivered', 'cancelled').
+ * @param {object} historyEntry - The status history entry to append (its `from` must match the current status).
  * @returns {Promise<Order>} - The updated order document.
  */
-async function updateOrderStatus(orderId, newStatus) {
+async function updateOrderStatus(orderId, newStatus, historyEntry) {
     const session = await mongoose.startSession();
     session.startTransaction();
 
@@ -124,14 +197,26 @@ async function updateOrderStatus(orderId, newStatus) {
             throw new Error('Order not found.');
         }
 
+        // The transition was validated against this status; refuse if it changed in the meantime
+        if (order.orderStatus !== historyEntry.from) {
+            throw new Error(`Invalid status transition: order status changed to ${order.orderStatus} concurrently.`);
+        }
+
         const originalStatus = order.orderStatus; // Get current status before update
 
-        // Update the order status
+        // Update the order status and record the transition
         order.orderStatus = newStatus;
+        order.statusHistory.push(historyEntry);
         await order.save({ session }); // Use save to trigger pre-save hooks and validate enum
 
+        // A pre-order never took stock; it only gives its units back to the pre-order cap
+        if (newStatus === 'cancelled' && originalStatus === 'preorder') {
+            await releasePreorderedQuantity(order, session);
+            await couponsRepository.releaseRedemption(order._id, session);
+        }
+
         // --- Logic for stock reversion on cancellation ---
-        if (newStatus === 'cancelled' && originalStatus !== 'cancelled') {
+        if (newStatus === 'cancelled' && originalStatus !== 'cancelled' && originalStatus !== 'preorder') {
             // Only revert stock if the order is actually changing TO 'cancelled'
             // and wasn't already cancelled.
             console.log(`Reverting stock for cancelled order: ${orderId}`);
@@ -144,22 +229,15 @@ async function updateOrderStatus(orderId, newStatus) {
                 }
 
                 // Increment stock based on how it was decremented during creation
-                if (product.sizes && product.sizes.length > 0 && item.selectedSize) {
-                    const sizeIndex = product.sizes.findIndex(s => s.size === item.selectedSize);
-                    if (sizeIndex !== -1) {
-                        product.sizes[sizeIndex].stock += item.quantity;
-                    }
-                } else if (product.colors && product.colors.length > 0 && item.selectedColor) {
-                    const colorIndex = product.colors.findIndex(c => c.color === item.selectedColor);
-                    if (colorIndex !== -1) {
-                        product.colors[colorIndex].stock += item.quantity;
-                    }
-                } else {
-                    // For simple stock
-                    product.stock += item.quantity;
+                if (!incrementStock(product, item.selectedSize, item.selectedColor, item.quantity)) {
+                    console.warn(`No inventory record for product ${item.productId} (Size: ${item.selectedSize || 'N/A'}, Color: ${item.selectedColor || 'N/A'}). Stock not reverted.`);
                 }
+                unsell(product, item.quantity);
                 await product.save({ session }); // Save updated product stock within the transaction
             }
+
+            // A cancelled order no longer counts towards its coupon's usage limits
+            await couponsRepository.releaseRedemption(order._id, session);
         }
         // --- End Logic ---
 
@@ -181,21 +259,217 @@ async function updateOrderStatus(orderId, newStatus) {
 }
 
 /**
- * Updates the payment status of an order.
+ * Updates the payment status of an order and records the transition.
+ * The update only applies if the payment status is still the one the transition was validated against.
  * @param {string} orderId - The ID of the order.
  * @param {string} newPaymentStatus - The new payment status (e.g., 'paid', 'refunded').
- * @returns {Promise<Order>} - The updated order document.
+ * @param {object} historyEntry - The status history entry to append.
+ * @returns {Promise<Order|null>} - The updated order document, or null if the order or expected status did not match.
  */
-async function updatePaymentStatus(orderId, newPaymentStatus) {
-    return await Order.findByIdAndUpdate(
-        orderId,
-        { $set: { paymentStatus: newPaymentStatus } },
+async function updatePaymentStatus(orderId, newPaymentStatus, historyEntry) {
+    return await Order.findOneAndUpdate(
+        { _id: orderId, paymentStatus: historyEntry.from },
+        { $set: { paymentStatus: newPaymentStatus }, $push: { statusHistory: historyEntry } },
         { new: true, runValidators: true }
     ).populate('user', 'username email phoneNumber') // Populate user details including phoneNumber
         .populate('items.productId', 'name images')
         .exec();
 }
 
+/**
+ * Stores the latest payment provider state on an order and, if given, moves its payment status.
+ * The status change only applies if the payment status still matches `historyEntry.from`.
+ * @param {string} orderId - The ID of the order.
+ * @param {object} payment - The payment details (provider, intentId, status, amounts, ...).
+ * @param {object|null} historyEntry - The payment status history entry to append, or null to keep the status.
+ * @param {object} [fields] - Other order fields to set with it (e.g. { 'preorder.deposit': payment }).
+ * @returns {Promise<Order|null>} - The updated order document, or null if the order or expected status did not match.
+ */
+async function updatePaymentDetails(orderId, payment, historyEntry, fields = {}) {
+    const filter = { _id: orderId };
+    const update = { $set: { ...fields, payment } };
+    if (historyEntry) {
+        filter.paymentStatus = historyEntry.from;
+        update.$set.paymentStatus = historyEntry.to;
+        update.$push = { statusHistory: historyEntry };
+    }
+    return await Order.findOneAndUpdate(filter, update, { new: true, runValidators: true })
+        .populate('user', 'username email phoneNumber')
+        .populate('items.productId', 'name images')
+        .exec();
+}
+
+/**
+ * Retrieves the order paid with a given payment intent.
+ * @param {string} provider - The payment provider name.
+ * @param {string} intentId - The payment intent ID at the provider.
+ * @returns {Promise<Order|null>}
+ */
+async function getOrderByPaymentIntent(provider, intentId) {
+    return await Order.findOne({ 'payment.provider': provider, 'payment.intentId': intentId }).exec();
+}
+
+/**
+ * Retrieves the orders waiting in 'preorder' status for a product, oldest first.
+ * @param {string} productId - The ID of the product.
+ * @returns {Promise<Array<Order>>} - The orders, with the customer's name and email.
+ */
+async function getWaitingPreorders(productId) {
+    return await Order.find({ orderStatus: 'preorder', 'items.productId': productId })
+        .populate('user', 'username firstName email')
+        .sort({ createdAt: 1, _id: 1 })
+        .exec();
+}
+
+/**
+ * Lists the products that have orders waiting in 'preorder' status.
+ * @returns {Promise<Array<ObjectId>>} - The product IDs.
+ */
+async function getProductIdsWithWaitingPreorders() {
+    return await Order.distinct('items.productId', { orderStatus: 'preorder' }).exec();
+}
+
+/**
+ * Allocates stock to a pre-order and moves it to 'pending', in one transaction.
+ * Stock held by shoppers' checkout reservations is not available to the pre-order, as in createOrder.
+ * @param {string} orderId - The ID of the order.
+ * @param {object} historyEntry - The status history entry to append (from 'preorder' to 'pending').
+ * @returns {Promise<Order>} - The updated order document.
+ * @throws {Error} - If the order is no longer a pre-order or a product has too little stock.
+ */
+async function allocatePreorder(orderId, historyEntry) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const order = await Order.findById(orderId).session(session);
+        if (!order) {
+            throw new Error('Order not found.');
+        }
+        if (order.orderStatus !== 'preorder') {
+            throw new Error(`Invalid status transition: order status changed to ${order.orderStatus} concurrently.`);
+        }
+
+        for (const item of order.items) {
+            const product = await Product.findById(item.productId).session(session);
+            if (!product) {
+                throw new Error(`Product with ID ${item.productId} not found.`);
+            }
+            const reserved = await reservationsRepository.getReservedQuantity(product, item.selectedSize, item.selectedColor, null, session);
+            if (getAvailableStock(product, item.selectedSize, item.selectedColor) - reserved < item.quantity) {
+                throw new Error(`Insufficient stock for product ${product.name}: remaining units are reserved by shoppers in checkout.`);
+            }
+            decrementStock(product, item.selectedSize, item.selectedColor, item.quantity);
+            await product.save({ session });
+        }
+
+        order.orderStatus = historyEntry.to;
+        order.preorder.allocatedAt = historyEntry.timestamp;
+        order.statusHistory.push(historyEntry);
+        await order.save({ session });
+
+        await session.commitTransaction();
+        session.endSession();
+
+        return await getOrderById(orderId);
+    } catch (error) {
+        await session.abortTransaction();
+        session.endSession();
+        console.error('Error allocating stock to pre-order:', error);
+        throw error;
+    }
+}
+
+/**
+ * Retrieves the status history of an order.
+ * @param {string} orderId - The ID of the order.
+ * @returns {Promise<Order>} - The order with only its status fields and history, actors populated.
+ */
+async function getOrderHistory(orderId) {
+    return await Order.findById(orderId)
+        .select('user orderStatus paymentStatus paymentMethod statusHistory')
+        .populate('statusHistory.actor', 'username')
+        .exec();
+}
+
+/**
+ * Records a refund on an order's ledger and updates its payment status.
+ * Runs in a transaction so concurrent refunds cannot together exceed the order total.
+ * @param {string} orderId - The ID of the order.
+ * @param {object} refund - { amount, items?, reason, method, issuedBy }
+ * @returns {Promise<Order>} - The updated order document.
+ * @throws {Error} - If the order is not found or the refund is rejected by the ledger rules.
+ */
+async function addRefund(orderId, refund) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const order = await Order.findById(orderId).session(session);
+        if (!order) {
+            throw new Error('Order not found.');
+        }
+
+        applyRefund(order, refund);
+        await order.save({ session });
+
+        await session.commitTransaction();
+        session.endSession();
+
+        return await getOrderById(orderId);
+    } catch (error) {
+        await session.abortTransaction();
+        session.endSession();
+        console.error('Error recording refund:', error);
+        throw error;
+    }
+}
+
+/**
+ * Settles a pending refund on an order's ledger as completed or failed, in a transaction.
+ * @param {string} orderId - The ID of the order.
+ * @param {string} refundId - The ID of the pending refund.
+ * @param {object} result - { status: 'completed' | 'failed', providerRefundId? }
+ * @returns {Promise<Order>} - The updated order document.
+ * @throws {Error} - If the order or the pending refund is not found.
+ */
+async function settleRefund(orderId, refundId, result) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const order = await Order.findById(orderId).session(session);
+        if (!order) {
+            throw new Error('Order not found.');
+        }
+
+        applySettleRefund(order, refundId, result);
+        await order.save({ session });
+
+        await session.commitTransaction();
+        session.endSession();
+
+        return await getOrderById(orderId);
+    } catch (error) {
+        await session.abortTransaction();
+        session.endSession();
+        console.error('Error settling refund:', error);
+        throw error;
+    }
+}
+
+/**
+ * Retrieves the refund ledger of an order.
+ * @param {string} orderId - The ID of the order.
+ * @returns {Promise<Order>} - The order with only its totals, payment status and refunds.
+ */
+async function getOrderRefunds(orderId) {
+    return await Order.findById(orderId)
+        .select('user totalAmount paymentStatus paymentMethod items refunds')
+        .populate('refunds.issuedBy', 'username')
+        .exec();
+}
+
 /**
  * Deletes an order by its ID and increments product stock.
  * This should be used with caution, typically for genuinely erroneous orders or admin purposes.
@@ -215,34 +489,33 @@ async function deleteOrder(orderId) {
             throw new Error('Order not found.');
         }
 
-        // 2. Increment stock for each item in the order
-        for (const item of orderToDelete.items) {
-            const product = await Product.findById(item.productId).session(session);
+        // 2. Increment stock for each item in the order (a pre-order still waiting took none, only a share of the pre-order cap)
+        if (orderToDelete.orderStatus === 'preorder') {
+            await releasePreorderedQuantity(orderToDelete, session);
+        } else {
+            for (const item of orderToDelete.items) {
+                const product = await Product.findById(item.productId).session(session);
 
-            if (!product) {
-                console.warn(`Product with ID ${item.productId} not found during order deletion. Stock not reverted.`);
-                continue; // Skip to next item
-            }
+                if (!product) {
+                    console.warn(`Product with ID ${item.productId} not found during order deletion. Stock not reverted.`);
+                    continue; // Skip to next item
+                }
 
-            // Increment stock based on how it was decremented during creation
-            if (product.sizes && product.sizes.length > 0 && item.selectedSize) {
-                const sizeIndex = product.sizes.findIndex(s => s.size === item.selectedSize);
-                if (sizeIndex !== -1) {
-                    product.sizes[sizeIndex].stock += item.quantity;
+                // Increment stock based on how it was decremented during creation
+                if (!incrementStock(product, item.selectedSize, item.selectedColor, item.quantity)) {
+                    console.warn(`No inventory record for product ${item.productId} (Size: ${item.selectedSize || 'N/A'}, Color: ${item.selectedColor || 'N/A'}). Stock not reverted.`);
                 }
-            } else if (product.colors && product.colors.length > 0 && item.selectedColor) {
-                const colorIndex = product.colors.findIndex(c => c.color === item.selectedColor);
-                if (colorIndex !== -1) {
-                    product.colors[colorIndex].stock += item.quantity;
+                if (orderToDelete.orderStatus !== 'cancelled') { // Cancelling already took the units off
+                    unsell(product, item.quantity);
                 }
-            } else {
-                // For simple stock
-                product.stock += item.quantity;
+                await product.save({ session }); // Save updated product stock within the transaction
             }
-            await product.save({ session }); // Save updated product stock within the transaction
         }
 
-        // 3. Delete the order
+        // 3. Free the order's coupon use, if any
+        await couponsRepository.releaseRedemption(orderId, session);
+
+        // 4. Delete the order
         const deletedOrder = await Order.findByIdAndDelete(orderId, { session }).exec();
 
         await session.commitTransaction(); // Commit the transaction if all operations succeed
@@ -258,12 +531,59 @@ async function deleteOrder(orderId) {
     }
 }
 
+/**
+ * Gives an order the next invoice number, unless it already has one.
+ * The number is taken and stored in one transaction, so a failed write never leaves a gap
+ * and an order never gets two numbers.
+ * @param {string} orderId - The ID of the order.
+ * @returns {Promise<Order>} - The order with its invoice number, populated with user and product details.
+ * @throws {Error} - If the order is not found.
+ */
+async function assignInvoiceNumber(orderId) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const order = await Order.findById(orderId).session(session);
+        if (!order) {
+            throw new Error('Order not found.');
+        }
+        if (order.invoiceNumber === null || order.invoiceNumber === undefined) {
+            order.invoiceNumber = await countersRepository.getNextSequence('invoice', session);
+            order.invoicedAt = new Date();
+            await order.save({ session });
+        }
+
+        await session.commitTransaction();
+        session.endSession();
+
+        return await getOrderById(orderId);
+    } catch (error) {
+        await session.abortTransaction();
+        session.endSession();
+        console.error('Error assigning invoice number:', error);
+        throw error;
+    }
+}
+
 module.exports = {
     createOrder,
     getOrderById,
+    getOrderByOrderNumber,
+    attachGuestOrders,
     getOrdersByUserId,
     getAllOrders,
     updateOrderStatus,
     updatePaymentStatus,
+    updatePaymentDetails,
+    getOrderByPaymentIntent,
+    getOrderHistory,
+    addRefund,
+    settleRefund,
+    getOrderRefunds,
+    assignInvoiceNumber,
+    getWaitingPreorders,
+    getProductIdsWithWaitingPreorders,
+    allocatePreorder,
     deleteOrder,
 };
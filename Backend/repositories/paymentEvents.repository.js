@@ -0,0 +1,53 @@
+const PaymentEvent = require('../models/paymentEvents.model');
+
+/**
+ * Claims a webhook event for processing by inserting its record.
+ * The unique (provider, eventId) index makes this atomic: only one delivery of an event can claim it.
+ * @param {string} provider - The payment provider name.
+ * @param {object} event - { id, type, data: { object: { id } } }
+ * @returns {Promise<PaymentEvent|null>} - The new record, or null if the event was already received.
+ */
+async function claimEvent(provider, event) {
+    try {
+        return await PaymentEvent.create({
+            provider,
+            eventId: event.id,
+            type: event.type,
+            intentId: event.data && event.data.object ? event.data.object.id : null
+        });
+    } catch (error) {
+        if (error.code === 11000) { // Duplicate key: already claimed by an earlier delivery
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Marks a claimed event as processed.
+ * @param {string} recordId - The ID of the event record.
+ * @param {string|null} orderId - The order the event was applied to.
+ * @returns {Promise<PaymentEvent|null>}
+ */
+async function markEventProcessed(recordId, orderId) {
+    return PaymentEvent.findByIdAndUpdate(
+        recordId,
+        { $set: { status: 'processed', processedAt: new Date(), order: orderId || null } },
+        { new: true }
+    ).exec();
+}
+
+/**
+ * Releases a claimed event whose processing failed, so the provider's retry can apply it.
+ * @param {string} recordId - The ID of the event record.
+ * @returns {Promise<void>}
+ */
+async function releaseEvent(recordId) {
+    await PaymentEvent.findByIdAndDelete(recordId).exec();
+}
+
+module.exports = {
+    claimEvent,
+    markEventProcessed,
+    releaseEvent
+};
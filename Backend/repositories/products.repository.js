@@ -1,4 +1,5 @@
 const Product = require('../models/products.model');
+const mongoose = require('mongoose');
 
 // Create a new product
 async function createProduct(productData) {
@@ -24,6 +25,13 @@ async function getProductById(id) {
         .exec();
 }
 
+// Get several products by ID (missing IDs are left out)
+async function getProductsByIds(ids) {
+    return Product.find({ _id: { $in: ids } })
+        .populate('brand', 'name')
+        .exec();
+}
+
 // Update a product by ID
 async function updateProduct(id, updateData) {
     return Product.findByIdAndUpdate(id, updateData, { new: true, runValidators: true })
@@ -145,11 +153,30 @@ async function getNewArrivalProducts() {
 }
 
 /**
- * Gets all products marked as on sale.
+ * Gets all products with a sale running at a moment: their own sale within its schedule,
+ * or covered by one of the live scheduled sales.
+ * @param {Date} [now] - The moment to check against.
+ * @param {object} [scheduled] - IDs covered by live scheduled sales: { products, brands, categories } (categories already include subcategories).
  * @returns {Promise<Array<Product>>} - A promise that resolves to an array of on-sale products.
  */
-async function getOnSaleProducts() {
-    return Product.find({ onSale: true })
+async function getOnSaleProducts(now = new Date(), { products = [], brands = [], categories = [] } = {}) {
+    const conditions = [{
+        onSale: true,
+        $and: [
+            { $or: [{ saleStartsAt: null }, { saleStartsAt: { $lte: now } }] },
+            { $or: [{ saleEndsAt: null }, { saleEndsAt: { $gte: now } }] }
+        ]
+    }];
+    if (products.length > 0) {
+        conditions.push({ _id: { $in: products } });
+    }
+    if (brands.length > 0) {
+        conditions.push({ brand: { $in: brands } });
+    }
+    if (categories.length > 0) {
+        conditions.push({ category: { $in: categories } });
+    }
+    return Product.find({ $or: conditions })
         .populate('category')
         .populate('brand')
         .exec();
@@ -177,11 +204,228 @@ async function getComingSoonProducts() {
         .exec();
 }
 
+/**
+ * Gets the coming_soon products whose pre-order release date has been reached.
+ * @param {Date} now - The current moment.
+ * @returns {Promise<Array<Product>>} - The products due for release.
+ */
+async function getProductsDueForRelease(now) {
+    return Product.find({ status: 'coming_soon', 'preorder.releaseDate': { $ne: null, $lte: now } })
+        .select('name preorder')
+        .exec();
+}
+
+// Effective unit price at a moment, as getUnitPrices (utils/productVariants.js) works it out: the lowest
+// of the price, the product's own sale price while it is live, and the price less the best live
+// scheduled sale covering the product (sale categories must already include their subcategories)
+function effectivePriceExpression(sales, now) {
+    const unset = field => ({ $eq: [{ $ifNull: [field, null] }, null] });
+    const ownSaleLive = {
+        $and: [
+            { $eq: ['$onSale', true] },
+            { $not: [unset('$salePrice')] },
+            { $or: [unset('$saleStartsAt'), { $lte: ['$saleStartsAt', now] }] },
+            { $or: [unset('$saleEndsAt'), { $gte: ['$saleEndsAt', now] }] },
+        ],
+    };
+    const percentOff = {
+        $max: [0, ...sales.map(sale => ({
+            $cond: [{
+                $or: [
+                    { $in: ['$_id', sale.products] },
+                    { $in: ['$brand', sale.brands] },
+                    { $in: ['$category', sale.categories] },
+                ],
+            }, sale.percentOff, 0],
+        }))],
+    };
+    // Math.round(price * (100 - percentOff)) / 100
+    const scheduledPrice = { $divide: [{ $floor: { $add: [{ $multiply: ['$price', { $subtract: [100, percentOff] }] }, 0.5] } }, 100] };
+    return { $min: ['$price', { $cond: [ownSaleLive, '$salePrice', '$price'] }, scheduledPrice] };
+}
+
+// Query conditions for each listing filter, by filter name (so a facet can leave its own filter out)
+function listingConditions(filters) {
+    const conditions = {};
+    if (filters.categoryIds) {
+        conditions.category = { category: { $in: filters.categoryIds } };
+    }
+    if (filters.brandIds) {
+        conditions.brand = { brand: { $in: filters.brandIds } };
+    }
+    if (filters.sizes) {
+        conditions.size = { sizes: { $elemMatch: { size: { $in: filters.sizes }, stock: { $gt: 0 } } } };
+    }
+    if (filters.colors) {
+        conditions.color = { 'colors.color': { $in: filters.colors } };
+    }
+    if (filters.minPrice !== undefined || filters.maxPrice !== undefined) {
+        conditions.price = { effectivePrice: {} };
+        if (filters.minPrice !== undefined) {
+            conditions.price.effectivePrice.$gte = filters.minPrice;
+        }
+        if (filters.maxPrice !== undefined) {
+            conditions.price.effectivePrice.$lte = filters.maxPrice;
+        }
+    }
+    if (filters.onSale !== undefined) {
+        conditions.onSale = { isOnSale: filters.onSale };
+    }
+    if (filters.isNewArrival !== undefined) {
+        conditions.isNewArrival = filters.isNewArrival ? { isNewArrival: true } : { isNewArrival: { $ne: true } };
+    }
+    if (filters.isExclusive !== undefined) {
+        conditions.isExclusive = filters.isExclusive ? { isExclusive: true } : { isExclusive: { $ne: true } };
+    }
+    if (filters.statuses) {
+        conditions.status = { status: { $in: filters.statuses } };
+    }
+    if (filters.minRating !== undefined) {
+        conditions.rating = { averageRating: { $gte: filters.minRating } };
+    }
+    return conditions;
+}
+
+/**
+ * Lists products matching a set of filters, one page at a time, with facet counts.
+ * Each facet is counted with every filter applied except its own, so it shows how many products
+ * each of its values would give with the other filters kept.
+ * @param {object} filters - { categoryIds?, brandIds?, sizes?, colors?, minPrice?, maxPrice?, onSale?, isNewArrival?, isExclusive?, statuses?, minRating? }
+ *                           (categoryIds already include subcategories; sizes only match sizes in stock).
+ * @param {object} options - { sort: { field, direction }, after?: { value, id }, skip, limit, sales, ratingThresholds, now }
+ *                           `sales` are the live scheduled sales, with their categories' subcategories included.
+ * @returns {Promise<object>} - { items: [{ _id, sortValue }] (up to limit + 1, to tell if there is more), total, facets }
+ */
+async function listProducts(filters, { sort, after = null, skip = 0, limit, sales = [], ratingThresholds = [], now = new Date() }) {
+    const conditions = listingConditions(filters);
+    const matchExcept = (name) => ({
+        $match: { $and: [{}, ...Object.keys(conditions).filter(key => key !== name).map(key => conditions[key])] },
+    });
+    const matchAll = matchExcept(null);
+
+    const page = [matchAll];
+    if (after) {
+        const beyond = sort.direction === 1 ? '$gt' : '$lt';
+        page.push({ $match: { $or: [
+            { [sort.field]: { [beyond]: after.value } },
+            { [sort.field]: after.value, _id: { [beyond]: new mongoose.Types.ObjectId(after.id) } },
+        ] } });
+    }
+    page.push(
+        { $sort: { [sort.field]: sort.direction, _id: sort.direction } },
+        { $skip: skip },
+        { $limit: limit + 1 },
+        { $project: { _id: 1, sortValue: `$${sort.field}` } }
+    );
+
+    const countTrue = (name, field) => [matchExcept(name), { $group: { _id: null, count: { $sum: { $cond: [`$${field}`, 1, 0] } } } }];
+
+    const [result] = await Product.aggregate([
+        { $addFields: {
+            effectivePrice: effectivePriceExpression(sales, now),
+            rating: { $ifNull: ['$averageRating', 0] },
+            popularity: { $ifNull: ['$soldCount', 0] },
+        } },
+        { $addFields: { isOnSale: { $lt: ['$effectivePrice', '$price'] } } },
+        { $facet: {
+            items: page,
+            total: [matchAll, { $count: 'count' }],
+            // A category counts the products of its subcategories too, as the category filter does
+            categories: [
+                matchExcept('category'),
+                { $lookup: { from: 'categories', localField: 'category', foreignField: '_id', as: 'categoryDoc' } },
+                { $project: { path: { $concatArrays: [['$category'], { $ifNull: [{ $first: '$categoryDoc.ancestors._id' }, []] }] } } },
+                { $unwind: '$path' },
+                { $group: { _id: '$path', count: { $sum: 1 } } },
+                { $lookup: { from: 'categories', localField: '_id', foreignField: '_id', as: 'category' } },
+                { $unwind: '$category' },
+                { $project: { _id: 1, name: '$category.name', slug: '$category.slug', parent: '$category.parent', count: 1 } },
+                { $sort: { name: 1 } },
+            ],
+            brands: [
+                matchExcept('brand'),
+                { $group: { _id: '$brand', count: { $sum: 1 } } },
+                { $lookup: { from: 'brands', localField: '_id', foreignField: '_id', as: 'brand' } },
+                { $unwind: '$brand' },
+                { $project: { _id: 1, name: '$brand.name', count: 1 } },
+                { $sort: { name: 1 } },
+            ],
+            sizes: [
+                matchExcept('size'),
+                { $unwind: '$sizes' },
+                { $match: { 'sizes.stock': { $gt: 0 } } },
+                { $group: { _id: '$sizes.size', count: { $sum: 1 } } },
+                { $project: { _id: 0, value: '$_id', count: 1 } },
+                { $sort: { value: 1 } },
+            ],
+            colors: [
+                matchExcept('color'),
+                { $unwind: '$colors' },
+                { $group: { _id: '$colors.color', products: { $addToSet: '$_id' } } },
+                { $project: { _id: 0, value: '$_id', count: { $size: '$products' } } },
+                { $sort: { value: 1 } },
+            ],
+            price: [
+                matchExcept('price'),
+                { $group: { _id: null, min: { $min: '$effectivePrice' }, max: { $max: '$effectivePrice' } } },
+            ],
+            onSale: countTrue('onSale', 'isOnSale'),
+            isNewArrival: countTrue('isNewArrival', 'isNewArrival'),
+            isExclusive: countTrue('isExclusive', 'isExclusive'),
+            statuses: [
+                matchExcept('status'),
+                { $group: { _id: '$status', count: { $sum: 1 } } },
+                { $project: { _id: 0, value: '$_id', count: 1 } },
+                { $sort: { value: 1 } },
+            ],
+            ratings: [
+                matchExcept('rating'),
+                { $group: {
+                    _id: null,
+                    ...Object.fromEntries(ratingThresholds.map(threshold => [
+                        `atLeast${threshold}`,
+                        { $sum: { $cond: [{ $gte: ['$averageRating', threshold] }, 1, 0] } },
+                    ])),
+                } },
+            ],
+        } },
+    ]).exec();
+
+    const first = (list) => list[0] || {};
+    return {
+        items: result.items,
+        total: first(result.total).count || 0,
+        facets: {
+            categories: result.categories,
+            brands: result.brands,
+            sizes: result.sizes,
+            colors: result.colors,
+            price: { min: first(result.price).min ?? null, max: first(result.price).max ?? null },
+            onSale: first(result.onSale).count || 0,
+            isNewArrival: first(result.isNewArrival).count || 0,
+            isExclusive: first(result.isExclusive).count || 0,
+            statuses: result.statuses,
+            ratings: ratingThresholds.map(threshold => ({ minRating: threshold, count: first(result.ratings)[`atLeast${threshold}`] || 0 })),
+        },
+    };
+}
+
+// Get the listed products by ID, in the listing's order (missing IDs are left out)
+async function getProductsForListing(ids) {
+    const products = await Product.find({ _id: { $in: ids } })
+        .populate('category')
+        .populate('brand')
+        .exec();
+    const byId = new Map(products.map(product => [product._id.toString(), product]));
+    return ids.map(id => byId.get(id.toString())).filter(Boolean);
+}
+
 
 module.exports = {
     createProduct,
     getAllProducts,
     getProductById,
+    getProductsByIds,
     updateProduct,
     deleteProduct,
     getProductsByCategory,
@@ -195,5 +439,8 @@ module.exports = {
     getNewArrivalProducts, // Export new function
     getOnSaleProducts,     // Export new function
     getExclusiveProducts,  // Export new function
-    getComingSoonProducts  // Export new function
+    getComingSoonProducts, // Export new function
+    getProductsDueForRelease,
+    listProducts,
+    getProductsForListing
 };
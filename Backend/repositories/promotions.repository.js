@@ -0,0 +1,71 @@
+const Promotion = require('../models/promotions.model');
+
+/**
+ * Creates a new promotion.
+ * @param {object} promotionData - The promotion fields.
+ * @returns {Promise<Promotion>}
+ */
+async function createPromotion(promotionData) {
+    const promotion = new Promotion(promotionData);
+    return promotion.save();
+}
+
+/**
+ * Retrieves all promotions, highest priority first.
+ * @returns {Promise<Array<Promotion>>}
+ */
+async function getAllPromotions() {
+    return Promotion.find({}).sort({ priority: -1, createdAt: -1 }).exec();
+}
+
+/**
+ * Retrieves the promotions that are active and within their schedule.
+ * @param {Date} [now] - The moment to check against.
+ * @returns {Promise<Array<Promotion>>}
+ */
+async function getLivePromotions(now = new Date()) {
+    return Promotion.find({
+        isActive: true,
+        $and: [
+            { $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+            { $or: [{ endsAt: null }, { endsAt: { $gte: now } }] }
+        ]
+    }).sort({ priority: -1, createdAt: -1 }).exec();
+}
+
+/**
+ * Retrieves a promotion by its ID.
+ * @param {string} id - The ID of the promotion.
+ * @returns {Promise<Promotion|null>}
+ */
+async function getPromotionById(id) {
+    return Promotion.findById(id).exec();
+}
+
+/**
+ * Updates a promotion by its ID.
+ * @param {string} id - The ID of the promotion.
+ * @param {object} updateData - The fields to update.
+ * @returns {Promise<Promotion|null>} - The updated promotion.
+ */
+async function updatePromotion(id, updateData) {
+    return Promotion.findByIdAndUpdate(id, updateData, { new: true, runValidators: true }).exec();
+}
+
+/**
+ * Deletes a promotion by its ID.
+ * @param {string} id - The ID of the promotion.
+ * @returns {Promise<Promotion|null>} - The deleted promotion.
+ */
+async function deletePromotion(id) {
+    return Promotion.findByIdAndDelete(id).exec();
+}
+
+module.exports = {
+    createPromotion,
+    getAllPromotions,
+    getLivePromotions,
+    getPromotionById,
+    updatePromotion,
+    deletePromotion
+};
@@ -0,0 +1,118 @@
+const Reservation = require('../models/reservations.model');
+const mongoose = require('mongoose');
+const { isGuest, getShopperFilter } = require('../utils/shoppers');
+const { getStockKey } = require('../utils/productVariants');
+
+// Holds are stored with null for "no size/color selected"
+function normalizeOption(value) {
+    return value === undefined || value === '' ? null : value;
+}
+
+// Matches the holds that draw on the same stock record as a selection (see getStockKey)
+function buildStockMatch(product, selectedSize, selectedColor) {
+    const match = { product: new mongoose.Types.ObjectId(String(product._id)) };
+    for (const [option, value] of Object.entries(getStockKey(product, selectedSize, selectedColor))) {
+        match[option] = normalizeOption(value);
+    }
+    return match;
+}
+
+/**
+ * Creates a stock reservation (hold).
+ * @param {object} reservationData - { user or guestKey, product, selectedSize?, selectedColor?, sku?, quantity, expiresAt }
+ * @returns {Promise<Reservation>} - The new reservation document.
+ */
+async function createReservation(reservationData) {
+    const reservation = new Reservation({
+        ...reservationData,
+        selectedSize: normalizeOption(reservationData.selectedSize),
+        selectedColor: normalizeOption(reservationData.selectedColor)
+    });
+    return reservation.save();
+}
+
+/**
+ * Retrieves the active (unexpired) reservations of a shopper.
+ * @param {string|object} shopper - The ID of the user, or a guest { guestKey } (see utils/shoppers.js).
+ * @returns {Promise<Array<Reservation>>} - The active reservations.
+ */
+async function getActiveReservationsByShopper(shopper) {
+    return Reservation.find({ ...getShopperFilter(shopper), expiresAt: { $gt: new Date() } })
+        .sort({ _id: 1 })
+        .exec();
+}
+
+/**
+ * Retrieves all active reservations on the stock record a selection is taken from, oldest first.
+ * For a legacy sized product that is every hold on the size, whatever its color.
+ * The ordering decides which holds win when more stock is held than exists.
+ * @param {object} product - The product document.
+ * @param {string} [selectedSize] - The selected size.
+ * @param {string} [selectedColor] - The selected color.
+ * @returns {Promise<Array<Reservation>>} - The active reservations.
+ */
+async function getActiveReservationsForStock(product, selectedSize, selectedColor) {
+    return Reservation.find({
+        ...buildStockMatch(product, selectedSize, selectedColor),
+        expiresAt: { $gt: new Date() }
+    })
+        .sort({ _id: 1 })
+        .exec();
+}
+
+/**
+ * Sums the quantity currently held on the stock record a selection is taken from,
+ * optionally ignoring one shopper's holds.
+ * @param {object} product - The product document.
+ * @param {string} [selectedSize] - The selected size.
+ * @param {string} [selectedColor] - The selected color.
+ * @param {string|object} [excludeShopper] - A user ID or guest { guestKey } whose holds should not be counted.
+ * @param {mongoose.ClientSession} [session] - Optional session for use inside a transaction.
+ * @returns {Promise<number>} - The reserved quantity.
+ */
+async function getReservedQuantity(product, selectedSize, selectedColor, excludeShopper = null, session = null) {
+    const match = {
+        ...buildStockMatch(product, selectedSize, selectedColor),
+        expiresAt: { $gt: new Date() }
+    };
+    if (excludeShopper && isGuest(excludeShopper)) {
+        match.guestKey = { $ne: getShopperFilter(excludeShopper).guestKey };
+    } else if (excludeShopper) {
+        match.user = { $ne: new mongoose.Types.ObjectId(String(excludeShopper)) };
+    }
+
+    const [result] = await Reservation.aggregate([
+        { $match: match },
+        { $group: { _id: null, total: { $sum: '$quantity' } } }
+    ]).session(session).exec();
+
+    return result ? result.total : 0;
+}
+
+/**
+ * Deletes a single reservation.
+ * @param {string} reservationId - The ID of the reservation.
+ * @returns {Promise<Reservation>} - The deleted reservation, or null.
+ */
+async function deleteReservation(reservationId) {
+    return Reservation.findByIdAndDelete(reservationId).exec();
+}
+
+/**
+ * Deletes all reservations of a shopper (release or commit of their holds).
+ * @param {string|object} shopper - The ID of the user, or a guest { guestKey }.
+ * @param {mongoose.ClientSession} [session] - Optional session for use inside a transaction.
+ * @returns {Promise<object>} - The delete result.
+ */
+async function deleteReservationsByShopper(shopper, session = null) {
+    return Reservation.deleteMany(getShopperFilter(shopper)).session(session).exec();
+}
+
+module.exports = {
+    createReservation,
+    getActiveReservationsByShopper,
+    getActiveReservationsForStock,
+    getReservedQuantity,
+    deleteReservation,
+    deleteReservationsByShopper
+};
@@ -0,0 +1,161 @@
+const Return = require('../models/returns.model');
+const Order = require('../models/orders.model');
+const Product = require('../models/products.model');
+const mongoose = require('mongoose');
+const { incrementStock } = require('../utils/productVariants');
+const { applyRefund, capRefund } = require('../utils/refunds');
+
+/**
+ * Creates a new return request.
+ * @param {object} returnData - { order, user, items, reason, customerNote? }
+ * @returns {Promise<Return>} - The new return document.
+ */
+async function createReturn(returnData) {
+    const returnRequest = new Return(returnData);
+    return returnRequest.save();
+}
+
+/**
+ * Retrieves a return by its ID.
+ * @param {string} returnId - The ID of the return.
+ * @returns {Promise<Return>} - The return document with customer and handler populated.
+ */
+async function getReturnById(returnId) {
+    return Return.findById(returnId)
+        .populate('user', 'username email')
+        .populate('handledBy', 'username')
+        .exec();
+}
+
+/**
+ * Retrieves all returns of an order, newest first.
+ * @param {string} orderId - The ID of the order.
+ * @returns {Promise<Array<Return>>}
+ */
+async function getReturnsByOrderId(orderId) {
+    return Return.find({ order: orderId })
+        .populate('handledBy', 'username')
+        .sort({ createdAt: -1 })
+        .exec();
+}
+
+/**
+ * Retrieves all returns, optionally filtered by status, newest first (admin).
+ * @param {string} [status] - Optional return status filter.
+ * @returns {Promise<Array<Return>>}
+ */
+async function getAllReturns(status) {
+    const filter = status ? { status } : {};
+    return Return.find(filter)
+        .populate('user', 'username email')
+        .populate('handledBy', 'username')
+        .sort({ createdAt: -1 })
+        .exec();
+}
+
+/**
+ * Updates a return only if it is still in the expected status.
+ * @param {string} returnId - The ID of the return.
+ * @param {string} expectedStatus - The status the return must currently have.
+ * @param {object} updateData - Fields to set.
+ * @returns {Promise<Return|null>} - The updated return, or null if not found / status changed.
+ */
+async function updateReturnIfStatus(returnId, expectedStatus, updateData) {
+    return Return.findOneAndUpdate(
+        { _id: returnId, status: expectedStatus },
+        { $set: updateData },
+        { new: true, runValidators: true }
+    ).exec();
+}
+
+/**
+ * Marks an approved return as received: restocks the items the admin chose to restock,
+ * records the refund on the order's ledger (capped at what is still refundable; a refund
+ * marked 'pending' is sent to the payment provider by the caller afterwards) and,
+ * if requested, moves the order to 'returned'.
+ * Uses a transaction so stock, return and order stay consistent.
+ * @param {string} returnId - The ID of the return.
+ * @param {object} receipt - Receipt details.
+ * @param {Array<object>} receipt.items - The return items with their `restock` decision set.
+ * @param {object} receipt.refund - The refund entry to append to the order.
+ * @param {string} receipt.adminId - The admin receiving the items.
+ * @param {string} [receipt.adminNote] - Inspection notes.
+ * @param {object} [receipt.orderHistoryEntry] - If set, the order moves to 'returned' with this history entry.
+ * @returns {Promise<Return>} - The updated return document.
+ */
+async function receiveReturn(returnId, receipt) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const returnRequest = await Return.findById(returnId).session(session);
+        if (!returnRequest) {
+            throw new Error('Return not found.');
+        }
+        if (returnRequest.status !== 'approved') {
+            throw new Error(`Invalid return status: only approved returns can be received (current: ${returnRequest.status}).`);
+        }
+
+        const order = await Order.findById(returnRequest.order).session(session);
+        if (!order) {
+            throw new Error('Order not found.');
+        }
+
+        // Put restockable items back into the exact size/color (or variant) they were sold from
+        for (const item of receipt.items) {
+            if (!item.restock) {
+                continue;
+            }
+            const product = await Product.findById(item.productId).session(session);
+            if (!product) {
+                console.warn(`Product with ID ${item.productId} not found while receiving return ${returnId}. Stock not restored.`);
+                continue;
+            }
+            if (!incrementStock(product, item.selectedSize, item.selectedColor, item.quantity)) {
+                console.warn(`No inventory record for product ${item.productId} (Size: ${item.selectedSize || 'N/A'}, Color: ${item.selectedColor || 'N/A'}). Stock not restored.`);
+            }
+            await product.save({ session });
+        }
+
+        if (receipt.orderHistoryEntry) {
+            order.orderStatus = 'returned';
+            order.statusHistory.push(receipt.orderHistoryEntry);
+        }
+
+        // Items already refunded by hand are not refunded twice; unpaid orders have nothing to refund
+        const refund = ['paid', 'partially_refunded'].includes(order.paymentStatus) ? capRefund(order, receipt.refund) : null;
+        if (refund) {
+            applyRefund(order, refund);
+        }
+        await order.save({ session });
+
+        returnRequest.items = receipt.items;
+        returnRequest.status = 'received';
+        returnRequest.receivedAt = new Date();
+        returnRequest.handledBy = receipt.adminId;
+        returnRequest.refundAmount = refund ? refund.amount : 0;
+        if (receipt.adminNote) {
+            returnRequest.adminNote = receipt.adminNote;
+        }
+        await returnRequest.save({ session });
+
+        await session.commitTransaction();
+        session.endSession();
+
+        return await getReturnById(returnId);
+    } catch (error) {
+        await session.abortTransaction();
+        session.endSession();
+        console.error('Error receiving return and restocking items:', error);
+        throw error;
+    }
+}
+
+module.exports = {
+    createReturn,
+    getReturnById,
+    getReturnsByOrderId,
+    getAllReturns,
+    updateReturnIfStatus,
+    receiveReturn
+};
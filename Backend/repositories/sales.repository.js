@@ -0,0 +1,65 @@
+const Sale = require('../models/sales.model');
+
+/**
+ * Creates a new scheduled sale.
+ * @param {object} saleData - The sale fields.
+ * @returns {Promise<Sale>}
+ */
+async function createSale(saleData) {
+    const sale = new Sale(saleData);
+    return sale.save();
+}
+
+/**
+ * Retrieves all scheduled sales, latest start first.
+ * @returns {Promise<Array<Sale>>}
+ */
+async function getAllSales() {
+    return Sale.find({}).sort({ startsAt: -1 }).exec();
+}
+
+/**
+ * Retrieves the sales that are active and running at a moment.
+ * @param {Date} [now] - The moment to check against.
+ * @returns {Promise<Array<Sale>>}
+ */
+async function getLiveSales(now = new Date()) {
+    return Sale.find({ isActive: true, startsAt: { $lte: now }, endsAt: { $gte: now } }).exec();
+}
+
+/**
+ * Retrieves a scheduled sale by its ID.
+ * @param {string} id - The ID of the sale.
+ * @returns {Promise<Sale|null>}
+ */
+async function getSaleById(id) {
+    return Sale.findById(id).exec();
+}
+
+/**
+ * Updates a scheduled sale by its ID.
+ * @param {string} id - The ID of the sale.
+ * @param {object} updateData - The fields to update.
+ * @returns {Promise<Sale|null>} - The updated sale.
+ */
+async function updateSale(id, updateData) {
+    return Sale.findByIdAndUpdate(id, updateData, { new: true, runValidators: true }).exec();
+}
+
+/**
+ * Deletes a scheduled sale by its ID.
+ * @param {string} id - The ID of the sale.
+ * @returns {Promise<Sale|null>} - The deleted sale.
+ */
+async function deleteSale(id) {
+    return Sale.findByIdAndDelete(id).exec();
+}
+
+module.exports = {
+    createSale,
+    getAllSales,
+    getLiveSales,
+    getSaleById,
+    updateSale,
+    deleteSale
+};
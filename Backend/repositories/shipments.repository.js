@@ -0,0 +1,163 @@
+const Shipment = require('../models/shipments.model');
+const Order = require('../models/orders.model');
+const mongoose = require('mongoose');
+
+// Shipment items and order items are matched on product + size + color
+function isSameLine(a, b) {
+    return a.productId.toString() === (b.productId._id || b.productId).toString() &&
+        (a.selectedSize || null) === (b.selectedSize || null) &&
+        (a.selectedColor || null) === (b.selectedColor || null);
+}
+
+/**
+ * Retrieves a shipment by its ID.
+ * @param {string} shipmentId - The ID of the shipment.
+ * @returns {Promise<Shipment|null>}
+ */
+async function getShipmentById(shipmentId) {
+    return Shipment.findById(shipmentId).exec();
+}
+
+/**
+ * Retrieves all shipments of an order, oldest first.
+ * @param {string} orderId - The ID of the order.
+ * @returns {Promise<Array<Shipment>>}
+ */
+async function getShipmentsByOrderId(orderId) {
+    return Shipment.find({ order: orderId }).sort({ shippedAt: 1, createdAt: 1 }).exec();
+}
+
+/**
+ * Counts the shipments of an order.
+ * @param {string} orderId - The ID of the order.
+ * @returns {Promise<number>}
+ */
+async function countShipmentsByOrderId(orderId) {
+    return Shipment.countDocuments({ order: orderId }).exec();
+}
+
+/**
+ * Records a shipment and, if requested, moves the order to 'shipped'. The order's trackingNumber
+ * follows the latest shipment. Uses a transaction, and re-checks against the shipments already
+ * recorded, so concurrent shipments can never ship more than was ordered.
+ * @param {object} shipmentData - { order, items, carrier, trackingNumber?, shippedAt?, note?, createdBy }
+ * @param {object} [orderHistoryEntry] - If set, the order moves to 'shipped' with this history entry.
+ * @returns {Promise<Shipment>} - The new shipment.
+ * @throws {Error} - If the order is not found, is no longer processing, or an item would be over-shipped.
+ */
+async function createShipment(shipmentData, orderHistoryEntry) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const order = await Order.findById(shipmentData.order).session(session);
+        if (!order) {
+            throw new Error('Order not found.');
+        }
+        if (order.orderStatus !== 'processing') {
+            throw new Error(`Invalid status transition: shipments can only be added to processing orders (current: ${order.orderStatus}).`);
+        }
+
+        const existing = await Shipment.find({ order: order._id }).session(session);
+        for (const item of shipmentData.items) {
+            const orderItem = order.items.find(line => isSameLine(item, line));
+            const alreadyShipped = existing.reduce((sum, shipment) => sum + shipment.items
+                .filter(shipped => isSameLine(shipped, item))
+                .reduce((lineSum, shipped) => lineSum + shipped.quantity, 0), 0);
+            if (!orderItem || alreadyShipped + item.quantity > orderItem.quantity) {
+                throw new Error(`Invalid shipment item: ${item.name} (Size: ${item.selectedSize || 'N/A'}, Color: ${item.selectedColor || 'N/A'}) was shipped concurrently.`);
+            }
+        }
+
+        const [shipment] = await Shipment.create([shipmentData], { session });
+
+        if (shipment.trackingNumber) {
+            order.trackingNumber = shipment.trackingNumber;
+        }
+        if (orderHistoryEntry) {
+            order.orderStatus = 'shipped';
+            order.statusHistory.push(orderHistoryEntry);
+        }
+        await order.save({ session });
+
+        await session.commitTransaction();
+        session.endSession();
+
+        return shipment;
+    } catch (error) {
+        await session.abortTransaction();
+        session.endSession();
+        console.error('Error recording shipment:', error);
+        throw error;
+    }
+}
+
+/**
+ * Updates a shipment's carrier details.
+ * @param {string} shipmentId - The ID of the shipment.
+ * @param {object} updateData - Fields to set (carrier, trackingNumber, shippedAt, note).
+ * @returns {Promise<Shipment|null>} - The updated shipment.
+ */
+async function updateShipment(shipmentId, updateData) {
+    return Shipment.findByIdAndUpdate(shipmentId, { $set: updateData }, { new: true, runValidators: true }).exec();
+}
+
+/**
+ * Marks a shipped shipment as delivered and, if requested, moves the order to 'delivered'.
+ * Uses a transaction so the shipment and the order stay consistent.
+ * @param {string} shipmentId - The ID of the shipment.
+ * @param {Date} deliveredAt - When the parcel arrived.
+ * @param {object} [orderHistoryEntry] - If set, the order moves to 'delivered' with this history entry.
+ * @returns {Promise<Shipment>} - The updated shipment.
+ * @throws {Error} - If the shipment is not found or was already delivered, or the order status changed.
+ */
+async function deliverShipment(shipmentId, deliveredAt, orderHistoryEntry) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const shipment = await Shipment.findById(shipmentId).session(session);
+        if (!shipment) {
+            throw new Error('Shipment not found.');
+        }
+        if (shipment.status !== 'shipped') {
+            throw new Error(`Invalid shipment status: only shipped shipments can be delivered (current: ${shipment.status}).`);
+        }
+        shipment.status = 'delivered';
+        shipment.deliveredAt = deliveredAt;
+        await shipment.save({ session });
+
+        if (orderHistoryEntry) {
+            const order = await Order.findById(shipment.order).session(session);
+            if (!order) {
+                throw new Error('Order not found.');
+            }
+            // The transition was validated against this status; refuse if it changed in the meantime
+            if (order.orderStatus !== orderHistoryEntry.from) {
+                throw new Error(`Invalid status transition: order status changed to ${order.orderStatus} concurrently.`);
+            }
+            order.orderStatus = 'delivered';
+            order.statusHistory.push(orderHistoryEntry);
+            await order.save({ session });
+        }
+
+        await session.commitTransaction();
+        session.endSession();
+
+        return shipment;
+    } catch (error) {
+        await session.abortTransaction();
+        session.endSession();
+        console.error('Error delivering shipment:', error);
+        throw error;
+    }
+}
+
+module.exports = {
+    getShipmentById,
+    getShipmentsByOrderId,
+    countShipmentsByOrderId,
+    createShipment,
+    updateShipment,
+    deliverShipment
+};
@@ -0,0 +1,79 @@
+const ShippingZone = require('../models/shippingZones.model');
+
+/**
+ * Creates a new shipping zone.
+ * @param {object} zoneData - The shipping zone fields.
+ * @returns {Promise<ShippingZone>}
+ */
+async function createShippingZone(zoneData) {
+    const zone = new ShippingZone(zoneData);
+    return zone.save();
+}
+
+/**
+ * Retrieves all shipping zones, by name.
+ * @returns {Promise<Array<ShippingZone>>}
+ */
+async function getAllShippingZones() {
+    return ShippingZone.find({}).sort({ name: 1 }).exec();
+}
+
+/**
+ * Retrieves the active shipping zones.
+ * @returns {Promise<Array<ShippingZone>>}
+ */
+async function getActiveShippingZones() {
+    return ShippingZone.find({ isActive: true }).exec();
+}
+
+/**
+ * Retrieves a shipping zone by its ID.
+ * @param {string} id - The ID of the shipping zone.
+ * @returns {Promise<ShippingZone|null>}
+ */
+async function getShippingZoneById(id) {
+    return ShippingZone.findById(id).exec();
+}
+
+/**
+ * Retrieves the zones that list any of the given regions.
+ * @param {Array<object>} regions - [{ country, state }] (upper case, state null for a whole country).
+ * @returns {Promise<Array<ShippingZone>>}
+ */
+async function getShippingZonesByRegions(regions) {
+    if (regions.length === 0) {
+        return [];
+    }
+    return ShippingZone.find({
+        regions: { $elemMatch: { $or: regions.map(region => ({ country: region.country, state: region.state || null })) } }
+    }).exec();
+}
+
+/**
+ * Updates a shipping zone by its ID.
+ * @param {string} id - The ID of the shipping zone.
+ * @param {object} updateData - The fields to update.
+ * @returns {Promise<ShippingZone|null>} - The updated shipping zone.
+ */
+async function updateShippingZone(id, updateData) {
+    return ShippingZone.findByIdAndUpdate(id, updateData, { new: true, runValidators: true }).exec();
+}
+
+/**
+ * Deletes a shipping zone by its ID.
+ * @param {string} id - The ID of the shipping zone.
+ * @returns {Promise<ShippingZone|null>} - The deleted shipping zone.
+ */
+async function deleteShippingZone(id) {
+    return ShippingZone.findByIdAndDelete(id).exec();
+}
+
+module.exports = {
+    createShippingZone,
+    getAllShippingZones,
+    getActiveShippingZones,
+    getShippingZoneById,
+    getShippingZonesByRegions,
+    updateShippingZone,
+    deleteShippingZone
+};
@@ -0,0 +1,70 @@
+const StockSubscription = require('../models/stockSubscriptions.model');
+
+// Subscriptions are stored with null for "no size/color selected"
+function normalizeOption(value) {
+    return value === undefined || value === '' ? null : value;
+}
+
+/**
+ * Creates a back-in-stock subscription, or renews the one the email already has for the
+ * same product size/color.
+ * @param {object} subscription - { product, selectedSize?, selectedColor?, email, user?, expiresAt }
+ * @returns {Promise<StockSubscription>} - The saved subscription.
+ */
+async function upsertSubscription({ product, selectedSize, selectedColor, email, user = null, expiresAt }) {
+    const filter = {
+        product,
+        selectedSize: normalizeOption(selectedSize),
+        selectedColor: normalizeOption(selectedColor),
+        email
+    };
+    return StockSubscription.findOneAndUpdate(
+        filter,
+        { $set: { expiresAt, ...(user ? { user } : {}) } },
+        { new: true, upsert: true, setDefaultsOnInsert: true }
+    ).exec();
+}
+
+/**
+ * Deletes an email's subscription for a product size/color.
+ * @param {string} productId - The ID of the product.
+ * @param {string} [selectedSize] - The selected size.
+ * @param {string} [selectedColor] - The selected color.
+ * @param {string} email - The subscribed email address.
+ * @returns {Promise<StockSubscription|null>} - The deleted subscription, or null if there was none.
+ */
+async function deleteSubscription(productId, selectedSize, selectedColor, email) {
+    return StockSubscription.findOneAndDelete({
+        product: productId,
+        selectedSize: normalizeOption(selectedSize),
+        selectedColor: normalizeOption(selectedColor),
+        email
+    }).exec();
+}
+
+/**
+ * Retrieves the unexpired subscriptions for a product, oldest first.
+ * @param {string} productId - The ID of the product.
+ * @returns {Promise<Array<StockSubscription>>}
+ */
+async function getActiveSubscriptionsByProduct(productId) {
+    return StockSubscription.find({ product: productId, expiresAt: { $gt: new Date() } })
+        .sort({ createdAt: 1 })
+        .exec();
+}
+
+/**
+ * Deletes a subscription once its notification went out.
+ * @param {string} subscriptionId - The ID of the subscription.
+ * @returns {Promise<void>}
+ */
+async function deleteSubscriptionById(subscriptionId) {
+    await StockSubscription.deleteOne({ _id: subscriptionId }).exec();
+}
+
+module.exports = {
+    upsertSubscription,
+    deleteSubscription,
+    getActiveSubscriptionsByProduct,
+    deleteSubscriptionById
+};
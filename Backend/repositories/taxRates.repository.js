@@ -0,0 +1,83 @@
+const TaxRate = require('../models/taxRates.model');
+
+/**
+ * Creates a new tax rate.
+ * @param {object} taxRateData - The tax rate fields.
+ * @returns {Promise<TaxRate>}
+ */
+async function createTaxRate(taxRateData) {
+    const taxRate = new TaxRate(taxRateData);
+    return taxRate.save();
+}
+
+/**
+ * Retrieves all tax rates, by country then state.
+ * @returns {Promise<Array<TaxRate>>}
+ */
+async function getAllTaxRates() {
+    return TaxRate.find({}).sort({ country: 1, state: 1 }).exec();
+}
+
+/**
+ * Retrieves a tax rate by its ID.
+ * @param {string} id - The ID of the tax rate.
+ * @returns {Promise<TaxRate|null>}
+ */
+async function getTaxRateById(id) {
+    return TaxRate.findById(id).exec();
+}
+
+/**
+ * Retrieves the tax rate defined for exactly this country and state.
+ * @param {string} country - The country (upper case).
+ * @param {string|null} state - The state (upper case), or null for the country-wide rate.
+ * @returns {Promise<TaxRate|null>}
+ */
+async function getTaxRateByRegion(country, state) {
+    return TaxRate.findOne({ country, state }).exec();
+}
+
+/**
+ * Finds the active tax rate that applies to a destination: the state's rate, else the country's.
+ * @param {string} country - The country (upper case).
+ * @param {string|null} state - The state (upper case).
+ * @returns {Promise<TaxRate|null>}
+ */
+async function findApplicableTaxRate(country, state) {
+    if (state) {
+        const stateRate = await TaxRate.findOne({ country, state, isActive: true }).exec();
+        if (stateRate) {
+            return stateRate;
+        }
+    }
+    return TaxRate.findOne({ country, state: null, isActive: true }).exec();
+}
+
+/**
+ * Updates a tax rate by its ID.
+ * @param {string} id - The ID of the tax rate.
+ * @param {object} updateData - The fields to update.
+ * @returns {Promise<TaxRate|null>} - The updated tax rate.
+ */
+async function updateTaxRate(id, updateData) {
+    return TaxRate.findByIdAndUpdate(id, updateData, { new: true, runValidators: true }).exec();
+}
+
+/**
+ * Deletes a tax rate by its ID.
+ * @param {string} id - The ID of the tax rate.
+ * @returns {Promise<TaxRate|null>} - The deleted tax rate.
+ */
+async function deleteTaxRate(id) {
+    return TaxRate.findByIdAndDelete(id).exec();
+}
+
+module.exports = {
+    createTaxRate,
+    getAllTaxRates,
+    getTaxRateById,
+    getTaxRateByRegion,
+    findApplicableTaxRate,
+    updateTaxRate,
+    deleteTaxRate
+};
@@ -18,6 +18,34 @@ async function getUserByEmail(email) {
     return User.findOne({ email }).exec();
 }
 
+/**
+ * Stores a new email verification token (its hash) for a user, replacing any earlier one.
+ * @param {string} userId - The ID of the user.
+ * @param {string} tokenHash - SHA-256 hash of the token sent to the user.
+ * @param {Date} expiresAt - When the token stops working.
+ * @returns {Promise<object>} - The update result.
+ */
+async function setEmailVerificationToken(userId, tokenHash, expiresAt) {
+    return User.updateOne(
+        { _id: userId },
+        { $set: { emailVerificationToken: tokenHash, emailVerificationExpiresAt: expiresAt } }
+    ).exec();
+}
+
+/**
+ * Marks the email of the user holding a valid verification token as verified; the token is used up.
+ * @param {string} tokenHash - SHA-256 hash of the token the user sent back.
+ * @param {Date} now - The current time.
+ * @returns {Promise<User|null>} - The verified user, or null if no unexpired token matches.
+ */
+async function verifyEmailByToken(tokenHash, now) {
+    return User.findOneAndUpdate(
+        { emailVerificationToken: tokenHash, emailVerificationExpiresAt: { $gt: now } },
+        { $set: { emailVerifiedAt: now, emailVerificationToken: null, emailVerificationExpiresAt: null } },
+        { new: true }
+    ).exec();
+}
+
 async function getUserByUsername(username) {
     return User.findOne({ username }).exec();
 }
@@ -122,6 +150,8 @@ module.exports = {
     getAllUsers,
     getUserById,
     getUserByEmail,
+    setEmailVerificationToken,
+    verifyEmailByToken,
     getUserByUsername,
     updateUser,
     deleteUser,
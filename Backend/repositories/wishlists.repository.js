@@ -6,128 +6,298 @@ const Wishlist = require('../models/wishlists.model'); // Adjust path as per you
  * encapsulating database operations related to wishlists.
  */
 
+// Wishlist names are compared ignoring case
+const NAME_COLLATION = { locale: 'en', strength: 2 };
+
+// Items are matched on product + size + color
+function isSameItem(item, productId, selectedSize, selectedColor) {
+    return item.product.toString() === productId.toString() &&
+        (item.selectedSize || null) === (selectedSize || null) &&
+        (item.selectedColor || null) === (selectedColor || null);
+}
+
 class WishlistRepository {
 
     /**
-     * Creates a new wishlist for a given user.
-     * If a wishlist already exists for the user, it returns the existing one.
+     * Creates a new, empty wishlist for a user.
      *
-     * @param {string} userId - The ID of the user for whom to create the wishlist.
-     * @param {Array<string>} [productIds=[]] - An optional array of product IDs to initially add to the wishlist.
-     * @returns {Promise<Object>} The created or existing wishlist document.
+     * @param {string} userId - The ID of the user who owns the wishlist.
+     * @param {string} name - The name of the wishlist.
+     * @returns {Promise<Object>} The created wishlist document.
      */
-    async createWishlist(userId, productIds = []) {
+    async createWishlist(userId, name) {
         try {
-            let wishlist = await Wishlist.findOne({ user: userId });
-
-            if (wishlist) {
-                productIds.forEach(productId => {
-                    if (!wishlist.products.includes(productId)) {
-                        wishlist.products.push(productId);
-                    }
-                });
-                await wishlist.save();
-                return wishlist;
-            } else {
-                wishlist = await Wishlist.create({
-                    user: userId,
-                    products: productIds,
-                });
-                return wishlist;
-            }
+            return await Wishlist.create({ user: userId, name });
+        } catch (error) {
+            console.error(`Error creating wishlist for user ${userId}:`, error);
+            throw new Error(`Failed to create wishlist: ${error.message}`);
+        }
+    }
+
+    /**
+     * Retrieves all wishlists of a user, oldest first, populating the products.
+     *
+     * @param {string} userId - The ID of the user whose wishlists to retrieve.
+     * @returns {Promise<Array<Object>>} The wishlist documents.
+     */
+    async getWishlistsByUserId(userId) {
+        try {
+            return await Wishlist.find({ user: userId })
+                .sort({ createdAt: 1 })
+                .populate('items.product');
         } catch (error) {
-            console.error(`Error creating or fetching wishlist for user ${userId}:`, error);
-            throw new Error(`Failed to create or fetch wishlist: ${error.message}`);
+            console.error(`Error retrieving wishlists for user ${userId}:`, error);
+            throw new Error(`Failed to retrieve wishlists: ${error.message}`);
         }
     }
 
     /**
-     * Retrieves a wishlist by user ID, populating the product and user details.
+     * Retrieves a wishlist by its ID.
      *
-     * @param {string} userId - The ID of the user whose wishlist to retrieve.
-     * @returns {Promise<Object|null>} The wishlist document with populated products and user, or null if not found.
+     * @param {string} wishlistId - The ID of the wishlist.
+     * @param {boolean} [populate=true] - Whether to populate the products.
+     * @returns {Promise<Object|null>} The wishlist document, or null if not found.
      */
-    async getWishlistByUserId(userId) {
+    async getWishlistById(wishlistId, populate = true) {
         try {
-            const wishlist = await Wishlist.findOne({ user: userId })
-                .populate('products')
-                .populate('user');
-            return wishlist;
+            const query = Wishlist.findById(wishlistId);
+            return populate ? await query.populate('items.product') : await query;
         } catch (error) {
-            console.error(`Error retrieving wishlist for user ${userId}:`, error);
+            console.error(`Error retrieving wishlist ${wishlistId}:`, error);
             throw new Error(`Failed to retrieve wishlist: ${error.message}`);
         }
     }
 
     /**
-     * Adds a product to a user's wishlist.
-     * If the product is already in the wishlist, it does nothing.
-     * If the wishlist doesn't exist, it creates one.
+     * Finds a user's wishlist by name, ignoring case.
      *
-     * @param {string} userId - The ID of the user whose wishlist to update.
-     * @param {string} productId - The ID of the product to add.
-     * @returns {Promise<Object>} The updated or newly created wishlist document.
+     * @param {string} userId - The ID of the user.
+     * @param {string} name - The name to look for.
+     * @returns {Promise<Object|null>} The wishlist document, or null if the user has no list with that name.
      */
-    async addProductToWishlist(userId, productId) {
+    async findWishlistByName(userId, name) {
         try {
-            let wishlist = await Wishlist.findOne({ user: userId });
-
-            if (!wishlist) {
-                // Automatically create wishlist if not exists
-                wishlist = await Wishlist.create({
-                    user: userId,
-                    products: [productId],
-                });
-                return wishlist;
-            }
+            return await Wishlist.findOne({ user: userId, name }).collation(NAME_COLLATION);
+        } catch (error) {
+            console.error(`Error finding wishlist "${name}" for user ${userId}:`, error);
+            throw new Error(`Failed to find wishlist: ${error.message}`);
+        }
+    }
 
-            if (!wishlist.products.includes(productId)) {
-                wishlist.products.push(productId);
-                await wishlist.save();
-            }
+    /**
+     * Renames a wishlist.
+     *
+     * @param {string} wishlistId - The ID of the wishlist.
+     * @param {string} name - The new name.
+     * @returns {Promise<Object|null>} The updated wishlist document (products populated), or null if not found.
+     */
+    async renameWishlist(wishlistId, name) {
+        try {
+            return await Wishlist.findByIdAndUpdate(wishlistId, { name }, { new: true, runValidators: true })
+                .populate('items.product');
+        } catch (error) {
+            console.error(`Error renaming wishlist ${wishlistId}:`, error);
+            throw new Error(`Failed to rename wishlist: ${error.message}`);
+        }
+    }
 
-            return wishlist;
+    /**
+     * Adds a product to a wishlist. If the list already has the product in the same size and
+     * color, that entry's note and alert opt-ins are updated instead of adding a second one
+     * (it keeps the price it was first saved at).
+     *
+     * @param {string} wishlistId - The ID of the wishlist.
+     * @param {Object} item - { product, selectedSize?, selectedColor?, note?, savedPrice, alerts? }
+     * @returns {Promise<Object|null>} The updated wishlist document (products populated), or null if not found.
+     */
+    async addItem(wishlistId, { product, selectedSize, selectedColor, note, savedPrice, alerts }) {
+        try {
+            const wishlist = await Wishlist.findById(wishlistId);
+            if (!wishlist) return null;
+
+            const existing = wishlist.items.find(item => isSameItem(item, product, selectedSize, selectedColor));
+            if (existing) {
+                if (note !== undefined) {
+                    existing.note = note;
+                }
+                Object.entries(alerts || {}).forEach(([alert, enabled]) => existing.set(`alerts.${alert}`, enabled));
+                if (existing.savedPrice === undefined) {
+                    existing.savedPrice = savedPrice;
+                }
+            } else {
+                wishlist.items.push({ product, selectedSize, selectedColor, note, savedPrice, alerts });
+            }
+            await wishlist.save();
+            return await wishlist.populate('items.product');
         } catch (error) {
-            console.error(`Error adding product ${productId} to wishlist for user ${userId}:`, error);
+            console.error(`Error adding product ${product} to wishlist ${wishlistId}:`, error);
             throw new Error(`Failed to add product to wishlist: ${error.message}`);
         }
     }
 
     /**
-     * Removes a product from a user's wishlist.
+     * Updates the preferred size, color or note of a wishlist item.
      *
-     * @param {string} userId - The ID of the user whose wishlist to update.
-     * @param {string} productId - The ID of the product to remove.
-     * @returns {Promise<Object|null>} The updated wishlist document, or null if not found.
+     * @param {string} wishlistId - The ID of the wishlist.
+     * @param {string} itemId - The ID of the item.
+     * @param {Object} updateData - { selectedSize?, selectedColor?, note? }; null clears a field.
+     * @returns {Promise<Object|null>} The updated wishlist document (products populated), or null if the list or item is not found.
      */
-    async removeProductFromWishlist(userId, productId) {
+    async updateItem(wishlistId, itemId, updateData) {
         try {
-            const wishlist = await Wishlist.findOne({ user: userId });
+            const wishlist = await Wishlist.findById(wishlistId);
+            const item = wishlist && wishlist.items.id(itemId);
+            if (!item) return null;
 
-            if (!wishlist) return null;
+            Object.entries(updateData).forEach(([field, value]) => {
+                if (field === 'alerts') {
+                    // Opt-ins not sent stay as they are
+                    Object.entries(value).forEach(([alert, enabled]) => item.set(`alerts.${alert}`, enabled));
+                } else {
+                    item[field] = value === null ? undefined : value;
+                }
+            });
+            await wishlist.save();
+            return await wishlist.populate('items.product');
+        } catch (error) {
+            console.error(`Error updating item ${itemId} in wishlist ${wishlistId}:`, error);
+            throw new Error(`Failed to update wishlist item: ${error.message}`);
+        }
+    }
 
-            wishlist.products = wishlist.products.filter(
-                (pId) => pId.toString() !== productId.toString()
-            );
+    /**
+     * Removes an item from a wishlist.
+     *
+     * @param {string} wishlistId - The ID of the wishlist.
+     * @param {string} itemId - The ID of the item to remove.
+     * @returns {Promise<Object|null>} The updated wishlist document (products populated), or null if the list or item is not found.
+     */
+    async removeItem(wishlistId, itemId) {
+        try {
+            const wishlist = await Wishlist.findById(wishlistId);
+            const item = wishlist && wishlist.items.id(itemId);
+            if (!item) return null;
+
+            item.deleteOne();
             await wishlist.save();
-            return wishlist;
+            return await wishlist.populate('items.product');
         } catch (error) {
-            console.error(`Error removing product ${productId} from wishlist for user ${userId}:`, error);
+            console.error(`Error removing item ${itemId} from wishlist ${wishlistId}:`, error);
             throw new Error(`Failed to remove product from wishlist: ${error.message}`);
         }
     }
 
     /**
-     * Deletes a user's entire wishlist.
+     * Sets or clears the share token of a wishlist.
+     *
+     * @param {string} wishlistId - The ID of the wishlist.
+     * @param {string|null} shareToken - The new token, or null to stop sharing.
+     * @returns {Promise<Object|null>} The updated wishlist document, or null if not found.
+     */
+    async setShareToken(wishlistId, shareToken) {
+        try {
+            return await Wishlist.findByIdAndUpdate(
+                wishlistId,
+                { shareToken, sharedAt: shareToken ? new Date() : null },
+                { new: true }
+            );
+        } catch (error) {
+            console.error(`Error updating share link of wishlist ${wishlistId}:`, error);
+            throw new Error(`Failed to update share link: ${error.message}`);
+        }
+    }
+
+    /**
+     * Retrieves a shared wishlist by its share token, with the owner's display names.
+     *
+     * @param {string} shareToken - The share token.
+     * @returns {Promise<Object|null>} The wishlist document, or null if no list is shared with that token.
+     */
+    async getWishlistByShareToken(shareToken) {
+        try {
+            return await Wishlist.findOne({ shareToken })
+                .populate('user', 'username firstName');
+        } catch (error) {
+            console.error('Error retrieving shared wishlist:', error);
+            throw new Error(`Failed to retrieve shared wishlist: ${error.message}`);
+        }
+    }
+
+    /**
+     * Marks a wishlist item as purchased, or clears the mark. Leaves updatedAt alone so the
+     * owner cannot tell from the list that something changed.
+     *
+     * @param {string} wishlistId - The ID of the wishlist.
+     * @param {string} itemId - The ID of the item.
+     * @param {Object|null} purchase - { markedAt, by? }, or null to clear the mark.
+     * @returns {Promise<boolean>} False if the list or item is not found.
+     */
+    async setItemPurchase(wishlistId, itemId, purchase) {
+        try {
+            const update = purchase ? { $set: { 'items.$.purchase': purchase } } : { $unset: { 'items.$.purchase': 1 } };
+            const result = await Wishlist.updateOne({ _id: wishlistId, 'items._id': itemId }, update, { timestamps: false });
+            return result.matchedCount === 1;
+        } catch (error) {
+            console.error(`Error marking item ${itemId} of wishlist ${wishlistId}:`, error);
+            throw new Error(`Failed to mark wishlist item: ${error.message}`);
+        }
+    }
+
+    /**
+     * Retrieves the wishlists holding a product with a price-drop or back-in-stock alert turned on,
+     * with the owner's email and names.
+     *
+     * @param {string} productId - The ID of the product.
+     * @returns {Promise<Array<Object>>} The wishlist documents.
+     */
+    async getWishlistsWithAlerts(productId) {
+        try {
+            return await Wishlist.find({
+                items: {
+                    $elemMatch: {
+                        product: productId,
+                        $or: [{ 'alerts.priceDrop': true }, { 'alerts.backInStock': true }],
+                    },
+                },
+            }).populate('user', 'email username firstName');
+        } catch (error) {
+            console.error(`Error retrieving wishlists with alerts for product ${productId}:`, error);
+            throw new Error(`Failed to retrieve wishlists with alerts: ${error.message}`);
+        }
+    }
+
+    /**
+     * Records what was last alerted for a wishlist item. Leaves updatedAt alone.
+     *
+     * @param {string} wishlistId - The ID of the wishlist.
+     * @param {string} itemId - The ID of the item.
+     * @param {Object} alertState - { lowestPriceAlerted?, backInStockAlertedAt? }
+     * @returns {Promise<void>}
+     */
+    async recordItemAlert(wishlistId, itemId, alertState) {
+        try {
+            const update = {};
+            Object.entries(alertState).forEach(([field, value]) => {
+                update[`items.$.alertState.${field}`] = value;
+            });
+            await Wishlist.updateOne({ _id: wishlistId, 'items._id': itemId }, { $set: update }, { timestamps: false });
+        } catch (error) {
+            console.error(`Error recording alert for item ${itemId} of wishlist ${wishlistId}:`, error);
+            throw new Error(`Failed to record wishlist alert: ${error.message}`);
+        }
+    }
+
+    /**
+     * Deletes a wishlist.
      *
-     * @param {string} userId - The ID of the user whose wishlist to delete.
+     * @param {string} wishlistId - The ID of the wishlist to delete.
      * @returns {Promise<Object|null>} The deleted wishlist document, or null if not found.
      */
-    async deleteWishlist(userId) {
+    async deleteWishlist(wishlistId) {
         try {
-            return await Wishlist.findOneAndDelete({ user: userId });
+            return await Wishlist.findByIdAndDelete(wishlistId);
         } catch (error) {
-            console.error(`Error deleting wishlist for user ${userId}:`, error);
+            console.error(`Error deleting wishlist ${wishlistId}:`, error);
             throw new Error(`Failed to delete wishlist: ${error.message}`);
         }
     }
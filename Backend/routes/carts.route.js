@@ -1,24 +1,49 @@
 const express = require('express');
 const router = express.Router();
 const cartController = require('../controllers/carts.controller'); // Ensure path is correct
-const authenticate = require('../middleware/auth.middleware');     // Assuming your authentication middleware
+const resolveShopper = require('../middleware/shopper.middleware'); // Signed-in user or guest cart token
+const authenticate = require('../middleware/auth.middleware');
+const isAdmin = require('../middleware/isAdmin.middleware');
 
-// All cart routes require authentication
-// The authenticate middleware will ensure req.user.id is available to the controller
+// Cart routes work for signed-in users and for guests
+// The resolveShopper middleware sets req.shopper: the user's ID, or the guest identified by the X-Cart-Token header
+// (a guest without one gets a new token back in the X-Cart-Token response header)
 
 // Get the user's cart (or create one if it doesn't exist)
-router.get('/', authenticate, cartController.getUserCart);
+router.get('/', resolveShopper, cartController.getUserCart);
 
 // Add an item to the cart
-router.post('/items', authenticate, cartController.addItemToCart);
+router.post('/items', resolveShopper, cartController.addItemToCart);
 
 // Update the quantity of an item in the cart
-router.put('/items', authenticate, cartController.updateItemQuantity);
+router.put('/items', resolveShopper, cartController.updateItemQuantity);
 
 // Remove a specific item (or variation) from the cart
-router.delete('/items', authenticate, cartController.removeItemFromCart);
+router.delete('/items', resolveShopper, cartController.removeItemFromCart);
 
 // Clear all items from the user's cart
-router.delete('/', authenticate, cartController.clearUserCart);
+router.delete('/', resolveShopper, cartController.clearUserCart);
+
+// Saved for later: move a cart item to the list, move a saved item back to the cart, or remove it
+router.post('/items/save-for-later', resolveShopper, cartController.saveItemForLater);
+router.post('/saved/move-to-cart', resolveShopper, cartController.moveSavedItemToCart);
+router.delete('/saved', resolveShopper, cartController.removeSavedItem);
+
+// Compare the cart with the current products (price, sale, size, stock, discontinued); POST also corrects it
+router.get('/validate', resolveShopper, cartController.validateCart);
+router.post('/validate', resolveShopper, cartController.fixCart);
+
+// Checkout holds: start (reserve stock for the cart), inspect, and release
+router.post('/checkout', resolveShopper, cartController.startCheckout);
+router.get('/checkout', resolveShopper, cartController.getCheckoutReservations);
+router.delete('/checkout', resolveShopper, cartController.releaseCheckout);
+
+// Coupon: apply a code to the cart, or remove it
+router.post('/coupon', resolveShopper, cartController.applyCoupon);
+router.delete('/coupon', resolveShopper, cartController.removeCoupon);
+
+// Abandoned carts (admin only): value left in carts by day, and sending the due reminders now
+router.get('/abandoned/report', authenticate, isAdmin, cartController.getAbandonedCartReport);
+router.post('/abandoned/reminders', authenticate, isAdmin, cartController.sendAbandonedCartReminders);
 
 module.exports = router;
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const couponController = require('../controllers/coupons.controller'); // Import the coupon controller
+const authenticate = require('../middleware/auth.middleware'); // Require authentication middleware
+const isAdmin = require('../middleware/isAdmin.middleware');     // Require admin role middleware
+
+// Coupon management is admin only; customers apply codes through /api/carts/coupon
+router.get('/', authenticate, isAdmin, couponController.getAllCoupons);          // Get all coupons
+router.get('/:id', authenticate, isAdmin, couponController.getCouponById);       // Get coupon by ID
+router.post('/', authenticate, isAdmin, couponController.createCoupon);          // Create a new coupon
+router.put('/:id', authenticate, isAdmin, couponController.updateCoupon);        // Update a coupon by ID
+router.delete('/:id', authenticate, isAdmin, couponController.deleteCoupon);     // Delete a coupon by ID
+
+module.exports = router;
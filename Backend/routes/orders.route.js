@@ -1,16 +1,27 @@
 const express = require('express');
 const router = express.Router();
 const ordersController = require('../controllers/orders.controller'); // Import the orders controller
+const returnsController = require('../controllers/returns.controller'); // Returns (RMA) for delivered orders
+const paymentsController = require('../controllers/payments.controller'); // Online payments through the payment provider
+const shipmentsController = require('../controllers/shipments.controller'); // Shipments (split fulfilment and tracking)
+const orderDocumentsController = require('../controllers/orderDocuments.controller'); // Printable invoice and packing slip
 const authenticate = require('../middleware/auth.middleware');  // For authenticated users
 const isAdmin = require('../middleware/isAdmin.middleware'); // For admin role checking
+const optionalAuthenticate = require('../middleware/optionalAuth.middleware'); // Signed-in user or guest
+const resolveShopper = require('../middleware/shopper.middleware'); // Signed-in user or guest cart token
 
-// Public Routes (require authentication as they involve user-specific data)
+// Checkout (signed-in users, or guests giving an email)
 
-// Create a new order from the user's cart
-router.post('/from-cart', authenticate, ordersController.createOrderFromCartController);
+// Create a new order from the shopper's cart (guests send their X-Cart-Token)
+router.post('/from-cart', resolveShopper, ordersController.createOrderFromCartController);
 
 // Create a new order directly for a single product
-router.post('/direct', authenticate, ordersController.createDirectOrderController);
+router.post('/direct', optionalAuthenticate, ordersController.createDirectOrderController);
+
+// Guest order lookup by order number + email (public). Must come BEFORE /:orderId.
+router.get('/lookup', ordersController.lookupGuestOrderController);
+
+// Routes below require authentication as they involve user-specific data
 
 // --- IMPORTANT: ORDERING OF GET ROUTES FOR SPECIFICITY (as recommended by FE AI) ---
 
@@ -18,6 +29,10 @@ router.post('/direct', authenticate, ordersController.createDirectOrderControlle
 // This must come BEFORE any parameterized GET routes like /:orderId
 router.get('/my-orders', authenticate, ordersController.getOrdersByUserIdController);
 
+// Returns (RMA) - admin list and inspection. The '/returns' prefix must come BEFORE /:orderId.
+router.get('/returns', authenticate, isAdmin, returnsController.getAllReturnsController);
+router.get('/returns/:returnId', authenticate, isAdmin, returnsController.getReturnByIdController);
+
 // Admin Routes (require authentication and admin role)
 // These routes are also ordered from more specific to less specific where parameters are involved.
 
@@ -29,13 +44,52 @@ router.get('/', authenticate, isAdmin, ordersController.getAllOrdersController);
 // More specific than just /:orderId because of the /user/ prefix.
 router.get('/user/:userId', authenticate, isAdmin, ordersController.getOrdersByUserIdController);
 
+// Retrieve the status history of an order (owner or admin; checked in the controller)
+router.get('/:orderId/history', authenticate, ordersController.getOrderHistoryController);
+
+// Printable invoice (owner or admin; checked in the service) and packing slip (Admin-only access)
+router.get('/:orderId/invoice', authenticate, orderDocumentsController.getInvoiceController);
+router.get('/:orderId/packing-slip', authenticate, isAdmin, orderDocumentsController.getPackingSlipController);
+
+// Retrieve the refund ledger of an order (Admin-only access)
+router.get('/:orderId/refunds', authenticate, isAdmin, ordersController.getOrderRefundsController);
+
 // Retrieve a single order by its ID (GENERIC PARAMETERIZED GET path)
 // This comes AFTER all other specific GET routes to avoid conflicts.
 router.get('/:orderId', authenticate, ordersController.getOrderByIdController);
 
 
+// Request a return of items from a delivered order (customer), and list an order's returns (owner or admin)
+router.post('/:orderId/returns', authenticate, returnsController.requestReturnController);
+router.get('/:orderId/returns', authenticate, returnsController.getReturnsForOrderController);
+
+// Ship items of an order (Admin-only access), and list an order's shipments (owner or admin)
+router.post('/:orderId/shipments', authenticate, isAdmin, shipmentsController.createShipmentController);
+router.get('/:orderId/shipments', authenticate, shipmentsController.getShipmentsForOrderController);
+
+// Online payment of an order: pay or retry, and complete 3-D Secure authentication (owner, or a guest with
+// ?orderNumber=&email=; checked in the service)
+router.post('/:orderId/payment', optionalAuthenticate, paymentsController.startPaymentController);
+router.post('/:orderId/payment/confirm', optionalAuthenticate, paymentsController.confirmPaymentController);
+
+// Capture or void an authorized payment (Admin-only access)
+router.post('/:orderId/payment/capture', authenticate, isAdmin, paymentsController.capturePaymentController);
+router.post('/:orderId/payment/void', authenticate, isAdmin, paymentsController.voidPaymentController);
+
+// Issue a full or partial refund on an order (Admin-only access)
+router.post('/:orderId/refunds', authenticate, isAdmin, ordersController.issueRefundController);
+
 // --- IMPORTANT: ORDERING OF PATCH ROUTES FOR SPECIFICITY ---
 
+// Return workflow (Admin-only access): approve, reject, receive (restock + refund record)
+router.patch('/returns/:returnId/approve', authenticate, isAdmin, returnsController.approveReturnController);
+router.patch('/returns/:returnId/reject', authenticate, isAdmin, returnsController.rejectReturnController);
+router.patch('/returns/:returnId/receive', authenticate, isAdmin, returnsController.receiveReturnController);
+
+// Shipment updates (Admin-only access): correct carrier details, mark delivered
+router.patch('/shipments/:shipmentId', authenticate, isAdmin, shipmentsController.updateShipmentController);
+router.patch('/shipments/:shipmentId/deliver', authenticate, isAdmin, shipmentsController.markShipmentDeliveredController);
+
 // Update the payment status of an order (Admin-only access)
 // This is MORE SPECIFIC than the general /:orderId PATCH, so it must come FIRST.
 router.patch('/:orderId/payment-status', authenticate, isAdmin, ordersController.updatePaymentStatusController);
@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const paymentsController = require('../controllers/payments.controller'); // Import the payments controller
+
+// Payment provider webhooks. No authentication middleware: the provider calls this directly and
+// each delivery is verified by its signature (the raw body is kept for this in index.js).
+router.post('/webhooks/:provider', paymentsController.handleWebhookController);
+
+module.exports = router;
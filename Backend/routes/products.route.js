@@ -3,21 +3,23 @@ const router = express.Router();
 const productController = require('../controllers/products.controller');
 const authenticate = require('../middleware/auth.middleware');         // Require authentication
 const isAdmin = require('../middleware/isAdmin.middleware');             // Require admin role
+const optionalAuthenticate = require('../middleware/optionalAuth.middleware'); // Signed-in user, or a guest
 
 // Public routes
-router.get('/', productController.getAllProducts);                                         // Get all products
+router.get('/', productController.getAllProducts);                                         // List products (filters, sorting, pagination, facets)
+
+// New Listing Routes (declared before '/:id', which would otherwise match them as product IDs)
+router.get('/new-arrivals', productController.getNewArrivalProductsController);           // Get new arrival products
+router.get('/on-sale', productController.getOnSaleProductsController);                    // Get products with a sale live right now
+router.get('/exclusive', productController.getExclusiveProductsController);               // Get exclusive products
+router.get('/coming-soon', productController.getComingSoonProductsController);            // Get coming soon products
+
 router.get('/:id', productController.getProductById);                                       // Get product by ID
 router.get('/search/suggestions', productController.getProductsBySearch);                     // Search products
 router.get('/category/:categoryId', productController.getProductsByCategory);             // Get products by category
 router.get('/recommendations/:productId', productController.getProductRecommendations);  // Get product recommendations
 router.get('/brand/:brandId', productController.getProductsByBrand);                     // Get products by brand
 
-// New Listing Routes
-router.get('/new-arrivals', productController.getNewArrivalProductsController);           // Get new arrival products
-router.get('/on-sale', productController.getOnSaleProductsController);                    // Get on sale products
-router.get('/exclusive', productController.getExclusiveProductsController);               // Get exclusive products
-router.get('/coming-soon', productController.getComingSoonProductsController);            // Get coming soon products
-
 // Rating routes. These are public
 router.post('/rating', productController.addRating);                                     // Add a rating to a product
 router.get('/ratings/:productId', productController.getRatingsByProduct);                // Get ratings by product ID
@@ -26,6 +28,10 @@ router.get('/ratings/:productId', productController.getRatingsByProduct);
 router.post('/comment', productController.addComment);                                        // Add a comment to a product
 router.get('/comments/:productId', productController.getCommentsByProduct);                   // Get comments by product ID
 
+// Back-in-stock notification for a sold-out size/color. Public: guests leave an email, signed-in users use their account email
+router.post('/:id/notify-me', optionalAuthenticate, productController.subscribeBackInStock);
+router.delete('/:id/notify-me', optionalAuthenticate, productController.unsubscribeBackInStock);
+
 // Protected routes (require authentication and admin role)
 router.post('/', authenticate, isAdmin, productController.createProduct);                       // Create a new product
 router.put('/:id', authenticate, isAdmin, productController.updateProduct);                       // Update a product by ID.
@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const promotionController = require('../controllers/promotions.controller'); // Import the promotion controller
+const authenticate = require('../middleware/auth.middleware'); // Require authentication middleware
+const isAdmin = require('../middleware/isAdmin.middleware');     // Require admin role middleware
+
+// Public route: promotions running right now (they apply to carts automatically)
+router.get('/live', promotionController.getLivePromotions);
+
+// Protected routes (require authentication and admin role)
+router.get('/', authenticate, isAdmin, promotionController.getAllPromotions);          // Get all promotions
+router.get('/:id', authenticate, isAdmin, promotionController.getPromotionById);       // Get promotion by ID
+router.post('/', authenticate, isAdmin, promotionController.createPromotion);          // Create a new promotion
+router.put('/:id', authenticate, isAdmin, promotionController.updatePromotion);        // Update a promotion by ID
+router.delete('/:id', authenticate, isAdmin, promotionController.deletePromotion);     // Delete a promotion by ID
+
+module.exports = router;
@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const saleController = require('../controllers/sales.controller'); // Import the sale controller
+const authenticate = require('../middleware/auth.middleware'); // Require authentication middleware
+const isAdmin = require('../middleware/isAdmin.middleware');     // Require admin role middleware
+
+// Public route: sales running right now (their prices show on products automatically)
+router.get('/live', saleController.getLiveSales);
+
+// Protected routes (require authentication and admin role)
+router.get('/', authenticate, isAdmin, saleController.getAllSales);          // Get all scheduled sales
+router.get('/:id', authenticate, isAdmin, saleController.getSaleById);       // Get sale by ID
+router.post('/', authenticate, isAdmin, saleController.createSale);          // Schedule a new sale
+router.put('/:id', authenticate, isAdmin, saleController.updateSale);        // Update a sale by ID
+router.delete('/:id', authenticate, isAdmin, saleController.deleteSale);     // Delete a sale by ID
+
+module.exports = router;
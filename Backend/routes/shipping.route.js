@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const shippingController = require('../controllers/shipping.controller'); // Import the shipping controller
+const authenticate = require('../middleware/auth.middleware'); // Require authentication middleware
+const isAdmin = require('../middleware/isAdmin.middleware');     // Require admin role middleware
+const resolveShopper = require('../middleware/shopper.middleware'); // Signed-in user or guest cart token
+
+// Shipping options and costs for the shopper's cart (signed in or guest)
+router.get('/quote', resolveShopper, shippingController.getShippingQuote);
+
+// Shipping zones are admin only
+router.get('/zones', authenticate, isAdmin, shippingController.getAllShippingZones);          // Get all shipping zones
+router.get('/zones/:id', authenticate, isAdmin, shippingController.getShippingZoneById);      // Get shipping zone by ID
+router.post('/zones', authenticate, isAdmin, shippingController.createShippingZone);         // Create a new shipping zone
+router.put('/zones/:id', authenticate, isAdmin, shippingController.updateShippingZone);      // Update a shipping zone by ID
+router.delete('/zones/:id', authenticate, isAdmin, shippingController.deleteShippingZone);   // Delete a shipping zone by ID
+
+module.exports = router;
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const taxRateController = require('../controllers/taxRates.controller'); // Import the tax rate controller
+const authenticate = require('../middleware/auth.middleware'); // Require authentication middleware
+const isAdmin = require('../middleware/isAdmin.middleware');     // Require admin role middleware
+
+// Tax configuration is admin only; taxes are applied to orders automatically
+router.get('/', authenticate, isAdmin, taxRateController.getAllTaxRates);          // Get all tax rates
+router.get('/:id', authenticate, isAdmin, taxRateController.getTaxRateById);       // Get tax rate by ID
+router.post('/', authenticate, isAdmin, taxRateController.createTaxRate);          // Create a new tax rate
+router.put('/:id', authenticate, isAdmin, taxRateController.updateTaxRate);        // Update a tax rate by ID
+router.delete('/:id', authenticate, isAdmin, taxRateController.deleteTaxRate);     // Delete a tax rate by ID
+
+module.exports = router;
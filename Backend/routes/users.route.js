@@ -7,10 +7,12 @@ const isAdmin = require('../middleware/isAdmin.middleware');
 // Public routes
 router.post('/register', userController.registerUser);
 router.post('/login', userController.loginUser);
+router.post('/verify-email', userController.verifyEmail); // Body: { token } from the verification email
 
 // Protected routes (require authentication)
 router.get('/', authenticate, isAdmin, userController.getAllUsers); // Get all user (admin only)
 router.get('/me', authenticate, (req, res) => res.json(req.user)); // Get logged-in user
+router.post('/verify-email/resend', authenticate, userController.resendEmailVerification); // New verification email
 router.get('/:id', authenticate, userController.getUserById); // Get user by id
 router.patch('/:id', authenticate, userController.updateUser); // Update user (regular user update)
 
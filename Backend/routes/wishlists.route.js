@@ -2,26 +2,41 @@ const express = require('express');
 const router = express.Router();
 const wishlistController = require('../controllers/wishlists.controller');
 const authenticate = require('../middleware/auth.middleware');
-const isAdmin = require('../middleware/isAdmin.middleware');
+const optionalAuthenticate = require('../middleware/optionalAuth.middleware');
 
 /**
  * Wishlist Routes
- * All routes are authenticated; some admin routes can be adjusted if needed
+ * All routes are authenticated and act on the signed-in user's lists; a user can keep several named lists.
+ * The shared routes are public: anyone with a list's share link can view it and mark items as purchased
  */
 
-// GET wishlist for a user
-router.get('/:userId', authenticate, wishlistController.getWishlist);
+// Public view of a shared wishlist (live price and stock)
+router.get('/shared/:shareToken', optionalAuthenticate, wishlistController.getSharedWishlist);
 
-// Create a wishlist (or add initial products)
-router.post('/:userId', authenticate, wishlistController.createWishlist);
+// Mark a shared wishlist item as purchased, or clear the mark (hidden from the owner)
+router.post('/shared/:shareToken/items/:itemId/purchased', optionalAuthenticate, wishlistController.markSharedItemPurchased);
+router.delete('/shared/:shareToken/items/:itemId/purchased', optionalAuthenticate, wishlistController.unmarkSharedItemPurchased);
 
-// Add a product to wishlist
-router.post('/:userId/add', authenticate, wishlistController.addProductToWishlist);
+// Get all of the user's wishlists
+router.get('/', authenticate, wishlistController.getWishlists);
 
-// Remove a product from wishlist
-router.delete('/:userId/remove', authenticate, wishlistController.removeProductFromWishlist);
+// Create a new (empty) named wishlist
+router.post('/', authenticate, wishlistController.createWishlist);
 
-// Delete a user's entire wishlist (e.g., by admin or account cleanup)
-router.delete('/:userId', authenticate, isAdmin, wishlistController.deleteWishlist);
+// Get, rename or delete one wishlist
+router.get('/:wishlistId', authenticate, wishlistController.getWishlist);
+router.put('/:wishlistId', authenticate, wishlistController.renameWishlist);
+router.delete('/:wishlistId', authenticate, wishlistController.deleteWishlist);
+
+// Add a product to a wishlist (with optional preferred size, color and note)
+router.post('/:wishlistId/items', authenticate, wishlistController.addItemToWishlist);
+
+// Change an item's preferred size, color or note, or remove it
+router.put('/:wishlistId/items/:itemId', authenticate, wishlistController.updateWishlistItem);
+router.delete('/:wishlistId/items/:itemId', authenticate, wishlistController.removeItemFromWishlist);
+
+// Share a wishlist (a new link replaces the old one), or stop sharing it
+router.post('/:wishlistId/share', authenticate, wishlistController.shareWishlist);
+router.delete('/:wishlistId/share', authenticate, wishlistController.unshareWishlist);
 
 module.exports = router;
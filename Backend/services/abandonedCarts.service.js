@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const cartsRepository = require('../repositories/carts.repository');
+const couponsService = require('./coupons.service');
+const { sendNotification } = require('./notifiers');
+const { parseReminderSchedule, getAbandonedBefore, getDueReminderStage } = require('../utils/abandonedCarts');
+
+const REMINDER_SCHEDULE = parseReminderSchedule(process.env.ABANDONED_CART_REMINDER_HOURS, [24, 72]); // Hours idle before each reminder stage
+const JOB_INTERVAL_MINUTES = process.env.ABANDONED_CART_JOB_MINUTES !== undefined
+    ? parseInt(process.env.ABANDONED_CART_JOB_MINUTES, 10) || 0
+    : 60; // How often the job looks for abandoned carts (0 turns it off)
+const COUPON_PERCENT = Number(process.env.ABANDONED_CART_COUPON_PERCENT) || 0; // Recovery coupon percentage (0 = no coupon)
+const COUPON_STAGE = parseInt(process.env.ABANDONED_CART_COUPON_STAGE, 10) || REMINDER_SCHEDULE.length; // Reminder stage that carries the coupon
+const COUPON_VALID_DAYS = parseInt(process.env.ABANDONED_CART_COUPON_DAYS, 10) || 7; // How long a recovery coupon stays valid
+const PAYMENT_CURRENCY = process.env.PAYMENT_CURRENCY || 'USD'; // Same currency the payment provider charges in
+const BATCH_SIZE = 100; // Carts handled per run; the rest wait for the next run
+const REPORT_DEFAULT_DAYS = 30;
+
+let jobRunning = false;
+
+/**
+ * Creates a single-use percentage coupon for a cart reminder.
+ * @param {Date} now - The moment the reminder goes out.
+ * @returns {Promise<Coupon>}
+ */
+async function createRecoveryCoupon(now) {
+    return couponsService.createCoupon({
+        code: `COMEBACK-${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+        description: 'Abandoned cart recovery',
+        type: 'percentage',
+        value: COUPON_PERCENT,
+        endsAt: new Date(now.getTime() + COUPON_VALID_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+        usageLimit: 1,
+        usageLimitPerUser: 1
+    });
+}
+
+function buildReminder(cart, stage, couponCode) {
+    const user = cart.user;
+    const lines = cart.items
+        .filter(item => item.product)
+        .map(item => {
+            const options = [item.selectedSize && `size ${item.selectedSize}`, item.selectedColor && `color ${item.selectedColor}`].filter(Boolean);
+            return `- ${item.quantity} x ${item.product.name}${options.length > 0 ? ` (${options.join(', ')})` : ''}`;
+        });
+    const text = [
+        `Hi ${user.firstName || user.username},`,
+        '',
+        'You left these in your cart:',
+        ...lines,
+        '',
+        `Total: ${PAYMENT_CURRENCY} ${cart.totalPrice.toFixed(2)}`
+    ];
+    if (couponCode) {
+        text.push('', `Use code ${couponCode} for ${COUPON_PERCENT}% off your order (one use, valid for ${COUPON_VALID_DAYS} days).`);
+    }
+    return {
+        type: 'abandoned_cart',
+        to: user.email,
+        subject: stage === 1 ? 'You left something in your cart' : 'Your cart is still waiting for you',
+        text: text.join('\n'),
+        data: { cartId: cart._id.toString(), stage, totalPrice: cart.totalPrice, couponCode: couponCode || null }
+    };
+}
+
+/**
+ * Sends the reminders that are due: every signed-in shopper's cart with items that nobody has
+ * touched for the hours of a reminder stage gets that stage's reminder, once. The recovery coupon
+ * (if ABANDONED_CART_COUPON_PERCENT is set) is created with the COUPON_STAGE reminder and repeated
+ * in later ones. A reminder that fails to send is logged and not retried.
+ * @param {Date} [now] - The moment to run at.
+ * @returns {Promise<{ checked: number, sent: number, skipped: number, failed: number }>}
+ */
+async function sendAbandonedCartReminders(now = new Date()) {
+    const carts = await cartsRepository.getAbandonedUserCarts(
+        getAbandonedBefore(REMINDER_SCHEDULE, now),
+        REMINDER_SCHEDULE.length,
+        BATCH_SIZE
+    );
+
+    const summary = { checked: carts.length, sent: 0, skipped: 0, failed: 0 };
+    for (const cart of carts) {
+        const stage = getDueReminderStage(cart, REMINDER_SCHEDULE, now);
+        if (!stage || !cart.user) {
+            summary.skipped++;
+            continue;
+        }
+
+        let coupon = null;
+        try {
+            const previousCouponCode = cart.reminder && cart.reminder.couponCode;
+            if (COUPON_PERCENT > 0 && stage >= COUPON_STAGE && !previousCouponCode) {
+                coupon = await createRecoveryCoupon(now);
+            }
+            const couponCode = coupon ? coupon.code : previousCouponCode;
+
+            // Claim the stage first so a second job instance cannot send the same reminder
+            const recorded = await cartsRepository.recordCartReminder(cart._id, cart.updatedAt, { stage, couponCode });
+            if (!recorded) {
+                // The shopper came back while the job ran
+                if (coupon) {
+                    await couponsService.deleteCoupon(coupon._id);
+                }
+                summary.skipped++;
+                continue;
+            }
+
+            await sendNotification(buildReminder(cart, stage, couponCode));
+            summary.sent++;
+        } catch (error) {
+            console.error(`Error sending abandoned cart reminder for cart ${cart._id}:`, error.message);
+            summary.failed++;
+        }
+    }
+    return summary;
+}
+
+/**
+ * Starts the background job that sends abandoned cart reminders every ABANDONED_CART_JOB_MINUTES.
+ * Runs never overlap; a run that is still busy makes the next one wait for the following tick.
+ * @returns {object|null} - The interval timer, or null if the job is turned off.
+ */
+function startAbandonedCartJob() {
+    if (JOB_INTERVAL_MINUTES <= 0) {
+        return null;
+    }
+    const timer = setInterval(async () => {
+        if (jobRunning) {
+            return;
+        }
+        jobRunning = true;
+        try {
+            const summary = await sendAbandonedCartReminders();
+            if (summary.sent > 0 || summary.failed > 0) {
+                console.log(`Abandoned cart reminders: ${summary.sent} sent, ${summary.failed} failed.`);
+            }
+        } catch (error) {
+            console.error('Error in abandoned cart job:', error.message);
+        } finally {
+            jobRunning = false;
+        }
+    }, JOB_INTERVAL_MINUTES * 60 * 1000);
+    timer.unref(); // The job must not keep the process alive
+    return timer;
+}
+
+/**
+ * Reports the carts still left with items, by the day they were last touched.
+ * Carts that were checked out (or emptied) since no longer count.
+ * @param {object} [range] - { from?, to? } dates; defaults to the last 30 days.
+ * @returns {Promise<object>} - { abandonedAfterHours, from, to, days: [{ date, carts, guestCarts, items, value, reminded }], totals: { carts, items, value } }
+ * @throws {Error} - If a date is invalid or from is after to.
+ */
+async function getAbandonedCartReport({ from, to } = {}) {
+    const end = to ? new Date(to) : new Date();
+    const start = from ? new Date(from) : new Date(end.getTime() - REPORT_DEFAULT_DAYS * 24 * 60 * 60 * 1000);
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || start > end) {
+        throw new Error('Invalid date range: from and to must be dates, from before to.');
+    }
+
+    const days = await cartsRepository.getAbandonedValueByDay(getAbandonedBefore(REMINDER_SCHEDULE), start, end);
+    const totals = days.reduce((sum, day) => ({
+        carts: sum.carts + day.carts,
+        items: sum.items + day.items,
+        value: Math.round((sum.value + day.value) * 100) / 100
+    }), { carts: 0, items: 0, value: 0 });
+
+    return { abandonedAfterHours: REMINDER_SCHEDULE[0], from: start, to: end, days, totals };
+}
+
+module.exports = {
+    sendAbandonedCartReminders,
+    startAbandonedCartJob,
+    getAbandonedCartReport
+};
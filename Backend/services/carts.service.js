@@ -1,35 +1,98 @@
 const cartsRepository = require('../repositories/carts.repository'); 
+const reservationsRepository = require('../repositories/reservations.repository');
 const productService = require('./products.service'); 
+const promotionsService = require('./promotions.service');
+const { resolveVariant, getUnitPrices } = require('../utils/productVariants');
+const { getCartItemUnitPrice } = require('../utils/sales');
+const { getCartShopper, getShopperUserId } = require('../utils/shoppers');
+const { checkCartLine } = require('../utils/cartDrift');
 
 /**
- * Retrieves a user's cart. If no cart exists, a new one is created.
- * @param {string} userId - The ID of the user.
- * @returns {Promise<Cart>} - The user's cart document.
+ * Turns cart lines into priced items for the discount, tax and shipping rules.
+ * @param {Cart} cart - The cart, products populated.
+ * @returns {Array<object>} - [{ product, selectedSize, selectedColor, quantity, unitPrice }]
+ */
+function getDiscountItems(cart) {
+    // Lines of deleted products have nothing to price against (validateCart reports them)
+    return cart.items.filter(item => item.product).map(item => ({
+        product: item.product,
+        selectedSize: item.selectedSize,
+        selectedColor: item.selectedColor,
+        quantity: item.quantity,
+        unitPrice: getCartItemUnitPrice(item)
+    }));
+}
+
+// Compact fingerprint of discount lines, to skip saving a cart whose discounts did not change
+function getDiscountsSignature(discounts) {
+    return (discounts || []).map(discount => [
+        discount.source,
+        discount.code || '',
+        discount.promotion ? discount.promotion.toString() : '',
+        discount.amount,
+        discount.items.map(item => `${item.productId}:${item.selectedSize || ''}:${item.selectedColor || ''}:${item.amount}`).join(',')
+    ].join('|')).join(';');
+}
+
+/**
+ * Recomputes the discounts of a cart (automatic promotions and the applied coupon) and stores them.
+ * A coupon that no longer qualifies (e.g. below its minimum spend after an item was removed)
+ * stays applied with no discount and the reason in `couponError`, so it comes back into effect
+ * when the cart qualifies again.
+ * @param {Cart} cart - The cart, products populated.
+ * @returns {Promise<Cart>} - The updated cart.
  */
-async function getOrCreateUserCart(userId) {
+async function refreshCartDiscounts(cart) {
+    let discounts = [];
+    let couponError = null;
+    if (cart.items.length > 0) {
+        ({ discounts, couponError } = await promotionsService.calculateDiscounts(getDiscountItems(cart), {
+            userId: cart.user || null,
+            couponCode: cart.couponCode
+        }));
+    }
+    if ((cart.couponError || null) === couponError && getDiscountsSignature(cart.discounts) === getDiscountsSignature(discounts)) {
+        return cart;
+    }
+    return cartsRepository.updateCartDiscounts(getCartShopper(cart), { couponCode: cart.couponCode, couponError, discounts });
+}
+
+/**
+ * Retrieves a shopper's cart. If no cart exists, a new one is created.
+ * @param {string|object} shopper - The ID of the user, or a guest { guestKey } (see utils/shoppers.js).
+ * @returns {Promise<Cart>} - The shopper's cart document.
+ */
+async function getOrCreateCart(shopper) {
     try {
-        let cart = await cartsRepository.getCartByUserId(userId);
+        let cart = await cartsRepository.getCartByShopper(shopper);
         if (!cart) {
-            cart = await cartsRepository.createCart(userId);
+            cart = await cartsRepository.createCart(shopper);
         }
-        return cart;
+        // Sales end while items sit in a cart
+        if (cart.items.some(item => item.saleEndsAt && item.saleEndsAt < new Date())) {
+            cart = await cartsRepository.clearExpiredSalePrices(shopper) || cart;
+        }
+        // Promotions start and end, and coupons expire or run out, while items sit in a cart
+        return await refreshCartDiscounts(cart);
     } catch (error) {
-        console.error('Error in getOrCreateUserCart:', error.message);
-        throw new Error('Could not retrieve or create user cart.');
+        console.error('Error in getOrCreateCart:', error.message);
+        throw new Error('Could not retrieve or create cart.');
     }
 }
 
 /**
- * Adds a product to the user's cart. Handles quantity updates and stock checks.
- * @param {string} userId - The ID of the user.
+ * Adds a product to the shopper's cart. Handles quantity updates and stock checks.
+ * For products with a variant matrix, the variant can be selected by SKU code or by size/color.
+ * @param {string|object} shopper - The ID of the user, or a guest { guestKey }.
  * @param {string} productId - The ID of the product to add.
  * @param {number} quantity - The quantity of the product to add.
  * @param {string} [selectedSize] - The selected size (optional).
  * @param {string} [selectedColor] - The selected color (optional).
+ * @param {string} [sku] - The SKU code of the selected variant (optional).
  * @returns {Promise<Cart>} - The updated cart document.
- * @throws {Error} If product not found, out of stock, or other repository error.
+ * @throws {Error} If product not found, variant not found, out of stock, or other repository error.
  */
-async function addItemToCart(userId, productId, quantity, selectedSize, selectedColor) {
+async function addItemToCart(shopper, productId, quantity, selectedSize, selectedColor, sku) {
     try {
         // Fetch product details to get current price and salePrice
         const product = await productService.getProductById(productId);
@@ -37,17 +100,25 @@ async function addItemToCart(userId, productId, quantity, selectedSize, selected
             throw new Error('Product not found.');
         }
 
-        // Pass product's current price and salePrice to the repository function
+        // Resolve the exact variant (null for products without a variant matrix)
+        const variant = resolveVariant(product, { sku, selectedSize, selectedColor });
+        const { price, salePrice, saleEndsAt } = getUnitPrices(product, variant);
+
+        // Pass the variant's current price and salePrice to the repository function
         const updatedCart = await cartsRepository.addItemToCart(
-            userId,
+            shopper,
             productId,
             quantity,
-            product.price,
-            product.salePrice, // Will be undefined if not on sale, repository handles this
-            selectedSize,
-            selectedColor
+            price,
+            salePrice, // Will be undefined if not on sale, repository handles this
+            variant ? variant.size : selectedSize,
+            variant ? variant.color : selectedColor,
+            variant ? variant.sku : undefined,
+            saleEndsAt
         );
-        return updatedCart;
+        // The cart changed, so any checkout holds no longer match it
+        await reservationsRepository.deleteReservationsByShopper(shopper);
+        return refreshCartDiscounts(updatedCart);
     } catch (error) {
         console.error('Error in addItemToCart:', error.message);
         // Re-throw the error for the controller to handle
@@ -56,18 +127,20 @@ async function addItemToCart(userId, productId, quantity, selectedSize, selected
 }
 
 /**
- * Removes a specific item (or variation) from the user's cart.
- * @param {string} userId - The ID of the user.
+ * Removes a specific item (or variation) from the shopper's cart.
+ * @param {string|object} shopper - The ID of the user, or a guest { guestKey }.
  * @param {string} productId - The ID of the product to remove.
  * @param {string} [selectedSize] - The selected size (optional).
  * @param {string} [selectedColor] - The selected color (optional).
  * @returns {Promise<Cart>} - The updated cart document.
  * @throws {Error} If cart not found or item not found.
  */
-async function removeItemFromCart(userId, productId, selectedSize, selectedColor) {
+async function removeItemFromCart(shopper, productId, selectedSize, selectedColor) {
     try {
-        const updatedCart = await cartsRepository.removeItemFromCart(userId, productId, selectedSize, selectedColor);
-        return updatedCart;
+        const updatedCart = await cartsRepository.removeItemFromCart(shopper, productId, selectedSize, selectedColor);
+        // The cart changed, so any checkout holds no longer match it
+        await reservationsRepository.deleteReservationsByShopper(shopper);
+        return refreshCartDiscounts(updatedCart);
     } catch (error) {
         console.error('Error in removeItemFromCart:', error.message);
         throw error;
@@ -75,8 +148,8 @@ async function removeItemFromCart(userId, productId, selectedSize, selectedColor
 }
 
 /**
- * Updates the quantity of a specific item in the user's cart.
- * @param {string} userId - The ID of the user.
+ * Updates the quantity of a specific item in the shopper's cart.
+ * @param {string|object} shopper - The ID of the user, or a guest { guestKey }.
  * @param {string} productId - The ID of the product to update.
  * @param {number} newQuantity - The new desired quantity.
  * @param {string} [selectedSize] - The selected size (optional).
@@ -84,16 +157,18 @@ async function removeItemFromCart(userId, productId, selectedSize, selectedColor
  * @returns {Promise<Cart>} - The updated cart document.
  * @throws {Error} If cart or item not found, or stock issues.
  */
-async function updateItemQuantity(userId, productId, newQuantity, selectedSize, selectedColor) {
+async function updateItemQuantity(shopper, productId, newQuantity, selectedSize, selectedColor) {
     try {
         const updatedCart = await cartsRepository.updateItemQuantity(
-            userId,
+            shopper,
             productId,
             newQuantity,
             selectedSize,
             selectedColor
         );
-        return updatedCart;
+        // The cart changed, so any checkout holds no longer match it
+        await reservationsRepository.deleteReservationsByShopper(shopper);
+        return refreshCartDiscounts(updatedCart);
     } catch (error) {
         console.error('Error in updateItemQuantity:', error.message);
         throw error;
@@ -101,14 +176,16 @@ async function updateItemQuantity(userId, productId, newQuantity, selectedSize,
 }
 
 /**
- * Clears all items from a user's cart.
- * @param {string} userId - The ID of the user.
+ * Clears all items from a shopper's cart.
+ * @param {string|object} shopper - The ID of the user, or a guest { guestKey }.
  * @returns {Promise<Cart>} - The updated (empty) cart document.
  * @throws {Error} If cart not found.
  */
-async function clearUserCart(userId) {
+async function clearUserCart(shopper) {
     try {
-        const clearedCart = await cartsRepository.clearCart(userId);
+        const clearedCart = await cartsRepository.clearCart(shopper);
+        // The cart changed, so any checkout holds no longer match it
+        await reservationsRepository.deleteReservationsByShopper(shopper);
         return clearedCart;
     } catch (error) {
         console.error('Error in clearUserCart:', error.message);
@@ -116,10 +193,188 @@ async function clearUserCart(userId) {
     }
 }
 
+/**
+ * Moves an item from the cart to the saved-for-later list. Saved items do not count towards
+ * the cart total and are not ordered with the cart.
+ * @param {string|object} shopper - The ID of the user, or a guest { guestKey }.
+ * @param {string} productId - The ID of the product.
+ * @param {string} [selectedSize] - The selected size (optional).
+ * @param {string} [selectedColor] - The selected color (optional).
+ * @returns {Promise<Cart>} - The updated cart document.
+ * @throws {Error} If cart or item not found.
+ */
+async function saveItemForLater(shopper, productId, selectedSize, selectedColor) {
+    try {
+        const updatedCart = await cartsRepository.saveItemForLater(shopper, productId, selectedSize, selectedColor);
+        // The cart changed, so any checkout holds no longer match it
+        await reservationsRepository.deleteReservationsByShopper(shopper);
+        return refreshCartDiscounts(updatedCart);
+    } catch (error) {
+        console.error('Error in saveItemForLater:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Moves a saved-for-later item back into the cart, priced as the product is now.
+ * @param {string|object} shopper - The ID of the user, or a guest { guestKey }.
+ * @param {string} productId - The ID of the product.
+ * @param {string} [selectedSize] - The selected size (optional).
+ * @param {string} [selectedColor] - The selected color (optional).
+ * @returns {Promise<Cart>} - The updated cart document.
+ * @throws {Error} If the saved item or product is not found, the variant no longer exists, or stock is insufficient.
+ */
+async function moveSavedItemToCart(shopper, productId, selectedSize, selectedColor) {
+    try {
+        const product = await productService.getProductById(productId);
+        if (!product) {
+            throw new Error('Product not found.');
+        }
+        const variant = resolveVariant(product, { selectedSize, selectedColor });
+        const { price, salePrice, saleEndsAt } = getUnitPrices(product, variant);
+
+        const updatedCart = await cartsRepository.moveSavedItemToCart(
+            shopper,
+            productId,
+            { price, salePrice, saleEndsAt, sku: variant ? variant.sku : undefined },
+            selectedSize,
+            selectedColor
+        );
+        // The cart changed, so any checkout holds no longer match it
+        await reservationsRepository.deleteReservationsByShopper(shopper);
+        return refreshCartDiscounts(updatedCart);
+    } catch (error) {
+        console.error('Error in moveSavedItemToCart:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Removes an item from the saved-for-later list.
+ * @param {string|object} shopper - The ID of the user, or a guest { guestKey }.
+ * @param {string} productId - The ID of the product.
+ * @param {string} [selectedSize] - The selected size (optional).
+ * @param {string} [selectedColor] - The selected color (optional).
+ * @returns {Promise<Cart>} - The updated cart document.
+ * @throws {Error} If cart or saved item not found.
+ */
+async function removeSavedItem(shopper, productId, selectedSize, selectedColor) {
+    try {
+        return await cartsRepository.removeSavedItem(shopper, productId, selectedSize, selectedColor);
+    } catch (error) {
+        console.error('Error in removeSavedItem:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Applies a coupon code to the shopper's cart. Any previously applied code is replaced.
+ * @param {string|object} shopper - The ID of the user, or a guest { guestKey }.
+ * @param {string} code - The coupon code.
+ * @returns {Promise<Cart>} - The updated cart with the discount applied.
+ * @throws {Error} - If the cart is empty or the coupon cannot be used for it ('Invalid coupon: ...').
+ */
+async function applyCoupon(shopper, code) {
+    const cart = await getOrCreateCart(shopper);
+    if (cart.items.length === 0) {
+        throw new Error('Cannot apply a coupon to an empty cart.');
+    }
+    // Unlike a refresh, applying a code that does not qualify is an error
+    const { discounts, coupon } = await promotionsService.calculateDiscounts(getDiscountItems(cart), {
+        userId: getShopperUserId(shopper),
+        couponCode: code,
+        strictCoupon: true
+    });
+    return cartsRepository.updateCartDiscounts(shopper, { couponCode: coupon.code, couponError: null, discounts });
+}
+
+/**
+ * Removes the applied coupon from the shopper's cart.
+ * @param {string|object} shopper - The ID of the user, or a guest { guestKey }.
+ * @returns {Promise<Cart>} - The updated cart.
+ */
+async function removeCoupon(shopper) {
+    const cart = await getOrCreateCart(shopper);
+    // Automatic promotions stay applied
+    const { discounts } = cart.items.length > 0
+        ? await promotionsService.calculateDiscounts(getDiscountItems(cart))
+        : { discounts: [] };
+    return cartsRepository.updateCartDiscounts(shopper, { couponCode: null, couponError: null, discounts });
+}
+
+/**
+ * Checks every cart line against its product as it is now and reports the drift: price changes,
+ * sales that started or ended, removed sizes, reduced stock, and discontinued products
+ * (see utils/cartDrift.js). With applyFixes, lines that can no longer be bought are removed,
+ * quantities are lowered to the stock left and prices are brought up to date.
+ * Without applyFixes nothing is written: the cart is returned as stored (null if there is none).
+ * @param {string|object} shopper - The ID of the user, or a guest { guestKey }.
+ * @param {object} [options] - { applyFixes? }
+ * @returns {Promise<object>} - { valid, fixed, warnings: [{ productId, selectedSize, selectedColor, type, message, ... }], cart }
+ */
+async function validateCart(shopper, { applyFixes = false } = {}) {
+    // Unpopulated, so lines of deleted products still show their product ID
+    const storedCart = await cartsRepository.getCartByShopper(shopper, false);
+    if (!storedCart) {
+        return { valid: true, fixed: false, warnings: [], cart: null };
+    }
+    const warnings = [];
+    const fixes = [];
+    for (const item of storedCart.items) {
+        const product = await productService.getProductById(item.product);
+        const line = { productId: item.product, selectedSize: item.selectedSize, selectedColor: item.selectedColor };
+        const { warnings: lineWarnings, fix } = checkCartLine(item, product);
+        lineWarnings.forEach(warning => warnings.push({ ...line, ...warning }));
+        if (fix) {
+            fixes.push({ product: item.product, selectedSize: item.selectedSize, selectedColor: item.selectedColor, ...fix });
+        }
+    }
+
+    const fixed = applyFixes && fixes.length > 0;
+    if (fixed) {
+        await cartsRepository.applyCartFixes(shopper, fixes);
+        // The cart changed, so any checkout holds no longer match it
+        await reservationsRepository.deleteReservationsByShopper(shopper);
+    }
+    return {
+        valid: warnings.length === 0,
+        fixed,
+        warnings,
+        cart: applyFixes ? await getOrCreateCart(shopper) : await cartsRepository.getCartByShopper(shopper)
+    };
+}
+
+/**
+ * Merges a guest's cart into the cart of the user they signed in as. Lines of the same
+ * product, size and color are summed and capped at the available stock; see
+ * carts.repository mergeGuestCart for how each line is treated.
+ * @param {object} guestShopper - The guest { guestKey } (see utils/shoppers.js).
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<{ cart: Cart, adjustments: Array<object> }|null>} - The merged cart and the lines that
+ *          were reduced or left out, or null if the guest had nothing in their cart.
+ */
+async function mergeGuestCart(guestShopper, userId) {
+    const merged = await cartsRepository.mergeGuestCart(guestShopper, userId);
+    if (!merged) {
+        return null;
+    }
+    // The coupon and promotions are re-checked against the merged lines
+    const cart = await refreshCartDiscounts(merged.cart);
+    return { cart, adjustments: merged.adjustments };
+}
+
 module.exports = {
-    getOrCreateUserCart,
+    getOrCreateCart,
     addItemToCart,
     removeItemFromCart,
     updateItemQuantity,
-    clearUserCart
+    clearUserCart,
+    saveItemForLater,
+    moveSavedItemToCart,
+    removeSavedItem,
+    applyCoupon,
+    removeCoupon,
+    validateCart,
+    mergeGuestCart,
+    getDiscountItems
 };
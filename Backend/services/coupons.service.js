@@ -0,0 +1,181 @@
+const couponsRepository = require('../repositories/coupons.repository');
+const categoriesRepository = require('../repositories/categories.repository');
+const { createCouponValidation, updateCouponValidation } = require('../utils/couponValidation');
+const { evaluateCoupon } = require('../utils/coupons');
+const mongoose = require('mongoose');
+
+// Fields that decide whether a coupon's value is consistent with its type
+const VALUE_FIELDS = ['code', 'type', 'value', 'startsAt', 'endsAt'];
+
+/**
+ * Creates a new coupon.
+ * @param {object} couponData - The coupon fields.
+ * @returns {Promise<Coupon>}
+ * @throws {Error} - If validation fails or the code already exists.
+ */
+async function createCoupon(couponData) {
+    const { error, value } = createCouponValidation(couponData);
+    if (error) {
+        throw new Error(error.details[0].message);
+    }
+    const existingCoupon = await couponsRepository.getCouponByCode(value.code);
+    if (existingCoupon) {
+        throw new Error('Coupon code already exists');
+    }
+    return couponsRepository.createCoupon(value);
+}
+
+/**
+ * Retrieves all coupons.
+ * @returns {Promise<Array<Coupon>>}
+ */
+async function getAllCoupons() {
+    return couponsRepository.getAllCoupons();
+}
+
+/**
+ * Retrieves a coupon by its ID.
+ * @param {string} id - The ID of the coupon.
+ * @returns {Promise<Coupon>}
+ * @throws {Error} - If the ID is invalid or the coupon is not found.
+ */
+async function getCouponById(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new Error('Invalid coupon ID');
+    }
+    const coupon = await couponsRepository.getCouponById(id);
+    if (!coupon) {
+        throw new Error('Coupon not found');
+    }
+    return coupon;
+}
+
+/**
+ * Updates a coupon. The resulting type/value/date combination is validated as a whole.
+ * @param {string} id - The ID of the coupon.
+ * @param {object} updateData - The fields to update.
+ * @returns {Promise<Coupon>}
+ * @throws {Error} - If validation fails, the coupon is not found or the new code is taken.
+ */
+async function updateCoupon(id, updateData) {
+    const existingCoupon = await getCouponById(id);
+    const { error, value } = updateCouponValidation(updateData);
+    if (error) {
+        throw new Error(error.details[0].message);
+    }
+
+    const merged = {};
+    for (const field of VALUE_FIELDS) {
+        const fieldValue = value[field] !== undefined ? value[field] : existingCoupon[field];
+        if (fieldValue !== undefined && fieldValue !== null) {
+            merged[field] = fieldValue;
+        }
+    }
+    const { error: mergedError } = createCouponValidation(merged);
+    if (mergedError) {
+        throw new Error(mergedError.details[0].message);
+    }
+
+    if (value.code && value.code !== existingCoupon.code) {
+        const couponWithSameCode = await couponsRepository.getCouponByCode(value.code);
+        if (couponWithSameCode && couponWithSameCode._id.toString() !== id) {
+            throw new Error('Coupon code already exists');
+        }
+    }
+    return couponsRepository.updateCoupon(id, value);
+}
+
+/**
+ * Deletes a coupon. Orders keep their coupon snapshot.
+ * @param {string} id - The ID of the coupon.
+ * @returns {Promise<Coupon>} - The deleted coupon.
+ * @throws {Error} - If the ID is invalid or the coupon is not found.
+ */
+async function deleteCoupon(id) {
+    await getCouponById(id);
+    return couponsRepository.deleteCoupon(id);
+}
+
+/**
+ * Turns priced items into discount lines for the coupon and promotion rules, resolving each
+ * product's category with its ancestors so category restrictions also cover subcategories.
+ * @param {Array<object>} items - [{ product, selectedSize?, selectedColor?, quantity, unitPrice }]
+ *                                where product has `_id`, `category` (ID or document) and `brand`.
+ * @returns {Promise<Array<object>>} - Lines for evaluateCoupon (utils/coupons.js) and evaluatePromotions (utils/promotions.js).
+ */
+async function buildDiscountLines(items) {
+    const categoryCache = new Map();
+    const lines = [];
+    for (const item of items) {
+        const category = item.product.category;
+        const categoryId = category ? (category._id || category).toString() : null;
+        let categoryIds = [];
+        if (categoryId) {
+            if (!categoryCache.has(categoryId)) {
+                // Populated categories already carry their ancestors
+                const categoryDoc = category.ancestors ? category : await categoriesRepository.getCategoryById(categoryId);
+                categoryCache.set(categoryId, [categoryId, ...((categoryDoc && categoryDoc.ancestors) || []).map(a => a._id.toString())]);
+            }
+            categoryIds = categoryCache.get(categoryId);
+        }
+        lines.push({
+            productId: item.product._id,
+            selectedSize: item.selectedSize,
+            selectedColor: item.selectedColor,
+            quantity: item.quantity,
+            unitPrice: item.unitPrice,
+            categoryIds,
+            brandId: item.product.brand
+        });
+    }
+    return lines;
+}
+
+/**
+ * Looks up a coupon code and evaluates it for a customer against priced items.
+ * @param {string} code - The coupon code.
+ * @param {string} userId - The ID of the customer (for per-customer limits).
+ * @param {Array<object>} items - See buildDiscountLines.
+ * @returns {Promise<object>} - The discount from utils/coupons.js evaluateCoupon.
+ * @throws {Error} - 'Invalid coupon: ...' if the code does not exist or cannot be used.
+ */
+async function evaluateCouponCode(code, userId, items) {
+    if (!code || typeof code !== 'string' || code.trim() === '') {
+        throw new Error('Invalid coupon: a code is required.');
+    }
+    const coupon = await couponsRepository.getCouponByCode(code);
+    if (!coupon) {
+        throw new Error(`Invalid coupon: ${code.trim().toUpperCase()} does not exist.`);
+    }
+    const userRedemptions = userId ? await couponsRepository.countUserRedemptions(coupon._id, userId) : 0;
+    const lines = await buildDiscountLines(items);
+    return evaluateCoupon(coupon, lines, { userRedemptions });
+}
+
+/**
+ * Converts an evaluated coupon into a discount line for a cart or order.
+ * @param {object} discount - The result of evaluateCouponCode.
+ * @returns {object} - The discount line.
+ */
+function toDiscountLine(discount) {
+    return {
+        source: 'coupon',
+        code: discount.code,
+        coupon: discount.coupon,
+        description: discount.description,
+        amount: discount.amount,
+        freeShipping: discount.freeShipping,
+        items: discount.items
+    };
+}
+
+module.exports = {
+    createCoupon,
+    getAllCoupons,
+    getCouponById,
+    updateCoupon,
+    deleteCoupon,
+    buildDiscountLines,
+    evaluateCouponCode,
+    toDiscountLine
+};
@@ -0,0 +1,18 @@
+/**
+ * @fileoverview Local notifier for development: logs each notification to the console
+ * instead of sending it.
+ */
+
+/**
+ * Logs a notification.
+ * @param {object} notification - { type, to, subject, text, data }
+ * @returns {Promise<void>}
+ */
+async function send({ type, to, subject, text }) {
+    console.log(`[notification:${type}] To: ${to} | ${subject}\n${text}`);
+}
+
+module.exports = {
+    name: 'console',
+    send
+};
@@ -0,0 +1,23 @@
+/**
+ * @fileoverview Local notifier for development: appends each notification as one line of
+ * JSON to NOTIFICATIONS_FILE (default notifications.log in the working directory), so sent
+ * messages can be inspected without a mail server.
+ */
+const fs = require('fs/promises');
+
+const NOTIFICATIONS_FILE = process.env.NOTIFICATIONS_FILE || 'notifications.log'; // Where the file notifier writes
+
+/**
+ * Appends a notification to the notifications file.
+ * @param {object} notification - { type, to, subject, text, data }
+ * @returns {Promise<void>}
+ */
+async function send(notification) {
+    const line = JSON.stringify({ sentAt: new Date().toISOString(), ...notification });
+    await fs.appendFile(NOTIFICATIONS_FILE, `${line}\n`);
+}
+
+module.exports = {
+    name: 'file',
+    send
+};
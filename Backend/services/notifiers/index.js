@@ -0,0 +1,61 @@
+/**
+ * @fileoverview Registry of notifiers.
+ * A notifier delivers customer notifications (cart reminders and the like) over one transport,
+ * so the code that decides to notify never depends on how the message goes out. The active
+ * notifier is chosen with the NOTIFIER environment variable. Two local transports are built in
+ * for development: console (logs each notification) and file (appends it to NOTIFICATIONS_FILE).
+ *
+ * Notifier interface:
+ * - name: string
+ * - send(notification) - async; notification is { type, to, subject, text, data }, where to is
+ *   the recipient's email address and data holds the details a template may need
+ */
+const consoleNotifier = require('./console.notifier');
+const fileNotifier = require('./file.notifier');
+
+const ACTIVE_NOTIFIER = process.env.NOTIFIER || 'console'; // Transport used to send notifications
+
+const notifiers = new Map([
+    [consoleNotifier.name, consoleNotifier],
+    [fileNotifier.name, fileNotifier]
+]);
+
+/**
+ * Registers a notifier (or replaces one with the same name).
+ * @param {object} notifier - An object implementing the notifier interface.
+ */
+function registerNotifier(notifier) {
+    if (!notifier.name || typeof notifier.send !== 'function') {
+        throw new Error(`Invalid notifier: missing ${notifier.name ? 'send' : 'name'}.`);
+    }
+    notifiers.set(notifier.name, notifier);
+}
+
+/**
+ * Returns a notifier by name.
+ * @param {string} [name] - The notifier name; defaults to the active notifier.
+ * @returns {object} - The notifier.
+ * @throws {Error} - If no notifier with that name is registered.
+ */
+function getNotifier(name = ACTIVE_NOTIFIER) {
+    const notifier = notifiers.get(name);
+    if (!notifier) {
+        throw new Error(`Notifier ${name} not found.`);
+    }
+    return notifier;
+}
+
+/**
+ * Sends a notification through the active notifier.
+ * @param {object} notification - { type, to, subject, text, data }
+ * @returns {Promise<void>}
+ */
+async function sendNotification(notification) {
+    await getNotifier().send(notification);
+}
+
+module.exports = {
+    registerNotifier,
+    getNotifier,
+    sendNotification
+};
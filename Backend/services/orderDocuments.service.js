@@ -0,0 +1,78 @@
+const ordersRepository = require('../repositories/orders.repository');
+const shipmentsRepository = require('../repositories/shipments.repository');
+const mongoose = require('mongoose');
+const { formatInvoiceNumber, renderInvoice, renderPackingSlip } = require('../utils/orderDocuments');
+const { ownsOrder } = require('../utils/shoppers');
+
+// Seller details printed on invoices and packing slips
+const SELLER = {
+    name: process.env.SELLER_NAME || 'Shoe Store',
+    address: process.env.SELLER_ADDRESS || '',
+    email: process.env.SELLER_EMAIL || '',
+    taxId: process.env.SELLER_TAX_ID || ''
+};
+const INVOICE_NUMBER_PREFIX = process.env.INVOICE_NUMBER_PREFIX || 'INV-';
+const PAYMENT_CURRENCY = process.env.PAYMENT_CURRENCY || 'USD'; // Same currency the payment provider charges in
+
+async function getOrderOrThrow(orderId) {
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+        throw new Error('Invalid order ID.');
+    }
+    const order = await ordersRepository.getOrderById(orderId);
+    if (!order) {
+        throw new Error('Order not found.');
+    }
+    return order;
+}
+
+/**
+ * Renders the invoice of an order. The first time, the order gets the next invoice number.
+ * @param {string} orderId - The ID of the order.
+ * @param {string} userId - The ID of the requesting user.
+ * @param {boolean} isAdmin - Whether the requesting user is an admin.
+ * @returns {Promise<{ invoiceNumber: string, html: string }>}
+ * @throws {Error} - If the order is not found, not the customer's, or was cancelled before it was invoiced.
+ */
+async function getInvoice(orderId, userId, isAdmin) {
+    let order = await getOrderOrThrow(orderId);
+    if (!isAdmin && !ownsOrder(order, userId)) {
+        throw new Error('Forbidden: You can only view your own orders.');
+    }
+    if (order.invoiceNumber === null || order.invoiceNumber === undefined) {
+        if (order.orderStatus === 'cancelled') {
+            throw new Error('Invalid invoice: cancelled orders are not invoiced.');
+        }
+        order = await ordersRepository.assignInvoiceNumber(orderId);
+    }
+    return {
+        invoiceNumber: formatInvoiceNumber(order.invoiceNumber, INVOICE_NUMBER_PREFIX),
+        html: renderInvoice(order, { seller: SELLER, currency: PAYMENT_CURRENCY, invoicePrefix: INVOICE_NUMBER_PREFIX })
+    };
+}
+
+/**
+ * Renders the packing slip of an order, or of one of its shipments.
+ * @param {string} orderId - The ID of the order.
+ * @param {string} [shipmentId] - The ID of a shipment of the order.
+ * @returns {Promise<string>} - The HTML document.
+ * @throws {Error} - If the order or shipment is not found, or the shipment belongs to another order.
+ */
+async function getPackingSlip(orderId, shipmentId) {
+    const order = await getOrderOrThrow(orderId);
+    let shipment = null;
+    if (shipmentId) {
+        if (!mongoose.Types.ObjectId.isValid(shipmentId)) {
+            throw new Error('Invalid shipment ID.');
+        }
+        shipment = await shipmentsRepository.getShipmentById(shipmentId);
+        if (!shipment || !shipment.order.equals(order._id)) {
+            throw new Error('Shipment not found for this order.');
+        }
+    }
+    return renderPackingSlip(order, { seller: SELLER, shipment });
+}
+
+module.exports = {
+    getInvoice,
+    getPackingSlip
+};
@@ -1,34 +1,160 @@
 const ordersRepository = require('../repositories/orders.repository');
+const shipmentsRepository = require('../repositories/shipments.repository');
 const cartsService = require('./carts.service');
 const productService = require('./products.service');
+const reservationsService = require('./reservations.service');
+const paymentsService = require('./payments.service');
+const promotionsService = require('./promotions.service');
+const taxRatesService = require('./taxRates.service');
+const shippingService = require('./shipping.service');
 const mongoose = require('mongoose'); 
+const crypto = require('crypto');
+const { resolveVariant, getAvailableStock, getUnitPrices, getPrimaryImage } = require('../utils/productVariants');
+const { assertTransition, getAllowedTransitions, buildHistoryEntry, REFUND_PAYMENT_STATUSES, GATEWAY_PAYMENT_STATUSES } = require('../utils/orderStatusMachine');
+const { getPaidUnitPrice, getRefundedTotal, getRefundedQuantity } = require('../utils/refunds');
+const { isGuest, normalizeEmail, ownsOrder } = require('../utils/shoppers');
+const { isPreorderable, getDepositAmount } = require('../utils/preorders');
+
+// Order numbers avoid characters that are easily confused (0/O, 1/I/L)
+const ORDER_NUMBER_ALPHABET = '23456789ABCDEFGHJKMNPQRSTUVWXYZ';
+
+// Random public order number, e.g. "SO-7KQ2M9XH4C"; unguessable, so it can go in a lookup link
+function generateOrderNumber() {
+    let suffix = '';
+    for (let i = 0; i < 10; i++) {
+        suffix += ORDER_NUMBER_ALPHABET[crypto.randomInt(ORDER_NUMBER_ALPHABET.length)];
+    }
+    return `SO-${suffix}`;
+}
 
 /**
- * Creates a new order from a user's cart.
+ * Works out who an order is placed for.
+ * @param {string|object} shopper - The ID of the user, or a guest { guestKey?, email }.
+ * @returns {{ user: string|null, guestEmail: string|null }}
+ * @throws {Error} - If the user ID is invalid or a guest gave no valid email address.
+ */
+function getOrderCustomer(shopper) {
+    if (isGuest(shopper)) {
+        const guestEmail = normalizeEmail(shopper.email);
+        if (!guestEmail) {
+            throw new Error('Invalid email: a valid email address is required for guest checkout.');
+        }
+        return { user: null, guestEmail };
+    }
+    if (!mongoose.Types.ObjectId.isValid(shopper)) {
+        throw new Error('Invalid user ID.');
+    }
+    return { user: shopper, guestEmail: null };
+}
+
+/**
+ * Validates stock for a product selection and builds the order item snapshot.
+ * For products with a variant matrix, the exact (size, color) SKU is used for stock, price and image.
+ * @param {object} product - The latest product details.
+ * @param {number} quantity - The requested quantity.
+ * @param {string} [selectedSize] - The selected size.
+ * @param {string} [selectedColor] - The selected color.
+ * @param {string} [sku] - The SKU code of the selected variant (takes precedence over size/color).
+ * @param {object} [options] - { isPreorder } Pre-orders are not checked against stock; they are allocated stock at release.
+ * @returns {{ orderItem: object, lineTotal: number }} - The item snapshot and its effective total.
+ * @throws {Error} - If the size/color/variant does not exist or stock is insufficient.
+ */
+function buildOrderItem(product, quantity, selectedSize, selectedColor, sku, { isPreorder = false } = {}) {
+    const variant = resolveVariant(product, { sku, selectedSize, selectedColor });
+    if (variant) {
+        selectedSize = variant.size;
+        selectedColor = variant.color;
+    }
+    const availableStock = variant ? variant.stock : getAvailableStock(product, selectedSize, selectedColor);
+
+    if (!isPreorder && availableStock < quantity) {
+        throw new Error(`Insufficient stock for product: ${product.name} (Size: ${selectedSize || 'N/A'}, Color: ${selectedColor || 'N/A'}). Requested: ${quantity}, Available: ${availableStock}.`);
+    }
+
+    // Snapshot product details at the time of order
+    const { price, salePrice, effectivePrice } = getUnitPrices(product, variant);
+
+    return {
+        orderItem: {
+            productId: product._id,
+            name: product.name,
+            price: price, // Original (or variant) price
+            salePrice: salePrice, // Sale price (undefined if not on sale)
+            quantity: quantity,
+            selectedSize: selectedSize,
+            selectedColor: selectedColor,
+            sku: variant ? variant.sku : undefined,
+            imageUrl: getPrimaryImage(product, variant)
+        },
+        lineTotal: effectivePrice * quantity
+    };
+}
+
+/**
+ * Charges a newly placed order through the payment provider (cash on delivery is left pending).
+ * An online-paid order with nothing to pay (fully discounted) is marked paid without going to
+ * the provider; cash on delivery stays pending like any other, to be marked paid on delivery.
+ * The order is already placed at this point, so a provider error does not undo it: the payment
+ * stays pending and the customer can retry through POST /api/orders/:orderId/payment.
+ * @param {Order} order - The new order.
+ * @param {string} [paymentToken] - The payment token from the client.
+ * @returns {Promise<Order>} - The order with its payment result.
+ */
+async function chargeNewOrder(order, paymentToken) {
+    if (!paymentsService.requiresOnlinePayment(order.paymentMethod)) {
+        return order;
+    }
+    // A guest pays as the holder of the order number and email
+    const payer = order.user
+        ? order.user._id || order.user
+        : { email: order.guestEmail, orderNumber: order.orderNumber };
+    try {
+        if (Math.round(order.totalAmount * 100) === 0) {
+            assertTransition(order, { paymentStatus: 'paid' });
+            const historyEntry = buildHistoryEntry('paymentStatus', order.paymentStatus, 'paid', null, 'Nothing to pay: the order total is 0');
+            return (await ordersRepository.updatePaymentStatus(order._id, 'paid', historyEntry)) || order;
+        }
+        return await paymentsService.startPayment(order._id, payer, { paymentToken });
+    } catch (error) {
+        console.error(`Payment for order ${order._id} could not be started:`, error.message);
+        return order;
+    }
+}
+
+/**
+ * Creates a new order from a shopper's cart.
  * This function handles fetching cart details, validating stock,
  * snapshotting product information, and clearing the cart.
- * @param {string} userId - The ID of the user placing the order.
+ * A guest order carries the guest's email instead of a user and can be looked up with
+ * its order number and that email (lookupGuestOrder).
+ * @param {string|object} shopper - The ID of the user placing the order, or a guest { guestKey, email } (see utils/shoppers.js).
  * @param {object} shippingAddress - The shipping address details.
  * @param {string} paymentMethod - The chosen payment method.
- * @returns {Promise<Order>} - The newly created order document.
- * @throws {Error} - If cart is empty, product is out of stock, or other issues.
+ * @param {string} [paymentToken] - The payment token for online payment methods.
+ * @param {string} [shippingMethod] - standard, express or pickup (standard if omitted).
+ * @returns {Promise<Order>} - The newly created order document, with its payment result.
+ * @throws {Error} - If cart is empty, product is out of stock, the shipping method is not available, a guest gave no valid email, or other issues.
  */
-async function createOrderFromCart(userId, shippingAddress, paymentMethod) {
-    if (!mongoose.Types.ObjectId.isValid(userId)) {
-        throw new Error('Invalid user ID.');
-    }
+async function createOrderFromCart(shopper, shippingAddress, paymentMethod, paymentToken, shippingMethod) {
+    const customer = getOrderCustomer(shopper);
 
-    // 1. Get the user's cart
-    const cart = await cartsService.getOrCreateUserCart(userId);
+    // 1. Get the shopper's cart
+    const cart = await cartsService.getOrCreateCart(shopper);
 
     if (!cart || cart.items.length === 0) {
         throw new Error('Cannot create an order from an empty cart.');
     }
 
+    // 2. Make sure the cart is held; start checkout now if the shopper skipped it or the holds expired
+    if (!(await reservationsService.hasValidReservationsForCart(shopper, cart))) {
+        await reservationsService.startCheckout(shopper);
+    }
+
     const orderItems = [];
+    const discountItems = [];
     let calculatedTotalAmount = 0;
 
-    // 2. Iterate through cart items, validate stock, and snapshot product details
+    // 3. Iterate through cart items, validate stock, and snapshot product details
     for (const cartItem of cart.items) {
         const product = await productService.getProductById(cartItem.product._id); // Get latest product details
 
@@ -36,84 +162,83 @@ async function createOrderFromCart(userId, shippingAddress, paymentMethod) {
             throw new Error(`Product with ID ${cartItem.product._id} not found.`);
         }
 
-        let availableStock = 0;
-        // Determine available stock based on sizes/colors or simple stock
-        if (cartItem.selectedSize && product.sizes && product.sizes.length > 0) {
-            const sizeOption = product.sizes.find(s => s.size === cartItem.selectedSize);
-            if (!sizeOption) {
-                throw new Error(`Size ${cartItem.selectedSize} not found for product ${product.name}.`);
-            }
-            availableStock = sizeOption.stock;
-        } else if (cartItem.selectedColor && product.colors && product.colors.length > 0) {
-            const colorOption = product.colors.find(c => c.color === cartItem.selectedColor);
-            if (!colorOption) {
-                throw new Error(`Color ${cartItem.selectedColor} not found for product ${product.name}.`);
-            }
-            availableStock = colorOption.stock;
-        } else {
-            availableStock = product.stock;
-        }
-
-        if (availableStock < cartItem.quantity) {
-            throw new Error(`Insufficient stock for product: ${product.name} (Size: ${cartItem.selectedSize || 'N/A'}, Color: ${cartItem.selectedColor || 'N/A'}). Requested: ${cartItem.quantity}, Available: ${availableStock}.`);
-        }
-
-        // Snapshot product details at the time of order
-        const effectivePrice = (product.onSale && product.salePrice !== undefined && product.salePrice < product.price)
-            ? product.salePrice
-            : product.price;
+        const { orderItem, lineTotal } = buildOrderItem(product, cartItem.quantity, cartItem.selectedSize, cartItem.selectedColor, cartItem.sku);
+        orderItems.push(orderItem);
+        discountItems.push({ product, selectedSize: orderItem.selectedSize, selectedColor: orderItem.selectedColor, quantity: orderItem.quantity, unitPrice: getPaidUnitPrice(orderItem) });
+        calculatedTotalAmount += lineTotal;
+    }
 
-        orderItems.push({
-            productId: product._id,
-            name: product.name,
-            price: product.price, // Original price
-            salePrice: product.salePrice, // Sale price (can be null/undefined)
-            quantity: cartItem.quantity,
-            selectedSize: cartItem.selectedSize,
-            selectedColor: cartItem.selectedColor,
-            imageUrl: product.images && product.images.length > 0 ? product.images[0] : null // Assuming first image is primary
-        });
+    // 3b. Re-apply promotions and the cart's coupon to the latest prices; a coupon that no longer applies fails the checkout
+    const { discounts, coupon } = await promotionsService.calculateDiscounts(discountItems, {
+        userId: customer.user,
+        couponCode: cart.couponCode,
+        strictCoupon: true
+    });
+    calculatedTotalAmount -= discounts.reduce((sum, discount) => sum + discount.amount, 0);
+
+    // 3c. Tax for the shipping destination, per line after discounts
+    const tax = await taxRatesService.calculateOrderTax(shippingAddress, discountItems, discounts);
+    if (!tax.pricesIncludeTax) {
+        calculatedTotalAmount += tax.amount;
+    }
 
-        calculatedTotalAmount += effectivePrice * cartItem.quantity;
+    // 3d. Shipping for the chosen method (free-shipping coupons and thresholds waive it)
+    const shipping = await shippingService.calculateOrderShipping(shippingAddress, shippingMethod, discountItems, discounts);
+    if (shipping) {
+        calculatedTotalAmount += shipping.cost;
     }
 
-    // 3. Prepare order data for repository
+    // 4. Prepare order data for repository
     const orderData = {
-        user: userId,
+        ...customer,
+        orderNumber: generateOrderNumber(),
         items: orderItems,
+        discounts: discounts,
+        coupon: coupon && { coupon: coupon.coupon, code: coupon.code, type: coupon.type, value: coupon.value, description: coupon.description },
+        tax: tax,
+        shipping: shipping,
         totalAmount: calculatedTotalAmount, // This will be recalculated by model's pre-save hook anyway, but good for clarity
         shippingAddress: shippingAddress,
         paymentMethod: paymentMethod,
         orderStatus: 'pending', // Default status
-        paymentStatus: 'pending' // Default payment status
+        paymentStatus: 'pending', // Default payment status
+        statusHistory: [
+            buildHistoryEntry('orderStatus', null, 'pending', customer.user, 'Order placed'),
+            buildHistoryEntry('paymentStatus', null, 'pending', customer.user, 'Order placed')
+        ]
     };
 
-    // 4. Create the order and decrement stock via repository (transactional)
-    const newOrder = await ordersRepository.createOrder(orderData);
+    // 5. Create the order, decrement stock and consume the checkout holds via repository (transactional)
+    const newOrder = await ordersRepository.createOrder(orderData, { commitReservations: true, shopper });
 
-    // 5. Clear the user's cart after successful order creation
-    await cartsService.clearUserCart(userId);
+    // 6. Clear the shopper's cart after successful order creation
+    await cartsService.clearUserCart(shopper);
 
-    return newOrder;
+    // 7. Charge the order; the payment result drives paymentStatus
+    return chargeNewOrder(newOrder, paymentToken);
 }
 
 /**
  * Creates a new order directly for a single product, bypassing the cart.
  * This function handles validating stock and snapshotting product information.
- * @param {string} userId - The ID of the user placing the order.
+ * A coming_soon product taking pre-orders is ordered as a pre-order instead: the order is held in
+ * 'preorder' status against the product's pre-order cap, without taking stock, and is paid the
+ * product's way (full, deposit or authorize-only; see utils/preorders.js) until it is released.
+ * @param {string|object} shopper - The ID of the user placing the order, or a guest { email }.
  * @param {string} productId - The ID of the product to order.
  * @param {number} quantity - The quantity of the product.
  * @param {object} shippingAddress - The shipping address details.
  * @param {string} paymentMethod - The chosen payment method.
  * @param {string} [selectedSize] - The selected size (optional).
  * @param {string} [selectedColor] - The selected color (optional).
- * @returns {Promise<Order>} - The newly created order document.
- * @throws {Error} - If product is not found, out of stock, or other issues.
+ * @param {string} [sku] - The SKU code of the selected variant (optional).
+ * @param {string} [paymentToken] - The payment token for online payment methods.
+ * @param {string} [shippingMethod] - standard, express or pickup (standard if omitted).
+ * @returns {Promise<Order>} - The newly created order document, with its payment result.
+ * @throws {Error} - If product is not found, out of stock (or past its pre-order cap), the shipping method is not available, a guest gave no valid email, or other issues.
  */
-async function createDirectOrder(userId, productId, quantity, shippingAddress, paymentMethod, selectedSize, selectedColor) {
-    if (!mongoose.Types.ObjectId.isValid(userId)) {
-        throw new Error('Invalid user ID.');
-    }
+async function createDirectOrder(shopper, productId, quantity, shippingAddress, paymentMethod, selectedSize, selectedColor, sku, paymentToken, shippingMethod) {
+    const customer = getOrderCustomer(shopper);
     if (!mongoose.Types.ObjectId.isValid(productId)) {
         throw new Error('Invalid product ID.');
     }
@@ -127,68 +252,63 @@ async function createDirectOrder(userId, productId, quantity, shippingAddress, p
         throw new Error(`Product with ID ${productId} not found.`);
     }
 
-    let availableStock = 0;
-    // Determine available stock based on sizes/colors or simple stock
-    if (selectedSize && product.sizes && product.sizes.length > 0) {
-        const sizeOption = product.sizes.find(s => s.size === selectedSize);
-        if (!sizeOption) {
-            throw new Error(`Size ${selectedSize} not found for product ${product.name}.`);
-        }
-        availableStock = sizeOption.stock;
-    } else if (selectedColor && product.colors && product.colors.length > 0) {
-        const colorOption = product.colors.find(c => c.color === selectedColor);
-        if (!colorOption) {
-            throw new Error(`Color ${selectedColor} not found for product ${product.name}.`);
-        }
-        availableStock = colorOption.stock;
-    } else {
-        availableStock = product.stock;
-    }
-
-    if (availableStock < quantity) {
-        throw new Error(`Insufficient stock for product: ${product.name} (Size: ${selectedSize || 'N/A'}, Color: ${selectedColor || 'N/A'}). Requested: ${quantity}, Available: ${availableStock}.`);
+    const isPreorder = isPreorderable(product);
+    if (isPreorder && product.preorder.paymentOption !== 'full' && !paymentsService.requiresOnlinePayment(paymentMethod)) {
+        throw new Error(`Invalid payment method: pre-orders of ${product.name} must be paid online.`);
     }
 
-    // Snapshot product details at the time of order
-    const effectivePrice = (product.onSale && product.salePrice !== undefined && product.salePrice < product.price)
-        ? product.salePrice
-        : product.price;
-
-    const orderItems = [{
-        productId: product._id,
-        name: product.name,
-        price: product.price, // Original price
-        salePrice: product.salePrice, // Sale price (can be null/undefined)
-        quantity: quantity,
-        selectedSize: selectedSize,
-        selectedColor: selectedColor,
-        imageUrl: product.images && product.images.length > 0 ? product.images[0] : null // Assuming first image is primary
-    }];
-
-    const calculatedTotalAmount = effectivePrice * quantity;
+    const { orderItem, lineTotal } = buildOrderItem(product, quantity, selectedSize, selectedColor, sku, { isPreorder });
+    const orderItems = [orderItem];
+
+    // Automatic promotions apply to direct orders too (coupons are applied through the cart)
+    const discountItems = [
+        { product, selectedSize: orderItem.selectedSize, selectedColor: orderItem.selectedColor, quantity: orderItem.quantity, unitPrice: getPaidUnitPrice(orderItem) }
+    ];
+    const { discounts } = await promotionsService.calculateDiscounts(discountItems);
+    const tax = await taxRatesService.calculateOrderTax(shippingAddress, discountItems, discounts);
+    const shipping = await shippingService.calculateOrderShipping(shippingAddress, shippingMethod, discountItems, discounts);
+    const calculatedTotalAmount = lineTotal
+        - discounts.reduce((sum, discount) => sum + discount.amount, 0)
+        + (tax.pricesIncludeTax ? 0 : tax.amount)
+        + (shipping ? shipping.cost : 0);
 
     // Prepare order data for repository
     const orderData = {
-        user: userId,
+        ...customer,
+        orderNumber: generateOrderNumber(),
         items: orderItems,
+        discounts: discounts,
+        tax: tax,
+        shipping: shipping,
         totalAmount: calculatedTotalAmount, // This will be recalculated by model's pre-save hook anyway, but good for clarity
         shippingAddress: shippingAddress,
         paymentMethod: paymentMethod,
-        orderStatus: 'pending', // Default status
-        paymentStatus: 'pending' // Default payment status
+        orderStatus: isPreorder ? 'preorder' : 'pending', // Pre-orders wait for the release
+        paymentStatus: 'pending', // Default payment status
+        preorder: isPreorder ? {
+            releaseDate: product.preorder.releaseDate,
+            paymentOption: product.preorder.paymentOption,
+            depositAmount: product.preorder.paymentOption === 'deposit'
+                ? getDepositAmount(Math.round(calculatedTotalAmount * 100) / 100, product.preorder.depositPercent)
+                : 0
+        } : null,
+        statusHistory: [
+            buildHistoryEntry('orderStatus', null, isPreorder ? 'preorder' : 'pending', customer.user, isPreorder ? 'Pre-order placed' : 'Order placed'),
+            buildHistoryEntry('paymentStatus', null, 'pending', customer.user, 'Order placed')
+        ]
     };
 
-    // Create the order and decrement stock via repository (transactional)
+    // Create the order and decrement stock (or count the pre-order against its cap) via repository (transactional)
     const newOrder = await ordersRepository.createOrder(orderData);
 
-    return newOrder;
+    return chargeNewOrder(newOrder, paymentToken);
 }
 
 
 /**
- * Retrieves a single order by its ID.
+ * Retrieves a single order by its ID, with its shipments.
  * @param {string} orderId - The ID of the order.
- * @returns {Promise<Order>} - The order document, populated with user and product details.
+ * @returns {Promise<object>} - The order, populated with user and product details, plus `shipments`.
  * @throws {Error} - If order ID is invalid or order not found.
  */
 async function getOrderById(orderId) {
@@ -199,7 +319,57 @@ async function getOrderById(orderId) {
     if (!order) {
         throw new Error('Order not found.');
     }
-    return order;
+    const shipments = await shipmentsRepository.getShipmentsByOrderId(orderId);
+    return { ...order.toObject(), shipments };
+}
+
+/**
+ * Looks up a guest order by its order number and the guest's email, for the order status page
+ * guests reach without an account. Both must match; a wrong pair gives the same 'not found' as an
+ * unknown number, so the lookup does not reveal which order numbers exist.
+ * @param {string} orderNumber - The order number (e.g. SO-7KQ2M9XH4C).
+ * @param {string} email - The email address the order was placed with.
+ * @returns {Promise<object>} - The order's status, items, totals, shipping address and shipments.
+ * @throws {Error} - If either is missing, or no guest order matches.
+ */
+async function lookupGuestOrder(orderNumber, email) {
+    if (!orderNumber || !email) {
+        throw new Error('Invalid order lookup: an order number and an email address are required.');
+    }
+    const shopper = { email, orderNumber };
+    const order = await ordersRepository.getOrderByOrderNumber(String(orderNumber).trim().toUpperCase());
+    // Orders attached to an account since still answer to the email they were placed with
+    if (!order || !ownsOrder({ ...order.toObject(), user: null }, shopper)) {
+        throw new Error('Order not found.');
+    }
+    const shipments = await shipmentsRepository.getShipmentsByOrderId(order._id);
+    return {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        orderStatus: order.orderStatus,
+        paymentStatus: order.paymentStatus,
+        paymentMethod: order.paymentMethod,
+        payment: order.payment && { status: order.payment.status, nextAction: order.payment.nextAction },
+        items: order.items,
+        subtotal: order.subtotal,
+        discounts: order.discounts,
+        discountAmount: order.discountAmount,
+        taxAmount: order.taxAmount,
+        shipping: order.shipping,
+        shippingCost: order.shippingCost,
+        totalAmount: order.totalAmount,
+        shippingAddress: order.shippingAddress,
+        trackingNumber: order.trackingNumber,
+        shipments: shipments.map(shipment => ({
+            carrier: shipment.carrier,
+            trackingNumber: shipment.trackingNumber,
+            status: shipment.status,
+            shippedAt: shipment.shippedAt,
+            deliveredAt: shipment.deliveredAt,
+            items: shipment.items
+        })),
+        createdAt: order.createdAt
+    };
 }
 
 /**
@@ -229,61 +399,235 @@ async function getAllOrders() {
 /**
  * Updates the status of an order.
  * This function can be used by an administrator to manage order fulfillment.
+ * The change is checked against the declared transition graph (utils/orderStatusMachine.js)
+ * and appended to the order's status history.
  * @param {string} orderId - The ID of the order.
  * @param {string} newStatus - The new order status (e.g., 'processing', 'shipped', 'delivered', 'cancelled').
+ * @param {string} [actorId] - The ID of the user making the change.
+ * @param {string} [note] - Optional note for the status history.
  * @returns {Promise<Order>} - The updated order document.
  * @throws {Error} - If order ID is invalid, order not found, or status transition is invalid.
  */
-async function updateOrderStatus(orderId, newStatus) {
+async function updateOrderStatus(orderId, newStatus, actorId, note) {
     if (!mongoose.Types.ObjectId.isValid(orderId)) {
         throw new Error('Invalid order ID.');
     }
-    // Optional: Add business logic here to validate status transitions
-    // e.g., cannot go from 'delivered' to 'pending' directly.
     const order = await ordersRepository.getOrderById(orderId);
     if (!order) {
         throw new Error('Order not found.');
     }
-    // Example of simple status validation:
-    const validStatuses = ['pending', 'processing', 'shipped', 'delivered', 'cancelled', 'returned'];
-    if (!validStatuses.includes(newStatus)) {
-        throw new Error(`Invalid order status: ${newStatus}.`);
+    if (order.orderStatus === newStatus) {
+        throw new Error(`Invalid status transition: order is already ${newStatus}.`);
+    }
+    assertTransition(order, { orderStatus: newStatus });
+    // A pre-order only moves on once it is allocated stock at release (preorders.service)
+    if (order.orderStatus === 'preorder' && newStatus !== 'cancelled') {
+        throw new Error('Invalid status transition: a pre-order moves to pending when stock is allocated to it at release.');
+    }
+    // Parcels already on their way cannot be called back
+    if (newStatus === 'cancelled' && await shipmentsRepository.countShipmentsByOrderId(orderId) > 0) {
+        throw new Error('Invalid status transition: an order with shipments can no longer be cancelled.');
+    }
+
+    // Cancelling puts the items back in stock (a pre-order took none); remember the stock before for back-in-stock alerts
+    const productsBefore = newStatus === 'cancelled' && order.orderStatus !== 'preorder'
+        ? await productService.getProductsByIds(order.items.map(item => (item.productId._id || item.productId).toString()))
+        : [];
+
+    const historyEntry = buildHistoryEntry('orderStatus', order.orderStatus, newStatus, actorId, note);
+    const updatedOrder = await ordersRepository.updateOrderStatus(orderId, newStatus, historyEntry);
+
+    if (productsBefore.length > 0) {
+        try {
+            await productService.announceStockChanges(productsBefore);
+        } catch (error) {
+            console.warn(`Stock alerts for cancelled order ${orderId} failed:`, error.message);
+        }
     }
-    // Further checks could be:
-    // if (order.orderStatus === 'delivered' && newStatus !== 'returned') {
-    //     throw new Error('Cannot change status of a delivered order unless returning.');
-    // }
 
-    const updatedOrder = await ordersRepository.updateOrderStatus(orderId, newStatus);
+    // Release funds held for a cancelled order that was never captured
+    if (newStatus === 'cancelled' && order.payment && ['requires_action', 'processing', 'requires_capture'].includes(order.payment.status)) {
+        try {
+            return await paymentsService.voidPayment(orderId, actorId, 'Order cancelled');
+        } catch (error) {
+            console.warn(`Payment of cancelled order ${orderId} could not be voided:`, error.message);
+        }
+    }
     return updatedOrder;
 }
 
 /**
  * Updates the payment status of an order.
  * This function can be used by an administrator or a payment gateway callback.
+ * The change is checked against the declared transition graph and appended to the status history.
  * @param {string} orderId - The ID of the order.
  * @param {string} newPaymentStatus - The new payment status (e.g., 'paid', 'failed', 'refunded').
+ * @param {string} [actorId] - The ID of the user making the change (omit for system changes).
+ * @param {string} [note] - Optional note for the status history.
  * @returns {Promise<Order>} - The updated order document.
  * @throws {Error} - If order ID is invalid, order not found, or payment status transition is invalid.
  */
-async function updatePaymentStatus(orderId, newPaymentStatus) {
+async function updatePaymentStatus(orderId, newPaymentStatus, actorId, note) {
     if (!mongoose.Types.ObjectId.isValid(orderId)) {
         throw new Error('Invalid order ID.');
     }
-    // Optional: Add business logic here to validate payment status transitions
     const order = await ordersRepository.getOrderById(orderId);
     if (!order) {
         throw new Error('Order not found.');
     }
-    const validPaymentStatuses = ['pending', 'paid', 'failed', 'refunded'];
-    if (!validPaymentStatuses.includes(newPaymentStatus)) {
-        throw new Error(`Invalid payment status: ${newPaymentStatus}.`);
+    if (order.paymentStatus === newPaymentStatus) {
+        throw new Error(`Invalid status transition: payment is already ${newPaymentStatus}.`);
     }
+    // Refund statuses follow the refund ledger and cannot be set directly
+    if (REFUND_PAYMENT_STATUSES.includes(newPaymentStatus)) {
+        throw new Error('Invalid status transition: record refunds through the refunds endpoint.');
+    }
+    // Authorizations only exist at the payment provider
+    if (GATEWAY_PAYMENT_STATUSES.includes(newPaymentStatus)) {
+        throw new Error('Invalid status transition: authorizations are managed through the payment endpoints.');
+    }
+    assertTransition(order, { paymentStatus: newPaymentStatus });
 
-    const updatedOrder = await ordersRepository.updatePaymentStatus(orderId, newPaymentStatus);
+    const historyEntry = buildHistoryEntry('paymentStatus', order.paymentStatus, newPaymentStatus, actorId, note);
+    const updatedOrder = await ordersRepository.updatePaymentStatus(orderId, newPaymentStatus, historyEntry);
+    if (!updatedOrder) {
+        throw new Error(`Invalid status transition: payment status changed concurrently.`);
+    }
     return updatedOrder;
 }
 
+/**
+ * Retrieves the status history of an order, along with the transitions currently allowed.
+ * @param {string} orderId - The ID of the order.
+ * @returns {Promise<object>} - { orderId, user, orderStatus, paymentStatus, allowedTransitions, statusHistory }
+ * @throws {Error} - If order ID is invalid or order not found.
+ */
+async function getOrderHistory(orderId) {
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+        throw new Error('Invalid order ID.');
+    }
+    const order = await ordersRepository.getOrderHistory(orderId);
+    if (!order) {
+        throw new Error('Order not found.');
+    }
+    return {
+        orderId: order._id,
+        user: order.user,
+        orderStatus: order.orderStatus,
+        paymentStatus: order.paymentStatus,
+        allowedTransitions: getAllowedTransitions(order),
+        statusHistory: order.statusHistory
+    };
+}
+
+/**
+ * Issues a (partial) refund on an order. Either an amount, a list of items, or both may be given;
+ * when only items are given the amount is computed from the prices the customer paid (after discounts).
+ * The total refunded can never exceed the order total, and the payment status moves to
+ * 'partially_refunded' or 'refunded' accordingly. Refunds to the original payment of an order
+ * paid online are also refunded at the payment provider.
+ * @param {string} orderId - The ID of the order.
+ * @param {string} adminId - The ID of the admin issuing the refund.
+ * @param {object} refundData - { amount?, items?: [{ productId, selectedSize?, selectedColor?, quantity }], reason, method? }
+ * @returns {Promise<Order>} - The updated order document.
+ * @throws {Error} - If the order is not found, the refund is invalid or exceeds what is refundable.
+ */
+async function issueRefund(orderId, adminId, { amount, items, reason, method = 'original_payment' } = {}) {
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+        throw new Error('Invalid order ID.');
+    }
+    if (!reason || reason.trim() === '') {
+        throw new Error('Invalid refund: a reason is required.');
+    }
+    const order = await ordersRepository.getOrderById(orderId);
+    if (!order) {
+        throw new Error('Order not found.');
+    }
+
+    const refundItems = [];
+    let itemsTotal = 0;
+    for (const requested of items || []) {
+        if (!requested.productId || !mongoose.Types.ObjectId.isValid(requested.productId)) {
+            throw new Error('Invalid refund item: a valid product ID is required.');
+        }
+        if (!Number.isInteger(requested.quantity) || requested.quantity < 1) {
+            throw new Error('Invalid refund item: quantity must be a positive whole number.');
+        }
+        const orderItem = order.items.find(item =>
+            (item.productId._id || item.productId).toString() === requested.productId.toString() &&
+            (item.selectedSize || null) === (requested.selectedSize || null) &&
+            (item.selectedColor || null) === (requested.selectedColor || null)
+        );
+        if (!orderItem) {
+            throw new Error(`Invalid refund item: product ${requested.productId} (Size: ${requested.selectedSize || 'N/A'}, Color: ${requested.selectedColor || 'N/A'}) is not part of this order.`);
+        }
+        refundItems.push({
+            productId: orderItem.productId._id || orderItem.productId,
+            name: orderItem.name,
+            selectedSize: orderItem.selectedSize,
+            selectedColor: orderItem.selectedColor,
+            quantity: requested.quantity
+        });
+        itemsTotal += getPaidUnitPrice(orderItem, order) * requested.quantity;
+    }
+
+    const refundAmount = amount !== undefined && amount !== null ? Number(amount) : Math.round(itemsTotal * 100) / 100;
+    if (refundItems.length === 0 && (amount === undefined || amount === null)) {
+        throw new Error('Invalid refund: an amount or at least one item is required.');
+    }
+
+    const refund = {
+        amount: refundAmount,
+        items: refundItems,
+        reason: reason.trim(),
+        method,
+        issuedBy: adminId
+    };
+
+    if (!(method === 'original_payment' && paymentsService.hasProviderPayment(order))) {
+        return ordersRepository.addRefund(orderId, refund);
+    }
+
+    // Money goes back through the payment provider: recorded as pending first, then sent and settled
+    refund._id = new mongoose.Types.ObjectId();
+    refund.status = 'pending';
+    await ordersRepository.addRefund(orderId, refund);
+    return paymentsService.sendPendingRefund(order, refund);
+}
+
+/**
+ * Retrieves the refund ledger of an order with its refunded and still refundable totals.
+ * @param {string} orderId - The ID of the order.
+ * @returns {Promise<object>} - { orderId, totalAmount, refundedTotal, refundableAmount, paymentStatus, items, refunds }
+ * @throws {Error} - If order ID is invalid or order not found.
+ */
+async function getOrderRefunds(orderId) {
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+        throw new Error('Invalid order ID.');
+    }
+    const order = await ordersRepository.getOrderRefunds(orderId);
+    if (!order) {
+        throw new Error('Order not found.');
+    }
+    const refundedTotal = getRefundedTotal(order);
+    return {
+        orderId: order._id,
+        totalAmount: order.totalAmount,
+        refundedTotal,
+        refundableAmount: Math.round((order.totalAmount - refundedTotal) * 100) / 100,
+        paymentStatus: order.paymentStatus,
+        items: order.items.map(item => ({
+            productId: item.productId,
+            name: item.name,
+            selectedSize: item.selectedSize,
+            selectedColor: item.selectedColor,
+            quantity: item.quantity,
+            refundedQuantity: getRefundedQuantity(order, item)
+        })),
+        refunds: order.refunds
+    };
+}
+
 /**
  * Deletes an order by its ID.
  * This should be used with extreme caution, typically for failed orders or admin purposes.
@@ -307,9 +651,13 @@ module.exports = {
     createOrderFromCart,
     createDirectOrder,
     getOrderById,
+    lookupGuestOrder,
     getOrdersByUserId,
     getAllOrders, 
     updateOrderStatus,
     updatePaymentStatus,
+    getOrderHistory,
+    issueRefund,
+    getOrderRefunds,
     deleteOrder
 };
@@ -0,0 +1,80 @@
+/**
+ * @fileoverview Registry of payment providers.
+ * A provider wraps one payment gateway behind the same small interface, so checkout and
+ * admin payment operations never depend on a specific gateway. The active provider for new
+ * payments is chosen with the PAYMENT_PROVIDER environment variable; existing payments keep
+ * using the provider recorded on the order.
+ * The mock gateway (and its webhook) is only registered with MOCK_PAYMENT_ENABLED=true and a
+ * MOCK_PAYMENT_WEBHOOK_SECRET, since whoever can sign its webhooks can mark orders paid.
+ *
+ * Provider interface (all methods async, all return a payment intent snapshot unless noted):
+ * - name: string
+ * - createIntent({ amount, currency, orderId, paymentMethod, captureMethod }) - captureMethod is 'automatic' or 'manual'
+ * - confirmIntent(intentId, { paymentToken?, authenticationResult? })
+ * - captureIntent(intentId, amount?)
+ * - voidIntent(intentId)
+ * - refund(intentId, amount) - returns { id, amount, status }
+ * - getIntent(intentId)
+ * - verifyWebhook(rawBody, headers) - returns the event { id, type, data: { object: intent } } (sync);
+ *   throws 'Invalid webhook signature' if the delivery is not authentic
+ * - setEventHandler(handler) - for in-process gateways: handler(rawBody, headers) receives deliveries
+ *
+ * Intent snapshot: { id, status, amount, currency, capturedAmount, refundedAmount, nextAction, declineCode }
+ * where status is one of requires_confirmation, requires_action, processing, requires_capture,
+ * succeeded, declined or canceled.
+ */
+const MOCK_PAYMENT_ENABLED = process.env.MOCK_PAYMENT_ENABLED === 'true'; // Development and testing only
+const ACTIVE_PROVIDER = process.env.PAYMENT_PROVIDER || (MOCK_PAYMENT_ENABLED ? 'mock' : null); // Provider used for new payments
+
+const providers = new Map();
+
+/**
+ * Registers a payment provider (or replaces one with the same name).
+ * @param {object} provider - An object implementing the provider interface.
+ */
+function registerProvider(provider) {
+    const required = ['createIntent', 'confirmIntent', 'captureIntent', 'voidIntent', 'refund', 'getIntent', 'verifyWebhook', 'setEventHandler'];
+    const missing = required.filter(method => typeof provider[method] !== 'function');
+    if (!provider.name || missing.length > 0) {
+        throw new Error(`Invalid payment provider: missing ${provider.name ? missing.join(', ') : 'name'}.`);
+    }
+    providers.set(provider.name, provider);
+}
+
+/**
+ * Returns a payment provider by name.
+ * @param {string} [name] - The provider name; defaults to the active provider.
+ * @returns {object} - The provider.
+ * @throws {Error} - If no provider with that name is registered.
+ */
+function getProvider(name = ACTIVE_PROVIDER) {
+    if (!name) {
+        throw new Error('Payment provider not configured: set PAYMENT_PROVIDER.');
+    }
+    const provider = providers.get(name);
+    if (!provider) {
+        throw new Error(`Payment provider ${name} not found.`);
+    }
+    return provider;
+}
+
+/**
+ * Lists all registered providers.
+ * @returns {Array<object>}
+ */
+function getProviders() {
+    return [...providers.values()];
+}
+
+if (MOCK_PAYMENT_ENABLED) {
+    if (!process.env.MOCK_PAYMENT_WEBHOOK_SECRET) {
+        throw new Error('MOCK_PAYMENT_ENABLED is set but MOCK_PAYMENT_WEBHOOK_SECRET is not: the mock gateway needs a private webhook secret.');
+    }
+    registerProvider(require('./mock.provider'));
+}
+
+module.exports = {
+    registerProvider,
+    getProvider,
+    getProviders
+};
@@ -0,0 +1,315 @@
+/**
+ * @fileoverview Local mock payment gateway for development and offline testing.
+ * Intents live in memory (they are lost on restart). The outcome of a confirmation is chosen
+ * by the test token passed as `paymentToken`:
+ * - tok_success (default): the payment succeeds immediately
+ * - tok_decline / tok_insufficient_funds: the payment is declined
+ * - tok_3ds: the payment needs 3-D Secure authentication; confirm again with
+ *   { authenticationResult: 'success' | 'failure' }
+ * - tok_delayed / tok_delayed_decline: the payment stays processing and the result arrives
+ *   later as a webhook event (after MOCK_PAYMENT_WEBHOOK_DELAY_MS)
+ * Bank transfers without a token behave like tok_delayed.
+ *
+ * Delayed results are delivered as signed webhooks, exactly as POST /api/payments/webhooks/mock
+ * receives them: the `x-mock-signature` header is `t=<unix seconds>,v1=<hex HMAC-SHA256 of "t.body">`
+ * keyed with MOCK_PAYMENT_WEBHOOK_SECRET. MOCK_PAYMENT_WEBHOOK_RETRIES re-delivers each event to
+ * simulate provider retries.
+ *
+ * The gateway is only registered with MOCK_PAYMENT_ENABLED=true and a MOCK_PAYMENT_WEBHOOK_SECRET
+ * (see index.js); never enable it in production.
+ */
+const crypto = require('crypto');
+
+const WEBHOOK_DELAY_MS = parseInt(process.env.MOCK_PAYMENT_WEBHOOK_DELAY_MS, 10) || 5000; // Delay before delayed outcomes are delivered
+const WEBHOOK_SECRET = process.env.MOCK_PAYMENT_WEBHOOK_SECRET; // Shared secret for webhook signatures (required, see index.js)
+const WEBHOOK_RETRIES = parseInt(process.env.MOCK_PAYMENT_WEBHOOK_RETRIES, 10) || 0; // Extra deliveries of each event
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60; // Older signatures are rejected to stop replays
+
+// Test token -> simulated outcome
+const TEST_TOKENS = {
+    tok_success: { outcome: 'success' },
+    tok_decline: { outcome: 'decline', declineCode: 'card_declined' },
+    tok_insufficient_funds: { outcome: 'decline', declineCode: 'insufficient_funds' },
+    tok_3ds: { outcome: 'authenticate' },
+    tok_delayed: { outcome: 'delayed' },
+    tok_delayed_decline: { outcome: 'delayed', declineCode: 'card_declined' },
+};
+
+const intents = new Map();
+let eventHandler = null;
+
+function generateId(prefix) {
+    return `${prefix}_mock_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+// Callers only ever get copies, never the stored intent
+function snapshot(intent) {
+    return {
+        id: intent.id,
+        status: intent.status,
+        amount: intent.amount,
+        currency: intent.currency,
+        capturedAmount: intent.capturedAmount,
+        refundedAmount: intent.refundedAmount,
+        nextAction: intent.nextAction,
+        declineCode: intent.declineCode,
+        orderId: intent.orderId,
+    };
+}
+
+function findIntent(intentId) {
+    const intent = intents.get(intentId);
+    if (!intent) {
+        throw new Error(`Payment intent ${intentId} not found.`);
+    }
+    return intent;
+}
+
+function assertIntentStatus(intent, allowedStatuses, operation) {
+    if (!allowedStatuses.includes(intent.status)) {
+        throw new Error(`Invalid payment operation: cannot ${operation} a payment in status ${intent.status}.`);
+    }
+}
+
+function succeed(intent) {
+    intent.nextAction = null;
+    intent.declineCode = null;
+    if (intent.captureMethod === 'manual') {
+        intent.status = 'requires_capture';
+    } else {
+        intent.status = 'succeeded';
+        intent.capturedAmount = intent.amount;
+    }
+}
+
+function decline(intent, declineCode) {
+    intent.nextAction = null;
+    intent.status = 'declined';
+    intent.declineCode = declineCode;
+}
+
+function sign(timestamp, rawBody) {
+    return crypto.createHmac('sha256', WEBHOOK_SECRET).update(`${timestamp}.${rawBody}`).digest('hex');
+}
+
+// Delivers a signed event to the registered handler, like a gateway calling our webhook
+function emitEvent(type, intent) {
+    const event = {
+        id: generateId('evt'),
+        type,
+        created: new Date().toISOString(),
+        data: { object: snapshot(intent) },
+    };
+    if (!eventHandler) {
+        console.warn(`Mock payment event ${event.id} (${type}) dropped: no event handler registered.`);
+        return;
+    }
+    const rawBody = JSON.stringify(event);
+    for (let attempt = 0; attempt <= WEBHOOK_RETRIES; attempt++) {
+        const timestamp = Math.floor(Date.now() / 1000);
+        const headers = { 'x-mock-signature': `t=${timestamp},v1=${sign(timestamp, rawBody)}` };
+        Promise.resolve()
+            .then(() => eventHandler(rawBody, headers))
+            .catch(error => {
+                console.error(`Error handling mock payment event ${event.id} (${type}):`, error.message);
+            });
+    }
+}
+
+function scheduleDelayedOutcome(intent, declineCode) {
+    const timer = setTimeout(() => {
+        if (intent.status !== 'processing') {
+            return; // Voided in the meantime
+        }
+        if (declineCode) {
+            decline(intent, declineCode);
+            emitEvent('payment_intent.payment_failed', intent);
+        } else {
+            succeed(intent);
+            emitEvent(intent.status === 'succeeded' ? 'payment_intent.succeeded' : 'payment_intent.amount_capturable_updated', intent);
+        }
+    }, WEBHOOK_DELAY_MS);
+    timer.unref(); // Pending simulations must not keep the process alive
+}
+
+/**
+ * Creates a payment intent.
+ * @param {object} params - { amount, currency, orderId, paymentMethod, captureMethod }
+ * @returns {Promise<object>} - The intent snapshot.
+ */
+async function createIntent({ amount, currency, orderId, paymentMethod, captureMethod = 'automatic' }) {
+    if (typeof amount !== 'number' || !(amount > 0)) {
+        throw new Error('Invalid payment amount: must be greater than 0.');
+    }
+    const intent = {
+        id: generateId('pi'),
+        status: 'requires_confirmation',
+        amount,
+        currency,
+        orderId: orderId ? orderId.toString() : null,
+        paymentMethod,
+        captureMethod,
+        capturedAmount: 0,
+        refundedAmount: 0,
+        nextAction: null,
+        declineCode: null,
+    };
+    intents.set(intent.id, intent);
+    return snapshot(intent);
+}
+
+/**
+ * Confirms a payment intent with a test token, or completes a pending 3-D Secure authentication.
+ * @param {string} intentId - The intent ID.
+ * @param {object} [confirmation] - { paymentToken?, authenticationResult? }
+ * @returns {Promise<object>} - The intent snapshot.
+ */
+async function confirmIntent(intentId, { paymentToken, authenticationResult } = {}) {
+    const intent = findIntent(intentId);
+
+    if (intent.status === 'requires_action') {
+        if (authenticationResult === 'success') {
+            succeed(intent);
+        } else {
+            decline(intent, 'authentication_failed');
+        }
+        return snapshot(intent);
+    }
+
+    assertIntentStatus(intent, ['requires_confirmation'], 'confirm');
+    const token = paymentToken || (intent.paymentMethod === 'bank_transfer' ? 'tok_delayed' : 'tok_success');
+    const simulation = TEST_TOKENS[token];
+    if (!simulation) {
+        throw new Error(`Invalid payment token. Mock tokens: ${Object.keys(TEST_TOKENS).join(', ')}.`);
+    }
+
+    switch (simulation.outcome) {
+        case 'success':
+            succeed(intent);
+            break;
+        case 'decline':
+            decline(intent, simulation.declineCode);
+            break;
+        case 'authenticate':
+            intent.status = 'requires_action';
+            intent.nextAction = { type: 'three_d_secure', redirectUrl: `https://mock-payments.local/3ds/${intent.id}` };
+            break;
+        case 'delayed':
+            intent.status = 'processing';
+            scheduleDelayedOutcome(intent, simulation.declineCode);
+            break;
+    }
+    return snapshot(intent);
+}
+
+/**
+ * Captures an authorized payment.
+ * @param {string} intentId - The intent ID.
+ * @param {number} [amount] - Amount to capture (defaults to the full authorized amount).
+ * @returns {Promise<object>} - The intent snapshot.
+ */
+async function captureIntent(intentId, amount) {
+    const intent = findIntent(intentId);
+    assertIntentStatus(intent, ['requires_capture'], 'capture');
+    const captureAmount = amount !== undefined && amount !== null ? amount : intent.amount;
+    if (!(captureAmount > 0) || captureAmount > intent.amount) {
+        throw new Error(`Invalid payment amount: can capture at most ${intent.amount}.`);
+    }
+    intent.status = 'succeeded';
+    intent.capturedAmount = captureAmount;
+    return snapshot(intent);
+}
+
+/**
+ * Voids (cancels) a payment that has not been captured.
+ * @param {string} intentId - The intent ID.
+ * @returns {Promise<object>} - The intent snapshot.
+ */
+async function voidIntent(intentId) {
+    const intent = findIntent(intentId);
+    assertIntentStatus(intent, ['requires_confirmation', 'requires_action', 'processing', 'requires_capture'], 'void');
+    intent.status = 'canceled';
+    intent.nextAction = null;
+    return snapshot(intent);
+}
+
+/**
+ * Refunds (part of) a captured payment.
+ * @param {string} intentId - The intent ID.
+ * @param {number} amount - The amount to refund.
+ * @returns {Promise<{ id: string, amount: number, status: string }>} - The provider refund.
+ */
+async function refund(intentId, amount) {
+    const intent = findIntent(intentId);
+    assertIntentStatus(intent, ['succeeded'], 'refund');
+    const refundableCents = Math.round(intent.capturedAmount * 100) - Math.round(intent.refundedAmount * 100);
+    if (!(amount > 0) || Math.round(amount * 100) > refundableCents) {
+        throw new Error(`Invalid payment amount: only ${(refundableCents / 100).toFixed(2)} can be refunded at the provider.`);
+    }
+    intent.refundedAmount = (Math.round(intent.refundedAmount * 100) + Math.round(amount * 100)) / 100;
+    return { id: generateId('re'), amount, status: 'succeeded' };
+}
+
+/**
+ * Retrieves a payment intent.
+ * @param {string} intentId - The intent ID.
+ * @returns {Promise<object>} - The intent snapshot.
+ */
+async function getIntent(intentId) {
+    return snapshot(findIntent(intentId));
+}
+
+/**
+ * Verifies the signature of a webhook delivery and parses its event.
+ * @param {Buffer|string} rawBody - The request body exactly as received.
+ * @param {object} headers - The request headers (lower-case names).
+ * @returns {object} - The event.
+ * @throws {Error} - 'Invalid webhook signature' if the signature is missing, wrong or too old.
+ */
+function verifyWebhook(rawBody, headers) {
+    const header = headers['x-mock-signature'];
+    if (!header || rawBody === undefined || rawBody === null) {
+        throw new Error('Invalid webhook signature: missing signature or body.');
+    }
+    const parts = Object.fromEntries(header.split(',').map(part => part.trim().split('=')));
+    const timestamp = parseInt(parts.t, 10);
+    if (!timestamp || !parts.v1) {
+        throw new Error('Invalid webhook signature: malformed signature header.');
+    }
+    if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+        throw new Error('Invalid webhook signature: timestamp outside the tolerance window.');
+    }
+
+    const body = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody);
+    const expected = Buffer.from(sign(timestamp, body), 'hex');
+    const received = Buffer.from(parts.v1, 'hex');
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        throw new Error('Invalid webhook signature: signature does not match.');
+    }
+
+    try {
+        return JSON.parse(body);
+    } catch (error) {
+        throw new Error('Invalid webhook payload: body is not valid JSON.');
+    }
+}
+
+/**
+ * Registers the function that receives asynchronous (webhook) deliveries.
+ * @param {Function} handler - Called with (rawBody, headers) for each delivery.
+ */
+function setEventHandler(handler) {
+    eventHandler = handler;
+}
+
+module.exports = {
+    name: 'mock',
+    createIntent,
+    confirmIntent,
+    captureIntent,
+    voidIntent,
+    refund,
+    getIntent,
+    verifyWebhook,
+    setEventHandler
+};
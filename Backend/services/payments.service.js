@@ -0,0 +1,336 @@
+const ordersRepository = require('../repositories/orders.repository');
+const paymentEventsRepository = require('../repositories/paymentEvents.repository');
+const paymentProviders = require('./paymentProviders');
+const mongoose = require('mongoose');
+const { assertTransition, buildHistoryEntry } = require('../utils/orderStatusMachine');
+const { getShopperUserId, ownsOrder } = require('../utils/shoppers');
+const { getPaymentCharge, isDepositIntent } = require('../utils/preorders');
+
+const PAYMENT_CURRENCY = process.env.PAYMENT_CURRENCY || 'USD'; // Currency sent to the payment provider
+const PAYMENT_CAPTURE_MODE = process.env.PAYMENT_CAPTURE_MODE === 'manual' ? 'manual' : 'automatic'; // 'manual' = authorize at checkout, capture later
+
+// Payment methods collected outside the payment provider
+const OFFLINE_PAYMENT_METHODS = ['cash_on_delivery'];
+
+// Provider intent status -> order paymentStatus
+const INTENT_PAYMENT_STATUS = {
+    requires_confirmation: 'pending',
+    requires_action: 'pending',
+    processing: 'pending',
+    requires_capture: 'authorized',
+    succeeded: 'paid',
+    declined: 'failed',
+    canceled: 'voided',
+};
+
+/**
+ * Checks whether a payment method is charged through the payment provider.
+ * @param {string} paymentMethod - The order's payment method.
+ * @returns {boolean}
+ */
+function requiresOnlinePayment(paymentMethod) {
+    return !OFFLINE_PAYMENT_METHODS.includes(paymentMethod);
+}
+
+// Loads an order and checks the caller (a user ID, or a guest { email, orderNumber }) may act on its payment
+async function getOrderForPayment(orderId, payer, isAdmin = false) {
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+        throw new Error('Invalid order ID.');
+    }
+    const order = await ordersRepository.getOrderById(orderId);
+    if (!order) {
+        throw new Error('Order not found.');
+    }
+    if (!isAdmin && !ownsOrder(order, payer)) {
+        throw new Error('Forbidden: You can only pay for your own orders.');
+    }
+    return order;
+}
+
+function assertHasPayment(order) {
+    if (!order.payment || !order.payment.intentId) {
+        throw new Error('Invalid payment operation: this order has no payment at the payment provider.');
+    }
+}
+
+/**
+ * Stores a provider intent on the order and moves `paymentStatus` to match it.
+ * Intents whose status the transition graph does not allow (e.g. a stale 'processing' event
+ * arriving after the payment was already marked paid) are ignored and the order is left as is,
+ * so out-of-order provider events can never move a payment backwards.
+ * @param {Order} order - The current order.
+ * @param {string} providerName - The payment provider name.
+ * @param {object} intent - The provider intent snapshot.
+ * @param {string|null} actorId - The user behind the change (null for provider events).
+ * @param {string} note - Note for the status history.
+ * @returns {Promise<Order>} - The updated (or unchanged) order document.
+ * @throws {Error} - If the payment status changed concurrently.
+ */
+async function recordIntent(order, providerName, intent, actorId, note) {
+    const payment = {
+        provider: providerName,
+        intentId: intent.id,
+        status: intent.status,
+        amount: intent.amount,
+        currency: intent.currency,
+        capturedAmount: intent.capturedAmount,
+        nextAction: intent.nextAction || null,
+        declineCode: intent.declineCode || null,
+        updatedAt: new Date()
+    };
+
+    // A pre-order deposit is not the full payment: it is kept aside in preorder.deposit, so that
+    // `payment` can go on to track the balance once the pre-order is released
+    let newPaymentStatus = INTENT_PAYMENT_STATUS[intent.status];
+    const fields = {};
+    if (newPaymentStatus === 'paid' && isDepositIntent(order, intent.id)) {
+        newPaymentStatus = 'deposit_paid';
+        fields['preorder.deposit'] = payment;
+    }
+
+    let historyEntry = null;
+    if (newPaymentStatus && newPaymentStatus !== order.paymentStatus) {
+        try {
+            assertTransition(order, { paymentStatus: newPaymentStatus });
+            historyEntry = buildHistoryEntry('paymentStatus', order.paymentStatus, newPaymentStatus, actorId, note);
+        } catch (error) {
+            console.warn(`Payment status of order ${order._id} kept at ${order.paymentStatus} (intent ${intent.id} is ${intent.status}): ${error.message}`);
+            return order;
+        }
+    }
+
+    const updatedOrder = await ordersRepository.updatePaymentDetails(order._id, payment, historyEntry, fields);
+    if (!updatedOrder) {
+        throw new Error('Invalid status transition: payment status changed concurrently.');
+    }
+    return updatedOrder;
+}
+
+/**
+ * Starts (or retries) the online payment of an order: creates a payment intent at the active
+ * provider and confirms it with the customer's payment token. The resulting intent status
+ * drives the order's `paymentStatus` ('paid', 'authorized', 'failed', or 'pending' while
+ * authentication or a delayed result is outstanding).
+ * Pre-orders are charged by their payment option (utils/preorders.js): a deposit pre-order pays
+ * its deposit first ('deposit_paid') and the balance through this same call once it is released.
+ * @param {string} orderId - The ID of the order.
+ * @param {string|object} payer - The ID of the paying customer, or a guest { email, orderNumber }.
+ * @param {object} [details] - { paymentToken? } The payment token from the client.
+ * @returns {Promise<Order>} - The updated order, including `payment.nextAction` when the customer must act.
+ * @throws {Error} - If the order cannot be paid online in its current state.
+ */
+async function startPayment(orderId, payer, { paymentToken } = {}) {
+    const order = await getOrderForPayment(orderId, payer);
+    if (!requiresOnlinePayment(order.paymentMethod)) {
+        throw new Error('Invalid payment operation: cash on delivery is collected on delivery.');
+    }
+    if (order.orderStatus === 'cancelled') {
+        throw new Error('Invalid payment operation: the order is cancelled.');
+    }
+    if (order.paymentStatus === 'deposit_paid' && order.orderStatus === 'preorder') {
+        throw new Error('Invalid payment operation: the balance of a pre-order is due once it is released.');
+    }
+    if (!['pending', 'failed', 'deposit_paid'].includes(order.paymentStatus)) {
+        throw new Error(`Invalid payment operation: payment is already ${order.paymentStatus}.`);
+    }
+    if (order.payment && order.payment.status === 'processing') {
+        throw new Error('Invalid payment operation: a payment attempt is still processing.');
+    }
+
+    // An attempt abandoned during authentication is released before starting a new one
+    if (order.payment && order.payment.status === 'requires_action') {
+        await paymentProviders.getProvider(order.payment.provider).voidIntent(order.payment.intentId);
+    }
+
+    const provider = paymentProviders.getProvider();
+    const charge = getPaymentCharge(order, PAYMENT_CAPTURE_MODE);
+    const created = await provider.createIntent({
+        amount: charge.amount,
+        currency: PAYMENT_CURRENCY,
+        orderId: order._id,
+        paymentMethod: order.paymentMethod,
+        captureMethod: charge.captureMethod
+    });
+    const intent = await provider.confirmIntent(created.id, { paymentToken });
+
+    return recordIntent(order, provider.name, intent, getShopperUserId(payer), `Payment ${intent.id} ${intent.status}`);
+}
+
+/**
+ * Completes a payment waiting for customer action (e.g. 3-D Secure authentication).
+ * @param {string} orderId - The ID of the order.
+ * @param {string|object} payer - The ID of the paying customer, or a guest { email, orderNumber }.
+ * @param {object} confirmation - Provider-specific confirmation data (mock: { authenticationResult }).
+ * @returns {Promise<Order>} - The updated order.
+ * @throws {Error} - If the payment is not waiting for customer action.
+ */
+async function confirmPayment(orderId, payer, confirmation = {}) {
+    const order = await getOrderForPayment(orderId, payer);
+    assertHasPayment(order);
+    if (order.payment.status !== 'requires_action') {
+        throw new Error(`Invalid payment operation: payment is not waiting for customer action (current: ${order.payment.status}).`);
+    }
+    const provider = paymentProviders.getProvider(order.payment.provider);
+    const intent = await provider.confirmIntent(order.payment.intentId, confirmation);
+    return recordIntent(order, provider.name, intent, getShopperUserId(payer), `Payment ${intent.id} ${intent.status} after authentication`);
+}
+
+/**
+ * Captures an authorized payment (manual capture mode).
+ * @param {string} orderId - The ID of the order.
+ * @param {string} adminId - The ID of the admin capturing the payment.
+ * @param {number} [amount] - Amount to capture; defaults to the authorized amount.
+ * @returns {Promise<Order>} - The updated order.
+ * @throws {Error} - If the payment is not authorized.
+ */
+async function capturePayment(orderId, adminId, amount) {
+    const order = await getOrderForPayment(orderId, adminId, true);
+    assertHasPayment(order);
+    if (order.paymentStatus !== 'authorized') {
+        throw new Error(`Invalid payment operation: only authorized payments can be captured (current: ${order.paymentStatus}).`);
+    }
+    const provider = paymentProviders.getProvider(order.payment.provider);
+    const intent = await provider.captureIntent(order.payment.intentId, amount);
+    return recordIntent(order, provider.name, intent, adminId, `Captured ${intent.capturedAmount} ${intent.currency}`);
+}
+
+/**
+ * Voids a payment that has not been captured, releasing any held funds.
+ * @param {string} orderId - The ID of the order.
+ * @param {string} adminId - The ID of the admin voiding the payment.
+ * @param {string} [note] - Optional note for the status history.
+ * @returns {Promise<Order>} - The updated order.
+ * @throws {Error} - If the payment was already captured or has ended.
+ */
+async function voidPayment(orderId, adminId, note) {
+    const order = await getOrderForPayment(orderId, adminId, true);
+    assertHasPayment(order);
+    if (!['pending', 'authorized'].includes(order.paymentStatus)) {
+        throw new Error(`Invalid payment operation: only pending or authorized payments can be voided (current: ${order.paymentStatus}).`);
+    }
+    const provider = paymentProviders.getProvider(order.payment.provider);
+    const intent = await provider.voidIntent(order.payment.intentId);
+    return recordIntent(order, provider.name, intent, adminId, note || `Payment ${intent.id} voided`);
+}
+
+/**
+ * Refunds money to the order's original payment at the provider.
+ * Does not touch the order's refund ledger; callers record the refund there.
+ * @param {Order} order - The order (with `payment`).
+ * @param {number} amount - The amount to refund.
+ * @returns {Promise<{ id: string, amount: number, status: string }>} - The provider refund.
+ * @throws {Error} - If the order has no captured provider payment or the provider rejects the refund.
+ */
+async function refundPayment(order, amount) {
+    assertHasPayment(order);
+    const provider = paymentProviders.getProvider(order.payment.provider);
+    return provider.refund(order.payment.intentId, amount);
+}
+
+/**
+ * Sends a refund already on the order's ledger as 'pending' to the payment provider and settles
+ * it with the answer: 'completed' with the provider's refund ID, or 'failed' if the provider
+ * rejected it. Recording first means a refund the ledger would reject is never sent and money
+ * that went back is never unrecorded. If the settlement cannot be written after the money went
+ * back, the entry stays pending (still counted) for an admin to reconcile.
+ * @param {Order} order - The order (with `payment`).
+ * @param {object} refund - The pending refund entry ({ _id, amount }).
+ * @returns {Promise<Order>} - The order with the refund settled.
+ * @throws {Error} - If the provider rejects the refund or the settlement cannot be written.
+ */
+async function sendPendingRefund(order, refund) {
+    let providerRefund;
+    try {
+        providerRefund = await refundPayment(order, refund.amount);
+    } catch (error) {
+        await ordersRepository.settleRefund(order._id, refund._id, { status: 'failed' })
+            .catch(settleError => console.error(`Failed refund ${refund._id} of order ${order._id} stays pending:`, settleError.message));
+        throw error;
+    }
+    try {
+        return await ordersRepository.settleRefund(order._id, refund._id, { status: 'completed', providerRefundId: providerRefund.id });
+    } catch (error) {
+        console.error(`Refund ${refund._id} of order ${order._id} was made at the provider (${providerRefund.id}) but stays pending:`, error.message);
+        throw error;
+    }
+}
+
+/**
+ * Checks whether refunds to the original payment of an order go through the payment provider.
+ * @param {Order} order - The order.
+ * @returns {boolean}
+ */
+function hasProviderPayment(order) {
+    return Boolean(order.payment && order.payment.intentId && order.payment.status === 'succeeded');
+}
+
+/**
+ * Applies an asynchronous event from a payment provider (e.g. a delayed payment result).
+ * Events for unknown intents are ignored.
+ * @param {string} providerName - The provider that sent the event.
+ * @param {object} event - { id, type, data: { object: intent } }
+ * @returns {Promise<Order|null>} - The updated order, or null if no order matches.
+ */
+async function handleProviderEvent(providerName, event) {
+    const intent = event.data && event.data.object;
+    if (!intent || !intent.id) {
+        throw new Error('Invalid payment event: missing payment intent.');
+    }
+    const order = await ordersRepository.getOrderByPaymentIntent(providerName, intent.id);
+    if (!order) {
+        console.warn(`Payment event ${event.id} (${event.type}) for unknown intent ${intent.id} ignored.`);
+        return null;
+    }
+    return recordIntent(order, providerName, intent, null, `Payment event ${event.type}`);
+}
+
+/**
+ * Receives a webhook delivery from a payment provider: verifies its signature, skips events
+ * that were already processed (providers retry deliveries) and applies the rest to the order.
+ * If applying fails the event is released, so the provider's next retry can apply it.
+ * @param {string} providerName - The provider the webhook is addressed to.
+ * @param {Buffer|string} rawBody - The request body exactly as received (needed for the signature).
+ * @param {object} headers - The request headers.
+ * @returns {Promise<{ eventId: string, duplicate: boolean, orderId: (string|null) }>}
+ * @throws {Error} - If the provider is unknown or the signature is invalid.
+ */
+async function receiveWebhook(providerName, rawBody, headers) {
+    const provider = paymentProviders.getProvider(providerName);
+    const event = provider.verifyWebhook(rawBody, headers);
+    if (!event || !event.id || !event.type) {
+        throw new Error('Invalid webhook payload: missing event ID or type.');
+    }
+
+    const claim = await paymentEventsRepository.claimEvent(provider.name, event);
+    if (!claim) {
+        return { eventId: event.id, duplicate: true, orderId: null };
+    }
+
+    try {
+        const order = await handleProviderEvent(provider.name, event);
+        await paymentEventsRepository.markEventProcessed(claim._id, order ? order._id : null);
+        return { eventId: event.id, duplicate: false, orderId: order ? order._id : null };
+    } catch (error) {
+        await paymentEventsRepository.releaseEvent(claim._id);
+        throw error;
+    }
+}
+
+// In-process gateways (the mock) deliver their webhooks through the same verified, deduplicated path
+for (const provider of paymentProviders.getProviders()) {
+    provider.setEventHandler((rawBody, headers) => receiveWebhook(provider.name, rawBody, headers));
+}
+
+module.exports = {
+    PAYMENT_CAPTURE_MODE,
+    requiresOnlinePayment,
+    startPayment,
+    confirmPayment,
+    capturePayment,
+    voidPayment,
+    refundPayment,
+    sendPendingRefund,
+    hasProviderPayment,
+    handleProviderEvent,
+    receiveWebhook
+};
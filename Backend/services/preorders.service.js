@@ -0,0 +1,111 @@
+const ordersRepository = require('../repositories/orders.repository');
+const productRepository = require('../repositories/products.repository');
+const paymentsService = require('./payments.service');
+const { sendNotification } = require('./notifiers');
+const { buildHistoryEntry } = require('../utils/orderStatusMachine');
+const { getPaymentCharge, planAllocation } = require('../utils/preorders');
+
+const PAYMENT_CURRENCY = process.env.PAYMENT_CURRENCY || 'USD'; // Same currency the payment provider charges in
+
+function buildReleaseNotification(order, product, amountDue) {
+    const name = order.user ? order.user.firstName || order.user.username : null;
+    const greeting = name ? `Hi ${name},` : 'Hi,';
+    let next = 'It now goes through fulfilment like any other order.';
+    if (amountDue > 0) {
+        next = `The balance of ${PAYMENT_CURRENCY} ${amountDue.toFixed(2)} is now due; pay it from your order to have it shipped.`;
+    }
+    return {
+        type: 'preorder_released',
+        to: order.user ? order.user.email : order.guestEmail,
+        subject: `Your pre-order of ${product.name} is confirmed`,
+        text: `${greeting}\n\n${product.name} has been released and your pre-order ${order.orderNumber} has been allocated stock. ${next}`,
+        data: {
+            orderId: order._id.toString(),
+            orderNumber: order.orderNumber,
+            productId: product._id.toString(),
+            amountDue
+        }
+    };
+}
+
+/**
+ * Takes payment for a pre-order that was just allocated stock and lets the customer know.
+ * Authorize-only pre-orders are captured now, unless the store captures payments by hand
+ * (PAYMENT_CAPTURE_MODE=manual). Neither step can undo the allocation.
+ * @param {Order} order - The pre-order as it was waiting (with the customer's name and email).
+ * @param {Order} allocatedOrder - The order after allocation.
+ * @param {object} product - The released product.
+ * @returns {Promise<void>}
+ */
+async function settleAllocatedPreorder(order, allocatedOrder, product) {
+    if (order.preorder.paymentOption === 'authorize' && allocatedOrder.paymentStatus === 'authorized' && paymentsService.PAYMENT_CAPTURE_MODE === 'automatic') {
+        try {
+            await paymentsService.capturePayment(order._id, null);
+        } catch (error) {
+            console.warn(`Payment of released pre-order ${order._id} could not be captured:`, error.message);
+        }
+    }
+
+    const amountDue = order.preorder.paymentOption === 'deposit' && allocatedOrder.paymentStatus === 'deposit_paid'
+        ? getPaymentCharge(allocatedOrder, paymentsService.PAYMENT_CAPTURE_MODE).amount
+        : 0;
+    try {
+        await sendNotification(buildReleaseNotification(order, product, amountDue));
+    } catch (error) {
+        console.error(`Error sending pre-order release notification for order ${order._id}:`, error.message);
+    }
+}
+
+/**
+ * Allocates an available product's stock to its waiting pre-orders, first come, first served
+ * (utils/preorders.js planAllocation). Each allocated order takes its stock and moves from
+ * 'preorder' to 'pending' in one transaction. Units held in shoppers' checkouts are not
+ * allocated. If an order cannot take its stock (stock changed since the plan, or the units are
+ * reserved), the remaining orders wait for the next run, so no order skips the queue.
+ * @param {string} productId - The ID of the product.
+ * @returns {Promise<number>} - The number of pre-orders allocated.
+ */
+async function allocatePreorders(productId) {
+    const product = await productRepository.getProductById(productId);
+    if (!product || product.status !== 'available') {
+        return 0;
+    }
+    const orders = await ordersRepository.getWaitingPreorders(product._id);
+
+    let allocated = 0;
+    for (const order of planAllocation(orders, product)) {
+        let allocatedOrder;
+        try {
+            const historyEntry = buildHistoryEntry('orderStatus', 'preorder', 'pending', null, `Pre-order allocated: ${product.name} released`);
+            allocatedOrder = await ordersRepository.allocatePreorder(order._id, historyEntry);
+        } catch (error) {
+            console.warn(`Pre-order ${order._id} could not be allocated, later pre-orders of product ${product._id} wait:`, error.message);
+            break;
+        }
+        allocated++;
+        await settleAllocatedPreorder(order, allocatedOrder, product);
+    }
+    return allocated;
+}
+
+/**
+ * Allocates stock to the waiting pre-orders of every product that has some.
+ * @returns {Promise<number>} - The number of pre-orders allocated.
+ */
+async function allocateWaitingPreorders() {
+    const productIds = await ordersRepository.getProductIdsWithWaitingPreorders();
+    let allocated = 0;
+    for (const productId of productIds) {
+        try {
+            allocated += await allocatePreorders(productId);
+        } catch (error) {
+            console.error(`Error allocating pre-orders of product ${productId}:`, error.message);
+        }
+    }
+    return allocated;
+}
+
+module.exports = {
+    allocatePreorders,
+    allocateWaitingPreorders
+};
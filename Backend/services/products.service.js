@@ -1,17 +1,64 @@
 const productRepository = require('../repositories/products.repository');
-const { createProductValidation, updateProductValidation } = require('../utils/productValidation'); // Import Joi validation schemas
+const { createProductValidation, updateProductValidation, listProductsValidation } = require('../utils/productValidation'); // Import Joi validation schemas
 const categoryRepository = require('../repositories/categories.repository'); // Import category repository
 const brandRepository = require('../repositories/brands.repository'); // Import brand repository
+const salesRepository = require('../repositories/sales.repository'); // Import scheduled sales repository
+const wishlistAlertsService = require('./wishlistAlerts.service'); // Price-drop and back-in-stock alerts
+const stockSubscriptionsService = require('./stockSubscriptions.service'); // "Notify me" back-in-stock subscriptions
+const preordersService = require('./preorders.service'); // Pre-orders are allocated stock before anyone is alerted
+const { assertUniqueVariants, syncAggregateStock, getUnitPrices } = require('../utils/productVariants');
+const { findBestSale } = require('../utils/sales');
+const { PRODUCT_SORTS, RATING_FACET_THRESHOLDS, toList, encodeCursor, decodeCursor } = require('../utils/productListing');
 const mongoose = require('mongoose');
 
-// Helper function to calculate percentage off
+const PREORDER_JOB_MINUTES = process.env.PREORDER_JOB_MINUTES !== undefined
+    ? parseInt(process.env.PREORDER_JOB_MINUTES, 10) || 0
+    : 15; // How often due products are released and waiting pre-orders allocated (0 turns it off)
+let preorderJobRunning = false;
+
+// Helper function to calculate percentage off (only sales that are live right now count)
 function calculatePercentageOff(product) {
-    if (product.onSale && product.price > 0 && product.salePrice !== undefined && product.salePrice < product.price) {
-        return ((product.price - product.salePrice) / product.price) * 100;
+    const { price, salePrice } = getUnitPrices(product);
+    if (price > 0 && salePrice !== undefined) {
+        return ((price - salePrice) / price) * 100;
     }
     return 0; // Return 0 if not on sale or calculation is not possible
 }
 
+// Converts a product document to a plain object with its live scheduled sale and percentage off
+function toProductObject(product, liveSales) {
+    const productObject = product.toObject(); // Convert Mongoose document to plain JavaScript object
+    productObject.scheduledSale = findBestSale(liveSales, productObject);
+    productObject.percentageOff = calculatePercentageOff(productObject);
+    return productObject;
+}
+
+// Helper to convert a list of product documents, loading the live scheduled sales once
+async function withLiveSales(products) {
+    const liveSales = await salesRepository.getLiveSales();
+    return products.map(product => toProductObject(product, liveSales));
+}
+
+// Sends what a product change triggers. Waiting pre-orders are allocated the stock first; the alerts
+// (wishlist price drops and restocks, notify-me subscriptions) then go out for the stock left.
+// Runs in the background: a failed allocation or alert never fails the change itself.
+function announceProductChange(before, after) {
+    const allocation = after.status === 'available' ? preordersService.allocatePreorders(after._id) : Promise.resolve(0);
+    allocation
+        .catch(error => {
+            console.warn(`Pre-order allocation for product ${after._id} failed:`, error.message);
+            return 0;
+        })
+        .then(async allocated => (allocated > 0 ? (await getProductById(after._id.toString())) || after : after))
+        .then(current => {
+            wishlistAlertsService.handleProductChange(before, current)
+                .catch(error => console.warn(`Wishlist alerts for product ${after._id} failed:`, error.message));
+            stockSubscriptionsService.handleProductChange(before, current)
+                .catch(error => console.warn(`Back-in-stock notifications for product ${after._id} failed:`, error.message));
+        })
+        .catch(error => console.warn(`Alerts for product ${after._id} failed:`, error.message));
+}
+
 // --- Product Service Functions ---
 
 // Create a new product
@@ -42,22 +89,105 @@ async function createProduct(productData) {
         }
     }
 
-    // 4. Create the product using the repository
+    // 4. Variant SKUs and size/color combinations must be unique
+    if (value.variants) {
+        assertUniqueVariants(value.variants);
+    }
+
+    // 5. Create the product using the repository
     const newProduct = await productRepository.createProduct(value);
     return newProduct;
 }
 
-// Get all products
-async function getAllProducts() {
-    const products = await productRepository.getAllProducts();
-    // Apply percentageOff calculation
-    return products.map(product => {
-        const productObject = product.toObject(); // Convert Mongoose document to plain JavaScript object
-        productObject.percentageOff = calculatePercentageOff(productObject);
-        return productObject;
+// Converts list-valued filter IDs to ObjectIds, rejecting malformed ones
+function toObjectIds(values, label) {
+    return toList(values).map(value => {
+        if (!mongoose.Types.ObjectId.isValid(value)) {
+            throw new Error(`Invalid product filter: ${value} is not a valid ${label} ID.`);
+        }
+        return new mongoose.Types.ObjectId(value);
     });
 }
 
+/**
+ * Lists products matching the query filters, sorted and one page at a time, with facet counts
+ * for each filter. Prices are filtered and sorted by what a shopper pays right now (live own and
+ * scheduled sales included), and a category filter takes in its subcategories.
+ * @param {object} query - The query parameters of GET /api/products (see listProductsValidation).
+ * @returns {Promise<object>} - { products, pagination: { page, limit, total, totalPages, nextCursor }, facets, sort }
+ * @throws {Error} - If a filter, sort or cursor is invalid.
+ */
+async function listProducts(query = {}) {
+    const { error, value } = listProductsValidation(query);
+    if (error) {
+        throw new Error(`Invalid product filter: ${error.details[0].message}`);
+    }
+
+    const filters = {
+        brandIds: toObjectIds(value.brand, 'brand'),
+        sizes: toList(value.size),
+        colors: toList(value.color),
+        statuses: toList(value.status),
+        minPrice: value.minPrice,
+        maxPrice: value.maxPrice,
+        onSale: value.onSale,
+        isNewArrival: value.isNewArrival,
+        isExclusive: value.isExclusive,
+        minRating: value.minRating
+    };
+    const categoryIds = toObjectIds(value.category, 'category');
+    if (categoryIds.length > 0) {
+        filters.categoryIds = [...categoryIds, ...await categoryRepository.getDescendantCategoryIds(categoryIds)];
+    }
+    // An empty list filters nothing
+    ['brandIds', 'sizes', 'colors', 'statuses'].forEach(key => {
+        if (filters[key].length === 0) {
+            delete filters[key];
+        }
+    });
+
+    // Each sale's categories take in their subcategories, as findBestSale does
+    const now = new Date();
+    const liveSales = await salesRepository.getLiveSales(now);
+    const sales = await Promise.all(liveSales.map(async sale => ({
+        percentOff: sale.percentOff,
+        products: sale.products,
+        brands: sale.brands,
+        categories: sale.categories.length > 0
+            ? [...sale.categories, ...await categoryRepository.getDescendantCategoryIds(sale.categories)]
+            : []
+    })));
+
+    const sort = PRODUCT_SORTS[value.sort];
+    const page = value.page || 1;
+    const after = value.cursor ? decodeCursor(value.cursor, value.sort) : null;
+    const { items, total, facets } = await productRepository.listProducts(filters, {
+        sort,
+        after,
+        skip: after ? 0 : (page - 1) * value.limit,
+        limit: value.limit,
+        sales,
+        ratingThresholds: RATING_FACET_THRESHOLDS,
+        now
+    });
+
+    const pageItems = items.slice(0, value.limit);
+    const last = pageItems[pageItems.length - 1];
+    const products = await productRepository.getProductsForListing(pageItems.map(item => item._id));
+    return {
+        products: products.map(product => toProductObject(product, liveSales)),
+        pagination: {
+            page: after ? null : page, // A cursor page has no page number
+            limit: value.limit,
+            total,
+            totalPages: Math.ceil(total / value.limit),
+            nextCursor: items.length > value.limit ? encodeCursor(value.sort, last.sortValue, last._id) : null
+        },
+        facets,
+        sort: value.sort
+    };
+}
+
 // Get a single product by ID
 async function getProductById(id) {
     if (!mongoose.Types.ObjectId.isValid(id)) {
@@ -65,13 +195,18 @@ async function getProductById(id) {
     }
     const product = await productRepository.getProductById(id);
     if (product) {
-        const productObject = product.toObject();
-        productObject.percentageOff = calculatePercentageOff(productObject);
-        return productObject;
+        return toProductObject(product, await salesRepository.getLiveSales());
     }
     return null;
 }
 
+// Get several products by ID, with live sales (missing IDs are left out)
+async function getProductsByIds(ids) {
+    const validIds = ids.filter(id => mongoose.Types.ObjectId.isValid(id));
+    const products = await productRepository.getProductsByIds(validIds);
+    return withLiveSales(products);
+}
+
 // Update a product by ID
 async function updateProduct(id, updateData) {
     // 1. Validate the product ID
@@ -112,11 +247,47 @@ async function updateProduct(id, updateData) {
         }
     }
 
-    // 6. Update the product using the repository
+    // 6. Keep the aggregate stock fields of a variant product in step with its variant matrix:
+    //    a new matrix is validated, and sizes/colors/stock sent without one are recomputed from the
+    //    current variants (only color images are taken from the update)
+    if (value.variants) {
+        assertUniqueVariants(value.variants);
+    }
+    const variants = value.variants || existingProduct.variants;
+    const touchesAggregates = value.variants || ['sizes', 'colors', 'stock'].some(field => value[field] !== undefined);
+    if (touchesAggregates && variants && variants.length > 0) {
+        const aggregates = syncAggregateStock({
+            variants,
+            colors: value.colors || existingProduct.colors,
+        });
+        value.sizes = aggregates.sizes;
+        value.colors = aggregates.colors;
+        value.stock = aggregates.stock;
+    }
+
+    // 7. Update the product using the repository
     const updatedProduct = await productRepository.updateProduct(id, value);
+
+    // 8. Let wishlists know about price drops and sizes back in stock
+    if (updatedProduct) {
+        const liveSales = await salesRepository.getLiveSales();
+        announceProductChange(toProductObject(existingProduct, liveSales), toProductObject(updatedProduct, liveSales));
+    }
     return updatedProduct;
 }
 
+/**
+ * Re-reads products after their stock changed outside updateProduct (e.g. an order was
+ * cancelled) and sends the alerts the change triggers.
+ * @param {Array<object>} productsBefore - The products as they were before the change (from getProductsByIds).
+ * @returns {Promise<void>}
+ */
+async function announceStockChanges(productsBefore) {
+    const productsAfter = await getProductsByIds(productsBefore.map(product => product._id.toString()));
+    const before = new Map(productsBefore.map(product => [product._id.toString(), product]));
+    productsAfter.forEach(product => announceProductChange(before.get(product._id.toString()), product));
+}
+
 // Delete a product by ID
 async function deleteProduct(id) {
     if (!mongoose.Types.ObjectId.isValid(id)) {
@@ -136,23 +307,15 @@ async function getProductsByCategory(categoryId) {
         throw new Error('Invalid category ID');
     }
     const products = await productRepository.getProductsByCategory(categoryId);
-    // Apply percentageOff calculation
-    return products.map(product => {
-        const productObject = product.toObject();
-        productObject.percentageOff = calculatePercentageOff(productObject);
-        return productObject;
-    });
+    // Apply live sales and percentageOff calculation
+    return withLiveSales(products);
 }
 
 // Get products by search query
 async function getProductsBySearch(query) {
     const products = await productRepository.getProductsBySearch(query);
-    // Apply percentageOff calculation
-    return products.map(product => {
-        const productObject = product.toObject();
-        productObject.percentageOff = calculatePercentageOff(productObject);
-        return productObject;
-    });
+    // Apply live sales and percentageOff calculation
+    return withLiveSales(products);
 }
 
 // --- Rating Service Functions ---
@@ -250,12 +413,8 @@ async function getProductRecommendations(productId) {
 
     // Example: Recommend products from the same category, excluding the current product
     const recommendations = await productRepository.findProductsByCategory(currentProduct.category, productId);
-    // Apply percentageOff calculation
-    return recommendations.map(product => {
-        const productObject = product.toObject();
-        productObject.percentageOff = calculatePercentageOff(productObject);
-        return productObject;
-    });
+    // Apply live sales and percentageOff calculation
+    return withLiveSales(recommendations);
 }
 
 /**
@@ -272,12 +431,8 @@ async function getProductsByBrand(brandId) {
     if (!products || products.length === 0) {
         throw new Error('No products found for this brand.');
     }
-    // Apply percentageOff calculation
-    return products.map(product => {
-        const productObject = product.toObject();
-        productObject.percentageOff = calculatePercentageOff(productObject);
-        return productObject;
-    });
+    // Apply live sales and percentageOff calculation
+    return withLiveSales(products);
 }
 
 // --- New Listing Functions (with percentageOff calculation) ---
@@ -288,24 +443,28 @@ async function getProductsByBrand(brandId) {
  */
 async function getNewArrivalProducts() {
     const products = await productRepository.getNewArrivalProducts();
-    return products.map(product => {
-        const productObject = product.toObject();
-        productObject.percentageOff = calculatePercentageOff(productObject);
-        return productObject;
-    });
+    return withLiveSales(products);
 }
 
 /**
- * Gets all products marked as on sale.
+ * Gets all products with a sale live right now: their own sale price within its schedule,
+ * or a scheduled sale covering the product, its brand or its category.
  * @returns {Promise<Array<Product>>} - A promise that resolves to an array of on-sale products.
  */
 async function getOnSaleProducts() {
-    const products = await productRepository.getOnSaleProducts();
-    return products.map(product => {
-        const productObject = product.toObject();
-        productObject.percentageOff = calculatePercentageOff(productObject);
-        return productObject;
+    const now = new Date();
+    const liveSales = await salesRepository.getLiveSales(now);
+    const saleCategoryIds = liveSales.flatMap(sale => sale.categories);
+    const subcategoryIds = saleCategoryIds.length > 0 ? await categoryRepository.getDescendantCategoryIds(saleCategoryIds) : [];
+    const products = await productRepository.getOnSaleProducts(now, {
+        products: liveSales.flatMap(sale => sale.products),
+        brands: liveSales.flatMap(sale => sale.brands),
+        categories: [...saleCategoryIds, ...subcategoryIds]
     });
+    // A sale that does not lower the price (e.g. a sale price above the regular price) is not listed
+    return products
+        .map(product => toProductObject(product, liveSales))
+        .filter(product => product.percentageOff > 0);
 }
 
 /**
@@ -314,11 +473,7 @@ async function getOnSaleProducts() {
  */
 async function getExclusiveProducts() {
     const products = await productRepository.getExclusiveProducts();
-    return products.map(product => {
-        const productObject = product.toObject();
-        productObject.percentageOff = calculatePercentageOff(productObject);
-        return productObject;
-    });
+    return withLiveSales(products);
 }
 
 /**
@@ -327,19 +482,67 @@ async function getExclusiveProducts() {
  */
 async function getComingSoonProducts() {
     const products = await productRepository.getComingSoonProducts();
-    return products.map(product => {
-        const productObject = product.toObject();
-        productObject.percentageOff = calculatePercentageOff(productObject);
-        return productObject;
-    });
+    return withLiveSales(products);
+}
+
+/**
+ * Releases the coming_soon products whose pre-order release date has been reached: each becomes
+ * available through updateProduct, so its waiting pre-orders are allocated and alerts go out.
+ * @returns {Promise<number>} - The number of products released.
+ */
+async function releaseDueProducts() {
+    const products = await productRepository.getProductsDueForRelease(new Date());
+    let released = 0;
+    for (const product of products) {
+        try {
+            await updateProduct(product._id.toString(), { status: 'available' });
+            released++;
+        } catch (error) {
+            console.error(`Error releasing product ${product._id}:`, error.message);
+        }
+    }
+    return released;
+}
+
+/**
+ * Starts the background job that, every PREORDER_JOB_MINUTES, releases products due for release
+ * and allocates any stock that has since come in to pre-orders still waiting.
+ * Runs never overlap; a run that is still busy makes the next one wait for the following tick.
+ * @returns {object|null} - The interval timer, or null if the job is turned off.
+ */
+function startPreorderJob() {
+    if (PREORDER_JOB_MINUTES <= 0) {
+        return null;
+    }
+    const timer = setInterval(async () => {
+        if (preorderJobRunning) {
+            return;
+        }
+        preorderJobRunning = true;
+        try {
+            const released = await releaseDueProducts();
+            const allocated = await preordersService.allocateWaitingPreorders();
+            if (released > 0 || allocated > 0) {
+                console.log(`Pre-orders: ${released} product(s) released, ${allocated} pre-order(s) allocated.`);
+            }
+        } catch (error) {
+            console.error('Error in pre-order job:', error.message);
+        } finally {
+            preorderJobRunning = false;
+        }
+    }, PREORDER_JOB_MINUTES * 60 * 1000);
+    timer.unref(); // The job must not keep the process alive
+    return timer;
 }
 
 
 module.exports = {
     createProduct,
-    getAllProducts,
+    listProducts,
     getProductById,
+    getProductsByIds,
     updateProduct,
+    announceStockChanges,
     deleteProduct,
     getProductsByCategory,
     getProductsBySearch,
@@ -352,5 +555,7 @@ module.exports = {
     getNewArrivalProducts,
     getOnSaleProducts,
     getExclusiveProducts,
-    getComingSoonProducts
+    getComingSoonProducts,
+    releaseDueProducts,
+    startPreorderJob
 };
@@ -0,0 +1,136 @@
+const promotionsRepository = require('../repositories/promotions.repository');
+const couponsService = require('./coupons.service');
+const { createPromotionValidation, updatePromotionValidation } = require('../utils/promotionValidation');
+const { evaluatePromotions, deductDiscounts } = require('../utils/promotions');
+const mongoose = require('mongoose');
+
+// Fields that decide whether a promotion's rule is complete for its type
+const RULE_FIELDS = ['name', 'type', 'tiers', 'rewardCategories', 'rewardBrands', 'rewardProducts', 'startsAt', 'endsAt'];
+
+/**
+ * Creates a new promotion.
+ * @param {object} promotionData - The promotion fields.
+ * @returns {Promise<Promotion>}
+ * @throws {Error} - If validation fails.
+ */
+async function createPromotion(promotionData) {
+    const { error, value } = createPromotionValidation(promotionData);
+    if (error) {
+        throw new Error(error.details[0].message);
+    }
+    return promotionsRepository.createPromotion(value);
+}
+
+/**
+ * Retrieves all promotions.
+ * @returns {Promise<Array<Promotion>>}
+ */
+async function getAllPromotions() {
+    return promotionsRepository.getAllPromotions();
+}
+
+/**
+ * Retrieves the promotions running right now (for storefront banners).
+ * @returns {Promise<Array<Promotion>>}
+ */
+async function getLivePromotions() {
+    return promotionsRepository.getLivePromotions();
+}
+
+/**
+ * Retrieves a promotion by its ID.
+ * @param {string} id - The ID of the promotion.
+ * @returns {Promise<Promotion>}
+ * @throws {Error} - If the ID is invalid or the promotion is not found.
+ */
+async function getPromotionById(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new Error('Invalid promotion ID');
+    }
+    const promotion = await promotionsRepository.getPromotionById(id);
+    if (!promotion) {
+        throw new Error('Promotion not found');
+    }
+    return promotion;
+}
+
+/**
+ * Updates a promotion. The resulting rule is validated as a whole.
+ * @param {string} id - The ID of the promotion.
+ * @param {object} updateData - The fields to update.
+ * @returns {Promise<Promotion>}
+ * @throws {Error} - If validation fails or the promotion is not found.
+ */
+async function updatePromotion(id, updateData) {
+    const existingPromotion = (await getPromotionById(id)).toObject();
+    const { error, value } = updatePromotionValidation(updateData);
+    if (error) {
+        throw new Error(error.details[0].message);
+    }
+
+    const merged = {};
+    for (const field of RULE_FIELDS) {
+        const fieldValue = value[field] !== undefined ? value[field] : existingPromotion[field];
+        if (fieldValue !== undefined && fieldValue !== null) {
+            // Stored references are ObjectIds; the validation expects ID strings
+            merged[field] = Array.isArray(fieldValue) && field !== 'tiers' ? fieldValue.map(String) : fieldValue;
+        }
+    }
+    const { error: mergedError } = createPromotionValidation(merged);
+    if (mergedError) {
+        throw new Error(mergedError.details[0].message);
+    }
+    return promotionsRepository.updatePromotion(id, value);
+}
+
+/**
+ * Deletes a promotion. Orders keep the discount lines it produced.
+ * @param {string} id - The ID of the promotion.
+ * @returns {Promise<Promotion>} - The deleted promotion.
+ * @throws {Error} - If the ID is invalid or the promotion is not found.
+ */
+async function deletePromotion(id) {
+    await getPromotionById(id);
+    return promotionsRepository.deletePromotion(id);
+}
+
+/**
+ * Works out every discount for priced items: the live automatic promotions first, then the
+ * coupon (if any) on what the promotions left of each line's price.
+ * @param {Array<object>} items - [{ product, selectedSize?, selectedColor?, quantity, unitPrice }], see coupons.service buildDiscountLines.
+ * @param {object} [options] - { userId?, couponCode?, strictCoupon? }
+ *                             With strictCoupon a coupon that cannot be used throws instead of being reported in couponError.
+ * @returns {Promise<{ discounts: Array<object>, coupon: (object|null), couponError: (string|null) }>}
+ *          The discount lines, the evaluated coupon (see coupons.service evaluateCouponCode) and why the coupon gives nothing, if it does not.
+ * @throws {Error} - 'Invalid coupon: ...' with strictCoupon.
+ */
+async function calculateDiscounts(items, { userId = null, couponCode = null, strictCoupon = false } = {}) {
+    const promotions = await promotionsRepository.getLivePromotions();
+    const lines = await couponsService.buildDiscountLines(items);
+    const discounts = evaluatePromotions(promotions, lines);
+
+    let coupon = null;
+    let couponError = null;
+    if (couponCode) {
+        try {
+            coupon = await couponsService.evaluateCouponCode(couponCode, userId, deductDiscounts(items, discounts));
+            discounts.push(couponsService.toDiscountLine(coupon));
+        } catch (error) {
+            if (strictCoupon || !error.message.startsWith('Invalid coupon')) {
+                throw error;
+            }
+            couponError = error.message;
+        }
+    }
+    return { discounts, coupon, couponError };
+}
+
+module.exports = {
+    createPromotion,
+    getAllPromotions,
+    getLivePromotions,
+    getPromotionById,
+    updatePromotion,
+    deletePromotion,
+    calculateDiscounts
+};
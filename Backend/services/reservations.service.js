@@ -0,0 +1,153 @@
+const reservationsRepository = require('../repositories/reservations.repository');
+const cartsService = require('./carts.service');
+const productService = require('./products.service');
+const { resolveVariant, getAvailableStock } = require('../utils/productVariants');
+const { getShopperFilter } = require('../utils/shoppers');
+
+const RESERVATION_TTL_MINUTES = parseInt(process.env.RESERVATION_TTL_MINUTES, 10) || 15; // How long checkout holds last
+
+// A shopper's hold covers the cart line with the same product + size + color
+function isSameSelection(reservation, productId, selectedSize, selectedColor) {
+    return reservation.product.toString() === productId.toString() &&
+        (reservation.selectedSize || null) === (selectedSize || null) &&
+        (reservation.selectedColor || null) === (selectedColor || null);
+}
+
+/**
+ * Places a hold on one cart line and verifies it fits in the available stock.
+ * Holds are ranked oldest first, so when two shoppers race for the last units the
+ * earlier hold wins and the later one is rolled back.
+ * @param {string|object} shopper - The ID of the user, or a guest { guestKey } (see utils/shoppers.js).
+ * @param {object} cartItem - The cart line (product populated).
+ * @param {Date} expiresAt - When the hold expires.
+ * @returns {Promise<Reservation>} - The created reservation.
+ * @throws {Error} - If the product is gone or there is not enough unreserved stock.
+ */
+async function reserveCartItem(shopper, cartItem, expiresAt) {
+    const productId = cartItem.product._id;
+    const product = await productService.getProductById(productId);
+    if (!product) {
+        throw new Error(`Product with ID ${productId} not found.`);
+    }
+
+    const variant = resolveVariant(product, { sku: cartItem.sku, selectedSize: cartItem.selectedSize, selectedColor: cartItem.selectedColor });
+    const availableStock = getAvailableStock(product, cartItem.selectedSize, cartItem.selectedColor);
+
+    const reservation = await reservationsRepository.createReservation({
+        ...getShopperFilter(shopper),
+        product: productId,
+        selectedSize: cartItem.selectedSize,
+        selectedColor: cartItem.selectedColor,
+        sku: variant ? variant.sku : undefined,
+        quantity: cartItem.quantity,
+        expiresAt
+    });
+
+    // Sum holds on the same stock up to and including ours; if that exceeds stock, someone got there first
+    const holds = await reservationsRepository.getActiveReservationsForStock(product, cartItem.selectedSize, cartItem.selectedColor);
+    let heldBeforeAndIncludingOurs = 0;
+    for (const hold of holds) {
+        heldBeforeAndIncludingOurs += hold.quantity;
+        if (hold._id.equals(reservation._id)) {
+            break;
+        }
+    }
+
+    if (heldBeforeAndIncludingOurs > availableStock) {
+        await reservationsRepository.deleteReservation(reservation._id);
+        const unreserved = Math.max(availableStock - (heldBeforeAndIncludingOurs - cartItem.quantity), 0);
+        throw new Error(`Insufficient stock for product: ${product.name} (Size: ${cartItem.selectedSize || 'N/A'}, Color: ${cartItem.selectedColor || 'N/A'}). Requested: ${cartItem.quantity}, Available: ${unreserved}.`);
+    }
+
+    return reservation;
+}
+
+/**
+ * Starts checkout for a shopper's cart by placing time-limited holds on every cart line.
+ * Any previous holds of the shopper are replaced. If any line cannot be held, no holds are kept.
+ * @param {string|object} shopper - The ID of the user, or a guest { guestKey }.
+ * @returns {Promise<{ expiresAt: Date, reservations: Array<Reservation> }>} - The placed holds.
+ * @throws {Error} - If the cart is empty or stock is insufficient.
+ */
+async function startCheckout(shopper) {
+    const cart = await cartsService.getOrCreateCart(shopper);
+    if (!cart || cart.items.length === 0) {
+        throw new Error('Cannot start checkout with an empty cart.');
+    }
+
+    await reservationsRepository.deleteReservationsByShopper(shopper);
+
+    const expiresAt = new Date(Date.now() + RESERVATION_TTL_MINUTES * 60 * 1000);
+    const reservations = [];
+    try {
+        for (const cartItem of cart.items) {
+            reservations.push(await reserveCartItem(shopper, cartItem, expiresAt));
+        }
+    } catch (error) {
+        // All or nothing: drop the holds placed so far
+        await reservationsRepository.deleteReservationsByShopper(shopper);
+        throw error;
+    }
+
+    return { expiresAt, reservations };
+}
+
+/**
+ * Releases all checkout holds of a shopper.
+ * @param {string|object} shopper - The ID of the user, or a guest { guestKey }.
+ * @returns {Promise<void>}
+ */
+async function releaseCheckout(shopper) {
+    await reservationsRepository.deleteReservationsByShopper(shopper);
+}
+
+/**
+ * Retrieves the shopper's active checkout holds.
+ * @param {string|object} shopper - The ID of the user, or a guest { guestKey }.
+ * @returns {Promise<Array<Reservation>>} - The active reservations.
+ */
+async function getShopperReservations(shopper) {
+    return reservationsRepository.getActiveReservationsByShopper(shopper);
+}
+
+/**
+ * Checks whether every line of the cart is covered by an active hold of the shopper.
+ * @param {string|object} shopper - The ID of the user, or a guest { guestKey }.
+ * @param {Cart} cart - The shopper's cart.
+ * @returns {Promise<boolean>}
+ */
+async function hasValidReservationsForCart(shopper, cart) {
+    const reservations = await reservationsRepository.getActiveReservationsByShopper(shopper);
+    return cart.items.every(item => {
+        const productId = item.product._id || item.product;
+        const held = reservations
+            .filter(r => isSameSelection(r, productId, item.selectedSize, item.selectedColor))
+            .reduce((sum, r) => sum + r.quantity, 0);
+        return held >= item.quantity;
+    });
+}
+
+/**
+ * Returns the quantity held by shoppers other than the given one on the stock a selection is taken from.
+ * @param {string} productId - The ID of the product.
+ * @param {string} [selectedSize] - The selected size.
+ * @param {string} [selectedColor] - The selected color.
+ * @param {string|object} [excludeShopper] - The user ID or guest { guestKey } whose own holds are ignored.
+ * @returns {Promise<number>}
+ * @throws {Error} - If the product is not found.
+ */
+async function getReservedQuantity(productId, selectedSize, selectedColor, excludeShopper) {
+    const product = await productService.getProductById(productId);
+    if (!product) {
+        throw new Error(`Product with ID ${productId} not found.`);
+    }
+    return reservationsRepository.getReservedQuantity(product, selectedSize, selectedColor, excludeShopper);
+}
+
+module.exports = {
+    startCheckout,
+    releaseCheckout,
+    getShopperReservations,
+    hasValidReservationsForCart,
+    getReservedQuantity
+};
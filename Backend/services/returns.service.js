@@ -0,0 +1,316 @@
+const returnsRepository = require('../repositories/returns.repository');
+const ordersRepository = require('../repositories/orders.repository');
+const mongoose = require('mongoose');
+const { assertTransition, buildHistoryEntry } = require('../utils/orderStatusMachine');
+const { ownsOrder } = require('../utils/shoppers');
+const paymentsService = require('./payments.service');
+const { REFUND_METHODS, getPaidUnitPrice } = require('../utils/refunds');
+
+const RETURN_WINDOW_DAYS = parseInt(process.env.RETURN_WINDOW_DAYS, 10) || 30; // Days after delivery a return may be requested
+const RETURN_REASONS = ['wrong_size', 'defective', 'not_as_described', 'changed_mind', 'other'];
+
+// Order items and return items are matched on product + size + color
+function isSameLine(a, b) {
+    const productA = a.productId._id || a.productId;
+    const productB = b.productId._id || b.productId;
+    return productA.toString() === productB.toString() &&
+        (a.selectedSize || null) === (b.selectedSize || null) &&
+        (a.selectedColor || null) === (b.selectedColor || null);
+}
+
+// When the order was delivered, taken from its status history
+function getDeliveredAt(order) {
+    const deliveredEntries = (order.statusHistory || []).filter(entry => entry.field === 'orderStatus' && entry.to === 'delivered');
+    return deliveredEntries.length > 0
+        ? deliveredEntries[deliveredEntries.length - 1].timestamp
+        : order.updatedAt;
+}
+
+// Sums the quantity of an order line already covered by returns in the given statuses
+function sumReturnedQuantity(returns, orderItem, statuses) {
+    return returns
+        .filter(r => statuses.includes(r.status))
+        .reduce((sum, r) => sum + r.items
+            .filter(item => isSameLine(item, orderItem))
+            .reduce((lineSum, item) => lineSum + item.quantity, 0), 0);
+}
+
+/**
+ * Requests a return of specific items of a delivered order.
+ * @param {string} orderId - The ID of the order.
+ * @param {string} userId - The ID of the customer requesting the return.
+ * @param {Array<object>} items - [{ productId, selectedSize?, selectedColor?, quantity }]
+ * @param {string} reason - One of RETURN_REASONS.
+ * @param {string} [customerNote] - Optional note from the customer.
+ * @returns {Promise<Return>} - The new return request.
+ * @throws {Error} - If the order is not the customer's, not delivered, outside the return window, or items are invalid.
+ */
+async function requestReturn(orderId, userId, items, reason, customerNote) {
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+        throw new Error('Invalid order ID.');
+    }
+    const order = await ordersRepository.getOrderById(orderId);
+    if (!order) {
+        throw new Error('Order not found.');
+    }
+    if (!ownsOrder(order, userId)) {
+        throw new Error('Forbidden: You can only return items from your own orders.');
+    }
+    if (order.orderStatus !== 'delivered') {
+        throw new Error('Invalid return request: returns can only be requested for delivered orders.');
+    }
+
+    const deliveredAt = getDeliveredAt(order);
+    const windowEndsAt = new Date(deliveredAt.getTime() + RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    if (new Date() > windowEndsAt) {
+        throw new Error(`Invalid return request: the ${RETURN_WINDOW_DAYS}-day return window ended on ${windowEndsAt.toISOString()}.`);
+    }
+
+    if (!RETURN_REASONS.includes(reason)) {
+        throw new Error(`Invalid return reason. Must be one of: ${RETURN_REASONS.join(', ')}.`);
+    }
+    if (!Array.isArray(items) || items.length === 0) {
+        throw new Error('Invalid return request: at least one item is required.');
+    }
+
+    // Quantities already in open or completed returns cannot be returned again
+    const existingReturns = await returnsRepository.getReturnsByOrderId(orderId);
+    const returnItems = [];
+
+    for (const requested of items) {
+        if (!requested.productId || !mongoose.Types.ObjectId.isValid(requested.productId)) {
+            throw new Error('Invalid return item: a valid product ID is required.');
+        }
+        if (!Number.isInteger(requested.quantity) || requested.quantity < 1) {
+            throw new Error('Invalid return item: quantity must be a positive whole number.');
+        }
+
+        const orderItem = order.items.find(item => isSameLine(item, requested));
+        if (!orderItem) {
+            throw new Error(`Invalid return item: product ${requested.productId} (Size: ${requested.selectedSize || 'N/A'}, Color: ${requested.selectedColor || 'N/A'}) is not part of this order.`);
+        }
+
+        const alreadyReturned = sumReturnedQuantity(existingReturns, orderItem, ['requested', 'approved', 'received']);
+        const alreadyInRequest = returnItems
+            .filter(item => isSameLine(item, orderItem))
+            .reduce((sum, item) => sum + item.quantity, 0);
+        const returnable = orderItem.quantity - alreadyReturned - alreadyInRequest;
+        if (requested.quantity > returnable) {
+            throw new Error(`Invalid return item: only ${returnable} of ${orderItem.name} (Size: ${orderItem.selectedSize || 'N/A'}, Color: ${orderItem.selectedColor || 'N/A'}) can be returned.`);
+        }
+
+        returnItems.push({
+            productId: orderItem.productId._id || orderItem.productId,
+            name: orderItem.name,
+            selectedSize: orderItem.selectedSize,
+            selectedColor: orderItem.selectedColor,
+            sku: orderItem.sku,
+            quantity: requested.quantity,
+            unitPrice: getPaidUnitPrice(orderItem, order)
+        });
+    }
+
+    return returnsRepository.createReturn({
+        order: order._id,
+        user: order.user._id || order.user,
+        items: returnItems,
+        reason,
+        customerNote
+    });
+}
+
+/**
+ * Retrieves a return by its ID.
+ * @param {string} returnId - The ID of the return.
+ * @returns {Promise<Return>}
+ * @throws {Error} - If the ID is invalid or the return is not found.
+ */
+async function getReturnById(returnId) {
+    if (!mongoose.Types.ObjectId.isValid(returnId)) {
+        throw new Error('Invalid return ID.');
+    }
+    const returnRequest = await returnsRepository.getReturnById(returnId);
+    if (!returnRequest) {
+        throw new Error('Return not found.');
+    }
+    return returnRequest;
+}
+
+/**
+ * Retrieves the returns of an order.
+ * @param {string} orderId - The ID of the order.
+ * @returns {Promise<{ order: Order, returns: Array<Return> }>} - The order (for ownership checks) and its returns.
+ * @throws {Error} - If the ID is invalid or the order is not found.
+ */
+async function getReturnsForOrder(orderId) {
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+        throw new Error('Invalid order ID.');
+    }
+    const order = await ordersRepository.getOrderById(orderId);
+    if (!order) {
+        throw new Error('Order not found.');
+    }
+    const returns = await returnsRepository.getReturnsByOrderId(orderId);
+    return { order, returns };
+}
+
+/**
+ * Retrieves all returns (admin), optionally filtered by status.
+ * @param {string} [status] - Optional status filter.
+ * @returns {Promise<Array<Return>>}
+ */
+async function getAllReturns(status) {
+    return returnsRepository.getAllReturns(status);
+}
+
+/**
+ * Approves a requested return so the customer can send the items back.
+ * @param {string} returnId - The ID of the return.
+ * @param {string} adminId - The ID of the approving admin.
+ * @param {string} [note] - Optional note (e.g. return instructions).
+ * @returns {Promise<Return>}
+ * @throws {Error} - If the return is not found or not in 'requested' status.
+ */
+async function approveReturn(returnId, adminId, note) {
+    const returnRequest = await getReturnById(returnId);
+    const updated = await returnsRepository.updateReturnIfStatus(returnId, 'requested', {
+        status: 'approved',
+        approvedAt: new Date(),
+        handledBy: adminId,
+        ...(note && { adminNote: note })
+    });
+    if (!updated) {
+        throw new Error(`Invalid return status: only requested returns can be approved (current: ${returnRequest.status}).`);
+    }
+    return updated;
+}
+
+/**
+ * Rejects a requested return.
+ * @param {string} returnId - The ID of the return.
+ * @param {string} adminId - The ID of the rejecting admin.
+ * @param {string} note - The reason for rejection (required).
+ * @returns {Promise<Return>}
+ * @throws {Error} - If no reason is given, the return is not found or not in 'requested' status.
+ */
+async function rejectReturn(returnId, adminId, note) {
+    if (!note || note.trim() === '') {
+        throw new Error('A reason is required to reject a return.');
+    }
+    const returnRequest = await getReturnById(returnId);
+    const updated = await returnsRepository.updateReturnIfStatus(returnId, 'requested', {
+        status: 'rejected',
+        rejectedAt: new Date(),
+        handledBy: adminId,
+        adminNote: note
+    });
+    if (!updated) {
+        throw new Error(`Invalid return status: only requested returns can be rejected (current: ${returnRequest.status}).`);
+    }
+    return updated;
+}
+
+/**
+ * Receives the items of an approved return: applies the restock decision per item,
+ * records a partial refund on the order for the returned items and moves the order
+ * to 'returned' once every ordered unit has come back.
+ * @param {string} returnId - The ID of the return.
+ * @param {string} adminId - The ID of the receiving admin.
+ * @param {Array<object>} [restockDecisions] - [{ productId, selectedSize?, selectedColor?, restock }]; items not listed are restocked.
+ * @param {string} [note] - Optional inspection notes.
+ * @param {string} [refundMethod='original_payment'] - How the refund is paid out.
+ * @returns {Promise<Return>}
+ * @throws {Error} - If the return is not found or not approved, or the refund cannot be recorded.
+ */
+async function receiveReturn(returnId, adminId, restockDecisions = [], note, refundMethod = 'original_payment') {
+    if (!REFUND_METHODS.includes(refundMethod)) {
+        throw new Error(`Invalid refund method. Must be one of: ${REFUND_METHODS.join(', ')}.`);
+    }
+    const returnRequest = await getReturnById(returnId);
+    if (returnRequest.status !== 'approved') {
+        throw new Error(`Invalid return status: only approved returns can be received (current: ${returnRequest.status}).`);
+    }
+
+    const receivedItems = returnRequest.items.map(item => {
+        const decision = (restockDecisions || []).find(d => d.productId && isSameLine(d, item));
+        return {
+            ...item.toObject(),
+            restock: decision && decision.restock !== undefined ? Boolean(decision.restock) : true
+        };
+    });
+
+    const refund = {
+        amount: receivedItems.reduce((sum, item) => sum + item.unitPrice * item.quantity, 0),
+        items: receivedItems.map(item => ({
+            productId: item.productId,
+            name: item.name,
+            selectedSize: item.selectedSize,
+            selectedColor: item.selectedColor,
+            quantity: item.quantity
+        })),
+        reason: `Return ${returnRequest._id} (${returnRequest.reason})`,
+        method: refundMethod,
+        returnRequest: returnRequest._id,
+        issuedBy: adminId
+    };
+
+    // Once every ordered unit is back, the whole order counts as returned
+    const order = await ordersRepository.getOrderById(returnRequest.order);
+    if (!order) {
+        throw new Error('Order not found.');
+    }
+    const otherReturns = (await returnsRepository.getReturnsByOrderId(order._id))
+        .filter(r => !r._id.equals(returnRequest._id));
+    const fullyReturned = order.items.every(orderItem =>
+        sumReturnedQuantity(otherReturns, orderItem, ['received']) +
+        receivedItems.filter(item => isSameLine(item, orderItem)).reduce((sum, item) => sum + item.quantity, 0)
+        >= orderItem.quantity
+    );
+
+    let orderHistoryEntry = null;
+    if (fullyReturned && order.orderStatus !== 'returned') {
+        assertTransition(order, { orderStatus: 'returned' });
+        orderHistoryEntry = buildHistoryEntry('orderStatus', order.orderStatus, 'returned', adminId, `All items received back (return ${returnRequest._id})`);
+    }
+
+    // A refund through the payment provider is recorded as pending with the receipt, then sent and
+    // settled (paymentsService.sendPendingRefund), so only the receive that recorded it sends money
+    const throughProvider = refundMethod === 'original_payment' && paymentsService.hasProviderPayment(order);
+    if (throughProvider) {
+        refund._id = new mongoose.Types.ObjectId();
+        refund.status = 'pending';
+    }
+
+    const received = await returnsRepository.receiveReturn(returnId, {
+        items: receivedItems,
+        refund,
+        adminId,
+        adminNote: note,
+        orderHistoryEntry
+    });
+    if (!throughProvider) {
+        return received;
+    }
+
+    // The ledger may have recorded less (items refunded by hand) or nothing (unpaid order)
+    const recordedOrder = await ordersRepository.getOrderById(order._id);
+    const recordedRefund = recordedOrder.refunds.find(entry => entry._id.equals(refund._id));
+    if (recordedRefund) {
+        try {
+            await paymentsService.sendPendingRefund(recordedOrder, recordedRefund);
+        } catch (error) {
+            throw new Error(`Refund failed at the payment provider: return ${returnId} was received, but its refund of ${recordedRefund.amount} was not paid (${error.message}). Issue it again through the refunds endpoint.`);
+        }
+    }
+    return getReturnById(returnId);
+}
+
+module.exports = {
+    requestReturn,
+    getReturnById,
+    getReturnsForOrder,
+    getAllReturns,
+    approveReturn,
+    rejectReturn,
+    receiveReturn
+};
@@ -0,0 +1,102 @@
+const salesRepository = require('../repositories/sales.repository');
+const { createSaleValidation, updateSaleValidation } = require('../utils/saleValidation');
+const mongoose = require('mongoose');
+
+// Fields that decide whether a sale is complete (a window and at least one target)
+const SCHEDULE_FIELDS = ['name', 'percentOff', 'products', 'brands', 'categories', 'startsAt', 'endsAt'];
+
+/**
+ * Creates a new scheduled sale.
+ * @param {object} saleData - The sale fields.
+ * @returns {Promise<Sale>}
+ * @throws {Error} - If validation fails.
+ */
+async function createSale(saleData) {
+    const { error, value } = createSaleValidation(saleData);
+    if (error) {
+        throw new Error(error.details[0].message);
+    }
+    return salesRepository.createSale(value);
+}
+
+/**
+ * Retrieves all scheduled sales (past, live and upcoming).
+ * @returns {Promise<Array<Sale>>}
+ */
+async function getAllSales() {
+    return salesRepository.getAllSales();
+}
+
+/**
+ * Retrieves the sales running right now.
+ * @returns {Promise<Array<Sale>>}
+ */
+async function getLiveSales() {
+    return salesRepository.getLiveSales();
+}
+
+/**
+ * Retrieves a scheduled sale by its ID.
+ * @param {string} id - The ID of the sale.
+ * @returns {Promise<Sale>}
+ * @throws {Error} - If the ID is invalid or the sale is not found.
+ */
+async function getSaleById(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new Error('Invalid sale ID');
+    }
+    const sale = await salesRepository.getSaleById(id);
+    if (!sale) {
+        throw new Error('Sale not found');
+    }
+    return sale;
+}
+
+/**
+ * Updates a scheduled sale. The resulting schedule and targets are validated as a whole.
+ * @param {string} id - The ID of the sale.
+ * @param {object} updateData - The fields to update.
+ * @returns {Promise<Sale>}
+ * @throws {Error} - If validation fails or the sale is not found.
+ */
+async function updateSale(id, updateData) {
+    const existingSale = (await getSaleById(id)).toObject();
+    const { error, value } = updateSaleValidation(updateData);
+    if (error) {
+        throw new Error(error.details[0].message);
+    }
+
+    const merged = {};
+    for (const field of SCHEDULE_FIELDS) {
+        const fieldValue = value[field] !== undefined ? value[field] : existingSale[field];
+        if (fieldValue !== undefined && fieldValue !== null) {
+            // Stored references are ObjectIds; the validation expects ID strings
+            merged[field] = Array.isArray(fieldValue) ? fieldValue.map(String) : fieldValue;
+        }
+    }
+    const { error: mergedError } = createSaleValidation(merged);
+    if (mergedError) {
+        throw new Error(mergedError.details[0].message);
+    }
+    return salesRepository.updateSale(id, value);
+}
+
+/**
+ * Deletes a scheduled sale. Prices already in carts keep their snapshot until the sale's end.
+ * @param {string} id - The ID of the sale.
+ * @returns {Promise<Sale>} - The deleted sale.
+ * @throws {Error} - If the ID is invalid or the sale is not found.
+ */
+async function deleteSale(id) {
+    await getSaleById(id);
+    return salesRepository.deleteSale(id);
+}
+
+module.exports = {
+    createSale,
+    getAllSales,
+    getLiveSales,
+    getSaleById,
+    updateSale,
+    deleteSale
+};
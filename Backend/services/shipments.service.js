@@ -0,0 +1,224 @@
+const shipmentsRepository = require('../repositories/shipments.repository');
+const ordersRepository = require('../repositories/orders.repository');
+const mongoose = require('mongoose');
+const { assertTransition, buildHistoryEntry } = require('../utils/orderStatusMachine');
+
+// Order items and shipment items are matched on product + size + color
+function isSameLine(a, b) {
+    const productA = a.productId._id || a.productId;
+    const productB = b.productId._id || b.productId;
+    return productA.toString() === productB.toString() &&
+        (a.selectedSize || null) === (b.selectedSize || null) &&
+        (a.selectedColor || null) === (b.selectedColor || null);
+}
+
+// Sums the quantity of an order line already in the given shipments
+function sumShippedQuantity(shipments, orderItem) {
+    return shipments.reduce((sum, shipment) => sum + shipment.items
+        .filter(item => isSameLine(item, orderItem))
+        .reduce((lineSum, item) => lineSum + item.quantity, 0), 0);
+}
+
+// Parses an optional date from the request; undefined when not given
+function parseOptionalDate(value, label) {
+    if (value === undefined || value === null || value === '') {
+        return undefined;
+    }
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new Error(`Invalid ${label}: must be a valid date.`);
+    }
+    return date;
+}
+
+async function getOrderOrThrow(orderId) {
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+        throw new Error('Invalid order ID.');
+    }
+    const order = await ordersRepository.getOrderById(orderId);
+    if (!order) {
+        throw new Error('Order not found.');
+    }
+    return order;
+}
+
+/**
+ * Ships items of a processing order. Without items, everything not yet shipped goes in the
+ * shipment. The order moves to 'shipped' once every ordered unit is in a shipment.
+ * @param {string} orderId - The ID of the order.
+ * @param {string} adminId - The ID of the admin recording the shipment.
+ * @param {object} details - { carrier, trackingNumber?, items?: [{ productId, selectedSize?, selectedColor?, quantity }], shippedAt?, note? }
+ * @returns {Promise<Shipment>} - The new shipment.
+ * @throws {Error} - If the order is not processing, cannot ship yet (e.g. unpaid), or the items are invalid.
+ */
+async function createShipment(orderId, adminId, { carrier, trackingNumber, items, shippedAt, note } = {}) {
+    const order = await getOrderOrThrow(orderId);
+    if (order.orderStatus !== 'processing') {
+        throw new Error(`Invalid status transition: shipments can only be added to processing orders (current: ${order.orderStatus}).`);
+    }
+    // The same payment rules apply to the first parcel as to shipping the whole order
+    assertTransition(order, { orderStatus: 'shipped' });
+
+    if (!carrier || typeof carrier !== 'string' || carrier.trim() === '') {
+        throw new Error('Invalid shipment: a carrier is required.');
+    }
+    const shippedDate = parseOptionalDate(shippedAt, 'ship date');
+
+    const existingShipments = await shipmentsRepository.getShipmentsByOrderId(orderId);
+    const requestedItems = items === undefined || items === null
+        ? order.items
+            .map(orderItem => ({ ...orderItem.toObject(), quantity: orderItem.quantity - sumShippedQuantity(existingShipments, orderItem) }))
+            .filter(item => item.quantity > 0)
+        : items;
+    if (!Array.isArray(requestedItems) || requestedItems.length === 0) {
+        throw new Error('Invalid shipment: there are no items left to ship.');
+    }
+
+    const shipmentItems = [];
+    for (const requested of requestedItems) {
+        if (!requested.productId || !mongoose.Types.ObjectId.isValid(requested.productId._id || requested.productId)) {
+            throw new Error('Invalid shipment item: a valid product ID is required.');
+        }
+        if (!Number.isInteger(requested.quantity) || requested.quantity < 1) {
+            throw new Error('Invalid shipment item: quantity must be a positive whole number.');
+        }
+
+        const orderItem = order.items.find(item => isSameLine(item, requested));
+        if (!orderItem) {
+            throw new Error(`Invalid shipment item: product ${requested.productId._id || requested.productId} (Size: ${requested.selectedSize || 'N/A'}, Color: ${requested.selectedColor || 'N/A'}) is not part of this order.`);
+        }
+
+        const alreadyInShipment = shipmentItems
+            .filter(item => isSameLine(item, orderItem))
+            .reduce((sum, item) => sum + item.quantity, 0);
+        const unshipped = orderItem.quantity - sumShippedQuantity(existingShipments, orderItem) - alreadyInShipment;
+        if (requested.quantity > unshipped) {
+            throw new Error(`Invalid shipment item: only ${unshipped} of ${orderItem.name} (Size: ${orderItem.selectedSize || 'N/A'}, Color: ${orderItem.selectedColor || 'N/A'}) are left to ship.`);
+        }
+
+        shipmentItems.push({
+            productId: orderItem.productId._id || orderItem.productId,
+            name: orderItem.name,
+            selectedSize: orderItem.selectedSize,
+            selectedColor: orderItem.selectedColor,
+            sku: orderItem.sku,
+            quantity: requested.quantity
+        });
+    }
+
+    // Once every ordered unit is in a shipment, the whole order counts as shipped
+    const fullyShipped = order.items.every(orderItem =>
+        sumShippedQuantity(existingShipments, orderItem) + sumShippedQuantity([{ items: shipmentItems }], orderItem) >= orderItem.quantity
+    );
+    const orderHistoryEntry = fullyShipped
+        ? buildHistoryEntry('orderStatus', order.orderStatus, 'shipped', adminId, `All items shipped (${existingShipments.length + 1} shipment(s))`)
+        : null;
+
+    return shipmentsRepository.createShipment({
+        order: order._id,
+        items: shipmentItems,
+        carrier: carrier.trim(),
+        trackingNumber: trackingNumber || null,
+        ...(shippedDate && { shippedAt: shippedDate }),
+        note,
+        createdBy: adminId
+    }, orderHistoryEntry);
+}
+
+/**
+ * Retrieves the shipments of an order.
+ * @param {string} orderId - The ID of the order.
+ * @returns {Promise<{ order: Order, shipments: Array<Shipment> }>} - The order (for ownership checks) and its shipments.
+ * @throws {Error} - If the ID is invalid or the order is not found.
+ */
+async function getShipmentsForOrder(orderId) {
+    const order = await getOrderOrThrow(orderId);
+    const shipments = await shipmentsRepository.getShipmentsByOrderId(orderId);
+    return { order, shipments };
+}
+
+/**
+ * Retrieves a shipment by its ID.
+ * @param {string} shipmentId - The ID of the shipment.
+ * @returns {Promise<Shipment>}
+ * @throws {Error} - If the ID is invalid or the shipment is not found.
+ */
+async function getShipmentById(shipmentId) {
+    if (!mongoose.Types.ObjectId.isValid(shipmentId)) {
+        throw new Error('Invalid shipment ID.');
+    }
+    const shipment = await shipmentsRepository.getShipmentById(shipmentId);
+    if (!shipment) {
+        throw new Error('Shipment not found.');
+    }
+    return shipment;
+}
+
+/**
+ * Corrects a shipment's carrier, tracking number, ship date or note. Items cannot change.
+ * @param {string} shipmentId - The ID of the shipment.
+ * @param {object} updates - { carrier?, trackingNumber?, shippedAt?, note? }
+ * @returns {Promise<Shipment>}
+ * @throws {Error} - If the shipment is not found or nothing valid is given.
+ */
+async function updateShipment(shipmentId, { carrier, trackingNumber, shippedAt, note } = {}) {
+    await getShipmentById(shipmentId);
+    const updateData = {};
+    if (carrier !== undefined) {
+        if (typeof carrier !== 'string' || carrier.trim() === '') {
+            throw new Error('Invalid shipment: carrier cannot be empty.');
+        }
+        updateData.carrier = carrier.trim();
+    }
+    if (trackingNumber !== undefined) {
+        updateData.trackingNumber = trackingNumber || null;
+    }
+    const shippedDate = parseOptionalDate(shippedAt, 'ship date');
+    if (shippedDate) {
+        updateData.shippedAt = shippedDate;
+    }
+    if (note !== undefined) {
+        updateData.note = note;
+    }
+    if (Object.keys(updateData).length === 0) {
+        throw new Error('Invalid shipment update: nothing to update.');
+    }
+    return shipmentsRepository.updateShipment(shipmentId, updateData);
+}
+
+/**
+ * Marks a shipment as delivered. The order moves to 'delivered' once it is fully shipped and
+ * every one of its shipments has been delivered.
+ * @param {string} shipmentId - The ID of the shipment.
+ * @param {string} adminId - The ID of the admin recording the delivery.
+ * @param {string|Date} [deliveredAt] - When the parcel arrived (default now).
+ * @returns {Promise<Shipment>}
+ * @throws {Error} - If the shipment is not found or already delivered.
+ */
+async function markShipmentDelivered(shipmentId, adminId, deliveredAt) {
+    const shipment = await getShipmentById(shipmentId);
+    if (shipment.status !== 'shipped') {
+        throw new Error(`Invalid shipment status: only shipped shipments can be delivered (current: ${shipment.status}).`);
+    }
+    const deliveredDate = parseOptionalDate(deliveredAt, 'delivery date') || new Date();
+
+    const order = await getOrderOrThrow(shipment.order);
+    const otherShipments = (await shipmentsRepository.getShipmentsByOrderId(order._id))
+        .filter(other => !other._id.equals(shipment._id));
+
+    let orderHistoryEntry = null;
+    if (order.orderStatus === 'shipped' && otherShipments.every(other => other.status === 'delivered')) {
+        assertTransition(order, { orderStatus: 'delivered' });
+        orderHistoryEntry = buildHistoryEntry('orderStatus', order.orderStatus, 'delivered', adminId, 'All shipments delivered');
+    }
+
+    return shipmentsRepository.deliverShipment(shipmentId, deliveredDate, orderHistoryEntry);
+}
+
+module.exports = {
+    createShipment,
+    getShipmentsForOrder,
+    getShipmentById,
+    updateShipment,
+    markShipmentDelivered
+};
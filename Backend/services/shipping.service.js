@@ -0,0 +1,181 @@
+const shippingZonesRepository = require('../repositories/shippingZones.repository');
+const cartsService = require('./carts.service');
+const { createShippingZoneValidation, updateShippingZoneValidation } = require('../utils/shippingZoneValidation');
+const { findZone, quoteZone } = require('../utils/shipping');
+const { normalizeRegion } = require('../utils/tax');
+const { sumDiscounts } = require('../models/discountLine.schema');
+const mongoose = require('mongoose');
+
+// Rejects regions that another zone already covers, so every destination has one zone
+async function assertRegionsAvailable(regions, excludeId = null) {
+    const taken = (await shippingZonesRepository.getShippingZonesByRegions(regions))
+        .filter(zone => !excludeId || zone._id.toString() !== excludeId.toString());
+    if (taken.length > 0) {
+        throw new Error(`Some of these regions are already covered by the shipping zone ${taken[0].name}`);
+    }
+}
+
+/**
+ * Creates a new shipping zone.
+ * @param {object} zoneData - The shipping zone fields.
+ * @returns {Promise<ShippingZone>}
+ * @throws {Error} - If validation fails or a region is already covered by another zone.
+ */
+async function createShippingZone(zoneData) {
+    const { error, value } = createShippingZoneValidation(zoneData);
+    if (error) {
+        throw new Error(error.details[0].message);
+    }
+    await assertRegionsAvailable(value.regions);
+    return shippingZonesRepository.createShippingZone(value);
+}
+
+/**
+ * Retrieves all shipping zones.
+ * @returns {Promise<Array<ShippingZone>>}
+ */
+async function getAllShippingZones() {
+    return shippingZonesRepository.getAllShippingZones();
+}
+
+/**
+ * Retrieves a shipping zone by its ID.
+ * @param {string} id - The ID of the shipping zone.
+ * @returns {Promise<ShippingZone>}
+ * @throws {Error} - If the ID is invalid or the shipping zone is not found.
+ */
+async function getShippingZoneById(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new Error('Invalid shipping zone ID');
+    }
+    const zone = await shippingZonesRepository.getShippingZoneById(id);
+    if (!zone) {
+        throw new Error('Shipping zone not found');
+    }
+    return zone;
+}
+
+/**
+ * Updates a shipping zone. Regions and methods are replaced as whole lists.
+ * @param {string} id - The ID of the shipping zone.
+ * @param {object} updateData - The fields to update.
+ * @returns {Promise<ShippingZone>}
+ * @throws {Error} - If validation fails, the zone is not found or a new region is covered by another zone.
+ */
+async function updateShippingZone(id, updateData) {
+    await getShippingZoneById(id);
+    const { error, value } = updateShippingZoneValidation(updateData);
+    if (error) {
+        throw new Error(error.details[0].message);
+    }
+    if (value.regions) {
+        await assertRegionsAvailable(value.regions, id);
+    }
+    return shippingZonesRepository.updateShippingZone(id, value);
+}
+
+/**
+ * Deletes a shipping zone. Orders keep their shipping snapshot.
+ * @param {string} id - The ID of the shipping zone.
+ * @returns {Promise<ShippingZone>} - The deleted shipping zone.
+ * @throws {Error} - If the ID is invalid or the shipping zone is not found.
+ */
+async function deleteShippingZone(id) {
+    await getShippingZoneById(id);
+    return shippingZonesRepository.deleteShippingZone(id);
+}
+
+/**
+ * Prices the shipping methods available for priced items going to a destination.
+ * @param {object} destination - { country, state? }
+ * @param {Array<object>} items - [{ product, quantity, unitPrice }], see coupons.service buildDiscountLines.
+ * @param {Array<object>} [discounts] - The discount lines (a freeShipping line waives shipping).
+ * @returns {Promise<object|null>} - { zone, weight, quantity, subtotal, options } (options from utils/shipping.js quoteZone),
+ *                                   or null while no shipping zones are set up (everything ships free).
+ * @throws {Error} - 'Invalid shipping address: ...' if no zone covers the destination.
+ */
+async function quoteItems(destination, items, discounts = []) {
+    const zones = await shippingZonesRepository.getActiveShippingZones();
+    if (zones.length === 0) {
+        return null;
+    }
+    const country = normalizeRegion(destination && destination.country);
+    const state = normalizeRegion(destination && destination.state);
+    if (!country) {
+        throw new Error('Invalid shipping address: a country is required.');
+    }
+    const zone = findZone(zones, country, state);
+    if (!zone) {
+        throw new Error(`Invalid shipping address: we do not ship to ${state ? `${state}, ` : ''}${country}.`);
+    }
+
+    const itemsCents = items.reduce((sum, item) => sum + Math.round(item.unitPrice * 100) * item.quantity, 0);
+    const parcel = {
+        weight: Math.round(items.reduce((sum, item) => sum + (item.product.weight || 0) * item.quantity, 0) * 1000) / 1000,
+        quantity: items.reduce((sum, item) => sum + item.quantity, 0),
+        subtotal: (itemsCents - Math.round(sumDiscounts(discounts, itemsCents / 100) * 100)) / 100,
+        freeShipping: discounts.some(discount => discount.freeShipping)
+    };
+    return {
+        zone: zone.name,
+        weight: parcel.weight,
+        quantity: parcel.quantity,
+        subtotal: parcel.subtotal,
+        options: quoteZone(zone, parcel)
+    };
+}
+
+/**
+ * Quotes shipping for the shopper's current cart.
+ * @param {string|object} shopper - The ID of the user, or a guest { guestKey } (see utils/shoppers.js).
+ * @param {object} destination - { country, state? }
+ * @returns {Promise<object>} - { zone, weight, quantity, subtotal, options: [{ method, name, deliveryEstimate, rateCost, cost, freeReason }] }
+ * @throws {Error} - If the cart is empty or no zone covers the destination.
+ */
+async function getCartShippingQuote(shopper, destination) {
+    const cart = await cartsService.getOrCreateCart(shopper);
+    if (cart.items.length === 0) {
+        throw new Error('Cannot quote shipping for an empty cart.');
+    }
+    const quote = await quoteItems(destination, cartsService.getDiscountItems(cart), cart.discounts);
+    return quote || { zone: null, weight: 0, quantity: 0, subtotal: cart.totalPrice, options: [] };
+}
+
+/**
+ * Works out the shipping of an order for the chosen method.
+ * @param {object} shippingAddress - The order's shipping address ({ country, state }).
+ * @param {string} [shippingMethod] - standard, express or pickup; standard (else the cheapest available method) if omitted.
+ * @param {Array<object>} items - [{ product, quantity, unitPrice }], see coupons.service buildDiscountLines.
+ * @param {Array<object>} [discounts] - The order's discount lines.
+ * @returns {Promise<object|null>} - The shipping snapshot { method, name, zone, deliveryEstimate, rateCost, cost, freeReason },
+ *                                   or null while no shipping zones are set up.
+ * @throws {Error} - 'Invalid shipping address: ...' or 'Invalid shipping method: ...' if the order cannot ship that way.
+ */
+async function calculateOrderShipping(shippingAddress, shippingMethod, items, discounts = []) {
+    const quote = await quoteItems(shippingAddress, items, discounts);
+    if (!quote) {
+        return null;
+    }
+    if (quote.options.length === 0) {
+        throw new Error('Invalid shipping method: no shipping method can take this order.');
+    }
+    // Without a choice the order ships standard, or the cheapest way the zone offers
+    const defaultOption = quote.options.find(o => o.method === 'standard') || quote.options[0];
+    const option = shippingMethod
+        ? quote.options.find(o => o.method === shippingMethod)
+        : defaultOption;
+    if (!option) {
+        throw new Error(`Invalid shipping method: ${shippingMethod} is not available for this order. Available: ${quote.options.map(o => o.method).join(', ')}.`);
+    }
+    return { ...option, zone: quote.zone };
+}
+
+module.exports = {
+    createShippingZone,
+    getAllShippingZones,
+    getShippingZoneById,
+    updateShippingZone,
+    deleteShippingZone,
+    getCartShippingQuote,
+    calculateOrderShipping
+};
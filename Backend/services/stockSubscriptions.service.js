@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+const stockSubscriptionsRepository = require('../repositories/stockSubscriptions.repository');
+const productRepository = require('../repositories/products.repository');
+const { sendNotification } = require('./notifiers');
+const { getAvailableStock } = require('../utils/productVariants');
+const { normalizeEmail } = require('../utils/shoppers');
+
+const SUBSCRIPTION_DAYS = parseInt(process.env.STOCK_SUBSCRIPTION_DAYS, 10) || 90; // How long a notify-me subscription waits for a restock
+
+// Stock of the subscribed size/color; null if the product or that size/color does not exist
+function getSubscribedStock(product, subscription) {
+    if (!product) {
+        return null;
+    }
+    try {
+        return getAvailableStock(product, subscription.selectedSize || undefined, subscription.selectedColor || undefined);
+    } catch (error) {
+        return null;
+    }
+}
+
+function describeSelection(product, subscription) {
+    const options = [subscription.selectedSize && `size ${subscription.selectedSize}`, subscription.selectedColor && `color ${subscription.selectedColor}`].filter(Boolean);
+    return options.length > 0 ? `${product.name} (${options.join(', ')})` : product.name;
+}
+
+/**
+ * Subscribes an email address to a back-in-stock notification for a sold-out product size/color.
+ * Subscribing again renews the subscription.
+ * @param {string} productId - The ID of the product.
+ * @param {object} data - { selectedSize?, selectedColor?, email? } (email is required without a user).
+ * @param {object} [user] - The signed-in user; their account email is used.
+ * @returns {Promise<object>} - { productId, selectedSize, selectedColor, email, expiresAt }
+ * @throws {Error} - If the product is not found, the size/color or email is invalid, or the selection is in stock.
+ */
+async function subscribe(productId, { selectedSize, selectedColor, email } = {}, user = null) {
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+        throw new Error('Invalid product ID');
+    }
+    const product = await productRepository.getProductById(productId);
+    if (!product) {
+        throw new Error('Product not found');
+    }
+    if (product.status === 'discontinued') {
+        throw new Error(`Invalid subscription: ${product.name} is no longer sold.`);
+    }
+
+    const subscriberEmail = user ? user.email : normalizeEmail(email);
+    if (!subscriberEmail) {
+        throw new Error('Invalid email: an email address is required to be notified.');
+    }
+
+    const selection = { selectedSize: selectedSize || null, selectedColor: selectedColor || null };
+    const stock = getSubscribedStock(product, selection);
+    if (stock === null) {
+        throw new Error(`Invalid subscription: ${describeSelection(product, selection)} is not offered.`);
+    }
+    if (stock > 0 && product.status === 'available') {
+        throw new Error(`Invalid subscription: ${describeSelection(product, selection)} is in stock right now.`);
+    }
+
+    const subscription = await stockSubscriptionsRepository.upsertSubscription({
+        product: product._id,
+        ...selection,
+        email: subscriberEmail,
+        user: user ? user._id : null,
+        expiresAt: new Date(Date.now() + SUBSCRIPTION_DAYS * 24 * 60 * 60 * 1000)
+    });
+    return {
+        productId: product._id,
+        selectedSize: subscription.selectedSize,
+        selectedColor: subscription.selectedColor,
+        email: subscription.email,
+        expiresAt: subscription.expiresAt
+    };
+}
+
+/**
+ * Cancels a back-in-stock subscription.
+ * @param {string} productId - The ID of the product.
+ * @param {object} data - { selectedSize?, selectedColor?, email? } (email is required without a user).
+ * @param {object} [user] - The signed-in user.
+ * @returns {Promise<void>}
+ * @throws {Error} - If the email is invalid or there is no such subscription.
+ */
+async function unsubscribe(productId, { selectedSize, selectedColor, email } = {}, user = null) {
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+        throw new Error('Invalid product ID');
+    }
+    const subscriberEmail = user ? user.email : normalizeEmail(email);
+    if (!subscriberEmail) {
+        throw new Error('Invalid email: an email address is required.');
+    }
+    const deleted = await stockSubscriptionsRepository.deleteSubscription(productId, selectedSize, selectedColor, subscriberEmail);
+    if (!deleted) {
+        throw new Error('Subscription not found');
+    }
+}
+
+/**
+ * Notifies the subscribers whose size/color went from sold out to in stock with a product change
+ * (an admin update or a cancelled order putting stock back). Each subscription is used once:
+ * it is deleted after its notification goes out.
+ * @param {object} before - The product before the change.
+ * @param {object} after - The product after the change.
+ * @returns {Promise<number>} - The number of notifications sent.
+ */
+async function handleProductChange(before, after) {
+    if (!after || after.status !== 'available') {
+        return 0;
+    }
+    const subscriptions = await stockSubscriptionsRepository.getActiveSubscriptionsByProduct(after._id);
+
+    let sent = 0;
+    for (const subscription of subscriptions) {
+        const stockAfter = getSubscribedStock(after, subscription);
+        const stockBefore = before && before.status === 'available' ? getSubscribedStock(before, subscription) : 0;
+        if (!(stockAfter > 0) || stockBefore > 0) {
+            continue;
+        }
+        try {
+            const label = describeSelection(after, subscription);
+            await sendNotification({
+                type: 'back_in_stock',
+                to: subscription.email,
+                subject: `Back in stock: ${after.name}`,
+                text: `Good news: ${label} is back in stock. You asked us to let you know; stock is limited.`,
+                data: {
+                    productId: after._id.toString(),
+                    selectedSize: subscription.selectedSize,
+                    selectedColor: subscription.selectedColor,
+                    stock: stockAfter
+                }
+            });
+            await stockSubscriptionsRepository.deleteSubscriptionById(subscription._id);
+            sent++;
+        } catch (error) {
+            console.error(`Error sending back-in-stock notification for subscription ${subscription._id}:`, error.message);
+        }
+    }
+    return sent;
+}
+
+module.exports = {
+    subscribe,
+    unsubscribe,
+    handleProductChange
+};
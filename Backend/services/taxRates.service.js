@@ -0,0 +1,114 @@
+const taxRatesRepository = require('../repositories/taxRates.repository');
+const couponsService = require('./coupons.service');
+const { createTaxRateValidation, updateTaxRateValidation } = require('../utils/taxRateValidation');
+const { normalizeRegion, calculateTax } = require('../utils/tax');
+const { deductDiscounts } = require('../utils/promotions');
+const mongoose = require('mongoose');
+
+// Rejects a second rate for the same country/state
+async function assertRegionAvailable(country, state, excludeId = null) {
+    const existing = await taxRatesRepository.getTaxRateByRegion(country, state || null);
+    if (existing && (!excludeId || existing._id.toString() !== excludeId.toString())) {
+        throw new Error(`A tax rate for ${state ? `${state}, ` : ''}${country} already exists`);
+    }
+}
+
+/**
+ * Creates a new tax rate.
+ * @param {object} taxRateData - The tax rate fields.
+ * @returns {Promise<TaxRate>}
+ * @throws {Error} - If validation fails or the country/state already has a rate.
+ */
+async function createTaxRate(taxRateData) {
+    const { error, value } = createTaxRateValidation(taxRateData);
+    if (error) {
+        throw new Error(error.details[0].message);
+    }
+    await assertRegionAvailable(value.country, value.state);
+    return taxRatesRepository.createTaxRate(value);
+}
+
+/**
+ * Retrieves all tax rates.
+ * @returns {Promise<Array<TaxRate>>}
+ */
+async function getAllTaxRates() {
+    return taxRatesRepository.getAllTaxRates();
+}
+
+/**
+ * Retrieves a tax rate by its ID.
+ * @param {string} id - The ID of the tax rate.
+ * @returns {Promise<TaxRate>}
+ * @throws {Error} - If the ID is invalid or the tax rate is not found.
+ */
+async function getTaxRateById(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new Error('Invalid tax rate ID');
+    }
+    const taxRate = await taxRatesRepository.getTaxRateById(id);
+    if (!taxRate) {
+        throw new Error('Tax rate not found');
+    }
+    return taxRate;
+}
+
+/**
+ * Updates a tax rate.
+ * @param {string} id - The ID of the tax rate.
+ * @param {object} updateData - The fields to update.
+ * @returns {Promise<TaxRate>}
+ * @throws {Error} - If validation fails, the tax rate is not found or the new country/state already has a rate.
+ */
+async function updateTaxRate(id, updateData) {
+    const existingTaxRate = await getTaxRateById(id);
+    const { error, value } = updateTaxRateValidation(updateData);
+    if (error) {
+        throw new Error(error.details[0].message);
+    }
+    if (value.country !== undefined || value.state !== undefined) {
+        await assertRegionAvailable(
+            value.country !== undefined ? value.country : existingTaxRate.country,
+            value.state !== undefined ? value.state : existingTaxRate.state,
+            id
+        );
+    }
+    return taxRatesRepository.updateTaxRate(id, value);
+}
+
+/**
+ * Deletes a tax rate. Orders keep their tax snapshot.
+ * @param {string} id - The ID of the tax rate.
+ * @returns {Promise<TaxRate>} - The deleted tax rate.
+ * @throws {Error} - If the ID is invalid or the tax rate is not found.
+ */
+async function deleteTaxRate(id) {
+    await getTaxRateById(id);
+    return taxRatesRepository.deleteTaxRate(id);
+}
+
+/**
+ * Computes the tax of an order for its shipping destination, per line and in total, on what
+ * each line costs after discounts.
+ * @param {object} shippingAddress - The order's shipping address ({ country, state }).
+ * @param {Array<object>} items - [{ product, selectedSize?, selectedColor?, quantity, unitPrice }], see coupons.service buildDiscountLines.
+ * @param {Array<object>} [discounts] - The order's discount lines.
+ * @returns {Promise<object>} - The tax breakdown from utils/tax.js calculateTax (amount 0 when no rate covers the destination).
+ */
+async function calculateOrderTax(shippingAddress, items, discounts = []) {
+    const country = normalizeRegion(shippingAddress && shippingAddress.country);
+    const taxRate = country
+        ? await taxRatesRepository.findApplicableTaxRate(country, normalizeRegion(shippingAddress.state))
+        : null;
+    const lines = await couponsService.buildDiscountLines(deductDiscounts(items, discounts));
+    return calculateTax(taxRate, lines.map(line => ({ ...line, amount: line.unitPrice * line.quantity })));
+}
+
+module.exports = {
+    createTaxRate,
+    getAllTaxRates,
+    getTaxRateById,
+    updateTaxRate,
+    deleteTaxRate,
+    calculateOrderTax
+};
@@ -1,11 +1,55 @@
 const userRepository = require('../repositories/users.repository');
+const ordersRepository = require('../repositories/orders.repository');
+const couponsRepository = require('../repositories/coupons.repository');
+const cartsService = require('./carts.service');
+const { sendNotification } = require('./notifiers');
+const { isValidGuestToken, toGuestShopper } = require('../utils/shoppers');
 const bcrypt = require('bcrypt');
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken'); // For authentication
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key'; // Store in .env
 const MAX_LOGIN_ATTEMPTS = 5; // Define the maximum allowed failed attempts before temporary lock
 const TEMPORARY_LOCK_TIME = 1 * 60 * 1000; // Temporary lockout duration: 15 minutes in milliseconds
 const FAILED_ATTEMPT_RESET_PERIOD = 30 * 60 * 1000; // Reset failed attempts after 30 minutes of inactivity
+const EMAIL_VERIFICATION_HOURS = parseInt(process.env.EMAIL_VERIFICATION_HOURS, 10) || 48; // How long an email verification token works
+
+function hashVerificationToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Emails the user a one-time token proving the address is theirs; a failed email never fails the caller
+async function sendEmailVerification(user) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + EMAIL_VERIFICATION_HOURS * 60 * 60 * 1000);
+    try {
+        await userRepository.setEmailVerificationToken(user._id, hashVerificationToken(token), expiresAt);
+        await sendNotification({
+            type: 'email_verification',
+            to: user.email,
+            subject: 'Confirm your email address',
+            text: `Hi ${user.firstName || user.username},\n\nConfirm that this is your email address with the code below. It works for ${EMAIL_VERIFICATION_HOURS} hours.\n\n${token}`,
+            data: { userId: user._id.toString(), token, expiresAt }
+        });
+    } catch (error) {
+        console.warn(`Email verification for ${user.email} could not be sent:`, error.message);
+    }
+}
+
+// Orders placed as a guest with a verified email become that account's orders
+async function attachGuestOrders(user) {
+    try {
+        const orderIds = await ordersRepository.attachGuestOrders(user.email, user._id);
+        if (orderIds.length > 0) {
+            await couponsRepository.attachGuestRedemptions(orderIds, user._id);
+        }
+        return orderIds.length;
+    } catch (error) {
+        // The email is verified either way; the orders stay reachable through the guest lookup
+        console.warn(`Guest orders of ${user.email} could not be attached:`, error.message);
+        return 0;
+    }
+}
 
 async function registerUser(userData) {
     try {
@@ -15,13 +59,65 @@ async function registerUser(userData) {
         }
         const hashedPassword = await bcrypt.hash(userData.password, 10);
         userData.password = hashedPassword;
-        return userRepository.createUser(userData);
+        const user = await userRepository.createUser(userData);
+        await sendEmailVerification(user);
+        return user;
     } catch (error) {
         throw new Error('Failed to register user');
     }
 }
 
-async function loginUser(email, password) {
+/**
+ * Verifies a user's email address with the token emailed to them. Past guest orders placed
+ * with that address (and their coupon uses) are then attached to the account: the token proves
+ * the address, so nobody gets another person's orders by registering with their email.
+ * @param {string} token - The token from the verification email.
+ * @returns {Promise<{ user: User, attachedOrders: number }>}
+ * @throws {Error} - If the token is missing, unknown or expired.
+ */
+async function verifyEmail(token) {
+    if (!token) {
+        throw new Error('Invalid verification token: a token is required.');
+    }
+    const user = await userRepository.verifyEmailByToken(hashVerificationToken(token), new Date());
+    if (!user) {
+        throw new Error('Invalid verification token: it is unknown or has expired.');
+    }
+    const attachedOrders = await attachGuestOrders(user);
+    return { user, attachedOrders };
+}
+
+/**
+ * Sends a new verification email to a user whose address is not verified yet.
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<void>}
+ * @throws {Error} - If the user is not found or already verified.
+ */
+async function resendEmailVerification(userId) {
+    const user = await userRepository.getUserById(userId);
+    if (!user) {
+        throw new Error('User not found');
+    }
+    if (user.emailVerifiedAt) {
+        throw new Error('Invalid request: the email address is already verified.');
+    }
+    await sendEmailVerification(user);
+}
+
+// Brings along what the shopper put in their guest cart before signing in; a failed merge never fails the login
+async function mergeGuestCart(user, cartToken) {
+    if (!isValidGuestToken(cartToken)) {
+        return null;
+    }
+    try {
+        return await cartsService.mergeGuestCart(toGuestShopper(cartToken), user._id);
+    } catch (error) {
+        console.warn(`Guest cart could not be merged for ${user.email}:`, error.message);
+        return null;
+    }
+}
+
+async function loginUser(email, password, cartToken) {
     let user = await userRepository.getUserByEmail(email);
 
     if (!user) {
@@ -80,7 +176,9 @@ async function loginUser(email, password) {
     }
 
     const token = jwt.sign({ userId: user._id, isAdmin: user.isAdmin }, JWT_SECRET, { expiresIn: '1h' });
-    return { token, user };
+    // { cart, adjustments } when a guest cart was merged, otherwise null
+    const cartMerge = await mergeGuestCart(user, cartToken);
+    return { token, user, cartMerge };
 }
 
 async function getAllUsers() {
@@ -106,11 +204,26 @@ async function updateUser(id, updateData) {
             updateData.password = await bcrypt.hash(updateData.password, 10);
         }
 
-        // Update the user, excluding the username from updateData
+        // Update the user, excluding the username and the email verification state from updateData
         const safeUpdateData = { ...updateData }; // Create a copy to avoid modifying original
         delete safeUpdateData.username; // Remove username from the copied object
+        delete safeUpdateData.emailVerifiedAt;
+        delete safeUpdateData.emailVerificationToken;
+        delete safeUpdateData.emailVerificationExpiresAt;
+
+        // A new email address must be verified again
+        const currentUser = await userRepository.getUserById(id);
+        const emailChanged = Boolean(currentUser && safeUpdateData.email &&
+            String(safeUpdateData.email).trim().toLowerCase() !== currentUser.email);
+        if (emailChanged) {
+            safeUpdateData.emailVerifiedAt = null;
+        }
 
-        return await userRepository.updateUser(id, safeUpdateData);
+        const updatedUser = await userRepository.updateUser(id, safeUpdateData);
+        if (emailChanged && updatedUser) {
+            await sendEmailVerification(updatedUser);
+        }
+        return updatedUser;
     } catch (error) {
         // Handle the error (e.g., rethrow with a more specific message)
         if (error.message === 'Email is already taken') {
@@ -230,6 +343,8 @@ async function unlockUserAccount(userIdToUnlock, adminUserId, reason) {
 
 module.exports = {
     registerUser,
+    verifyEmail,
+    resendEmailVerification,
     loginUser,
     getAllUsers,
     getUserById,
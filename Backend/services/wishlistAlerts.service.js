@@ -0,0 +1,96 @@
+const wishlistRepository = require('../repositories/wishlists.repository');
+const { sendNotification } = require('./notifiers');
+const { getDueAlerts } = require('../utils/wishlistAlerts');
+
+const ALERT_COOLDOWN_HOURS = parseInt(process.env.WISHLIST_ALERT_COOLDOWN_HOURS, 10) || 24; // Least time between back-in-stock alerts for an item
+const PAYMENT_CURRENCY = process.env.PAYMENT_CURRENCY || 'USD'; // Same currency the payment provider charges in
+
+function describeItem(product, item) {
+    const options = [item.selectedSize && `size ${item.selectedSize}`, item.selectedColor && `color ${item.selectedColor}`].filter(Boolean);
+    return options.length > 0 ? `${product.name} (${options.join(', ')})` : product.name;
+}
+
+function buildAlertNotification(user, product, item, alert) {
+    const label = describeItem(product, item);
+    const greeting = `Hi ${user.firstName || user.username},`;
+    const data = {
+        productId: product._id.toString(),
+        selectedSize: item.selectedSize || null,
+        selectedColor: item.selectedColor || null,
+        ...alert
+    };
+    if (alert.type === 'price_drop') {
+        return {
+            type: 'wishlist_price_drop',
+            to: user.email,
+            subject: `Price drop: ${product.name}`,
+            text: `${greeting}\n\n${label} from your wishlist is now ${PAYMENT_CURRENCY} ${alert.price.toFixed(2)} (was ${PAYMENT_CURRENCY} ${alert.savedPrice.toFixed(2)} when you saved it).`,
+            data
+        };
+    }
+    return {
+        type: 'wishlist_back_in_stock',
+        to: user.email,
+        subject: `Back in stock: ${product.name}`,
+        text: `${greeting}\n\n${label} from your wishlist is back in stock.`,
+        data
+    };
+}
+
+/**
+ * Sends the wishlist alerts a product change triggers: price drops below the price an item was
+ * saved at, and sizes/colors coming back in stock, for every item whose owner opted in.
+ * A user with the same product, size and color on several lists gets one alert. What was alerted
+ * is recorded on the items so the same drop or restock is not alerted twice.
+ * @param {object} before - The product before the change (with its live scheduledSale, see products.service).
+ * @param {object} after - The product after the change.
+ * @returns {Promise<number>} - The number of alerts sent.
+ */
+async function handleProductChange(before, after) {
+    if (!after) {
+        return 0;
+    }
+    const now = new Date();
+    const wishlists = await wishlistRepository.getWishlistsWithAlerts(after._id);
+
+    // One alert per user, selection and type, however many lists hold the item
+    const pending = new Map();
+    for (const wishlist of wishlists) {
+        if (!wishlist.user || !wishlist.user.email) {
+            continue;
+        }
+        for (const item of wishlist.items) {
+            if (item.product.toString() !== after._id.toString()) {
+                continue;
+            }
+            for (const alert of getDueAlerts(item, before, after, { now, cooldownHours: ALERT_COOLDOWN_HOURS })) {
+                const key = [wishlist.user._id, item.selectedSize || '', item.selectedColor || '', alert.type].join('|');
+                if (!pending.has(key)) {
+                    pending.set(key, { user: wishlist.user, item, alert, targets: [] });
+                }
+                pending.get(key).targets.push({ wishlistId: wishlist._id, itemId: item._id });
+            }
+        }
+    }
+
+    let sent = 0;
+    for (const { user, item, alert, targets } of pending.values()) {
+        try {
+            await sendNotification(buildAlertNotification(user, after, item, alert));
+            const alertState = alert.type === 'price_drop'
+                ? { lowestPriceAlerted: alert.price }
+                : { backInStockAlertedAt: now };
+            for (const { wishlistId, itemId } of targets) {
+                await wishlistRepository.recordItemAlert(wishlistId, itemId, alertState);
+            }
+            sent++;
+        } catch (error) {
+            console.error(`Error sending ${alert.type} alert for product ${after._id} to user ${user._id}:`, error.message);
+        }
+    }
+    return sent;
+}
+
+module.exports = {
+    handleProductChange
+};
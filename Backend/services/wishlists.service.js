@@ -1,56 +1,394 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
 const wishlistRepository = require('../repositories/wishlists.repository');
+const productService = require('./products.service');
+const {
+    wishlistNameValidation,
+    addWishlistItemValidation,
+    updateWishlistItemValidation,
+} = require('../utils/wishlistValidation');
+const { resolveVariant, getAvailableStock, getUnitPrices } = require('../utils/productVariants');
+const { getItemSnapshot } = require('../utils/wishlistAlerts');
+
+const SHARE_TOKEN_PATTERN = /^[A-Za-z0-9_-]{32}$/; // 24 random bytes, base64url
+
+/**
+ * Loads a wishlist and checks that the user may act on it (its owner, or an admin).
+ * @param {string} wishlistId
+ * @param {string} userId
+ * @param {boolean} isAdmin
+ * @param {boolean} [populate=true]
+ * @returns {Promise<Object>}
+ * @throws {Error} If the ID is invalid, the list is not found or belongs to someone else.
+ */
+async function getOwnedWishlist(wishlistId, userId, isAdmin, populate = true) {
+    if (!mongoose.Types.ObjectId.isValid(wishlistId)) {
+        throw new Error('Invalid wishlist ID');
+    }
+    const wishlist = await wishlistRepository.getWishlistById(wishlistId, populate);
+    if (!wishlist) {
+        throw new Error('Wishlist not found');
+    }
+    if (!isAdmin && wishlist.user.toString() !== userId.toString()) {
+        throw new Error('Forbidden: You can only access your own wishlists.');
+    }
+    return wishlist;
+}
+
+/**
+ * Checks that the preferred size and color are offered for the product.
+ * @param {Object} product
+ * @param {string} [selectedSize]
+ * @param {string} [selectedColor]
+ * @throws {Error} If the size or color is not offered.
+ */
+function checkProductOptions(product, selectedSize, selectedColor) {
+    if (selectedSize && !(product.sizes || []).some(entry => entry.size === selectedSize)) {
+        throw new Error(`Invalid size: ${product.name} does not come in size ${selectedSize}.`);
+    }
+    if (selectedColor && !(product.colors || []).some(entry => entry.color === selectedColor)) {
+        throw new Error(`Invalid color: ${product.name} does not come in ${selectedColor}.`);
+    }
+}
+
+/**
+ * Returns the effective price (sales included) of a product in the given size/color.
+ * @param {Object} product - The product with live sales.
+ * @param {Object} selection - { selectedSize?, selectedColor? }
+ * @returns {number}
+ */
+function getCurrentPrice(product, selection) {
+    const snapshot = getItemSnapshot(product, selection);
+    return snapshot ? snapshot.effectivePrice : getUnitPrices(product).effectivePrice;
+}
+
+/**
+ * Loads a shared wishlist by its share token.
+ * @param {string} shareToken
+ * @returns {Promise<Object>}
+ * @throws {Error} If no list is shared with that token (also for malformed tokens, revealing nothing).
+ */
+async function getSharedWishlistByToken(shareToken) {
+    const wishlist = SHARE_TOKEN_PATTERN.test(shareToken || '')
+        ? await wishlistRepository.getWishlistByShareToken(shareToken)
+        : null;
+    if (!wishlist) {
+        throw new Error('Shared wishlist not found');
+    }
+    return wishlist;
+}
+
+/**
+ * Builds the public view of a wishlist item: the product with its live price and stock.
+ * @param {Object} item - The wishlist item.
+ * @param {Object|null} product - The product with live sales, or null if it was deleted.
+ * @param {boolean} showPurchases - Whether to include the purchase mark (never for the owner).
+ * @returns {Object}
+ */
+function toSharedItem(item, product, showPurchases) {
+    const sharedItem = {
+        itemId: item._id,
+        selectedSize: item.selectedSize,
+        selectedColor: item.selectedColor,
+        note: item.note,
+    };
+    if (showPurchases) {
+        sharedItem.purchased = Boolean(item.purchase && item.purchase.markedAt);
+        sharedItem.purchasedBy = (item.purchase && item.purchase.by) || null;
+    }
+    if (!product) {
+        return { ...sharedItem, product: null, available: false, stock: 0 };
+    }
+
+    let variant = null;
+    let stock = 0;
+    try {
+        variant = resolveVariant(product, { selectedSize: item.selectedSize, selectedColor: item.selectedColor });
+        stock = getAvailableStock(product, item.selectedSize, item.selectedColor);
+    } catch (error) {
+        stock = 0; // The preferred size or color is no longer offered
+    }
+    const { price, salePrice, effectivePrice } = getUnitPrices(product, variant);
+    return {
+        ...sharedItem,
+        product: {
+            _id: product._id,
+            name: product.name,
+            images: product.images,
+            brand: product.brand && product.brand.name,
+            status: product.status,
+        },
+        price,
+        salePrice: salePrice !== undefined ? salePrice : null,
+        effectivePrice,
+        stock,
+        available: product.status === 'available' && stock > 0,
+    };
+}
 
 /**
  * @file Wishlist Service
- * Handles business logic for wishlist operations.
+ * Handles business logic for wishlist operations. A user can keep several named lists;
+ * every operation on a single list is limited to its owner (and admins).
  */
 class WishlistService {
     /**
-     * Get or create wishlist for a user.
+     * Retrieve all wishlists of a user, products populated.
      * @param {string} userId
-     * @param {string[]} [initialProductIds=[]]
-     * @returns {Promise<Object>}
+     * @returns {Promise<Object[]>}
      */
-    async getOrCreateWishlist(userId, initialProductIds = []) {
-        return await wishlistRepository.createOrGetWishlist(userId, initialProductIds);
+    async getUserWishlists(userId) {
+        return await wishlistRepository.getWishlistsByUserId(userId);
     }
 
     /**
-     * Retrieve a populated wishlist for a user.
+     * Create an empty wishlist for a user.
      * @param {string} userId
-     * @returns {Promise<Object|null>}
+     * @param {Object} data - { name }
+     * @returns {Promise<Object>}
+     * @throws {Error} If the name is invalid or the user already has a list with that name.
      */
-    async getUserWishlist(userId) {
-        return await wishlistRepository.getWishlistByUserId(userId);
+    async createWishlist(userId, data) {
+        const { error, value } = wishlistNameValidation(data);
+        if (error) {
+            throw new Error(`Invalid wishlist: ${error.details[0].message}`);
+        }
+        if (await wishlistRepository.findWishlistByName(userId, value.name)) {
+            throw new Error(`Invalid wishlist: you already have a list named "${value.name}".`);
+        }
+        return await wishlistRepository.createWishlist(userId, value.name);
     }
 
     /**
-     * Add a product to the user's wishlist.
-     * @param {string} userId
-     * @param {string} productId
+     * Retrieve one wishlist, products populated.
+     * @param {string} wishlistId
+     * @param {string} userId - The user asking.
+     * @param {boolean} isAdmin
      * @returns {Promise<Object>}
      */
-    async addProduct(userId, productId) {
-        return await wishlistRepository.addProduct(userId, productId);
+    async getWishlist(wishlistId, userId, isAdmin) {
+        return await getOwnedWishlist(wishlistId, userId, isAdmin);
     }
 
     /**
-     * Remove a product from the user's wishlist.
-     * @param {string} userId
-     * @param {string} productId
-     * @returns {Promise<Object|null>}
+     * Rename a wishlist.
+     * @param {string} wishlistId
+     * @param {string} userId - The user asking.
+     * @param {boolean} isAdmin
+     * @param {Object} data - { name }
+     * @returns {Promise<Object>}
+     * @throws {Error} If the name is invalid or already used by another of the owner's lists.
      */
-    async removeProduct(userId, productId) {
-        return await wishlistRepository.removeProduct(userId, productId);
+    async renameWishlist(wishlistId, userId, isAdmin, data) {
+        const wishlist = await getOwnedWishlist(wishlistId, userId, isAdmin, false);
+        const { error, value } = wishlistNameValidation(data);
+        if (error) {
+            throw new Error(`Invalid wishlist: ${error.details[0].message}`);
+        }
+        const sameName = await wishlistRepository.findWishlistByName(wishlist.user, value.name);
+        if (sameName && sameName._id.toString() !== wishlist._id.toString()) {
+            throw new Error(`Invalid wishlist: you already have a list named "${value.name}".`);
+        }
+        return await wishlistRepository.renameWishlist(wishlist._id, value.name);
     }
 
     /**
-     * Delete the entire wishlist for a user.
-     * @param {string} userId
-     * @returns {Promise<Object|null>}
+     * Delete a wishlist and everything in it.
+     * @param {string} wishlistId
+     * @param {string} userId - The user asking.
+     * @param {boolean} isAdmin
+     * @returns {Promise<Object>} The deleted wishlist.
+     */
+    async deleteWishlist(wishlistId, userId, isAdmin) {
+        const wishlist = await getOwnedWishlist(wishlistId, userId, isAdmin, false);
+        return await wishlistRepository.deleteWishlist(wishlist._id);
+    }
+
+    /**
+     * Add a product to a wishlist, optionally with a preferred size, color, a note and alert opt-ins.
+     * The item remembers its current price for price-drop alerts. Adding the same product, size and
+     * color again only updates the note and opt-ins.
+     * @param {string} wishlistId
+     * @param {string} userId - The user asking.
+     * @param {boolean} isAdmin
+     * @param {Object} data - { productId, selectedSize?, selectedColor?, note?, alerts?: { priceDrop?, backInStock? } }
+     * @returns {Promise<Object>} The updated wishlist.
+     * @throws {Error} If the data is invalid, or the product or its size/color does not exist.
+     */
+    async addItem(wishlistId, userId, isAdmin, data) {
+        const wishlist = await getOwnedWishlist(wishlistId, userId, isAdmin, false);
+        const { error, value } = addWishlistItemValidation(data);
+        if (error) {
+            throw new Error(`Invalid wishlist item: ${error.details[0].message}`);
+        }
+        const product = await productService.getProductById(value.productId);
+        if (!product) {
+            throw new Error('Product not found');
+        }
+        checkProductOptions(product, value.selectedSize, value.selectedColor);
+
+        return await wishlistRepository.addItem(wishlist._id, {
+            product: value.productId,
+            selectedSize: value.selectedSize || undefined,
+            selectedColor: value.selectedColor || undefined,
+            note: value.note === null ? undefined : value.note,
+            savedPrice: getCurrentPrice(product, value),
+            alerts: value.alerts,
+        });
+    }
+
+    /**
+     * Change the preferred size, color, note or alert opt-ins of a wishlist item.
+     * @param {string} wishlistId
+     * @param {string} itemId
+     * @param {string} userId - The user asking.
+     * @param {boolean} isAdmin
+     * @param {Object} data - { selectedSize?, selectedColor?, note?, alerts?: { priceDrop?, backInStock? } }; null clears a field.
+     * @returns {Promise<Object>} The updated wishlist.
+     * @throws {Error} If the data is invalid, the item is not found, or the new size/color is not offered
+     *                 or is already in the list as another item.
+     */
+    async updateItem(wishlistId, itemId, userId, isAdmin, data) {
+        const wishlist = await getOwnedWishlist(wishlistId, userId, isAdmin, false);
+        const { error, value } = updateWishlistItemValidation(data);
+        if (error) {
+            throw new Error(`Invalid wishlist item: ${error.details[0].message}`);
+        }
+        const item = mongoose.Types.ObjectId.isValid(itemId) ? wishlist.items.id(itemId) : null;
+        if (!item) {
+            throw new Error('Wishlist item not found');
+        }
+
+        if (value.selectedSize !== undefined || value.selectedColor !== undefined) {
+            const selectedSize = value.selectedSize !== undefined ? value.selectedSize : item.selectedSize;
+            const selectedColor = value.selectedColor !== undefined ? value.selectedColor : item.selectedColor;
+            const product = await productService.getProductById(item.product.toString());
+            if (product) {
+                checkProductOptions(product, selectedSize, selectedColor);
+            }
+            const duplicate = wishlist.items.find(other => other._id.toString() !== item._id.toString() &&
+                other.product.toString() === item.product.toString() &&
+                (other.selectedSize || null) === (selectedSize || null) &&
+                (other.selectedColor || null) === (selectedColor || null));
+            if (duplicate) {
+                throw new Error('Invalid wishlist item: this product is already in the list with that size and color.');
+            }
+        }
+
+        // Items saved before price-drop alerts existed get today's price to compare against
+        if (value.alerts && value.alerts.priceDrop && item.savedPrice === undefined) {
+            const product = await productService.getProductById(item.product.toString());
+            if (product) {
+                value.savedPrice = getCurrentPrice(product, item);
+            }
+        }
+
+        return await wishlistRepository.updateItem(wishlist._id, item._id, value);
+    }
+
+    /**
+     * Remove an item from a wishlist.
+     * @param {string} wishlistId
+     * @param {string} itemId
+     * @param {string} userId - The user asking.
+     * @param {boolean} isAdmin
+     * @returns {Promise<Object>} The updated wishlist.
+     * @throws {Error} If the item is not found.
+     */
+    async removeItem(wishlistId, itemId, userId, isAdmin) {
+        const wishlist = await getOwnedWishlist(wishlistId, userId, isAdmin, false);
+        const updated = mongoose.Types.ObjectId.isValid(itemId)
+            ? await wishlistRepository.removeItem(wishlist._id, itemId)
+            : null;
+        if (!updated) {
+            throw new Error('Wishlist item not found');
+        }
+        return updated;
+    }
+
+    /**
+     * Share a wishlist: create a public link, or replace the current one (the old link stops working).
+     * @param {string} wishlistId
+     * @param {string} userId - The user asking.
+     * @param {boolean} isAdmin
+     * @returns {Promise<Object>} { shareToken, sharedAt, sharePath }
+     */
+    async shareWishlist(wishlistId, userId, isAdmin) {
+        const wishlist = await getOwnedWishlist(wishlistId, userId, isAdmin, false);
+        const shareToken = crypto.randomBytes(24).toString('base64url');
+        const updated = await wishlistRepository.setShareToken(wishlist._id, shareToken);
+        return {
+            shareToken: updated.shareToken,
+            sharedAt: updated.sharedAt,
+            sharePath: `/api/wishlists/shared/${updated.shareToken}`,
+        };
+    }
+
+    /**
+     * Stop sharing a wishlist; its public link stops working.
+     * @param {string} wishlistId
+     * @param {string} userId - The user asking.
+     * @param {boolean} isAdmin
+     * @returns {Promise<Object>} The updated wishlist.
+     */
+    async unshareWishlist(wishlistId, userId, isAdmin) {
+        const wishlist = await getOwnedWishlist(wishlistId, userId, isAdmin, false);
+        return await wishlistRepository.setShareToken(wishlist._id, null);
+    }
+
+    /**
+     * The public, read-only view of a shared wishlist: its name, the owner's first name (or
+     * username), and each item with the product's live price and stock and whether a viewer
+     * marked it as purchased. The owner opening their own link while signed in does not get the
+     * purchase marks.
+     * @param {string} shareToken
+     * @param {string} [viewerId] - The signed-in viewer, if any.
+     * @returns {Promise<Object>} { name, owner, items }
+     * @throws {Error} If no list is shared with that token.
+     */
+    async getSharedWishlist(shareToken, viewerId = null) {
+        const wishlist = await getSharedWishlistByToken(shareToken);
+        const ownerId = wishlist.user && (wishlist.user._id || wishlist.user);
+        const showPurchases = !viewerId || !ownerId || ownerId.toString() !== viewerId.toString();
+        const productIds = [...new Set(wishlist.items.map(item => item.product.toString()))];
+        const products = new Map(
+            (await productService.getProductsByIds(productIds)).map(product => [product._id.toString(), product])
+        );
+
+        return {
+            name: wishlist.name,
+            owner: wishlist.user ? (wishlist.user.firstName || wishlist.user.username) : null,
+            items: wishlist.items.map(item => toSharedItem(item, products.get(item.product.toString()) || null, showPurchases)),
+        };
+    }
+
+    /**
+     * Mark an item of a shared wishlist as purchased (or clear the mark), for other viewers
+     * of the link. The owner never sees the mark.
+     * @param {string} shareToken
+     * @param {string} itemId
+     * @param {boolean} purchased - True to mark, false to clear.
+     * @param {string} [by] - Optional name of the viewer who bought it.
+     * @param {string} [viewerId] - The signed-in viewer, if any; the owner cannot mark their own list.
+     * @returns {Promise<Object>} The updated public view.
+     * @throws {Error} If the list or item is not found, or the viewer is the owner.
      */
-    async deleteWishlist(userId) {
-        return await wishlistRepository.deleteWishlist(userId);
+    async markSharedItemPurchased(shareToken, itemId, purchased, by, viewerId = null) {
+        const wishlist = await getSharedWishlistByToken(shareToken);
+        const ownerId = wishlist.user && (wishlist.user._id || wishlist.user);
+        if (viewerId && ownerId && ownerId.toString() === viewerId.toString()) {
+            throw new Error('Forbidden: You cannot mark items on your own wishlist.');
+        }
+        if (by !== undefined && by !== null && (typeof by !== 'string' || by.trim().length > 50)) {
+            throw new Error('Invalid name: must be text of at most 50 characters.');
+        }
+        const purchase = purchased ? { markedAt: new Date(), by: by ? by.trim() : undefined } : null;
+        const updated = mongoose.Types.ObjectId.isValid(itemId)
+            && await wishlistRepository.setItemPurchase(wishlist._id, itemId, purchase);
+        if (!updated) {
+            throw new Error('Wishlist item not found');
+        }
+        return await this.getSharedWishlist(shareToken, viewerId);
     }
 }
 
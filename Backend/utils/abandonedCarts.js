@@ -0,0 +1,54 @@
+/**
+ * @fileoverview Abandoned carts: when a cart counts as abandoned and which reminder is due.
+ * A cart with items that nobody has touched for the first interval of the reminder schedule is
+ * abandoned. The schedule lists, in hours since the cart was last touched, when each reminder
+ * stage goes out (e.g. [24, 72]: stage 1 after a day, stage 2 after three days). A cart that
+ * was away longer than several intervals only gets the latest reminder that is due, never a
+ * burst of them. Nothing here touches the database.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Parses a reminder schedule such as "24,72".
+ * @param {string} value - Comma separated hours.
+ * @param {Array<number>} fallback - Used when value is empty or not a valid schedule.
+ * @returns {Array<number>} - Positive hours, ascending.
+ */
+function parseReminderSchedule(value, fallback) {
+    const hours = String(value || '').split(',').map(part => Number(part.trim())).filter(hour => hour > 0);
+    return hours.length > 0 ? [...new Set(hours)].sort((a, b) => a - b) : fallback;
+}
+
+/**
+ * Returns the moment before which a cart must have been last touched to count as abandoned.
+ * @param {Array<number>} schedule - The reminder schedule in hours.
+ * @param {Date} [now] - The moment to compare at.
+ * @returns {Date}
+ */
+function getAbandonedBefore(schedule, now = new Date()) {
+    return new Date(now.getTime() - schedule[0] * HOUR_MS);
+}
+
+/**
+ * Works out which reminder a cart should get now.
+ * @param {object} cart - The cart { items, updatedAt, reminder: { stage } }.
+ * @param {Array<number>} schedule - The reminder schedule in hours.
+ * @param {Date} [now] - The moment to compare at.
+ * @returns {number} - The stage (1-based) of the reminder to send, or 0 if none is due.
+ */
+function getDueReminderStage(cart, schedule, now = new Date()) {
+    if (!cart.items || cart.items.length === 0) {
+        return 0;
+    }
+    const idleHours = (now.getTime() - new Date(cart.updatedAt).getTime()) / HOUR_MS;
+    const dueStage = schedule.filter(hours => idleHours >= hours).length;
+    const sentStage = (cart.reminder && cart.reminder.stage) || 0;
+    return dueStage > sentStage ? dueStage : 0;
+}
+
+module.exports = {
+    parseReminderSchedule,
+    getAbandonedBefore,
+    getDueReminderStage,
+};
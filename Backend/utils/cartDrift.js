@@ -0,0 +1,93 @@
+/**
+ * @fileoverview Cart drift: how a cart line compares with its product today.
+ * A cart line keeps the price and sale price of the moment it was added, while the product
+ * keeps changing: prices move, sales start and end, sizes are dropped, stock runs down and
+ * products are discontinued. checkCartLine reports each difference as a warning and works out
+ * the fix that brings the line in line with the product. Nothing here touches the database.
+ */
+const { resolveVariant, getAvailableStock, getUnitPrices } = require('./productVariants');
+const { getCartItemUnitPrice } = require('./sales');
+
+const DRIFT_TYPES = ['discontinued', 'unavailable', 'size_removed', 'out_of_stock', 'stock_reduced', 'sale_ended', 'sale_started', 'price_changed'];
+
+function describeLine(item, product) {
+    const options = [item.selectedSize && `size ${item.selectedSize}`, item.selectedColor && `color ${item.selectedColor}`].filter(Boolean);
+    const name = product ? product.name : 'This product';
+    return options.length > 0 ? `${name} (${options.join(', ')})` : name;
+}
+
+/**
+ * Compares a cart line with the current state of its product.
+ * @param {object} item - The cart line { product, quantity, price, salePrice?, saleEndsAt?, selectedSize?, selectedColor?, sku? }.
+ * @param {object|null} product - The product as it is now (with its live scheduledSale, see products.service), or null if it was deleted.
+ * @param {Date} [now] - The moment to compare at.
+ * @returns {{ warnings: Array<object>, fix: (object|null) }} - Warnings { type, message, ...details } (type from DRIFT_TYPES),
+ *          and the fix: null when nothing needs fixing, { remove: true } when the line can no longer be bought,
+ *          otherwise { set: { price, salePrice, saleEndsAt, quantity? } }.
+ */
+function checkCartLine(item, product, now = new Date()) {
+    const label = describeLine(item, product);
+
+    if (!product || product.status === 'discontinued') {
+        return {
+            warnings: [{ type: 'discontinued', message: `${label} is no longer sold.` }],
+            fix: { remove: true }
+        };
+    }
+    if (product.status !== 'available') {
+        return {
+            warnings: [{ type: 'unavailable', message: `${label} cannot be ordered right now.`, status: product.status }],
+            fix: { remove: true }
+        };
+    }
+
+    let variant;
+    let availableStock;
+    try {
+        variant = resolveVariant(product, { sku: item.sku, selectedSize: item.selectedSize, selectedColor: item.selectedColor });
+        availableStock = getAvailableStock(product, item.selectedSize, item.selectedColor);
+    } catch (error) {
+        return {
+            warnings: [{ type: 'size_removed', message: `${label} is no longer offered.` }],
+            fix: { remove: true }
+        };
+    }
+
+    if (availableStock <= 0) {
+        return {
+            warnings: [{ type: 'out_of_stock', message: `${label} is out of stock.`, requested: item.quantity, available: 0 }],
+            fix: { remove: true }
+        };
+    }
+
+    const warnings = [];
+    const set = {};
+    if (availableStock < item.quantity) {
+        warnings.push({ type: 'stock_reduced', message: `Only ${availableStock} of ${label} left.`, requested: item.quantity, available: availableStock });
+        set.quantity = availableStock;
+    }
+
+    const live = getUnitPrices(product, variant, now);
+    const cartPrice = getCartItemUnitPrice(item, now);
+    const hadSale = item.salePrice !== undefined && item.salePrice !== null && item.salePrice < item.price;
+    const priceDetails = { oldPrice: hadSale ? item.salePrice : cartPrice, newPrice: live.effectivePrice };
+    if (hadSale && live.salePrice === undefined) {
+        warnings.push({ type: 'sale_ended', message: `The sale on ${label} has ended.`, ...priceDetails });
+    } else if (!hadSale && live.salePrice !== undefined) {
+        warnings.push({ type: 'sale_started', message: `${label} is now on sale.`, ...priceDetails });
+    } else if (live.effectivePrice !== cartPrice || live.price !== item.price) {
+        warnings.push({ type: 'price_changed', message: `The price of ${label} has changed.`, ...priceDetails });
+    }
+    if (warnings.some(warning => ['sale_ended', 'sale_started', 'price_changed'].includes(warning.type))) {
+        set.price = live.price;
+        set.salePrice = live.salePrice;
+        set.saleEndsAt = live.salePrice !== undefined ? live.saleEndsAt : null;
+    }
+
+    return { warnings, fix: Object.keys(set).length > 0 ? { set } : null };
+}
+
+module.exports = {
+    DRIFT_TYPES,
+    checkCartLine,
+};
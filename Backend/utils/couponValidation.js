@@ -0,0 +1,79 @@
+const Joi = require('joi');
+const { COUPON_TYPES } = require('./coupons');
+
+const objectId = Joi.string().hex().length(24).messages({
+    'string.hex': 'Must be a valid ID',
+    'string.length': 'Must be a valid ID',
+});
+
+// Fields shared by create and update; `value` depends on the coupon type
+const couponFields = {
+    code: Joi.string().trim().uppercase().pattern(/^[A-Z0-9_-]{3,32}$/).messages({
+        'string.empty': 'Coupon code cannot be empty',
+        'string.pattern.base': 'Coupon code must be 3-32 letters, digits, dashes or underscores',
+    }),
+    description: Joi.string().trim().max(200).allow(''),
+    type: Joi.string().valid(...COUPON_TYPES).messages({
+        'any.only': `Coupon type must be one of: ${COUPON_TYPES.join(', ')}`,
+    }),
+    value: Joi.number().when('type', {
+        switch: [
+            { is: 'percentage', then: Joi.number().greater(0).max(100) },
+            { is: 'fixed', then: Joi.number().greater(0) },
+        ],
+        otherwise: Joi.number().min(0),
+    }).messages({
+        'number.base': 'Coupon value must be a number',
+        'number.greater': 'Coupon value must be greater than 0',
+        'number.max': 'A percentage coupon cannot exceed 100',
+    }),
+    maxDiscount: Joi.number().min(0).allow(null).messages({
+        'number.min': 'Maximum discount cannot be negative',
+    }),
+    minSpend: Joi.number().min(0).messages({
+        'number.min': 'Minimum spend cannot be negative',
+    }),
+    startsAt: Joi.date().iso().allow(null),
+    endsAt: Joi.date().iso().allow(null).when('startsAt', {
+        is: Joi.date().required(),
+        then: Joi.date().greater(Joi.ref('startsAt')),
+    }).messages({
+        'date.greater': 'Coupon end date must be after its start date',
+    }),
+    usageLimit: Joi.number().integer().min(1).allow(null).messages({
+        'number.min': 'Usage limit must be at least 1',
+    }),
+    usageLimitPerUser: Joi.number().integer().min(1).allow(null).messages({
+        'number.min': 'Per-customer usage limit must be at least 1',
+    }),
+    categories: Joi.array().items(objectId),
+    brands: Joi.array().items(objectId),
+    isActive: Joi.boolean(),
+};
+
+// Schema for creating a new coupon
+const createCouponValidation = (data) => {
+    const schema = Joi.object({
+        ...couponFields,
+        code: couponFields.code.required().messages({ 'any.required': 'Coupon code is required' }),
+        type: couponFields.type.required().messages({ 'any.required': 'Coupon type is required' }),
+        value: couponFields.value.when('type', {
+            is: Joi.valid('percentage', 'fixed'),
+            then: Joi.required(),
+        }).messages({ 'any.required': 'Coupon value is required for percentage and fixed coupons' }),
+    });
+    return schema.validate(data);
+};
+
+// Schema for updating an existing coupon (usedCount is maintained by redemptions and cannot be set)
+const updateCouponValidation = (data) => {
+    const schema = Joi.object(couponFields).min(1).messages({
+        'object.min': 'At least one field is required to update a coupon',
+    });
+    return schema.validate(data);
+};
+
+module.exports = {
+    createCouponValidation,
+    updateCouponValidation,
+};
@@ -0,0 +1,138 @@
+/**
+ * @fileoverview Coupon rules.
+ * `evaluateCoupon` checks a coupon against a set of priced lines (cart or order items) and
+ * works out the discount, split per line so refunds and invoices can explain it. It has no
+ * database access; callers load the coupon, the line categories and the customer's usage.
+ */
+
+const COUPON_TYPES = ['percentage', 'fixed', 'free_shipping'];
+
+// Work in cents to avoid floating point drift when splitting money
+function toCents(amount) {
+    return Math.round(amount * 100);
+}
+
+function toId(value) {
+    return value ? (value._id || value).toString() : null;
+}
+
+function isLineEligible(coupon, line) {
+    const categories = (coupon.categories || []).map(toId);
+    const brands = (coupon.brands || []).map(toId);
+    if (categories.length > 0 && !(line.categoryIds || []).some(id => categories.includes(toId(id)))) {
+        return false;
+    }
+    if (brands.length > 0 && !brands.includes(toId(line.brandId))) {
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Splits a discount over lines in proportion to their totals; rounding leftovers go to the last line.
+ * @param {Array<object>} lines - Lines with { unitPrice, quantity }.
+ * @param {number} amountCents - The discount in cents.
+ * @returns {Array<number>} - The discount per line, in cents.
+ */
+function allocateDiscount(lines, amountCents) {
+    const totals = lines.map(line => toCents(line.unitPrice) * line.quantity);
+    const sum = totals.reduce((a, b) => a + b, 0);
+    if (sum === 0) {
+        return totals.map(() => 0);
+    }
+    let allocated = 0;
+    return totals.map((total, index) => {
+        if (index === totals.length - 1) {
+            return amountCents - allocated;
+        }
+        const share = Math.floor(amountCents * total / sum);
+        allocated += share;
+        return share;
+    });
+}
+
+function describeCoupon(coupon) {
+    if (coupon.description) {
+        return coupon.description;
+    }
+    switch (coupon.type) {
+        case 'percentage':
+            return `${coupon.value}% off`;
+        case 'fixed':
+            return `${coupon.value.toFixed(2)} off`;
+        default:
+            return 'Free shipping';
+    }
+}
+
+/**
+ * Checks a coupon against priced lines and computes its discount.
+ * @param {object} coupon - The coupon document.
+ * @param {Array<object>} lines - [{ productId, selectedSize?, selectedColor?, quantity, unitPrice, categoryIds, brandId }]
+ *                                where unitPrice is the price actually charged and categoryIds includes ancestor categories.
+ * @param {object} [context] - { now?: Date, userRedemptions?: number } The customer's previous uses of the coupon.
+ * @returns {object} - { coupon, code, type, value, description, freeShipping, eligibleSubtotal, amount, items: [{ productId, selectedSize, selectedColor, amount }] }
+ * @throws {Error} - 'Invalid coupon: ...' explaining why the coupon cannot be used.
+ */
+function evaluateCoupon(coupon, lines, { now = new Date(), userRedemptions = 0 } = {}) {
+    if (!coupon.isActive) {
+        throw new Error(`Invalid coupon: ${coupon.code} is no longer active.`);
+    }
+    if (coupon.startsAt && now < coupon.startsAt) {
+        throw new Error(`Invalid coupon: ${coupon.code} is not valid until ${coupon.startsAt.toISOString()}.`);
+    }
+    if (coupon.endsAt && now > coupon.endsAt) {
+        throw new Error(`Invalid coupon: ${coupon.code} expired on ${coupon.endsAt.toISOString()}.`);
+    }
+    if (coupon.usageLimit !== null && coupon.usageLimit !== undefined && coupon.usedCount >= coupon.usageLimit) {
+        throw new Error(`Invalid coupon: ${coupon.code} has reached its usage limit.`);
+    }
+    if (coupon.usageLimitPerUser !== null && coupon.usageLimitPerUser !== undefined && userRedemptions >= coupon.usageLimitPerUser) {
+        throw new Error(`Invalid coupon: you have already used ${coupon.code} the maximum number of times.`);
+    }
+
+    const eligibleLines = lines.filter(line => isLineEligible(coupon, line));
+    if (eligibleLines.length === 0) {
+        throw new Error(`Invalid coupon: no items qualify for ${coupon.code}.`);
+    }
+    const eligibleCents = eligibleLines.reduce((sum, line) => sum + toCents(line.unitPrice) * line.quantity, 0);
+    if (eligibleCents < toCents(coupon.minSpend || 0)) {
+        throw new Error(`Invalid coupon: spend at least ${coupon.minSpend.toFixed(2)} on qualifying items to use ${coupon.code}.`);
+    }
+
+    let amountCents = 0;
+    if (coupon.type === 'percentage') {
+        amountCents = Math.round(eligibleCents * coupon.value / 100);
+        if (coupon.maxDiscount !== null && coupon.maxDiscount !== undefined) {
+            amountCents = Math.min(amountCents, toCents(coupon.maxDiscount));
+        }
+    } else if (coupon.type === 'fixed') {
+        amountCents = Math.min(toCents(coupon.value), eligibleCents);
+    }
+
+    const shares = allocateDiscount(eligibleLines, amountCents);
+    return {
+        coupon: coupon._id,
+        code: coupon.code,
+        type: coupon.type,
+        value: coupon.value,
+        description: describeCoupon(coupon),
+        freeShipping: coupon.type === 'free_shipping',
+        eligibleSubtotal: eligibleCents / 100,
+        amount: amountCents / 100,
+        items: eligibleLines
+            .map((line, index) => ({
+                productId: line.productId,
+                selectedSize: line.selectedSize,
+                selectedColor: line.selectedColor,
+                amount: shares[index] / 100
+            }))
+            .filter(item => item.amount > 0)
+    };
+}
+
+module.exports = {
+    COUPON_TYPES,
+    allocateDiscount,
+    evaluateCoupon,
+};
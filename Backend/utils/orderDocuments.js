@@ -0,0 +1,217 @@
+/**
+ * @fileoverview Printable order documents.
+ * Renders the invoice and the packing slip of an order as self-contained HTML (inline styles,
+ * no external assets) from the order snapshot only, so a document always shows what was sold
+ * at the time of the order even if products, taxes or shipping rates change later. Browsers
+ * print them to PDF as-is. Nothing here touches the database.
+ */
+const escapeHtml = require('escape-html');
+const { getRefundedTotal } = require('./refunds');
+
+const STYLES = `
+    body { font-family: Helvetica, Arial, sans-serif; font-size: 13px; color: #222; margin: 32px; }
+    h1 { font-size: 22px; margin: 0 0 4px; }
+    table { width: 100%; border-collapse: collapse; margin-top: 16px; }
+    th, td { padding: 6px 8px; border-bottom: 1px solid #ddd; text-align: left; vertical-align: top; }
+    th { background: #f4f4f4; }
+    .num { text-align: right; white-space: nowrap; }
+    .parties { display: flex; justify-content: space-between; margin-top: 24px; }
+    .parties div { width: 48%; }
+    .totals { width: 45%; margin-left: auto; }
+    .totals td { border: none; }
+    .grand td { font-weight: bold; border-top: 2px solid #222; }
+    .muted { color: #777; }
+    @media print { body { margin: 0; } }
+`;
+
+const FREE_REASONS = {
+    threshold: 'free over the order minimum',
+    coupon: 'free with coupon',
+};
+
+function money(amount, currency) {
+    return `${escapeHtml(currency)} ${(Math.round((amount || 0) * 100) / 100).toFixed(2)}`;
+}
+
+function formatDate(date) {
+    return date ? new Date(date).toISOString().slice(0, 10) : '';
+}
+
+function formatVariant(item) {
+    const parts = [];
+    if (item.selectedSize) {
+        parts.push(`Size: ${escapeHtml(item.selectedSize)}`);
+    }
+    if (item.selectedColor) {
+        parts.push(`Color: ${escapeHtml(item.selectedColor)}`);
+    }
+    if (item.sku) {
+        parts.push(`SKU: ${escapeHtml(item.sku)}`);
+    }
+    return parts.join(', ');
+}
+
+function formatAddress(address) {
+    if (!address) {
+        return '';
+    }
+    return [address.street, address.city, [address.state, address.zipCode].filter(Boolean).join(' '), address.country]
+        .filter(Boolean)
+        .map(escapeHtml)
+        .join('<br>');
+}
+
+function formatSeller(seller) {
+    return [
+        `<strong>${escapeHtml(seller.name)}</strong>`,
+        seller.address && escapeHtml(seller.address).replace(/\n/g, '<br>'),
+        seller.email && escapeHtml(seller.email),
+        seller.taxId && `Tax ID: ${escapeHtml(seller.taxId)}`
+    ].filter(Boolean).join('<br>');
+}
+
+function isSameLine(a, b) {
+    return (a.productId._id || a.productId).toString() === (b.productId._id || b.productId).toString() &&
+        (a.selectedSize || null) === (b.selectedSize || null) &&
+        (a.selectedColor || null) === (b.selectedColor || null);
+}
+
+function renderPage(title, body) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+/**
+ * Formats an invoice number for display, e.g. 42 -> "INV-000042".
+ * @param {number} invoiceNumber - The sequential invoice number.
+ * @param {string} [prefix='INV-'] - The prefix.
+ * @returns {string}
+ */
+function formatInvoiceNumber(invoiceNumber, prefix = 'INV-') {
+    return `${prefix}${String(invoiceNumber).padStart(6, '0')}`;
+}
+
+/**
+ * Renders the invoice of an order.
+ * @param {object} order - The order (with invoiceNumber, invoicedAt and the user populated).
+ * @param {object} options - { seller: { name, address?, email?, taxId? }, currency, invoicePrefix? }
+ * @returns {string} - The HTML document.
+ */
+function renderInvoice(order, { seller, currency, invoicePrefix }) {
+    const invoiceNumber = formatInvoiceNumber(order.invoiceNumber, invoicePrefix);
+    const tax = order.tax;
+    let customer = '';
+    if (order.user && order.user.username) {
+        customer = `${escapeHtml(order.user.username)}${order.user.email ? `<br>${escapeHtml(order.user.email)}` : ''}<br>`;
+    } else if (order.guestEmail) {
+        customer = `${escapeHtml(order.guestEmail)}<br>`;
+    }
+
+    const itemRows = order.items.map(item => {
+        const onSale = item.salePrice !== null && item.salePrice !== undefined && item.salePrice < item.price;
+        const unitPrice = onSale ? item.salePrice : item.price;
+        const taxLine = tax && (tax.lines || []).find(line => isSameLine(line, item));
+        return `<tr>
+<td>${escapeHtml(item.name)}<br><span class="muted">${formatVariant(item)}</span></td>
+<td class="num">${item.quantity}</td>
+<td class="num">${onSale ? `<s class="muted">${money(item.price, currency)}</s><br>` : ''}${money(unitPrice, currency)}</td>
+${tax ? `<td class="num">${taxLine ? `${taxLine.rate}%` : ''}</td>` : ''}
+<td class="num">${money(unitPrice * item.quantity, currency)}</td>
+</tr>`;
+    }).join('\n');
+
+    const totalRows = [`<tr><td>Subtotal</td><td class="num">${money(order.subtotal, currency)}</td></tr>`];
+    for (const discount of order.discounts || []) {
+        if (discount.amount > 0) {
+            totalRows.push(`<tr><td>${escapeHtml(discount.description)}</td><td class="num">-${money(discount.amount, currency)}</td></tr>`);
+        }
+    }
+    if (order.shipping) {
+        const waived = order.shipping.freeReason
+            ? ` <span class="muted">(${money(order.shipping.rateCost, currency)}, ${FREE_REASONS[order.shipping.freeReason]})</span>`
+            : '';
+        totalRows.push(`<tr><td>Shipping: ${escapeHtml(order.shipping.name)}${waived}</td><td class="num">${money(order.shipping.cost, currency)}</td></tr>`);
+    }
+    if (tax && tax.name) {
+        const label = tax.pricesIncludeTax ? `${escapeHtml(tax.name)} (included)` : escapeHtml(tax.name);
+        totalRows.push(`<tr><td>${label}</td><td class="num">${money(order.taxAmount, currency)}</td></tr>`);
+    }
+    totalRows.push(`<tr class="grand"><td>Total</td><td class="num">${money(order.totalAmount, currency)}</td></tr>`);
+    const refunded = getRefundedTotal(order);
+    if (refunded > 0) {
+        totalRows.push(`<tr><td>Refunded</td><td class="num">-${money(refunded, currency)}</td></tr>`);
+        totalRows.push(`<tr class="grand"><td>Net total</td><td class="num">${money(order.totalAmount - refunded, currency)}</td></tr>`);
+    }
+
+    return renderPage(`Invoice ${invoiceNumber}`, `<h1>Invoice ${escapeHtml(invoiceNumber)}</h1>
+<div class="muted">Invoice date: ${formatDate(order.invoicedAt)} &middot; Order ${escapeHtml(order.orderNumber || order._id.toString())} placed ${formatDate(order.createdAt)}</div>
+<div class="parties">
+<div><h3>Seller</h3>${formatSeller(seller)}</div>
+<div><h3>Bill to</h3>${customer}${formatAddress(order.shippingAddress)}</div>
+</div>
+<table>
+<thead><tr><th>Item</th><th class="num">Qty</th><th class="num">Unit price</th>${tax ? '<th class="num">Tax</th>' : ''}<th class="num">Amount</th></tr></thead>
+<tbody>
+${itemRows}
+</tbody>
+</table>
+<table class="totals">
+${totalRows.join('\n')}
+</table>
+<p class="muted">Payment: ${escapeHtml(order.paymentMethod.replace(/_/g, ' '))} (${escapeHtml(order.paymentStatus.replace(/_/g, ' '))})</p>`);
+}
+
+/**
+ * Renders the packing slip of an order, or of one of its shipments. It lists what goes in the
+ * parcel and carries no prices.
+ * @param {object} order - The order.
+ * @param {object} options - { seller: { name, address?, email? }, shipment? } Without a shipment, every ordered item is listed.
+ * @returns {string} - The HTML document.
+ */
+function renderPackingSlip(order, { seller, shipment = null }) {
+    const items = shipment ? shipment.items : order.items;
+    const itemRows = items.map(item => `<tr>
+<td>${escapeHtml(item.sku || '')}</td>
+<td>${escapeHtml(item.name)}</td>
+<td>${escapeHtml(item.selectedSize || '')}</td>
+<td>${escapeHtml(item.selectedColor || '')}</td>
+<td class="num">${item.quantity}</td>
+</tr>`).join('\n');
+
+    const details = [`Order ${escapeHtml(order.orderNumber || order._id.toString())} placed ${formatDate(order.createdAt)}`];
+    if (order.shipping) {
+        details.push(`Shipping: ${escapeHtml(order.shipping.name)}`);
+    }
+    if (shipment) {
+        details.push(`Shipment ${escapeHtml(shipment._id.toString())}: ${escapeHtml(shipment.carrier)}${shipment.trackingNumber ? ` ${escapeHtml(shipment.trackingNumber)}` : ''}, shipped ${formatDate(shipment.shippedAt)}`);
+    }
+
+    return renderPage(`Packing slip ${order._id}`, `<h1>Packing slip</h1>
+<div class="muted">${details.join(' &middot; ')}</div>
+<div class="parties">
+<div><h3>From</h3>${formatSeller({ name: seller.name, address: seller.address, email: seller.email })}</div>
+<div><h3>Ship to</h3>${order.user && order.user.username ? `${escapeHtml(order.user.username)}<br>` : ''}${formatAddress(order.shippingAddress)}</div>
+</div>
+<table>
+<thead><tr><th>SKU</th><th>Item</th><th>Size</th><th>Color</th><th class="num">Qty</th></tr></thead>
+<tbody>
+${itemRows}
+</tbody>
+</table>`);
+}
+
+module.exports = {
+    formatInvoiceNumber,
+    renderInvoice,
+    renderPackingSlip,
+};
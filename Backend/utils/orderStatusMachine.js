@@ -0,0 +1,150 @@
+/**
+ * @fileoverview Declared transition graph for order fulfilment and payment status.
+ * Order and payment status move independently, but some combinations are never allowed
+ * (e.g. an order cannot ship while its payment has failed). Every change goes through
+ * `assertTransition` so the rules live in one place.
+ */
+
+const ORDER_STATUSES = ['preorder', 'pending', 'processing', 'shipped', 'delivered', 'cancelled', 'returned'];
+const PAYMENT_STATUSES = ['pending', 'authorized', 'deposit_paid', 'paid', 'failed', 'voided', 'partially_refunded', 'refunded'];
+
+// Payment statuses only reachable by recording refunds on the ledger (utils/refunds.js)
+const REFUND_PAYMENT_STATUSES = ['partially_refunded', 'refunded'];
+
+// Payment statuses only reachable through the payment provider (services/payments.service.js)
+const GATEWAY_PAYMENT_STATUSES = ['authorized', 'deposit_paid', 'voided'];
+
+// Allowed next order statuses for each order status
+const ORDER_TRANSITIONS = {
+    preorder: ['pending', 'cancelled'], // Held until the product is released and stock is allocated (utils/preorders.js)
+    pending: ['processing', 'cancelled'],
+    processing: ['shipped', 'cancelled'],
+    shipped: ['delivered'],
+    delivered: ['returned'],
+    cancelled: [],
+    returned: [],
+};
+
+// Allowed next payment statuses for each payment status
+const PAYMENT_TRANSITIONS = {
+    pending: ['authorized', 'deposit_paid', 'paid', 'failed', 'voided'],
+    authorized: ['paid', 'failed', 'voided'], // Funds held until captured or released
+    deposit_paid: ['paid', 'failed', 'partially_refunded'], // Pre-order deposit taken; the balance is due at release
+    failed: ['pending', 'authorized', 'deposit_paid', 'paid'], // The customer may retry a failed payment
+    voided: [],
+    paid: ['partially_refunded', 'refunded'],
+    partially_refunded: ['refunded'],
+    refunded: [],
+};
+
+// Rules on the combined (orderStatus, paymentStatus) state after a transition
+const COMBINED_RULES = [
+    {
+        test: (state) => ['processing', 'shipped', 'delivered'].includes(state.orderStatus) && ['failed', 'voided'].includes(state.paymentStatus),
+        message: (state) => `an order cannot be ${state.orderStatus} while its payment is ${state.paymentStatus}`,
+    },
+    {
+        // A fully refunded order must not be fulfilled any further
+        test: (state) => ['processing', 'shipped'].includes(state.orderStatus) && state.paymentStatus === 'refunded',
+        message: (state) => `an order cannot be ${state.orderStatus} while its payment is refunded`,
+    },
+    {
+        // Only cash on delivery may leave the warehouse unpaid
+        test: (state) => ['shipped', 'delivered'].includes(state.orderStatus) && state.paymentMethod !== 'cash_on_delivery' && !['paid', ...REFUND_PAYMENT_STATUSES].includes(state.paymentStatus),
+        message: (state) => `an order cannot be ${state.orderStatus} before it is paid`,
+    },
+    {
+        // Cash on delivery is collected on delivery
+        test: (state) => state.paymentMethod === 'cash_on_delivery' && state.paymentStatus === 'paid' && !['delivered', 'returned'].includes(state.orderStatus),
+        message: () => 'cash on delivery can only be marked paid once the order is delivered',
+    },
+];
+
+/**
+ * Checks a requested order and/or payment status change against the transition graph.
+ * @param {object} order - The current order (orderStatus, paymentStatus, paymentMethod).
+ * @param {object} change - { orderStatus?, paymentStatus? } The requested new status values.
+ * @returns {object} - The resulting combined state.
+ * @throws {Error} - 'Invalid order status' / 'Invalid payment status' for unknown values,
+ *                   'Invalid status transition' when the change is not allowed.
+ */
+function assertTransition(order, change) {
+    const next = {
+        orderStatus: change.orderStatus !== undefined ? change.orderStatus : order.orderStatus,
+        paymentStatus: change.paymentStatus !== undefined ? change.paymentStatus : order.paymentStatus,
+        paymentMethod: order.paymentMethod,
+    };
+
+    if (!ORDER_STATUSES.includes(next.orderStatus)) {
+        throw new Error(`Invalid order status: ${next.orderStatus}.`);
+    }
+    if (!PAYMENT_STATUSES.includes(next.paymentStatus)) {
+        throw new Error(`Invalid payment status: ${next.paymentStatus}.`);
+    }
+
+    if (next.orderStatus !== order.orderStatus && !ORDER_TRANSITIONS[order.orderStatus].includes(next.orderStatus)) {
+        throw new Error(`Invalid status transition: order cannot move from ${order.orderStatus} to ${next.orderStatus}.`);
+    }
+    if (next.paymentStatus !== order.paymentStatus && !PAYMENT_TRANSITIONS[order.paymentStatus].includes(next.paymentStatus)) {
+        throw new Error(`Invalid status transition: payment cannot move from ${order.paymentStatus} to ${next.paymentStatus}.`);
+    }
+
+    const brokenRule = COMBINED_RULES.find(rule => rule.test(next));
+    if (brokenRule) {
+        throw new Error(`Invalid status transition: ${brokenRule.message(next)}.`);
+    }
+
+    return next;
+}
+
+/**
+ * Lists the order and payment statuses an order may move to next.
+ * @param {object} order - The current order (orderStatus, paymentStatus, paymentMethod).
+ * @returns {{ orderStatus: Array<string>, paymentStatus: Array<string> }}
+ */
+function getAllowedTransitions(order) {
+    const isAllowed = (change) => {
+        try {
+            assertTransition(order, change);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    };
+    return {
+        orderStatus: (ORDER_TRANSITIONS[order.orderStatus] || []).filter(status => isAllowed({ orderStatus: status })),
+        paymentStatus: (PAYMENT_TRANSITIONS[order.paymentStatus] || []).filter(status => isAllowed({ paymentStatus: status })),
+    };
+}
+
+/**
+ * Builds a status history entry.
+ * @param {string} field - 'orderStatus' or 'paymentStatus'.
+ * @param {string|null} from - The previous value.
+ * @param {string} to - The new value.
+ * @param {string|null} actor - The ID of the user making the change (null for system changes).
+ * @param {string} [note] - Optional note.
+ * @returns {object}
+ */
+function buildHistoryEntry(field, from, to, actor, note) {
+    return {
+        field,
+        from,
+        to,
+        actor: actor || null,
+        note: note || undefined,
+        timestamp: new Date(),
+    };
+}
+
+module.exports = {
+    ORDER_STATUSES,
+    PAYMENT_STATUSES,
+    REFUND_PAYMENT_STATUSES,
+    GATEWAY_PAYMENT_STATUSES,
+    ORDER_TRANSITIONS,
+    PAYMENT_TRANSITIONS,
+    assertTransition,
+    getAllowedTransitions,
+    buildHistoryEntry,
+};
@@ -0,0 +1,133 @@
+/**
+ * @fileoverview Pre-order rules. A coming_soon product with pre-orders enabled can be ordered
+ * before it is released, up to its pre-order cap. Such orders are held in the 'preorder' status
+ * without taking stock; once the product is available they are allocated stock first come, first
+ * served, and move on to 'pending' like any other order. A pre-order is paid in full at checkout,
+ * with a deposit now and the balance at release, or authorized now and captured at release.
+ * Nothing here touches the database.
+ */
+const { getAvailableStock, decrementStock } = require('./productVariants');
+
+const PREORDER_PAYMENT_OPTIONS = ['full', 'deposit', 'authorize'];
+
+/**
+ * Checks whether a product is currently taking pre-orders.
+ * @param {object} product - Product document or plain object.
+ * @returns {boolean}
+ */
+function isPreorderable(product) {
+    return Boolean(product && product.status === 'coming_soon' && product.preorder && product.preorder.enabled);
+}
+
+/**
+ * Returns how many more units of a product may be pre-ordered.
+ * @param {object} product - Product document or plain object.
+ * @returns {number} - Infinity when the product has no pre-order cap.
+ */
+function getPreorderRemaining(product) {
+    const cap = product.preorder ? product.preorder.maxQuantity : null;
+    if (cap === null || cap === undefined) {
+        return Infinity;
+    }
+    return Math.max(cap - (product.preorderedQuantity || 0), 0);
+}
+
+/**
+ * Works out the deposit for a pre-order total.
+ * @param {number} totalAmount - The order total.
+ * @param {number} depositPercent - The share of the total taken as a deposit (1-99).
+ * @returns {number} - The deposit, rounded to cents.
+ */
+function getDepositAmount(totalAmount, depositPercent) {
+    return Math.round(totalAmount * depositPercent) / 100;
+}
+
+/**
+ * Works out what the next online payment of an order charges and how.
+ * A deposit pre-order first charges the deposit (always captured at once), then the balance once
+ * it is released; an authorize-only pre-order is authorized in full and captured at release.
+ * @param {object} order - The order (totalAmount, orderStatus, preorder).
+ * @param {string} captureMode - The store's capture mode ('automatic' or 'manual').
+ * @returns {{ amount: number, captureMethod: string }}
+ */
+function getPaymentCharge(order, captureMode) {
+    const preorder = order.preorder;
+    if (preorder && preorder.paymentOption === 'deposit') {
+        if (!preorder.deposit) {
+            return { amount: preorder.depositAmount, captureMethod: 'automatic' };
+        }
+        const balanceCents = Math.round(order.totalAmount * 100) - Math.round(preorder.deposit.capturedAmount * 100);
+        return { amount: balanceCents / 100, captureMethod: captureMode };
+    }
+    if (preorder && preorder.paymentOption === 'authorize') {
+        return { amount: order.totalAmount, captureMethod: 'manual' };
+    }
+    return { amount: order.totalAmount, captureMethod: captureMode };
+}
+
+/**
+ * Checks whether a payment intent of an order is its pre-order deposit: the first charge of a
+ * deposit pre-order, or the one already recorded as its deposit.
+ * @param {object} order - The order (preorder).
+ * @param {string} intentId - The payment intent ID.
+ * @returns {boolean}
+ */
+function isDepositIntent(order, intentId) {
+    const preorder = order.preorder;
+    if (!preorder || preorder.paymentOption !== 'deposit') {
+        return false;
+    }
+    return !preorder.deposit || preorder.deposit.intentId === intentId;
+}
+
+// Order lines are allocated per product + size + color
+function getSelectionKey(item) {
+    return [item.selectedSize || '', item.selectedColor || ''].join('|');
+}
+
+/**
+ * Picks the waiting pre-orders of a product that its stock can fill, first come, first served.
+ * An order that cannot be filled keeps its place: later orders for the same size/color wait
+ * behind it, while orders for other sizes/colors may still be filled.
+ * @param {Array<object>} orders - The product's orders in 'preorder' status, oldest first.
+ * @param {object} product - The product with its current stock.
+ * @returns {Array<object>} - The orders to allocate, in order.
+ */
+function planAllocation(orders, product) {
+    const stock = JSON.parse(JSON.stringify(product)); // Work on a copy; the caller decrements for real
+    const blocked = new Set();
+    const allocatable = [];
+
+    for (const order of orders) {
+        const items = order.items.filter(item => (item.productId._id || item.productId).toString() === product._id.toString());
+        const keys = items.map(getSelectionKey);
+        if (items.length === 0 || keys.some(key => blocked.has(key))) {
+            keys.forEach(key => blocked.add(key));
+            continue;
+        }
+        const fits = items.every(item => {
+            try {
+                return getAvailableStock(stock, item.selectedSize, item.selectedColor) >= item.quantity;
+            } catch (error) {
+                return false; // The size/color is no longer offered
+            }
+        });
+        if (!fits) {
+            keys.forEach(key => blocked.add(key));
+            continue;
+        }
+        items.forEach(item => decrementStock(stock, item.selectedSize, item.selectedColor, item.quantity));
+        allocatable.push(order);
+    }
+    return allocatable;
+}
+
+module.exports = {
+    PREORDER_PAYMENT_OPTIONS,
+    isPreorderable,
+    getPreorderRemaining,
+    getDepositAmount,
+    getPaymentCharge,
+    isDepositIntent,
+    planAllocation,
+};
@@ -0,0 +1,80 @@
+/**
+ * @fileoverview Product listing options: the sort orders GET /api/products offers, list-valued
+ * query parameters, and the opaque cursors used to page through a sorted listing.
+ * A cursor holds the sort key and ID of the last product shown; the next page starts after it,
+ * so pages stay stable while products are added. Nothing here touches the database.
+ */
+
+// Sort name -> field of the listing pipeline (see products.repository listProducts) and direction
+const PRODUCT_SORTS = {
+    newest: { field: 'createdAt', direction: -1 },
+    price_asc: { field: 'effectivePrice', direction: 1 },
+    price_desc: { field: 'effectivePrice', direction: -1 },
+    rating: { field: 'rating', direction: -1 },
+    popularity: { field: 'popularity', direction: -1 },
+};
+
+// Thresholds the rating facet counts products for (average rating at least ...)
+const RATING_FACET_THRESHOLDS = [4, 3, 2, 1];
+
+/**
+ * Turns a list-valued query parameter into an array of values.
+ * Accepts comma-separated values, repeated parameters (?size=42&size=43), or both.
+ * @param {string|Array<string>|undefined} value - The query parameter.
+ * @returns {Array<string>} - The trimmed, non-empty values.
+ */
+function toList(value) {
+    if (value === undefined || value === null) {
+        return [];
+    }
+    return [].concat(value)
+        .flatMap(entry => String(entry).split(','))
+        .map(entry => entry.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Encodes the position after a product in a sorted listing.
+ * @param {string} sort - The sort name (a PRODUCT_SORTS key).
+ * @param {*} value - The product's value of the sort field.
+ * @param {string} id - The product's ID.
+ * @returns {string} - The cursor (base64url).
+ */
+function encodeCursor(sort, value, id) {
+    return Buffer.from(JSON.stringify({ s: sort, v: value, id: id.toString() })).toString('base64url');
+}
+
+/**
+ * Decodes a listing cursor.
+ * @param {string} cursor - The cursor from a previous page.
+ * @param {string} sort - The sort name of the current request; it must be the one the cursor was made for.
+ * @returns {{ value: *, id: string }}
+ * @throws {Error} - If the cursor is malformed or belongs to another sort order.
+ */
+function decodeCursor(cursor, sort) {
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch (error) {
+        throw new Error('Invalid cursor: it could not be read.');
+    }
+    if (!decoded || typeof decoded.id !== 'string' || !('v' in decoded)) {
+        throw new Error('Invalid cursor: it could not be read.');
+    }
+    if (decoded.s !== sort) {
+        throw new Error(`Invalid cursor: it belongs to the ${decoded.s} sort order, not ${sort}.`);
+    }
+    const value = PRODUCT_SORTS[sort].field === 'createdAt' ? new Date(decoded.v) : decoded.v;
+    if (value instanceof Date && Number.isNaN(value.getTime())) {
+        throw new Error('Invalid cursor: it could not be read.');
+    }
+    return { value, id: decoded.id };
+}
+
+module.exports = {
+    PRODUCT_SORTS,
+    RATING_FACET_THRESHOLDS,
+    toList,
+    encodeCursor,
+    decodeCursor,
+};
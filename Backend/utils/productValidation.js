@@ -1,4 +1,64 @@
 const Joi = require('joi');
+const { PREORDER_PAYMENT_OPTIONS } = require('./preorders');
+const { PRODUCT_SORTS } = require('./productListing');
+
+// Schema for the variant matrix (shared by create and update, as variants are always sent as a full list)
+const variantsValidation = Joi.array().items(
+    Joi.object({
+        sku: Joi.string().required().trim().messages({
+            'any.required': 'Variant SKU is required',
+            'string.empty': 'Variant SKU cannot be empty',
+        }),
+        size: Joi.string().trim().allow(null, ''),
+        color: Joi.string().trim().allow(null, ''),
+        stock: Joi.number().required().min(0).messages({
+            'any.required': 'Stock for variant is required',
+            'number.base': 'Stock for variant must be a number',
+            'number.min': 'Stock for variant cannot be negative',
+        }),
+        price: Joi.number().min(0).allow(null).messages({
+            'number.base': 'Variant price must be a number',
+            'number.min': 'Variant price cannot be negative',
+        }),
+        images: Joi.array().items(Joi.string().uri()).messages({
+            'string.uri': 'Each image URL for variant must be a valid URL',
+        }),
+    }).or('size', 'color').messages({
+        'object.missing': 'Each variant needs a size, a color, or both',
+    })
+);
+
+// Schema for the pre-order settings (shared by create and update, as the settings are always sent as a whole)
+const preorderValidation = Joi.object({
+    enabled: Joi.boolean().default(false),
+    releaseDate: Joi.date().iso().allow(null).when('enabled', {
+        is: true,
+        then: Joi.required().invalid(null),
+    }).messages({
+        'any.required': 'Pre-orders need a release date',
+        'any.invalid': 'Pre-orders need a release date',
+        'date.base': 'Release date must be a valid date',
+        'date.format': 'Release date must be a valid date',
+    }),
+    maxQuantity: Joi.number().integer().min(1).allow(null).messages({
+        'number.base': 'Pre-order cap must be a number',
+        'number.integer': 'Pre-order cap must be a whole number',
+        'number.min': 'Pre-order cap must be at least 1',
+    }),
+    paymentOption: Joi.string().valid(...PREORDER_PAYMENT_OPTIONS).default('full').messages({
+        'any.only': `Pre-order payment option must be one of ${PREORDER_PAYMENT_OPTIONS.map(option => `"${option}"`).join(', ')}`,
+    }),
+    depositPercent: Joi.number().min(1).max(99).allow(null).when('paymentOption', {
+        is: 'deposit',
+        then: Joi.required().invalid(null),
+    }).messages({
+        'any.required': 'Deposit percentage is required for deposit pre-orders',
+        'any.invalid': 'Deposit percentage is required for deposit pre-orders',
+        'number.base': 'Deposit percentage must be a number',
+        'number.min': 'Deposit percentage must be between 1 and 99',
+        'number.max': 'Deposit percentage must be between 1 and 99',
+    }),
+});
 
 // Schema for creating a new product
 const createProductValidation = (data) => {
@@ -23,7 +83,11 @@ const createProductValidation = (data) => {
         images: Joi.array().items(Joi.string().uri()).messages({
             'string.uri': 'Each image must be a valid URL',
         }),
-        stock: Joi.number().required().min(0).messages({
+        stock: Joi.number().min(0).when('variants', {
+            is: Joi.array().min(1),
+            then: Joi.optional(), // Derived from the variants
+            otherwise: Joi.required(),
+        }).messages({
             'any.required': 'Product stock is required',
             'number.base': 'Stock must be a number',
             'number.min': 'Stock cannot be negative',
@@ -58,16 +122,22 @@ const createProductValidation = (data) => {
                 })
             })
         ),
+        variants: variantsValidation,
         brand: Joi.string().required().messages({  // Changed to string to expect ID
             'any.required': 'Product brand is required',
             'string.empty': 'Product brand cannot be empty',
         }),
+        weight: Joi.number().min(0).messages({
+            'number.base': 'Weight must be a number',
+            'number.min': 'Weight cannot be negative',
+        }),
         // --- New Fields Validation for Creation ---
         isNewArrival: Joi.boolean().default(false),
         isExclusive: Joi.boolean().default(false),
         status: Joi.string().valid('available', 'coming_soon', 'discontinued').default('available').messages({
             'any.only': 'Status must be one of "available", "coming_soon", or "discontinued"',
         }),
+        preorder: preorderValidation,
         onSale: Joi.boolean().default(false),
         salePrice: Joi.number().min(0).when('onSale', {
             is: true,
@@ -79,6 +149,13 @@ const createProductValidation = (data) => {
             'number.base': 'Sale price must be a number',
             'number.min': 'Sale price cannot be negative',
         }),
+        saleStartsAt: Joi.date().iso().allow(null),
+        saleEndsAt: Joi.date().iso().allow(null).when('saleStartsAt', {
+            is: Joi.date().required(),
+            then: Joi.date().greater(Joi.ref('saleStartsAt')),
+        }).messages({
+            'date.greater': 'Sale end date must be after the sale start date',
+        }),
     });
 
     return schema.validate(data);
@@ -133,15 +210,21 @@ const updateProductValidation = (data) => {
                 })
             })
         ),
+        variants: variantsValidation,
         brand: Joi.string().messages({ // Changed to string to expect ID
             'string.empty': 'Product brand cannot be empty',
         }),
+        weight: Joi.number().min(0).messages({
+            'number.base': 'Weight must be a number',
+            'number.min': 'Weight cannot be negative',
+        }),
         // --- New Fields Validation for Update ---
         isNewArrival: Joi.boolean(),
         isExclusive: Joi.boolean(),
         status: Joi.string().valid('available', 'coming_soon', 'discontinued').messages({
             'any.only': 'Status must be one of "available", "coming_soon", or "discontinued"',
         }),
+        preorder: preorderValidation,
         onSale: Joi.boolean(),
         salePrice: Joi.number().min(0).when('onSale', {
             is: true,
@@ -153,12 +236,76 @@ const updateProductValidation = (data) => {
             'number.base': 'Sale price must be a number',
             'number.min': 'Sale price cannot be negative',
         }),
+        saleStartsAt: Joi.date().iso().allow(null),
+        saleEndsAt: Joi.date().iso().allow(null).when('saleStartsAt', {
+            is: Joi.date().required(),
+            then: Joi.date().greater(Joi.ref('saleStartsAt')),
+        }).messages({
+            'date.greater': 'Sale end date must be after the sale start date',
+        }),
     }).min(1); // At least one field must be present for update
 
     return schema.validate(data);
 };
 
+// A filter that takes several values: comma-separated (?size=42,43) or repeated (?size=42&size=43)
+const listFilterValidation = Joi.alternatives().try(
+    Joi.string().allow(''),
+    Joi.array().items(Joi.string().allow(''))
+);
+
+// Schema for the product listing query (GET /api/products)
+const listProductsValidation = (query) => {
+    const schema = Joi.object({
+        category: listFilterValidation,
+        brand: listFilterValidation,
+        size: listFilterValidation,
+        color: listFilterValidation,
+        status: listFilterValidation,
+        minPrice: Joi.number().min(0).messages({
+            'number.base': 'minPrice must be a number',
+            'number.min': 'minPrice cannot be negative',
+        }),
+        maxPrice: Joi.number().min(0).when('minPrice', {
+            is: Joi.number().required(),
+            then: Joi.number().min(Joi.ref('minPrice')),
+        }).messages({
+            'number.base': 'maxPrice must be a number',
+            'number.min': 'maxPrice cannot be below minPrice or negative',
+        }),
+        onSale: Joi.boolean().messages({ 'boolean.base': 'onSale must be true or false' }),
+        isNewArrival: Joi.boolean().messages({ 'boolean.base': 'isNewArrival must be true or false' }),
+        isExclusive: Joi.boolean().messages({ 'boolean.base': 'isExclusive must be true or false' }),
+        minRating: Joi.number().min(1).max(5).messages({
+            'number.base': 'minRating must be a number',
+            'number.min': 'minRating must be between 1 and 5',
+            'number.max': 'minRating must be between 1 and 5',
+        }),
+        sort: Joi.string().valid(...Object.keys(PRODUCT_SORTS)).default('newest').messages({
+            'any.only': `sort must be one of ${Object.keys(PRODUCT_SORTS).join(', ')}`,
+        }),
+        page: Joi.number().integer().min(1).messages({
+            'number.base': 'page must be a number',
+            'number.integer': 'page must be a whole number',
+            'number.min': 'page must be at least 1',
+        }),
+        limit: Joi.number().integer().min(1).max(100).default(24).messages({
+            'number.base': 'limit must be a number',
+            'number.integer': 'limit must be a whole number',
+            'number.min': 'limit must be between 1 and 100',
+            'number.max': 'limit must be between 1 and 100',
+        }),
+        cursor: Joi.string(),
+    }).oxor('page', 'cursor').messages({
+        'object.oxor': 'Use either page or cursor, not both',
+        'object.unknown': '{{#label}} is not a product filter',
+    });
+
+    return schema.validate(query);
+};
+
 module.exports = {
     createProductValidation,
     updateProductValidation,
+    listProductsValidation,
 };
@@ -0,0 +1,332 @@
+/**
+ * @fileoverview Helpers for working with product variants (SKUs).
+ * A variant is one (size, color) combination of a product with its own SKU code,
+ * stock, optional price override and images. Products without variants keep using
+ * the legacy `sizes[].stock` / `colors[].stock` / `stock` fields.
+ */
+const { isProductSaleLive, isWithinSchedule } = require('./sales');
+
+// Treat undefined, null and empty strings as "no selection"
+function normalizeOption(value) {
+    if (value === undefined || value === null) {
+        return null;
+    }
+    const trimmed = String(value).trim();
+    return trimmed === '' ? null : trimmed;
+}
+
+/**
+ * Checks whether a product is managed through the variant matrix.
+ * @param {object} product - Product document or plain object.
+ * @returns {boolean}
+ */
+function hasVariants(product) {
+    return Array.isArray(product.variants) && product.variants.length > 0;
+}
+
+/**
+ * Finds the variant matching a size/color combination.
+ * @param {object} product - Product document or plain object.
+ * @param {string} [selectedSize] - The selected size.
+ * @param {string} [selectedColor] - The selected color.
+ * @returns {object|null} - The matching variant, or null.
+ */
+function findVariant(product, selectedSize, selectedColor) {
+    if (!hasVariants(product)) {
+        return null;
+    }
+    const size = normalizeOption(selectedSize);
+    const color = normalizeOption(selectedColor);
+    return product.variants.find(v =>
+        normalizeOption(v.size) === size && normalizeOption(v.color) === color
+    ) || null;
+}
+
+/**
+ * Finds a variant by its SKU code.
+ * @param {object} product - Product document or plain object.
+ * @param {string} sku - The SKU code.
+ * @returns {object|null} - The matching variant, or null.
+ */
+function findVariantBySku(product, sku) {
+    if (!hasVariants(product) || !sku) {
+        return null;
+    }
+    return product.variants.find(v => v.sku === sku) || null;
+}
+
+/**
+ * Resolves the variant for a selection, preferring an explicit SKU code.
+ * @param {object} product - Product document or plain object.
+ * @param {object} selection - { sku?, selectedSize?, selectedColor? }
+ * @returns {object|null} - The variant, or null when the product has no variants.
+ * @throws {Error} - If the product has variants but none matches the selection.
+ */
+function resolveVariant(product, { sku, selectedSize, selectedColor }) {
+    if (!hasVariants(product)) {
+        return null;
+    }
+    const variant = sku
+        ? findVariantBySku(product, sku)
+        : findVariant(product, selectedSize, selectedColor);
+    if (!variant) {
+        const label = sku || `Size: ${selectedSize || 'N/A'}, Color: ${selectedColor || 'N/A'}`;
+        throw new Error(`Variant (${label}) not found for product ${product.name}.`);
+    }
+    return variant;
+}
+
+/**
+ * Returns the stock available for a size/color selection.
+ * Variant products use the SKU stock; legacy products fall back to size, then color, then product stock.
+ * @param {object} product - Product document or plain object.
+ * @param {string} [selectedSize] - The selected size.
+ * @param {string} [selectedColor] - The selected color.
+ * @returns {number} - The available stock.
+ * @throws {Error} - If the requested size/color/variant does not exist.
+ */
+function getAvailableStock(product, selectedSize, selectedColor) {
+    if (hasVariants(product)) {
+        return resolveVariant(product, { selectedSize, selectedColor }).stock;
+    }
+    if (selectedSize && product.sizes && product.sizes.length > 0) {
+        const sizeOption = product.sizes.find(s => s.size === selectedSize);
+        if (!sizeOption) {
+            throw new Error(`Size ${selectedSize} not found for product ${product.name}.`);
+        }
+        return sizeOption.stock;
+    }
+    if (selectedColor && product.colors && product.colors.length > 0) {
+        const colorOption = product.colors.find(c => c.color === selectedColor);
+        if (!colorOption) {
+            throw new Error(`Color ${selectedColor} not found for product ${product.name}.`);
+        }
+        return colorOption.stock;
+    }
+    return product.stock;
+}
+
+/**
+ * Returns the options that identify the stock record a selection is taken from, in the
+ * same order as decrementStock: size + color for variant products, the size alone for
+ * legacy sized products, the color alone for legacy colored products and none for simple stock.
+ * Selections with the same key draw on the same units.
+ * @param {object} product - Product document or plain object.
+ * @param {string} [selectedSize] - The selected size.
+ * @param {string} [selectedColor] - The selected color.
+ * @returns {{ selectedSize?: string, selectedColor?: string }} - The options to match on (options left out do not matter).
+ */
+function getStockKey(product, selectedSize, selectedColor) {
+    if (hasVariants(product)) {
+        return { selectedSize, selectedColor };
+    }
+    if (product.sizes && product.sizes.length > 0) {
+        return { selectedSize };
+    }
+    if (product.colors && product.colors.length > 0) {
+        return { selectedColor };
+    }
+    return {};
+}
+
+/**
+ * Returns the unit price and (effective) sale price for a product or one of its variants.
+ * A variant price override replaces the product's base price. Two sales can apply, and the
+ * lower price wins: the product's own sale price while it is on sale and within its
+ * saleStartsAt/saleEndsAt window, and the percentage of a live scheduled sale attached to the
+ * product as `scheduledSale` (see products.service). A sale price only counts if it is lower
+ * than the price.
+ * @param {object} product - Product document or plain object.
+ * @param {object|null} [variant] - The selected variant, if any.
+ * @param {Date} [now] - The moment to price at.
+ * @returns {{ price: number, salePrice: (number|undefined), effectivePrice: number, saleEndsAt: (Date|null) }}
+ *          saleEndsAt is when the sale price stops applying (null if it has no end or there is no sale).
+ */
+function getUnitPrices(product, variant = null, now = new Date()) {
+    const price = variant && variant.price !== undefined && variant.price !== null ? variant.price : product.price;
+    const candidates = [];
+    if (isProductSaleLive(product, now)) {
+        candidates.push({ salePrice: product.salePrice, endsAt: product.saleEndsAt || null });
+    }
+    const scheduledSale = product.scheduledSale;
+    if (scheduledSale && scheduledSale.percentOff > 0 && isWithinSchedule(null, scheduledSale.endsAt, now)) {
+        candidates.push({ salePrice: Math.round(price * (100 - scheduledSale.percentOff)) / 100, endsAt: scheduledSale.endsAt });
+    }
+    const best = candidates
+        .filter(candidate => candidate.salePrice < price)
+        .sort((a, b) => a.salePrice - b.salePrice)[0];
+    return {
+        price,
+        salePrice: best ? best.salePrice : undefined,
+        effectivePrice: best ? best.salePrice : price,
+        saleEndsAt: best ? best.endsAt : null
+    };
+}
+
+/**
+ * Returns the primary image for a product selection (variant image first, then product image).
+ * @param {object} product - Product document or plain object.
+ * @param {object|null} [variant] - The selected variant, if any.
+ * @returns {string|null}
+ */
+function getPrimaryImage(product, variant = null) {
+    if (variant && variant.images && variant.images.length > 0) {
+        return variant.images[0];
+    }
+    return product.images && product.images.length > 0 ? product.images[0] : null;
+}
+
+/**
+ * Recomputes the aggregate `sizes`, `colors` and `stock` fields from the variant matrix,
+ * so listings and filters based on the aggregates stay accurate. No-op for legacy products.
+ * Existing color images are preserved.
+ * @param {object} product - Product document or plain object (mutated in place).
+ * @returns {object} - The same product.
+ */
+function syncAggregateStock(product) {
+    if (!hasVariants(product)) {
+        return product;
+    }
+
+    const sizeTotals = new Map();
+    const colorTotals = new Map();
+    let total = 0;
+
+    product.variants.forEach(variant => {
+        total += variant.stock;
+        const size = normalizeOption(variant.size);
+        const color = normalizeOption(variant.color);
+        if (size) {
+            sizeTotals.set(size, (sizeTotals.get(size) || 0) + variant.stock);
+        }
+        if (color) {
+            colorTotals.set(color, (colorTotals.get(color) || 0) + variant.stock);
+        }
+    });
+
+    const existingColors = product.colors || [];
+    product.sizes = [...sizeTotals].map(([size, stock]) => ({ size, stock }));
+    product.colors = [...colorTotals].map(([color, stock]) => {
+        const existing = existingColors.find(c => c.color === color);
+        return { color, images: existing && existing.images ? [...existing.images] : [], stock };
+    });
+    product.stock = total;
+    return product;
+}
+
+/**
+ * Ensures variant SKU codes and (size, color) combinations are unique within a product.
+ * @param {Array<object>} variants - The variants to check.
+ * @throws {Error} - If a duplicate SKU or combination is found.
+ */
+function assertUniqueVariants(variants = []) {
+    const skus = new Set();
+    const combinations = new Set();
+    for (const variant of variants) {
+        if (skus.has(variant.sku)) {
+            throw new Error(`Duplicate variant SKU: ${variant.sku}.`);
+        }
+        skus.add(variant.sku);
+
+        const key = `${normalizeOption(variant.size)}|${normalizeOption(variant.color)}`;
+        if (combinations.has(key)) {
+            throw new Error(`Duplicate variant for size ${variant.size || 'N/A'} and color ${variant.color || 'N/A'}.`);
+        }
+        combinations.add(key);
+    }
+}
+
+/**
+ * Decrements stock for a size/color selection on a product document.
+ * @param {object} product - Product document (mutated in place, caller saves).
+ * @param {string} [selectedSize] - The selected size.
+ * @param {string} [selectedColor] - The selected color.
+ * @param {number} quantity - The quantity to remove.
+ * @throws {Error} - If the selection does not exist or stock is insufficient.
+ */
+function decrementStock(product, selectedSize, selectedColor, quantity) {
+    const label = `Size: ${selectedSize || 'N/A'}, Color: ${selectedColor || 'N/A'}`;
+
+    if (hasVariants(product)) {
+        const variant = findVariant(product, selectedSize, selectedColor);
+        if (!variant || variant.stock < quantity) {
+            throw new Error(`Insufficient stock for product ${product.name} (${label}).`);
+        }
+        variant.stock -= quantity;
+        syncAggregateStock(product);
+        return;
+    }
+
+    // Legacy products: sizes first, then colors, then simple stock
+    if (product.sizes && product.sizes.length > 0) {
+        const sizeIndex = product.sizes.findIndex(s => s.size === selectedSize);
+        if (sizeIndex === -1 || product.sizes[sizeIndex].stock < quantity) {
+            throw new Error(`Insufficient stock for product ${product.name}, size ${selectedSize}.`);
+        }
+        product.sizes[sizeIndex].stock -= quantity;
+    } else if (product.colors && product.colors.length > 0) {
+        const colorIndex = product.colors.findIndex(c => c.color === selectedColor);
+        if (colorIndex === -1 || product.colors[colorIndex].stock < quantity) {
+            throw new Error(`Insufficient stock for product ${product.name}, color ${selectedColor}.`);
+        }
+        product.colors[colorIndex].stock -= quantity;
+    } else {
+        if (product.stock < quantity) {
+            throw new Error(`Insufficient stock for product ${product.name}.`);
+        }
+        product.stock -= quantity;
+    }
+}
+
+/**
+ * Increments stock for a size/color selection on a product document (e.g. on cancellation).
+ * @param {object} product - Product document (mutated in place, caller saves).
+ * @param {string} [selectedSize] - The selected size.
+ * @param {string} [selectedColor] - The selected color.
+ * @param {number} quantity - The quantity to put back.
+ * @returns {boolean} - False if no matching inventory record was found.
+ */
+function incrementStock(product, selectedSize, selectedColor, quantity) {
+    if (hasVariants(product)) {
+        const variant = findVariant(product, selectedSize, selectedColor);
+        if (!variant) {
+            return false;
+        }
+        variant.stock += quantity;
+        syncAggregateStock(product);
+        return true;
+    }
+
+    // Increment stock based on how it was decremented during creation
+    if (product.sizes && product.sizes.length > 0 && selectedSize) {
+        const sizeIndex = product.sizes.findIndex(s => s.size === selectedSize);
+        if (sizeIndex === -1) {
+            return false;
+        }
+        product.sizes[sizeIndex].stock += quantity;
+    } else if (product.colors && product.colors.length > 0 && selectedColor) {
+        const colorIndex = product.colors.findIndex(c => c.color === selectedColor);
+        if (colorIndex === -1) {
+            return false;
+        }
+        product.colors[colorIndex].stock += quantity;
+    } else {
+        product.stock += quantity;
+    }
+    return true;
+}
+
+module.exports = {
+    hasVariants,
+    findVariant,
+    findVariantBySku,
+    resolveVariant,
+    getAvailableStock,
+    getStockKey,
+    getUnitPrices,
+    getPrimaryImage,
+    syncAggregateStock,
+    assertUniqueVariants,
+    decrementStock,
+    incrementStock
+};
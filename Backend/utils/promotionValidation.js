@@ -0,0 +1,93 @@
+const Joi = require('joi');
+const { PROMOTION_TYPES } = require('./promotions');
+
+const objectId = Joi.string().hex().length(24).messages({
+    'string.hex': 'Must be a valid ID',
+    'string.length': 'Must be a valid ID',
+});
+
+const percentOff = Joi.number().greater(0).max(100).messages({
+    'number.base': 'Percent off must be a number',
+    'number.greater': 'Percent off must be greater than 0',
+    'number.max': 'Percent off cannot exceed 100',
+});
+
+// Fields shared by create and update
+const promotionFields = {
+    name: Joi.string().trim().min(1).max(100).messages({
+        'string.empty': 'Promotion name cannot be empty',
+    }),
+    description: Joi.string().trim().max(200).allow(''),
+    type: Joi.string().valid(...PROMOTION_TYPES).messages({
+        'any.only': `Promotion type must be one of: ${PROMOTION_TYPES.join(', ')}`,
+    }),
+    categories: Joi.array().items(objectId),
+    brands: Joi.array().items(objectId),
+    products: Joi.array().items(objectId),
+    percentOff,
+    buyQuantity: Joi.number().integer().min(1).messages({
+        'number.min': 'Buy quantity must be at least 1',
+    }),
+    getQuantity: Joi.number().integer().min(1).messages({
+        'number.min': 'Get quantity must be at least 1',
+    }),
+    tiers: Joi.array().items(Joi.object({
+        minSpend: Joi.number().min(0).required().messages({
+            'any.required': 'Each tier needs a minimum spend',
+        }),
+        percentOff: percentOff.required().messages({
+            'any.required': 'Each tier needs a percent off',
+        }),
+    })),
+    rewardCategories: Joi.array().items(objectId),
+    rewardBrands: Joi.array().items(objectId),
+    rewardProducts: Joi.array().items(objectId),
+    rewardQuantity: Joi.number().integer().min(1).messages({
+        'number.min': 'Reward quantity must be at least 1',
+    }),
+    priority: Joi.number().integer(),
+    startsAt: Joi.date().iso().allow(null),
+    endsAt: Joi.date().iso().allow(null).when('startsAt', {
+        is: Joi.date().required(),
+        then: Joi.date().greater(Joi.ref('startsAt')),
+    }).messages({
+        'date.greater': 'Promotion end date must be after its start date',
+    }),
+    isActive: Joi.boolean(),
+};
+
+// Schema for creating a new promotion; each type needs its own rule fields
+const createPromotionValidation = (data) => {
+    const schema = Joi.object({
+        ...promotionFields,
+        name: promotionFields.name.required().messages({ 'any.required': 'Promotion name is required' }),
+        type: promotionFields.type.required().messages({ 'any.required': 'Promotion type is required' }),
+        tiers: promotionFields.tiers.when('type', {
+            is: 'tiered',
+            then: Joi.array().min(1).required(),
+        }).messages({
+            'any.required': 'A tiered promotion needs at least one tier',
+            'array.min': 'A tiered promotion needs at least one tier',
+        }),
+    }).custom((value, helpers) => {
+        const hasReward = ['rewardCategories', 'rewardBrands', 'rewardProducts'].some(field => value[field] && value[field].length > 0);
+        if (value.type === 'bundle' && !hasReward) {
+            return helpers.message('A bundle promotion needs reward categories, brands or products');
+        }
+        return value;
+    });
+    return schema.validate(data);
+};
+
+// Schema for updating an existing promotion
+const updatePromotionValidation = (data) => {
+    const schema = Joi.object(promotionFields).min(1).messages({
+        'object.min': 'At least one field is required to update a promotion',
+    });
+    return schema.validate(data);
+};
+
+module.exports = {
+    createPromotionValidation,
+    updatePromotionValidation,
+};
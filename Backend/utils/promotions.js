@@ -0,0 +1,205 @@
+/**
+ * @fileoverview Automatic promotion rules.
+ * `evaluatePromotions` applies the live promotions to a set of priced lines (cart or order items)
+ * and returns one explainable discount line per promotion that takes something off. Promotions
+ * run in priority order, each on what earlier promotions left of the line prices, so a line can
+ * never be discounted below zero. It has no database access; callers load the promotions and
+ * the line categories.
+ *
+ * Rule types:
+ * - bogo: in every group of buyQuantity + getQuantity qualifying units, the getQuantity cheapest
+ *   units get percentOff (e.g. buy 1, get the second at 50% off)
+ * - tiered: the best tier whose minSpend the qualifying subtotal reaches gives its percentOff on
+ *   the qualifying items (e.g. spend 200, save 10%)
+ * - bundle: every qualifying (trigger) unit unlocks rewardQuantity units of the reward items at
+ *   percentOff, cheapest first (e.g. socks free with any running shoe)
+ */
+const { allocateDiscount } = require('./coupons');
+
+const PROMOTION_TYPES = ['bogo', 'tiered', 'bundle'];
+
+// Work in cents to avoid floating point drift when splitting money
+function toCents(amount) {
+    return Math.round(amount * 100);
+}
+
+function toId(value) {
+    return value ? (value._id || value).toString() : null;
+}
+
+// Lines are matched on product + size + color
+function lineKey(line) {
+    return `${toId(line.productId || line.product)}|${line.selectedSize || ''}|${line.selectedColor || ''}`;
+}
+
+// A line is in scope when it matches every restriction that is set (no restrictions = every line)
+function isInScope({ categories = [], brands = [], products = [] }, line) {
+    const categoryIds = categories.map(toId);
+    const brandIds = brands.map(toId);
+    const productIds = products.map(toId);
+    if (categoryIds.length > 0 && !(line.categoryIds || []).some(id => categoryIds.includes(toId(id)))) {
+        return false;
+    }
+    if (brandIds.length > 0 && !brandIds.includes(toId(line.brandId))) {
+        return false;
+    }
+    if (productIds.length > 0 && !productIds.includes(toId(line.productId))) {
+        return false;
+    }
+    return true;
+}
+
+function isLive(promotion, now) {
+    return promotion.isActive &&
+        (!promotion.startsAt || now >= promotion.startsAt) &&
+        (!promotion.endsAt || now <= promotion.endsAt);
+}
+
+// One entry per unit with its remaining price, cheapest first
+function expandUnits(lines, remaining) {
+    const units = [];
+    lines.forEach(line => {
+        const lineCents = remaining.get(lineKey(line));
+        const base = Math.floor(lineCents / line.quantity);
+        for (let i = 0; i < line.quantity; i++) {
+            // The line's odd cents go to its first units so the units add up to the line
+            units.push({ key: lineKey(line), cents: base + (i < lineCents - base * line.quantity ? 1 : 0) });
+        }
+    });
+    return units.sort((a, b) => a.cents - b.cents);
+}
+
+// Discount per line key for the given units at percentOff
+function discountUnits(units, percentOff) {
+    const shares = new Map();
+    for (const unit of units) {
+        const cents = Math.min(unit.cents, Math.round(unit.cents * percentOff / 100));
+        shares.set(unit.key, (shares.get(unit.key) || 0) + cents);
+    }
+    return shares;
+}
+
+function evaluateBogo(promotion, lines, remaining) {
+    const buyQuantity = promotion.buyQuantity || 1;
+    const getQuantity = promotion.getQuantity || 1;
+    const units = expandUnits(lines.filter(line => isInScope(promotion, line)), remaining);
+    const groups = Math.floor(units.length / (buyQuantity + getQuantity));
+    // Pairing the most expensive units with each other leaves the cheapest units as the free ones
+    return discountUnits(units.slice(0, groups * getQuantity), promotion.percentOff);
+}
+
+function evaluateTiered(promotion, lines, remaining) {
+    const eligibleLines = lines.filter(line => isInScope(promotion, line));
+    const eligibleCents = eligibleLines.reduce((sum, line) => sum + remaining.get(lineKey(line)), 0);
+    const tier = (promotion.tiers || [])
+        .filter(t => eligibleCents > 0 && eligibleCents >= toCents(t.minSpend))
+        .sort((a, b) => b.minSpend - a.minSpend)[0];
+    const shares = new Map();
+    if (!tier) {
+        return shares;
+    }
+    const pricedLines = eligibleLines.map(line => ({ unitPrice: remaining.get(lineKey(line)) / 100, quantity: 1 }));
+    const amounts = allocateDiscount(pricedLines, Math.round(eligibleCents * tier.percentOff / 100));
+    eligibleLines.forEach((line, index) => shares.set(lineKey(line), amounts[index]));
+    return shares;
+}
+
+function evaluateBundle(promotion, lines, remaining) {
+    const triggerLines = lines.filter(line => isInScope(promotion, line));
+    const triggerUnits = triggerLines.reduce((sum, line) => sum + line.quantity, 0);
+    // A unit that triggers the bundle cannot also be its reward
+    const rewardScope = { categories: promotion.rewardCategories, brands: promotion.rewardBrands, products: promotion.rewardProducts };
+    const rewardLines = lines.filter(line => !triggerLines.includes(line) && isInScope(rewardScope, line));
+    const rewardUnits = expandUnits(rewardLines, remaining).slice(0, triggerUnits * (promotion.rewardQuantity || 1));
+    return discountUnits(rewardUnits, promotion.percentOff);
+}
+
+const EVALUATORS = {
+    bogo: evaluateBogo,
+    tiered: evaluateTiered,
+    bundle: evaluateBundle,
+};
+
+function describePromotion(promotion) {
+    if (promotion.description) {
+        return `${promotion.name}: ${promotion.description}`;
+    }
+    const offer = promotion.percentOff >= 100 ? 'free' : `${promotion.percentOff}% off`;
+    switch (promotion.type) {
+        case 'bogo':
+            return `${promotion.name}: buy ${promotion.buyQuantity || 1}, get ${promotion.getQuantity || 1} ${offer}`;
+        case 'tiered':
+            return `${promotion.name}: ${(promotion.tiers || []).map(t => `spend ${t.minSpend.toFixed(2)}, save ${t.percentOff}%`).join('; ')}`;
+        default:
+            return `${promotion.name}: ${promotion.rewardQuantity || 1} reward item(s) ${offer} with each qualifying item`;
+    }
+}
+
+/**
+ * Applies the live automatic promotions to priced lines.
+ * @param {Array<object>} promotions - The promotion documents (inactive or out-of-window ones are skipped).
+ * @param {Array<object>} lines - [{ productId, selectedSize?, selectedColor?, quantity, unitPrice, categoryIds, brandId }]
+ *                                where unitPrice is the price actually charged and categoryIds includes ancestor categories.
+ * @param {object} [context] - { now?: Date }
+ * @returns {Array<object>} - Discount lines: [{ source: 'promotion', promotion, description, amount, freeShipping, items: [{ productId, selectedSize, selectedColor, amount }] }]
+ */
+function evaluatePromotions(promotions, lines, { now = new Date() } = {}) {
+    const remaining = new Map(lines.map(line => [lineKey(line), toCents(line.unitPrice) * line.quantity]));
+    const ordered = promotions
+        .filter(promotion => isLive(promotion, now) && EVALUATORS[promotion.type])
+        .sort((a, b) => (b.priority || 0) - (a.priority || 0));
+
+    const discounts = [];
+    for (const promotion of ordered) {
+        const shares = EVALUATORS[promotion.type](promotion, lines, remaining);
+        const items = [];
+        let amountCents = 0;
+        for (const line of lines) {
+            const key = lineKey(line);
+            const cents = Math.min(shares.get(key) || 0, remaining.get(key));
+            if (cents > 0) {
+                remaining.set(key, remaining.get(key) - cents);
+                amountCents += cents;
+                items.push({ productId: line.productId, selectedSize: line.selectedSize, selectedColor: line.selectedColor, amount: cents / 100 });
+            }
+        }
+        if (amountCents > 0) {
+            discounts.push({
+                source: 'promotion',
+                promotion: promotion._id,
+                description: describePromotion(promotion),
+                amount: amountCents / 100,
+                freeShipping: false,
+                items
+            });
+        }
+    }
+    return discounts;
+}
+
+/**
+ * Lowers each item's unit price by its share of the given discount lines, so a later discount
+ * (the coupon) is worked out on what the shopper actually pays.
+ * @param {Array<object>} items - Items or lines with { productId or product, selectedSize?, selectedColor?, quantity, unitPrice }.
+ * @param {Array<object>} discounts - Discount lines.
+ * @returns {Array<object>} - Copies of the items with reduced unitPrice.
+ */
+function deductDiscounts(items, discounts) {
+    const discounted = new Map();
+    for (const discount of discounts) {
+        for (const share of discount.items || []) {
+            const key = lineKey(share);
+            discounted.set(key, (discounted.get(key) || 0) + toCents(share.amount));
+        }
+    }
+    return items.map(item => {
+        const lineCents = Math.max(0, toCents(item.unitPrice) * item.quantity - (discounted.get(lineKey(item)) || 0));
+        return { ...item, unitPrice: lineCents / item.quantity / 100 };
+    });
+}
+
+module.exports = {
+    PROMOTION_TYPES,
+    evaluatePromotions,
+    deductDiscounts,
+};
@@ -0,0 +1,198 @@
+/**
+ * @fileoverview Refund ledger rules for orders.
+ * Every refund (manual or triggered by a received return) goes through `applyRefund`, which
+ * guarantees the total refunded never exceeds the order total, that refunded item quantities
+ * never exceed what was ordered, and keeps `paymentStatus` in line with the ledger.
+ * A refund sent to the payment provider is recorded as 'pending' before the money moves, and
+ * settled as 'completed' or 'failed' afterwards (`settleRefund`). Pending refunds already count
+ * against what is refundable; failed ones count for nothing.
+ */
+const { assertTransition, buildHistoryEntry } = require('./orderStatusMachine');
+
+const REFUND_METHODS = ['original_payment', 'store_credit', 'bank_transfer', 'cash'];
+const REFUND_STATUSES = ['pending', 'completed', 'failed'];
+
+// Work in cents to avoid floating point drift when summing money
+function toCents(amount) {
+    return Math.round(amount * 100);
+}
+
+// Order lines and refund lines are matched on product + size + color
+function isSameLine(a, b) {
+    const productA = a.productId._id || a.productId;
+    const productB = b.productId._id || b.productId;
+    return productA.toString() === productB.toString() &&
+        (a.selectedSize || null) === (b.selectedSize || null) &&
+        (a.selectedColor || null) === (b.selectedColor || null);
+}
+
+/**
+ * Returns the effective unit price the customer paid for an order line.
+ * When the order is given, the line's share of order discounts (promotions and coupons) is
+ * taken off and its share of tax charged on top of the prices is added.
+ * @param {object} orderItem - The order line.
+ * @param {object} [order] - The order, to account for its discount lines and tax.
+ * @returns {number}
+ */
+function getPaidUnitPrice(orderItem, order = null) {
+    const unitPrice = (orderItem.salePrice !== null && orderItem.salePrice !== undefined && orderItem.salePrice < orderItem.price)
+        ? orderItem.salePrice
+        : orderItem.price;
+    if (!order) {
+        return unitPrice;
+    }
+    const discountCents = (order.discounts || []).reduce((sum, discount) => sum + (discount.items || [])
+        .filter(item => isSameLine(item, orderItem))
+        .reduce((lineSum, item) => lineSum + toCents(item.amount), 0), 0);
+    const addedTaxCents = order.tax && !order.tax.pricesIncludeTax
+        ? (order.tax.lines || []).filter(line => isSameLine(line, orderItem)).reduce((sum, line) => sum + toCents(line.amount), 0)
+        : 0;
+    return Math.max(toCents(unitPrice) + Math.round((addedTaxCents - discountCents) / orderItem.quantity), 0) / 100;
+}
+
+// Refunds that count against the order: completed and pending ones (older entries have no status)
+function getCountedRefunds(order) {
+    return (order.refunds || []).filter(refund => refund.status !== 'failed');
+}
+
+/**
+ * Sums the refunds recorded on an order, pending ones included and failed ones left out.
+ * @param {object} order - The order.
+ * @returns {number} - The refunded total.
+ */
+function getRefundedTotal(order) {
+    return getCountedRefunds(order).reduce((sum, refund) => sum + toCents(refund.amount), 0) / 100;
+}
+
+/**
+ * Sums the quantity of one order line covered by recorded refunds.
+ * @param {object} order - The order.
+ * @param {object} orderItem - The order line.
+ * @returns {number}
+ */
+function getRefundedQuantity(order, orderItem) {
+    return getCountedRefunds(order).reduce((sum, refund) => sum + (refund.items || [])
+        .filter(item => isSameLine(item, orderItem))
+        .reduce((lineSum, item) => lineSum + item.quantity, 0), 0);
+}
+
+// Moves the payment status to 'partially_refunded' or 'refunded' by the completed refunds
+function updateRefundPaymentStatus(order, refund) {
+    const completedCents = (order.refunds || [])
+        .filter(entry => entry.status !== 'failed' && entry.status !== 'pending')
+        .reduce((sum, entry) => sum + toCents(entry.amount), 0);
+    const newPaymentStatus = completedCents >= toCents(order.totalAmount) ? 'refunded' : 'partially_refunded';
+    if (newPaymentStatus !== order.paymentStatus) {
+        assertTransition(order, { paymentStatus: newPaymentStatus });
+        order.statusHistory.push(buildHistoryEntry('paymentStatus', order.paymentStatus, newPaymentStatus, refund.issuedBy, `Refund of ${refund.amount}: ${refund.reason}`));
+        order.paymentStatus = newPaymentStatus;
+    }
+}
+
+/**
+ * Validates a refund against the order and appends it to the ledger, moving the payment
+ * status to 'partially_refunded' or 'refunded' (with a status history entry). A 'pending'
+ * refund only holds its amount; the payment status moves once it is settled as completed.
+ * The order document is mutated in place; the caller saves it (inside its transaction).
+ * @param {object} order - The order document.
+ * @param {object} refund - { amount, items?, reason, method, issuedBy, returnRequest?, status? }
+ * @returns {object} - The order.
+ * @throws {Error} - If the refund is invalid, exceeds the refundable amount/quantities, or the payment cannot be refunded.
+ */
+function applyRefund(order, refund) {
+    if (!REFUND_METHODS.includes(refund.method)) {
+        throw new Error(`Invalid refund method. Must be one of: ${REFUND_METHODS.join(', ')}.`);
+    }
+    if (typeof refund.amount !== 'number' || !(refund.amount > 0)) {
+        throw new Error('Invalid refund amount: must be greater than 0.');
+    }
+
+    const refundableCents = toCents(order.totalAmount) - toCents(getRefundedTotal(order));
+    if (toCents(refund.amount) > refundableCents) {
+        throw new Error(`Invalid refund amount: only ${(refundableCents / 100).toFixed(2)} of ${order.totalAmount} can still be refunded.`);
+    }
+
+    for (const item of refund.items || []) {
+        const orderItem = order.items.find(line => isSameLine(line, item));
+        if (!orderItem) {
+            throw new Error(`Invalid refund item: product ${item.productId} (Size: ${item.selectedSize || 'N/A'}, Color: ${item.selectedColor || 'N/A'}) is not part of this order.`);
+        }
+        const alreadyInRefund = (refund.items || [])
+            .filter(other => other !== item && isSameLine(other, orderItem))
+            .reduce((sum, other) => sum + other.quantity, 0);
+        const refundable = orderItem.quantity - getRefundedQuantity(order, orderItem) - alreadyInRefund;
+        if (item.quantity > refundable) {
+            throw new Error(`Invalid refund item: only ${Math.max(refundable, 0)} of ${orderItem.name} can still be refunded.`);
+        }
+    }
+
+    if (refund.status === 'pending') {
+        // Checked now, so money is never sent for a refund the payment status cannot take
+        assertTransition(order, { paymentStatus: toCents(refund.amount) === refundableCents ? 'refunded' : 'partially_refunded' });
+    }
+    order.refunds.push(refund);
+    if (refund.status !== 'pending') {
+        updateRefundPaymentStatus(order, refund);
+    }
+    return order;
+}
+
+/**
+ * Settles a pending refund once the payment provider answered: a completed refund moves the
+ * payment status like any refund, a failed one stops counting against the order.
+ * The order document is mutated in place; the caller saves it.
+ * @param {object} order - The order document.
+ * @param {string} refundId - The ID of the pending refund.
+ * @param {object} result - { status: 'completed' | 'failed', providerRefundId? }
+ * @returns {object} - The order.
+ * @throws {Error} - If there is no such pending refund.
+ */
+function settleRefund(order, refundId, { status, providerRefundId = null }) {
+    const refund = order.refunds.find(entry => entry._id.toString() === refundId.toString());
+    if (!refund || refund.status !== 'pending') {
+        throw new Error(`Refund ${refundId} not found or not pending.`);
+    }
+    refund.status = status;
+    if (status === 'completed') {
+        refund.providerRefundId = providerRefundId;
+        updateRefundPaymentStatus(order, refund);
+    }
+    return order;
+}
+
+/**
+ * Trims a refund to what is still refundable on the order: item quantities already covered
+ * by earlier refunds are dropped and the amount is capped at the remaining refundable amount.
+ * Used for refunds triggered automatically (received returns) rather than entered by an admin.
+ * @param {object} order - The order.
+ * @param {object} refund - The proposed refund.
+ * @returns {object|null} - The trimmed refund, or null if nothing is left to refund.
+ */
+function capRefund(order, refund) {
+    const remainingCents = toCents(order.totalAmount) - toCents(getRefundedTotal(order));
+    const amountCents = Math.min(toCents(refund.amount), remainingCents);
+    if (amountCents <= 0) {
+        return null;
+    }
+
+    const items = (refund.items || [])
+        .map(item => {
+            const orderItem = order.items.find(line => isSameLine(line, item));
+            const refundable = orderItem ? orderItem.quantity - getRefundedQuantity(order, orderItem) : 0;
+            return { ...item, quantity: Math.min(item.quantity, refundable) };
+        })
+        .filter(item => item.quantity > 0);
+
+    return { ...refund, amount: amountCents / 100, items };
+}
+
+module.exports = {
+    REFUND_METHODS,
+    REFUND_STATUSES,
+    getPaidUnitPrice,
+    getRefundedTotal,
+    getRefundedQuantity,
+    applyRefund,
+    settleRefund,
+    capRefund,
+};
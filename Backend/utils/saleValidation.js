@@ -0,0 +1,60 @@
+const Joi = require('joi');
+
+const objectId = Joi.string().hex().length(24).messages({
+    'string.hex': 'Must be a valid ID',
+    'string.length': 'Must be a valid ID',
+});
+
+// Fields shared by create and update
+const saleFields = {
+    name: Joi.string().trim().min(1).max(100).messages({
+        'string.empty': 'Sale name cannot be empty',
+    }),
+    percentOff: Joi.number().greater(0).max(100).messages({
+        'number.base': 'Percent off must be a number',
+        'number.greater': 'Percent off must be greater than 0',
+        'number.max': 'Percent off cannot exceed 100',
+    }),
+    products: Joi.array().items(objectId),
+    brands: Joi.array().items(objectId),
+    categories: Joi.array().items(objectId),
+    startsAt: Joi.date().iso(),
+    endsAt: Joi.date().iso().when('startsAt', {
+        is: Joi.date().required(),
+        then: Joi.date().greater(Joi.ref('startsAt')),
+    }).messages({
+        'date.greater': 'Sale end date must be after its start date',
+    }),
+    isActive: Joi.boolean(),
+};
+
+// Schema for creating a new scheduled sale; it must cover at least one product, brand or category
+const createSaleValidation = (data) => {
+    const schema = Joi.object({
+        ...saleFields,
+        name: saleFields.name.required().messages({ 'any.required': 'Sale name is required' }),
+        percentOff: saleFields.percentOff.required().messages({ 'any.required': 'Percent off is required' }),
+        startsAt: saleFields.startsAt.required().messages({ 'any.required': 'Sale start date is required' }),
+        endsAt: saleFields.endsAt.required().messages({ 'any.required': 'Sale end date is required' }),
+    }).custom((value, helpers) => {
+        const hasTarget = ['products', 'brands', 'categories'].some(field => value[field] && value[field].length > 0);
+        if (!hasTarget) {
+            return helpers.message('A sale must cover at least one product, brand or category');
+        }
+        return value;
+    });
+    return schema.validate(data);
+};
+
+// Schema for updating an existing scheduled sale
+const updateSaleValidation = (data) => {
+    const schema = Joi.object(saleFields).min(1).messages({
+        'object.min': 'At least one field is required to update a sale',
+    });
+    return schema.validate(data);
+};
+
+module.exports = {
+    createSaleValidation,
+    updateSaleValidation,
+};
@@ -0,0 +1,86 @@
+/**
+ * @fileoverview Sale schedules.
+ * A product's own sale (`onSale` + `salePrice`) can be limited to a window with `saleStartsAt` /
+ * `saleEndsAt`. Scheduled sales (models/sales.model.js) take a percentage off whole brands,
+ * categories (subcategories included) or lists of products for a window. These helpers decide
+ * which sale is live for a product; `getUnitPrices` in productVariants.js turns that into prices.
+ */
+
+function toId(value) {
+    return value ? (value._id || value).toString() : null;
+}
+
+/**
+ * Checks whether a moment falls within an optional start/end window.
+ * @param {Date|null} startsAt - Start of the window (null = no start).
+ * @param {Date|null} endsAt - End of the window (null = open-ended).
+ * @param {Date} [now] - The moment to check.
+ * @returns {boolean}
+ */
+function isWithinSchedule(startsAt, endsAt, now = new Date()) {
+    return (!startsAt || now >= new Date(startsAt)) && (!endsAt || now <= new Date(endsAt));
+}
+
+/**
+ * Checks whether a product's own sale price applies right now.
+ * @param {object} product - Product document or plain object.
+ * @param {Date} [now] - The moment to check.
+ * @returns {boolean}
+ */
+function isProductSaleLive(product, now = new Date()) {
+    return Boolean(product.onSale) &&
+        product.salePrice !== undefined && product.salePrice !== null &&
+        isWithinSchedule(product.saleStartsAt, product.saleEndsAt, now);
+}
+
+/**
+ * Checks whether a scheduled sale covers a product (by product, brand or category, including
+ * the ancestors of the product's category when it is populated).
+ * @param {object} sale - The scheduled sale.
+ * @param {object} product - Product document or plain object.
+ * @returns {boolean}
+ */
+function saleAppliesTo(sale, product) {
+    const category = product.category;
+    const categoryIds = category
+        ? [toId(category), ...((category.ancestors || []).map(toId))]
+        : [];
+    return (sale.products || []).some(id => toId(id) === toId(product._id)) ||
+        (sale.brands || []).some(id => toId(id) === toId(product.brand)) ||
+        (sale.categories || []).some(id => categoryIds.includes(toId(id)));
+}
+
+/**
+ * Finds the live scheduled sale with the biggest discount for a product.
+ * @param {Array<object>} sales - Scheduled sales (inactive or out-of-window ones are skipped).
+ * @param {object} product - Product document or plain object.
+ * @param {Date} [now] - The moment to check.
+ * @returns {{ sale: string, name: string, percentOff: number, endsAt: Date }|null}
+ */
+function findBestSale(sales, product, now = new Date()) {
+    const best = sales
+        .filter(sale => sale.isActive && isWithinSchedule(sale.startsAt, sale.endsAt, now) && saleAppliesTo(sale, product))
+        .sort((a, b) => b.percentOff - a.percentOff)[0];
+    return best ? { sale: best._id, name: best.name, percentOff: best.percentOff, endsAt: best.endsAt } : null;
+}
+
+/**
+ * Returns the unit price a cart line is charged at: its sale price snapshot while that sale
+ * lasts (until the line's saleEndsAt), otherwise its regular price.
+ * @param {object} item - Cart item with { price, salePrice?, saleEndsAt? }.
+ * @param {Date} [now] - The moment to price at.
+ * @returns {number}
+ */
+function getCartItemUnitPrice(item, now = new Date()) {
+    const saleLive = item.salePrice !== undefined && item.salePrice !== null && item.salePrice < item.price &&
+        isWithinSchedule(null, item.saleEndsAt, now);
+    return saleLive ? item.salePrice : item.price;
+}
+
+module.exports = {
+    isWithinSchedule,
+    isProductSaleLive,
+    saleAppliesTo,
+    findBestSale,
+    getCartItemUnitPrice,
+};
@@ -0,0 +1,101 @@
+/**
+ * @fileoverview Shipping rules.
+ * A shipping zone (models/shippingZones.model.js) covers countries or single states. The most
+ * specific zone for the destination applies: one listing the state, else one listing the whole
+ * country. Each zone offers methods (standard, express, pickup) priced by a rate table on the
+ * order's weight or item count: the first bracket whose upTo the order does not exceed gives
+ * the cost (upTo null = no limit); an order past every bracket cannot use the method. A method
+ * ships free once the subtotal after discounts reaches its freeShippingThreshold, and a
+ * free-shipping discount (the free_shipping coupon) waives any method. Nothing here touches the
+ * database; callers load the zones and the product weights.
+ */
+
+const { normalizeRegion } = require('./tax');
+
+const SHIPPING_METHODS = ['standard', 'express', 'pickup'];
+const RATE_BASES = ['weight', 'quantity'];
+
+// Work in cents to avoid floating point drift when comparing money
+function toCents(amount) {
+    return Math.round(amount * 100);
+}
+
+/**
+ * Finds the zone for a destination: a zone listing the state wins over one listing the whole country.
+ * @param {Array<object>} zones - The active shipping zones.
+ * @param {string} country - The destination country.
+ * @param {string} [state] - The destination state.
+ * @returns {object|null}
+ */
+function findZone(zones, country, state) {
+    const countryKey = normalizeRegion(country);
+    const stateKey = normalizeRegion(state);
+    if (!countryKey) {
+        return null;
+    }
+    const covers = (zone, regionState) => (zone.regions || []).some(region =>
+        region.country === countryKey && (region.state || null) === regionState);
+    return (stateKey && zones.find(zone => covers(zone, stateKey))) || zones.find(zone => covers(zone, null)) || null;
+}
+
+/**
+ * Looks up the rate table cost of a method for an order.
+ * @param {object} method - The zone's method ({ basis, rates: [{ upTo, cost }] }).
+ * @param {object} parcel - { weight, quantity }
+ * @returns {number|null} - The cost, or null if the order is past every bracket.
+ */
+function getRateCost(method, { weight, quantity }) {
+    const measure = method.basis === 'weight' ? weight : quantity;
+    const brackets = [...(method.rates || [])].sort((a, b) =>
+        (a.upTo === null || a.upTo === undefined ? Infinity : a.upTo) - (b.upTo === null || b.upTo === undefined ? Infinity : b.upTo));
+    if (brackets.length === 0) {
+        return 0; // No table = no charge (e.g. store pickup)
+    }
+    const bracket = brackets.find(b => b.upTo === null || b.upTo === undefined || measure <= b.upTo);
+    return bracket ? bracket.cost : null;
+}
+
+/**
+ * Prices every active method of a zone for an order.
+ * @param {object} zone - The shipping zone.
+ * @param {object} parcel - { weight, quantity, subtotal, freeShipping } where subtotal is after discounts
+ *                          and freeShipping says a discount waives shipping.
+ * @returns {Array<object>} - [{ method, name, deliveryEstimate, rateCost, cost, freeReason }], cheapest first.
+ *                            freeReason is 'threshold', 'coupon' or null.
+ */
+function quoteZone(zone, { weight = 0, quantity = 0, subtotal = 0, freeShipping = false }) {
+    const options = [];
+    for (const method of zone.methods || []) {
+        if (method.isActive === false) {
+            continue;
+        }
+        const rateCost = getRateCost(method, { weight, quantity });
+        if (rateCost === null) {
+            continue;
+        }
+        let freeReason = null;
+        if (rateCost > 0 && freeShipping) {
+            freeReason = 'coupon';
+        } else if (rateCost > 0 && method.freeShippingThreshold !== null && method.freeShippingThreshold !== undefined &&
+            toCents(subtotal) >= toCents(method.freeShippingThreshold)) {
+            freeReason = 'threshold';
+        }
+        options.push({
+            method: method.method,
+            name: method.name,
+            deliveryEstimate: method.deliveryEstimate || null,
+            rateCost,
+            cost: freeReason ? 0 : rateCost,
+            freeReason
+        });
+    }
+    return options.sort((a, b) => a.cost - b.cost);
+}
+
+module.exports = {
+    SHIPPING_METHODS,
+    RATE_BASES,
+    findZone,
+    getRateCost,
+    quoteZone,
+};
@@ -0,0 +1,83 @@
+const Joi = require('joi');
+const { SHIPPING_METHODS, RATE_BASES } = require('./shipping');
+
+const region = Joi.object({
+    country: Joi.string().trim().uppercase().min(2).max(56).required().messages({
+        'any.required': 'Each region needs a country',
+        'string.empty': 'Country cannot be empty',
+    }),
+    state: Joi.string().trim().uppercase().max(56).allow(null),
+});
+
+const method = Joi.object({
+    method: Joi.string().valid(...SHIPPING_METHODS).required().messages({
+        'any.required': 'Each shipping method needs a method',
+        'any.only': `Shipping method must be one of: ${SHIPPING_METHODS.join(', ')}`,
+    }),
+    name: Joi.string().trim().min(1).max(100).required().messages({
+        'any.required': 'Each shipping method needs a name',
+        'string.empty': 'Shipping method name cannot be empty',
+    }),
+    basis: Joi.string().valid(...RATE_BASES).messages({
+        'any.only': `Rate basis must be one of: ${RATE_BASES.join(', ')}`,
+    }),
+    rates: Joi.array().items(Joi.object({
+        upTo: Joi.number().min(0).allow(null).messages({
+            'number.base': 'Rate limit must be a number',
+            'number.min': 'Rate limit cannot be negative',
+        }),
+        cost: Joi.number().min(0).required().messages({
+            'any.required': 'Each rate needs a cost',
+            'number.base': 'Rate cost must be a number',
+            'number.min': 'Rate cost cannot be negative',
+        }),
+    })).unique((a, b) => (a.upTo === undefined ? null : a.upTo) === (b.upTo === undefined ? null : b.upTo)).messages({
+        'array.unique': 'Rate limits must be different',
+    }),
+    freeShippingThreshold: Joi.number().min(0).allow(null).messages({
+        'number.base': 'Free shipping threshold must be a number',
+        'number.min': 'Free shipping threshold cannot be negative',
+    }),
+    deliveryEstimate: Joi.string().trim().max(100).allow(''),
+    isActive: Joi.boolean(),
+});
+
+// Fields shared by create and update
+const shippingZoneFields = {
+    name: Joi.string().trim().min(1).max(100).messages({
+        'string.empty': 'Zone name cannot be empty',
+    }),
+    regions: Joi.array().items(region).min(1).unique((a, b) => a.country === b.country && (a.state || null) === (b.state || null)).messages({
+        'array.min': 'A zone needs at least one region',
+        'array.unique': 'A region can only be listed once',
+    }),
+    methods: Joi.array().items(method).min(1).unique('method').messages({
+        'array.min': 'A zone needs at least one shipping method',
+        'array.unique': 'A zone can only offer each shipping method once',
+    }),
+    isActive: Joi.boolean(),
+};
+
+// Schema for creating a new shipping zone
+const createShippingZoneValidation = (data) => {
+    const schema = Joi.object({
+        ...shippingZoneFields,
+        name: shippingZoneFields.name.required().messages({ 'any.required': 'Zone name is required' }),
+        regions: shippingZoneFields.regions.required().messages({ 'any.required': 'Zone regions are required' }),
+        methods: shippingZoneFields.methods.required().messages({ 'any.required': 'Zone shipping methods are required' }),
+    });
+    return schema.validate(data);
+};
+
+// Schema for updating an existing shipping zone
+const updateShippingZoneValidation = (data) => {
+    const schema = Joi.object(shippingZoneFields).min(1).messages({
+        'object.min': 'At least one field is required to update a shipping zone',
+    });
+    return schema.validate(data);
+};
+
+module.exports = {
+    createShippingZoneValidation,
+    updateShippingZoneValidation,
+};
@@ -0,0 +1,127 @@
+/**
+ * @fileoverview Shoppers: who a cart, its checkout holds and an order belong to.
+ * A signed-in shopper is identified by their user ID. A guest is identified by an anonymous
+ * cart token the client keeps and sends in the X-Cart-Token header; only its SHA-256 hash (the
+ * guest key) is stored, so the database alone never hands out a usable cart. A guest placing an
+ * order also gives the email address the order belongs to.
+ * Nothing here touches the database.
+ */
+const crypto = require('crypto');
+
+const GUEST_TOKEN_PATTERN = /^[a-f0-9]{64}$/;
+const EMAIL_PATTERN = /.+@.+\..+/; // Same rule as the user model
+
+/**
+ * Creates a new anonymous cart token for a guest.
+ * @returns {string} - 64 hex characters.
+ */
+function createGuestToken() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Checks the format of a cart token sent by a client.
+ * @param {string} token - The cart token.
+ * @returns {boolean}
+ */
+function isValidGuestToken(token) {
+    return typeof token === 'string' && GUEST_TOKEN_PATTERN.test(token);
+}
+
+/**
+ * Turns a cart token into the guest shopper it identifies.
+ * @param {string} token - The cart token.
+ * @returns {{ guestKey: string }}
+ */
+function toGuestShopper(token) {
+    return { guestKey: crypto.createHash('sha256').update(token).digest('hex') };
+}
+
+/**
+ * Checks whether a shopper is a guest (as opposed to a user ID).
+ * @param {string|object} shopper - A user ID, or a guest { guestKey?, email? }.
+ * @returns {boolean}
+ */
+function isGuest(shopper) {
+    return Boolean(shopper && (shopper.guestKey || shopper.email));
+}
+
+/**
+ * Builds the query matching the documents (cart, checkout holds) of a shopper.
+ * @param {string|object} shopper - A user ID, or a guest { guestKey }.
+ * @returns {object} - { user } or { guestKey }
+ * @throws {Error} - If a guest has no cart token.
+ */
+function getShopperFilter(shopper) {
+    if (!isGuest(shopper)) {
+        return { user: shopper };
+    }
+    if (!shopper.guestKey) {
+        throw new Error('Invalid cart token: a guest cart needs a cart token.');
+    }
+    return { guestKey: shopper.guestKey };
+}
+
+/**
+ * Returns the shopper a cart belongs to.
+ * @param {Cart} cart - The cart.
+ * @returns {string|object} - The user ID, or a guest { guestKey }.
+ */
+function getCartShopper(cart) {
+    return cart.user || { guestKey: cart.guestKey };
+}
+
+/**
+ * Returns the user ID of a shopper, or null for a guest.
+ * @param {string|object} shopper - A user ID, or a guest.
+ * @returns {string|null}
+ */
+function getShopperUserId(shopper) {
+    return isGuest(shopper) ? null : shopper;
+}
+
+/**
+ * Normalizes an email address for storing and comparing (trimmed, lowercase).
+ * @param {string} email - The email address.
+ * @returns {string|null} - The normalized address, or null if it is not a valid address.
+ */
+function normalizeEmail(email) {
+    if (typeof email !== 'string') {
+        return null;
+    }
+    const normalized = email.trim().toLowerCase();
+    return EMAIL_PATTERN.test(normalized) ? normalized : null;
+}
+
+/**
+ * Checks whether a shopper may act on an order as its customer. A user owns the orders placed
+ * under their account; a guest owns a guest order when both its order number and email match.
+ * @param {Order} order - The order (user populated or not).
+ * @param {string|object} shopper - A user ID, or a guest { email, orderNumber }.
+ * @returns {boolean}
+ */
+function ownsOrder(order, shopper) {
+    if (!shopper) {
+        return false;
+    }
+    if (isGuest(shopper)) {
+        return !order.user &&
+            Boolean(order.guestEmail && order.orderNumber) &&
+            order.guestEmail === normalizeEmail(shopper.email) &&
+            order.orderNumber === String(shopper.orderNumber || '').trim().toUpperCase();
+    }
+    const orderUserId = order.user && (order.user._id || order.user);
+    return Boolean(orderUserId) && orderUserId.toString() === shopper.toString();
+}
+
+module.exports = {
+    createGuestToken,
+    isValidGuestToken,
+    toGuestShopper,
+    isGuest,
+    getShopperFilter,
+    getCartShopper,
+    getShopperUserId,
+    normalizeEmail,
+    ownsOrder,
+};
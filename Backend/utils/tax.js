@@ -0,0 +1,93 @@
+/**
+ * @fileoverview Tax rules.
+ * A tax rate (models/taxRates.model.js) covers a country or one state of a country. The most
+ * specific rate for the shipping destination applies: the state's rate if there is one, else the
+ * country's. A rate can override its percentage per category (subcategories included), e.g. 0 for
+ * children's footwear. With tax-inclusive pricing the item prices already contain the tax and it
+ * is only broken out; with exclusive pricing it is added on top. `calculateTax` has no database
+ * access; callers load the rate and the line categories.
+ */
+
+// Work in cents to avoid floating point drift when summing money
+function toCents(amount) {
+    return Math.round(amount * 100);
+}
+
+function toId(value) {
+    return value ? (value._id || value).toString() : null;
+}
+
+/**
+ * Normalizes a country or state for matching tax rates (trimmed, upper case).
+ * @param {string} [value] - The country or state.
+ * @returns {string|null}
+ */
+function normalizeRegion(value) {
+    if (value === undefined || value === null) {
+        return null;
+    }
+    const trimmed = String(value).trim().toUpperCase();
+    return trimmed === '' ? null : trimmed;
+}
+
+/**
+ * Returns the percentage that applies to a line: the category rate of the line's own category
+ * or its nearest ancestor that has one, otherwise the jurisdiction rate.
+ * @param {object} taxRate - The tax rate document.
+ * @param {Array<string>} categoryIds - The line's category first, then its ancestors from the root down.
+ * @returns {number}
+ */
+function getLineRate(taxRate, categoryIds = []) {
+    const nearestFirst = categoryIds.length > 0 ? [categoryIds[0], ...categoryIds.slice(1).reverse()] : [];
+    for (const categoryId of nearestFirst) {
+        const categoryRate = (taxRate.categoryRates || []).find(entry => toId(entry.category) === toId(categoryId));
+        if (categoryRate) {
+            return categoryRate.rate;
+        }
+    }
+    return taxRate.rate;
+}
+
+/**
+ * Computes the tax of priced lines under a tax rate.
+ * @param {object|null} taxRate - The tax rate for the destination (null = no tax).
+ * @param {Array<object>} lines - [{ productId, selectedSize?, selectedColor?, amount, categoryIds }]
+ *                                where amount is what the line costs after discounts.
+ * @returns {object} - { country, state, name, pricesIncludeTax, amount, lines: [{ productId, selectedSize, selectedColor, taxableAmount, rate, amount }] }
+ */
+function calculateTax(taxRate, lines) {
+    if (!taxRate) {
+        return { country: null, state: null, name: null, pricesIncludeTax: false, amount: 0, lines: [] };
+    }
+    let totalCents = 0;
+    const taxLines = lines.map(line => {
+        const rate = getLineRate(taxRate, line.categoryIds);
+        const taxableCents = toCents(line.amount);
+        const taxCents = taxRate.pricesIncludeTax
+            ? taxableCents - Math.round(taxableCents / (1 + rate / 100))
+            : Math.round(taxableCents * rate / 100);
+        totalCents += taxCents;
+        return {
+            productId: line.productId,
+            selectedSize: line.selectedSize,
+            selectedColor: line.selectedColor,
+            taxableAmount: taxableCents / 100,
+            rate,
+            amount: taxCents / 100
+        };
+    });
+    return {
+        country: taxRate.country,
+        state: taxRate.state || null,
+        name: taxRate.name,
+        pricesIncludeTax: Boolean(taxRate.pricesIncludeTax),
+        amount: totalCents / 100,
+        lines: taxLines
+    };
+}
+
+module.exports = {
+    normalizeRegion,
+    getLineRate,
+    calculateTax,
+};
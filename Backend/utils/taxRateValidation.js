@@ -0,0 +1,56 @@
+const Joi = require('joi');
+
+const objectId = Joi.string().hex().length(24).messages({
+    'string.hex': 'Must be a valid ID',
+    'string.length': 'Must be a valid ID',
+});
+
+const rate = Joi.number().min(0).max(100).messages({
+    'number.base': 'Tax rate must be a number',
+    'number.min': 'Tax rate cannot be negative',
+    'number.max': 'Tax rate cannot exceed 100',
+});
+
+// Fields shared by create and update
+const taxRateFields = {
+    country: Joi.string().trim().uppercase().min(2).max(56).messages({
+        'string.empty': 'Country cannot be empty',
+    }),
+    state: Joi.string().trim().uppercase().max(56).allow(null),
+    name: Joi.string().trim().min(1).max(100).messages({
+        'string.empty': 'Tax name cannot be empty',
+    }),
+    rate,
+    pricesIncludeTax: Joi.boolean(),
+    categoryRates: Joi.array().items(Joi.object({
+        category: objectId.required().messages({ 'any.required': 'Each category rate needs a category' }),
+        rate: rate.required().messages({ 'any.required': 'Each category rate needs a rate' }),
+    })).unique((a, b) => a.category === b.category).messages({
+        'array.unique': 'A category can only have one rate',
+    }),
+    isActive: Joi.boolean(),
+};
+
+// Schema for creating a new tax rate
+const createTaxRateValidation = (data) => {
+    const schema = Joi.object({
+        ...taxRateFields,
+        country: taxRateFields.country.required().messages({ 'any.required': 'Country is required' }),
+        name: taxRateFields.name.required().messages({ 'any.required': 'Tax name is required' }),
+        rate: taxRateFields.rate.required().messages({ 'any.required': 'Tax rate is required' }),
+    });
+    return schema.validate(data);
+};
+
+// Schema for updating an existing tax rate
+const updateTaxRateValidation = (data) => {
+    const schema = Joi.object(taxRateFields).min(1).messages({
+        'object.min': 'At least one field is required to update a tax rate',
+    });
+    return schema.validate(data);
+};
+
+module.exports = {
+    createTaxRateValidation,
+    updateTaxRateValidation,
+};
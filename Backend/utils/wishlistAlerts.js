@@ -0,0 +1,74 @@
+/**
+ * @fileoverview Wishlist alerts: which alerts a product change triggers for a wishlist item.
+ * A user opts in per wishlist item (so per product and per size/color) to a price-drop alert,
+ * a back-in-stock alert, or both. A price drop is the effective price (sales included) falling
+ * below the price the item had when it was saved; only a new low is reported again, so a price
+ * that wobbles does not send a stream of alerts. Back in stock is the item's size/color going
+ * from no stock to some stock; it is reported at most once per cooldown.
+ * Nothing here touches the database.
+ */
+const { resolveVariant, getAvailableStock, getUnitPrices } = require('./productVariants');
+
+/**
+ * Returns what a wishlist item costs and how many are in stock for a product.
+ * @param {object} product - The product with its live scheduledSale (see products.service), or null.
+ * @param {object} item - The wishlist item { selectedSize?, selectedColor? }.
+ * @param {Date} [now] - The moment to price at.
+ * @returns {{ effectivePrice: number, stock: number }|null} - Null if the product or the item's size/color no longer exists.
+ */
+function getItemSnapshot(product, item, now = new Date()) {
+    if (!product) {
+        return null;
+    }
+    try {
+        const variant = resolveVariant(product, { selectedSize: item.selectedSize, selectedColor: item.selectedColor });
+        const stock = getAvailableStock(product, item.selectedSize, item.selectedColor);
+        return { effectivePrice: getUnitPrices(product, variant, now).effectivePrice, stock };
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Works out the alerts a product change triggers for one wishlist item.
+ * @param {object} item - The wishlist item { alerts, savedPrice, alertState, selectedSize?, selectedColor? }.
+ * @param {object} before - The product before the change.
+ * @param {object} after - The product after the change.
+ * @param {object} [options] - { now, cooldownHours }
+ * @returns {Array<object>} - [{ type: 'price_drop', savedPrice, price } | { type: 'back_in_stock', stock }]
+ */
+function getDueAlerts(item, before, after, { now = new Date(), cooldownHours = 24 } = {}) {
+    const alerts = item.alerts || {};
+    if ((!alerts.priceDrop && !alerts.backInStock) || !after || after.status !== 'available') {
+        return [];
+    }
+    const current = getItemSnapshot(after, item, now);
+    if (!current) {
+        return [];
+    }
+    const previous = getItemSnapshot(before, item, now);
+    const state = item.alertState || {};
+    const due = [];
+
+    if (alerts.priceDrop && typeof item.savedPrice === 'number' && current.effectivePrice < item.savedPrice && current.stock > 0) {
+        const lowestAlerted = typeof state.lowestPriceAlerted === 'number' ? state.lowestPriceAlerted : item.savedPrice;
+        if (current.effectivePrice < lowestAlerted) {
+            due.push({ type: 'price_drop', savedPrice: item.savedPrice, price: current.effectivePrice });
+        }
+    }
+
+    // A product that just became available counts as coming back in stock too
+    const wasSoldOut = !previous || previous.stock <= 0 || !before || before.status !== 'available';
+    if (alerts.backInStock && wasSoldOut && current.stock > 0) {
+        const lastAlertAt = state.backInStockAlertedAt ? new Date(state.backInStockAlertedAt).getTime() : null;
+        if (lastAlertAt === null || now.getTime() - lastAlertAt >= cooldownHours * 60 * 60 * 1000) {
+            due.push({ type: 'back_in_stock', stock: current.stock });
+        }
+    }
+    return due;
+}
+
+module.exports = {
+    getItemSnapshot,
+    getDueAlerts,
+};
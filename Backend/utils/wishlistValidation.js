@@ -0,0 +1,52 @@
+const Joi = require('joi');
+
+const nameField = Joi.string().trim().min(1).max(50).messages({
+    'string.empty': 'Wishlist name cannot be empty.',
+    'string.max': 'Wishlist name cannot exceed 50 characters.',
+});
+
+// Preferred size, color, note and alert opt-ins of a wishlist item; null clears them on update
+const itemFields = {
+    selectedSize: Joi.string().trim().max(20).allow(null),
+    selectedColor: Joi.string().trim().max(30).allow(null),
+    note: Joi.string().trim().max(500).allow('', null).messages({
+        'string.max': 'Note cannot exceed 500 characters.',
+    }),
+    alerts: Joi.object({
+        priceDrop: Joi.boolean(),
+        backInStock: Joi.boolean(),
+    }),
+};
+
+// Schema for creating or renaming a wishlist
+const wishlistNameValidation = (data) => {
+    const schema = Joi.object({
+        name: nameField.required().messages({ 'any.required': 'Wishlist name is required.' }),
+    });
+    return schema.validate(data);
+};
+
+// Schema for adding a product to a wishlist
+const addWishlistItemValidation = (data) => {
+    const schema = Joi.object({
+        productId: Joi.string().hex().length(24).required().messages({
+            'any.required': 'Product ID is required.',
+            'string.hex': 'Product ID must be a valid ID.',
+            'string.length': 'Product ID must be a valid ID.',
+        }),
+        ...itemFields,
+    });
+    return schema.validate(data);
+};
+
+// Schema for updating a wishlist item
+const updateWishlistItemValidation = (data) => {
+    const schema = Joi.object(itemFields).min(1); // At least one field must be present for update
+    return schema.validate(data);
+};
+
+module.exports = {
+    wishlistNameValidation,
+    addWishlistItemValidation,
+    updateWishlistItemValidation,
+};